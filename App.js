@@ -13,6 +13,8 @@ import { AuthProvider } from './src/context/AuthContext';
 import { ChatProvider } from './src/context/ChatContext';
 import AppNavigator from './src/navigation/AppNavigator';
 import { DatabaseService } from './src/services/database/DatabaseService';
+import { KeyVault } from './src/services/crypto/KeyVault';
+import { WebSocketService } from './src/services/network/WebSocketService';
 import { LoadingSpinner } from './src/components/ui/LoadingSpinner';
 import { Button } from './src/components/ui/Button';
 
@@ -37,6 +39,10 @@ export default function App() {
         console.log('🔒 App moved to background');
       } else if (nextAppState === 'active') {
         console.log('🔓 App became active');
+        // The idle timer doesn't fire while suspended
+        KeyVault.checkIdle();
+        // Don't make the user wait out a backoff that started while we were away
+        WebSocketService.resume();
       }
     };
 
@@ -108,6 +108,15 @@ export function LoginForm({ onSwitchToRegister }) {
         <Ionicons name="add-circle-outline" size={16} color={UI_CONFIG.COLORS.SECONDARY} />
         <Text style={styles.registerBiometricText}>Register Biometric</Text>
       </TouchableOpacity>
+
+      <TouchableOpacity
+        style={styles.restoreLink}
+        onPress={() => navigation.navigate('RestoreBackup')}
+        disabled={isLoggingIn}
+      >
+        <Ionicons name="cloud-download-outline" size={16} color={UI_CONFIG.COLORS.SECONDARY} />
+        <Text style={styles.restoreText}>Restore from Backup</Text>
+      </TouchableOpacity>
     </View>
   );
 }
@@ -198,5 +207,17 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: UI_CONFIG.COLORS.SECONDARY,
     marginLeft: UI_CONFIG.SPACING.XS
+  },
+  restoreLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: UI_CONFIG.SPACING.SM,
+    padding: UI_CONFIG.SPACING.SM
+  },
+  restoreText: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.SECONDARY,
+    marginLeft: UI_CONFIG.SPACING.XS
   }
 });
\ No newline at end of file
@@ -1,9 +1,12 @@
 // src/components/auth/RegisterForm.js - Simplified
 import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, Alert } from 'react-native';
+import { View, Text, StyleSheet, Alert, TouchableOpacity, Switch } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
 import { Input } from '../ui/Input';
 import { Button } from '../ui/Button';
 import { BiometricAuthService } from '../../services/auth/BiometricAuthService';
+import { KeyVault } from '../../services/crypto/KeyVault';
 import { useAuth } from '../../context/AuthContext';
 import { UI_CONFIG } from '../../utils/constants';
 
@@ -11,8 +14,10 @@ export function RegisterForm({ onSwitchToLogin }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [createRecoveryPhrase, setCreateRecoveryPhrase] = useState(true);
   const [localErrors, setLocalErrors] = useState({});
   const { register, loading, error, fieldErrors, clearError } = useAuth();
+  const navigation = useNavigation();
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   // Clear errors when user starts typing
@@ -40,7 +45,7 @@ export function RegisterForm({ onSwitchToLogin }) {
     setIsSubmitting(true);
     
     try {
-      const success = await register(username.trim(), password);
+      const success = await register(username.trim(), password, { createRecoveryPhrase });
       
       if (success !== false) {
         // Registration successful
@@ -50,9 +55,8 @@ export function RegisterForm({ onSwitchToLogin }) {
         const biometricAvailable = await BiometricAuthService.isAvailable();
         
         if (biometricAvailable.available) {
-          // Get the derived key from storage
-          const Storage = require('../../utils/storage').Storage;
-          const derivedKey = await Storage.getSecureString('derivedKey');
+          // Registration just unlocked the vault, so the key is still in memory
+          const derivedKey = KeyVault.getDerivedKey();
           
           if (derivedKey) {
             Alert.alert(
@@ -168,6 +172,21 @@ export function RegisterForm({ onSwitchToLogin }) {
         editable={!isProcessing}
       />
 
+      <View style={styles.recoveryOption}>
+        <View style={styles.recoveryOptionText}>
+          <Text style={styles.recoveryOptionTitle}>Create a Recovery Phrase</Text>
+          <Text style={styles.recoveryOptionSubtitle}>
+            12 words that restore your account if you forget your password
+          </Text>
+        </View>
+        <Switch
+          value={createRecoveryPhrase}
+          onValueChange={setCreateRecoveryPhrase}
+          disabled={isProcessing}
+          trackColor={{ false: '#E0E0E0', true: UI_CONFIG.COLORS.PRIMARY }}
+        />
+      </View>
+
       <Button
         title={isProcessing ? "Creating Account..." : "Create Account"}
         onPress={handleRegister}
@@ -186,6 +205,15 @@ export function RegisterForm({ onSwitchToLogin }) {
           disabled={isProcessing}
         />
       </View>
+
+      <TouchableOpacity
+        style={styles.restoreLink}
+        onPress={() => navigation.navigate('RestoreBackup')}
+        disabled={isProcessing}
+      >
+        <Ionicons name="cloud-download-outline" size={16} color={UI_CONFIG.COLORS.SECONDARY} />
+        <Text style={styles.restoreText}>Restore from Backup</Text>
+      </TouchableOpacity>
     </View>
   );
 }
@@ -233,5 +261,35 @@ const styles = StyleSheet.create({
   switchText: {
     fontSize: 16,
     color: UI_CONFIG.COLORS.TEXT_SECONDARY
+  },
+  recoveryOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  recoveryOptionText: {
+    flex: 1,
+    marginRight: UI_CONFIG.SPACING.SM
+  },
+  recoveryOptionTitle: {
+    fontSize: 16,
+    color: UI_CONFIG.COLORS.TEXT
+  },
+  recoveryOptionSubtitle: {
+    fontSize: 12,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    marginTop: 2
+  },
+  restoreLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: UI_CONFIG.SPACING.SM,
+    padding: UI_CONFIG.SPACING.SM
+  },
+  restoreText: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.SECONDARY,
+    marginLeft: UI_CONFIG.SPACING.XS
   }
 });
\ No newline at end of file
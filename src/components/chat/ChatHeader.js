@@ -4,7 +4,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { UI_CONFIG } from '../../utils/constants';
 
-export function ChatHeader({ title, isTyping, onBack, onInfo }) {
+export function ChatHeader({ title, isTyping, isVerified, onBack, onInfo }) {
   return (
     <SafeAreaView edges={['top']} style={styles.container}>
       <View style={styles.header}>
@@ -13,7 +13,12 @@ export function ChatHeader({ title, isTyping, onBack, onInfo }) {
         </TouchableOpacity>
         
         <View style={styles.titleContainer}>
-          <Text style={styles.title} numberOfLines={1}>{title}</Text>
+          <View style={styles.titleRow}>
+            <Text style={styles.title} numberOfLines={1}>{title}</Text>
+            {isVerified && (
+              <Ionicons name="shield-checkmark" size={16} color="#FFFFFF" style={styles.verifiedBadge} />
+            )}
+          </View>
           {isTyping && <Text style={styles.typing}>typing...</Text>}
         </View>
         
@@ -44,11 +49,19 @@ const styles = StyleSheet.create({
     flex: 1,
     marginRight: UI_CONFIG.SPACING.SM
   },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center'
+  },
   title: {
+    flexShrink: 1,
     fontSize: 18,
     fontWeight: '600',
     color: '#FFFFFF'
   },
+  verifiedBadge: {
+    marginLeft: UI_CONFIG.SPACING.XS
+  },
   typing: {
     fontSize: 12,
     color: 'rgba(255, 255, 255, 0.7)',
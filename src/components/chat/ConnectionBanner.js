@@ -0,0 +1,83 @@
+// src/components/chat/ConnectionBanner.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { UI_CONFIG, NETWORK_QUALITY } from '../../utils/constants';
+
+// Only shown when the connection is bad enough that messages will be slow or wait
+export function ConnectionBanner({ networkState, nextRetryAt, onRetry }) {
+  const [now, setNow] = useState(Date.now());
+
+  // Tick once a second while a reconnect is scheduled so the countdown moves
+  useEffect(() => {
+    if (!nextRetryAt) return undefined;
+
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [nextRetryAt]);
+
+  const offline = networkState?.quality === NETWORK_QUALITY.OFFLINE;
+  const poor = networkState?.quality === NETWORK_QUALITY.POOR;
+
+  // Online but the server is unreachable: say when we'll try again
+  if (nextRetryAt && !offline) {
+    const seconds = Math.max(0, Math.ceil((nextRetryAt - now) / 1000));
+
+    return (
+      <View style={[styles.banner, styles.offlineBanner]}>
+        <Ionicons name="sync-outline" size={16} color={UI_CONFIG.COLORS.ERROR} />
+        <Text style={styles.text}>
+          {seconds > 0 ? `Can't reach the server. Retrying in ${seconds}s.` : 'Reconnecting...'}
+        </Text>
+        {onRetry && seconds > 0 && (
+          <TouchableOpacity onPress={onRetry}>
+            <Text style={styles.action}>Retry now</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  if (!offline && !poor) return null;
+
+  return (
+    <View style={[styles.banner, offline && styles.offlineBanner]}>
+      <Ionicons
+        name={offline ? 'cloud-offline-outline' : 'cellular-outline'}
+        size={16}
+        color={offline ? UI_CONFIG.COLORS.ERROR : UI_CONFIG.COLORS.WARNING}
+      />
+      <Text style={styles.text}>
+        {offline
+          ? 'No connection. Messages will send when you\'re back online.'
+          : 'Poor connection. Messages may be slow to send.'}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: '#FFF4E0'
+  },
+  offlineBanner: {
+    backgroundColor: '#FFE6E6'
+  },
+  text: {
+    flex: 1,
+    fontSize: 13,
+    color: UI_CONFIG.COLORS.TEXT,
+    marginLeft: UI_CONFIG.SPACING.SM
+  },
+  action: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.PRIMARY,
+    marginLeft: UI_CONFIG.SPACING.SM
+  }
+});
@@ -1,27 +1,115 @@
 // src/components/chat/MessageBubble.js
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { OUTBOX_STATES, RECEIPT_STATES } from '../../utils/constants';
+
+const SEND_STATE_ICONS = {
+  [OUTBOX_STATES.QUEUED]: 'time-outline',
+  [OUTBOX_STATES.SENDING]: 'time-outline',
+  [OUTBOX_STATES.SENT]: 'checkmark',
+  [OUTBOX_STATES.DELIVERED]: 'checkmark-done',
+  [RECEIPT_STATES.READ]: 'checkmark-done'
+};
+
+const RECEIPT_LABELS = {
+  [RECEIPT_STATES.DELIVERED]: 'Delivered',
+  [RECEIPT_STATES.READ]: 'Read'
+};
+
+// One tick once the server has it, two once every member's device does,
+// and read once every member has opened it
+function getDeliveryState(message, members) {
+  const receipts = message.receipts || [];
+  if (members.length === 0 || receipts.length === 0) {
+    return message.send_state;
+  }
+
+  const receiptFor = (member) => receipts.find(r => r.user_id === member.id);
+  if (members.every(m => receiptFor(m)?.state === RECEIPT_STATES.READ)) {
+    return RECEIPT_STATES.READ;
+  }
+  if (members.every(m => receiptFor(m))) {
+    return OUTBOX_STATES.DELIVERED;
+  }
+  return OUTBOX_STATES.SENT;
+}
+
+export function MessageBubble({ message, isMine, showTime, onRetry, members = [], showReceiptDetails = false }) {
+  const [showReceipts, setShowReceipts] = useState(false);
 
-export function MessageBubble({ message, isMine, showTime }) {
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
+  // Notices such as key changes sit in the middle of the conversation
+  if (message.message_type === 'system') {
+    return (
+      <View style={styles.systemContainer}>
+        <Text style={styles.systemText}>{message.content}</Text>
+      </View>
+    );
+  }
+
+  // The signature didn't match the sender the server named, so the name can't be trusted
+  const unverifiedSender = !isMine && message.sender_verified === 0;
+  const sendFailed = isMine && message.send_state === OUTBOX_STATES.FAILED;
+  const deliveryState = isMine && !sendFailed ? getDeliveryState(message, members) : null;
+  const sendStateIcon = deliveryState && SEND_STATE_ICONS[deliveryState];
+  const canShowReceipts = showReceiptDetails && isMine && !!message.send_state && !sendFailed;
+
+  const handlePress = () => {
+    if (sendFailed) {
+      onRetry?.(message);
+    } else if (canShowReceipts) {
+      setShowReceipts(!showReceipts);
+    }
+  };
+
+  const renderReceiptDetails = () => (
+    <View style={styles.receiptDetails}>
+      {members.map(member => {
+        const receipt = (message.receipts || []).find(r => r.user_id === member.id);
+        return (
+          <Text key={member.id} style={styles.receiptText}>
+            {member.username}: {receipt
+              ? `${RECEIPT_LABELS[receipt.state]} ${formatTime(receipt.updated_at)}`
+              : 'Sent'}
+          </Text>
+        );
+      })}
+    </View>
+  );
+
   return (
     <View style={[
       styles.container,
       isMine ? styles.myMessage : styles.otherMessage
     ]}>
-      <View style={[
-        styles.bubble,
-        isMine ? styles.myBubble : styles.otherBubble,
-        message.decryptionFailed && styles.errorBubble
-      ]}>
+      <TouchableOpacity
+        activeOpacity={0.7}
+        disabled={!(sendFailed && onRetry) && !canShowReceipts}
+        onPress={handlePress}
+        style={[
+          styles.bubble,
+          isMine ? styles.myBubble : styles.otherBubble,
+          message.decryptionFailed && styles.errorBubble,
+          unverifiedSender && styles.unverifiedBubble,
+          sendFailed && styles.failedBubble
+        ]}
+      >
         {!isMine && (
           <Text style={styles.senderName}>{message.sender_username}</Text>
         )}
         
+        {unverifiedSender && (
+          <View style={styles.unverifiedRow}>
+            <Ionicons name="warning" size={12} color="#B25E00" />
+            <Text style={styles.unverifiedText}>Unverified sender</Text>
+          </View>
+        )}
+        
         <Text style={[
           styles.messageText,
           isMine ? styles.myText : styles.otherText,
@@ -31,15 +119,34 @@ export function MessageBubble({ message, isMine, showTime }) {
         </Text>
         
         {showTime && (
-          <Text style={[
-            styles.timestamp,
-            isMine ? styles.myTimestamp : styles.otherTimestamp
-          ]}>
-            {formatTime(message.timestamp)}
-            {message.pending && ' •'}
-          </Text>
+          <View style={[styles.timestampRow, isMine && styles.myTimestampRow]}>
+            <Text style={[
+              styles.timestamp,
+              isMine ? styles.myTimestamp : styles.otherTimestamp
+            ]}>
+              {formatTime(message.timestamp)}
+              {message.pending && ' •'}
+            </Text>
+            {sendStateIcon && (
+              <Ionicons
+                name={sendStateIcon}
+                size={12}
+                color={deliveryState === RECEIPT_STATES.READ ? '#9EF0FF' : 'rgba(255, 255, 255, 0.7)'}
+                style={styles.sendStateIcon}
+              />
+            )}
+          </View>
         )}
-      </View>
+      </TouchableOpacity>
+
+      {showReceipts && canShowReceipts && renderReceiptDetails()}
+
+      {sendFailed && (
+        <View style={styles.failedRow}>
+          <Ionicons name="alert-circle" size={14} color="#FF3B30" />
+          <Text style={styles.failedText}>Not sent. Tap to retry.</Text>
+        </View>
+      )}
     </View>
   );
 }
@@ -49,6 +156,20 @@ const styles = StyleSheet.create({
     marginVertical: 4,
     maxWidth: '80%'
   },
+  systemContainer: {
+    alignSelf: 'center',
+    maxWidth: '90%',
+    marginVertical: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    backgroundColor: '#FFF4E0'
+  },
+  systemText: {
+    fontSize: 13,
+    color: '#8A5A00',
+    textAlign: 'center'
+  },
   myMessage: {
     alignSelf: 'flex-end'
   },
@@ -78,6 +199,44 @@ const styles = StyleSheet.create({
     borderColor: '#FF6B6B',
     borderWidth: 1
   },
+  failedBubble: {
+    opacity: 0.6
+  },
+  failedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-end',
+    marginTop: 4
+  },
+  failedText: {
+    fontSize: 12,
+    color: '#FF3B30',
+    marginLeft: 4
+  },
+  receiptDetails: {
+    alignSelf: 'flex-end',
+    marginTop: 4
+  },
+  receiptText: {
+    fontSize: 12,
+    color: '#666',
+    textAlign: 'right'
+  },
+  unverifiedBubble: {
+    borderColor: '#FFB340',
+    borderWidth: 1
+  },
+  unverifiedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4
+  },
+  unverifiedText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#B25E00',
+    marginLeft: 4
+  },
   senderName: {
     fontSize: 12,
     fontWeight: '600',
@@ -98,10 +257,20 @@ const styles = StyleSheet.create({
     color: '#FF6B6B',
     fontStyle: 'italic'
   },
-  timestamp: {
-    fontSize: 11,
+  timestampRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
     marginTop: 4
   },
+  myTimestampRow: {
+    justifyContent: 'flex-end'
+  },
+  timestamp: {
+    fontSize: 11
+  },
+  sendStateIcon: {
+    marginLeft: 4
+  },
   myTimestamp: {
     color: 'rgba(255, 255, 255, 0.7)',
     textAlign: 'right'
@@ -3,6 +3,7 @@ import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
 import { useAuth } from '../../context/AuthContext';
 import { Storage } from '../../utils/storage';
+import { KeyVault } from '../../services/crypto/KeyVault';
 import { UI_CONFIG } from '../../utils/constants';
 
 export function StorageDebug() {
@@ -12,12 +13,11 @@ export function StorageDebug() {
     try {
       const userData = await Storage.getSecure('userData');
       const authToken = await Storage.getSecureString('authToken');
-      const derivedKey = await Storage.getSecureString('derivedKey');
 
       Alert.alert('Storage Status', 
         `UserData: ${userData ? 'Found' : 'Not found'}\n` +
         `AuthToken: ${authToken ? 'Found' : 'Not found'}\n` +
-        `DerivedKey: ${derivedKey ? 'Found' : 'Not found'}`
+        `Key vault: ${KeyVault.isUnlocked() ? 'Unlocked' : 'Locked'}`
       );
     } catch (error) {
       Alert.alert('Storage Error', error.message);
@@ -0,0 +1,198 @@
+// src/components/settings/ActiveSessions.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Alert,
+  TouchableOpacity,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { AuthService } from '../../services/auth/AuthService';
+import { UI_CONFIG } from '../../utils/constants';
+import { formatTimestamp } from '../../utils/helpers';
+
+// Everywhere the account is signed in, so a lost phone can be cut off
+export function ActiveSessions() {
+  const { logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      setSessions(await AuthService.getSessions());
+      setLoadFailed(false);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      setLoadFailed(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = (session) => {
+    Alert.alert(
+      'Log Out Session',
+      `${session.deviceName || 'This session'} will be signed out and will need the password to sign in again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Log Out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await AuthService.revokeSession(session.id);
+              await loadSessions();
+            } catch (error) {
+              Alert.alert('Error', 'Failed to log out the session');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleLogoutEverywhere = () => {
+    Alert.alert(
+      'Log Out Everywhere',
+      'Every session, including this one, will be signed out.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Log Out Everywhere',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await logoutEverywhere();
+            if (!result.success) {
+              Alert.alert('Error', result.error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderSession = (session) => (
+    <View key={session.id} style={styles.session}>
+      <View style={styles.iconContainer}>
+        <Ionicons
+          name={/android|ios|iphone|ipad/i.test(session.platform || '') ? 'phone-portrait' : 'desktop-outline'}
+          size={20}
+          color={UI_CONFIG.COLORS.PRIMARY}
+        />
+      </View>
+      <View style={styles.sessionInfo}>
+        <Text style={styles.sessionName}>
+          {session.deviceName || 'Unknown device'}
+          {session.current && <Text style={styles.currentTag}>  This device</Text>}
+        </Text>
+        <Text style={styles.sessionDetail}>
+          {session.platform || 'Unknown platform'}
+          {session.lastActiveAt ? ` · Active ${formatTimestamp(session.lastActiveAt)}` : ''}
+        </Text>
+      </View>
+      {!session.current && (
+        <TouchableOpacity onPress={() => handleRevoke(session)} style={styles.revokeButton}>
+          <Text style={styles.revokeText}>Log Out</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {loading ? (
+        <ActivityIndicator color={UI_CONFIG.COLORS.PRIMARY} style={styles.loading} />
+      ) : loadFailed ? (
+        <TouchableOpacity onPress={loadSessions} style={styles.loading}>
+          <Text style={styles.errorText}>Couldn't load sessions. Tap to retry.</Text>
+        </TouchableOpacity>
+      ) : (
+        sessions.map(renderSession)
+      )}
+
+      <TouchableOpacity style={styles.logoutEverywhere} onPress={handleLogoutEverywhere}>
+        <Ionicons name="log-out-outline" size={20} color={UI_CONFIG.COLORS.ERROR} />
+        <Text style={styles.logoutEverywhereText}>Log Out Everywhere</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: UI_CONFIG.COLORS.SURFACE
+  },
+  loading: {
+    padding: UI_CONFIG.SPACING.LG,
+    alignItems: 'center'
+  },
+  errorText: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY
+  },
+  session: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.MD,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0'
+  },
+  iconContainer: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#F0F0F0',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: UI_CONFIG.SPACING.MD
+  },
+  sessionInfo: {
+    flex: 1
+  },
+  sessionName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: UI_CONFIG.COLORS.TEXT
+  },
+  currentTag: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.SUCCESS
+  },
+  sessionDetail: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    marginTop: 2
+  },
+  revokeButton: {
+    paddingHorizontal: UI_CONFIG.SPACING.SM,
+    paddingVertical: UI_CONFIG.SPACING.XS
+  },
+  revokeText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: UI_CONFIG.COLORS.ERROR
+  },
+  logoutEverywhere: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: UI_CONFIG.SPACING.MD
+  },
+  logoutEverywhereText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: UI_CONFIG.COLORS.ERROR,
+    marginLeft: UI_CONFIG.SPACING.SM
+  }
+});
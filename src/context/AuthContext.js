@@ -1,9 +1,18 @@
 // src/context/AuthContext.js - Fixed Biometric Registration Flow
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import { DatabaseService } from '../services/database/DatabaseService';
 import { CryptoService } from '../services/crypto/CryptoService';
+import { PreKeyManager } from '../services/crypto/PreKeyManager';
+import { KeyVault } from '../services/crypto/KeyVault';
+import { KdfService } from '../services/crypto/KdfService';
 import { ApiService } from '../services/network/ApiService';
+import { WebSocketService } from '../services/network/WebSocketService';
 import { BiometricAuthService } from '../services/auth/BiometricAuthService';
+import { AuthService } from '../services/auth/AuthService';
+import { RecoveryService } from '../services/crypto/RecoveryService';
+import { DeviceManager } from '../services/crypto/DeviceManager';
+import { KeyRotationService } from '../services/crypto/KeyRotationService';
+import { BackupService } from '../services/backup/BackupService';
 import { Storage } from '../utils/storage';
 
 const AuthContext = createContext();
@@ -16,6 +25,9 @@ const initialState = {
   fieldErrors: {},
   isRegistering: false,
   isLoggingIn: false,
+  twoFactorRequired: false,
+  isLocked: false,
+  recoveryPhrase: null,
   biometricAvailable: false,
   canUseBiometricUnlock: false
 };
@@ -34,6 +46,8 @@ function authReducer(state, action) {
         loading: false,
         isLoggingIn: false,
         isRegistering: false,
+        twoFactorRequired: false,
+        isLocked: false,
         error: null,
         fieldErrors: {}
       };
@@ -43,11 +57,24 @@ function authReducer(state, action) {
         loading: false,
         isLoggingIn: false,
         isRegistering: false,
+        twoFactorRequired: false,
         error: action.payload.message,
         fieldErrors: action.payload.fieldErrors || {},
         isAuthenticated: false,
         user: null 
       };
+    case 'TWO_FACTOR_REQUIRED':
+      return { ...state, twoFactorRequired: true, error: null, fieldErrors: {} };
+    case 'LOCK':
+      return { ...state, isLocked: true };
+    case 'UNLOCK':
+      return { ...state, isLocked: false, error: null, fieldErrors: {} };
+    case 'UNLOCK_FAILURE':
+      return { ...state, error: action.payload };
+    case 'UPDATE_USER':
+      return { ...state, user: action.payload };
+    case 'SET_RECOVERY_PHRASE':
+      return { ...state, recoveryPhrase: action.payload };
     case 'LOGOUT':
       return { ...initialState, loading: false };
     case 'SET_LOADING':
@@ -67,12 +94,84 @@ function authReducer(state, action) {
 
 export function AuthProvider({ children }) {
   const [state, dispatch] = useReducer(authReducer, initialState);
+  // The login waiting on a two-factor code: { twoFactorToken, resolve, reject }
+  const pendingTwoFactor = useRef(null);
 
   useEffect(() => {
+    KeyVault.setLockHandler(setLocked);
+    ApiService.setTokenRefreshHandler(refreshSession);
+    ApiService.setSessionExpiredHandler(endExpiredSession);
     checkAuthStatus();
     checkBiometricStatus();
   }, []);
 
+  // Messages that arrived while locked are waiting to be decrypted
+  useEffect(() => {
+    if (state.isAuthenticated && !state.isLocked) {
+      WebSocketService.resumeIncoming();
+    }
+  }, [state.isAuthenticated, state.isLocked]);
+
+  // Keep our prekey bundle published and the one-time prekey pool topped up,
+  // and rotate keys that are due
+  useEffect(() => {
+    if (state.isAuthenticated && state.user && !state.isLocked) {
+      maintainKeys();
+    }
+  }, [state.isAuthenticated, state.user?.id, state.isLocked]);
+
+  const setLocked = () => {
+    WebSocketService.pauseIncoming();
+    dispatch({ type: 'LOCK' });
+  };
+
+  const maintainKeys = async () => {
+    try {
+      let privateKey = await getPrivateKey();
+      if (!privateKey) return;
+
+      // A rotation that was interrupted is finished whether or not one is due
+      if (await KeyRotationService.hasPendingRotation(state.user) || await KeyRotationService.isRotationDue(state.user)) {
+        privateKey = await rotateIdentityKey(privateKey);
+      }
+      await PreKeyManager.ensurePreKeys(privateKey);
+      await KeyRotationService.pruneRetiredKeys();
+    } catch (error) {
+      console.log('Key maintenance warning:', error.message);
+    }
+  };
+
+  // Switch the app over to a new identity key. The password-derived key is
+  // unchanged, so password and biometric unlock keep working as they were.
+  const rotateIdentityKey = async (privateKey) => {
+    const derivedKey = KeyVault.getDerivedKey();
+    const keyPair = await KeyRotationService.rotateIdentityKey({ user: state.user, privateKey, derivedKey });
+    KeyVault.unlock(keyPair.privateKey, derivedKey);
+
+    const user = { ...state.user, publicKey: keyPair.publicKey };
+    await Storage.setSecure('userData', user);
+    dispatch({ type: 'UPDATE_USER', payload: user });
+
+    // The recovery copy on the server is of the old key, so ask for a new phrase
+    dispatch({ type: 'SET_RECOVERY_PHRASE', payload: await RecoveryService.generatePhrase() });
+    return keyPair.privateKey;
+  };
+
+  // Access tokens are short-lived. A new one goes to the socket as well, which
+  // reconnects so the server sees it.
+  const refreshSession = async () => {
+    const token = await AuthService.refreshToken();
+    WebSocketService.reconnectWithToken(token);
+    return token;
+  };
+
+  // The refresh token was turned down, so there's no way back in without signing in
+  const endExpiredSession = async () => {
+    console.log('Session expired, signing out');
+    await clearAuthData();
+    dispatch({ type: 'LOGOUT' });
+  };
+
   const checkAuthStatus = async () => {
     try {
       console.log('Checking auth status...');
@@ -100,9 +199,16 @@ export function AuthProvider({ children }) {
         }
         
         console.log('Found stored user:', user.username);
+
+        await migrateStoredKeys(user);
         
         // Don't wait for backend validation - assume valid and check in background
         dispatch({ type: 'LOGIN_SUCCESS', payload: user });
+
+        // The private key has to be unlocked again after every restart
+        if (!KeyVault.isUnlocked()) {
+          setLocked();
+        }
         
         // Validate token in background
         ApiService.healthCheck().catch(error => {
@@ -121,6 +227,28 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Older versions kept the password-derived key in SecureStore indefinitely.
+  // Use it one last time to unlock, then get rid of it.
+  const migrateStoredKeys = async (user) => {
+    try {
+      const legacyKey = await Storage.getSecureString('derivedKey');
+      if (legacyKey) {
+        try {
+          await KeyVault.unlockWithDerivedKey(user.username, legacyKey);
+        } catch (unlockError) {
+          console.log('Stored key no longer unlocks the private key:', unlockError.message);
+        }
+        await Storage.removeSecure('derivedKey');
+        console.log('🔐 Removed stored derived key');
+      }
+
+      await Storage.removeSecure(`derived_key_${user.id}`);
+      await BiometricAuthService.migrateLegacyCredentials();
+    } catch (error) {
+      console.error('Key storage migration failed:', error);
+    }
+  };
+
   const checkBiometricStatus = async () => {
     try {
       const status = await BiometricAuthService.getBiometricStatus();
@@ -137,9 +265,11 @@ export function AuthProvider({ children }) {
 
   const clearAuthData = async () => {
     try {
+      KeyVault.lock();
+
       await Promise.all([
         Storage.removeSecure('userData'),
-        Storage.removeSecure('authToken'),
+        AuthService.clearTokens(),
         Storage.removeSecure('derivedKey')
       ]);
       
@@ -154,7 +284,7 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const register = async (username, password) => {
+  const register = async (username, password, { createRecoveryPhrase = false } = {}) => {
     // Validate input first before setting loading state
     const validationErrors = validateRegistrationInput(username, password);
     if (Object.keys(validationErrors).length > 0) {
@@ -179,34 +309,36 @@ export function AuthProvider({ children }) {
       // Generate crypto keys and register in parallel for speed
       const [keyPair, salt] = await Promise.all([
         CryptoService.generateKeyPair(),
-        CryptoService.generateSalt()
+        CryptoService.generateKdfParams()
       ]);
       
       // Derive key and encrypt private key in parallel
       const derivedKey = await CryptoService.deriveKeyFromPassword(password, salt);
-      const encryptedPrivateKey = CryptoService.encryptWithAES(keyPair.privateKey, derivedKey);
+      const encryptedPrivateKey = CryptoService.wrapPrivateKey(keyPair.privateKey, derivedKey);
 
-      // Register with backend
+      // Register with backend (the salt field carries the full KDF parameters)
       const response = await ApiService.register({
         username: username.trim(),
         publicKey: keyPair.publicKey,
-        salt
+        salt,
+        authKey: CryptoService.getAuthPublicKey(CryptoService.deriveAuthKey(derivedKey))
       });
 
       if (response.success) {
-        const user = {
+        const user = await DeviceManager.applyLocalDevice({
           id: response.user.id,
           username: response.user.username,
           publicKey: response.user.publicKey
-        };
+        }, response.deviceId);
         
         // Store auth data in parallel
         await Promise.all([
-          Storage.setSecureString('authToken', response.token),
-          Storage.setSecure('userData', user),
-          Storage.setSecureString('derivedKey', derivedKey)
+          AuthService.storeTokens(response),
+          Storage.setSecure('userData', user)
         ]);
 
+        KeyVault.unlock(keyPair.privateKey, derivedKey);
+
         // Save to local database with backend user ID
         DatabaseService.createUser({
           id: user.id,  // Use backend ID
@@ -216,7 +348,19 @@ export function AuthProvider({ children }) {
           salt
         }).catch(err => console.log('Local user creation warning:', err.message));
 
+        // Publish prekeys so others can start chats while we're offline
+        try {
+          await PreKeyManager.ensurePreKeys(keyPair.privateKey);
+        } catch (prekeyError) {
+          console.log('Prekey bundle warning:', prekeyError.message);
+        }
+
         console.log('Registration successful for user:', user.username);
+
+        // Nothing is uploaded until the user has confirmed they wrote the words down
+        if (createRecoveryPhrase) {
+          dispatch({ type: 'SET_RECOVERY_PHRASE', payload: await RecoveryService.generatePhrase() });
+        }
         
         // Important: Don't dispatch LOGIN_SUCCESS yet!
         // Let the RegisterForm handle biometric setup first
@@ -253,6 +397,53 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Accounts with two-factor enabled answer the login with a token for the second
+  // step. The login waits here until the code screen gets a code accepted or gives up.
+  const passTwoFactor = (response) => {
+    if (!response.twoFactorRequired) return response;
+
+    return new Promise((resolve, reject) => {
+      pendingTwoFactor.current = { twoFactorToken: response.twoFactorToken, resolve, reject };
+      dispatch({ type: 'TWO_FACTOR_REQUIRED' });
+    });
+  };
+
+  // A TOTP code or one of the backup codes. Returns { success, error }; a wrong
+  // code leaves the login waiting for another try.
+  const submitTwoFactorCode = async (code) => {
+    const pending = pendingTwoFactor.current;
+    if (!pending) return { success: false, error: 'There is no sign-in waiting for a code' };
+
+    try {
+      const response = await ApiService.verifyTwoFactorLogin({
+        twoFactorToken: pending.twoFactorToken,
+        code: code.replace(/\s/g, '')
+      });
+      pendingTwoFactor.current = null;
+      pending.resolve(response);
+      return { success: true };
+    } catch (error) {
+      console.error('Two-factor code rejected:', error);
+
+      // The token only lasts a few minutes
+      if (error.status === 410 || error.message.includes('expired')) {
+        pendingTwoFactor.current = null;
+        pending.reject(new Error('Two-factor sign-in expired. Please sign in again.'));
+        return { success: false, error: 'Sign-in expired' };
+      }
+      if (error.message.includes('timeout') || error.message.includes('connect')) {
+        return { success: false, error: 'Cannot reach the server. Please try again.' };
+      }
+      return { success: false, error: 'That code didn\'t work. Check the time on your phone and try again.' };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    const pending = pendingTwoFactor.current;
+    pendingTwoFactor.current = null;
+    pending?.reject(new Error('Two-factor sign-in cancelled'));
+  };
+
   const login = async (username, password) => {
     // Validate input first
     const validationErrors = validateLoginInput(username, password);
@@ -273,12 +464,32 @@ export function AuthProvider({ children }) {
     try {
       console.log('Starting login for:', username);
 
+      const challenge = await ApiService.getLoginChallenge(username.trim());
+
+      // This device's private key was wrapped with its own KDF parameters,
+      // which can be newer than the ones the server has
+      const localUser = await DatabaseService.getUserByUsername(username.trim());
+      let kdfParams = localUser?.salt || challenge.salt;
+
+      // Derive key and make sure it opens the private key stored on this device
+      let derivedKey = await CryptoService.deriveKeyFromPassword(password, kdfParams);
+      await KeyVault.unlockWithDerivedKey(username.trim(), derivedKey);
+
       // Login with backend
-      const response = await ApiService.login({ username: username.trim() });
+      const response = await passTwoFactor(await ApiService.login({
+        username: username.trim(),
+        challengeId: challenge.challengeId,
+        ...await AuthService.createLoginProof(username.trim(), challenge, { derivedKey, kdfParams, password })
+      }));
 
       if (response.success) {
-        // Derive key
-        const derivedKey = await CryptoService.deriveKeyFromPassword(password, response.user.salt);
+        // Move records still on old KDF settings to the current defaults
+        const upgradedParams = await KeyVault.upgradeKdf(username.trim(), password);
+        if (upgradedParams) {
+          kdfParams = upgradedParams;
+          derivedKey = KeyVault.getDerivedKey();
+          await BiometricAuthService.updateBiometricKey(username.trim(), derivedKey);
+        }
         
         const userData = {
           id: response.user.id,
@@ -286,28 +497,50 @@ export function AuthProvider({ children }) {
           publicKey: response.user.publicKey
         };
 
-        // Store auth data in parallel
-        await Promise.all([
-          Storage.setSecureString('authToken', response.token),
-          Storage.setSecure('userData', userData),
-          Storage.setSecureString('derivedKey', derivedKey)
-        ]);
+        await AuthService.storeTokens(response);
+
+        // Accounts created before real key pairs get a fresh pair on login
+        let encryptedPrivateKey = '';
+        if (CryptoService.isLegacyKey(userData.publicKey)) {
+          const keyPair = await CryptoService.generateKeyPair();
+          await ApiService.updatePublicKey(keyPair.publicKey);
+          userData.publicKey = keyPair.publicKey;
+          if (KdfService.needsUpgrade(kdfParams)) {
+            kdfParams = await CryptoService.generateKdfParams();
+            derivedKey = await CryptoService.deriveKeyFromPassword(password, kdfParams);
+          }
+          encryptedPrivateKey = CryptoService.wrapPrivateKey(keyPair.privateKey, derivedKey);
+          KeyVault.unlock(keyPair.privateKey, derivedKey);
+          console.log('🔑 Replaced legacy placeholder key pair');
+        }
+
+        // A linked device unlocks its own key rather than the account key
+        const user = await DeviceManager.applyLocalDevice(userData, response.deviceId);
+        await Storage.setSecure('userData', user);
 
         // Sync user to local database
         try {
           await DatabaseService.createUser({
-            id: userData.id,
-            username: userData.username,
-            publicKey: response.user.publicKey,
-            encryptedPrivateKey: '',
-            salt: response.user.salt
+            id: user.id,
+            username: user.username,
+            publicKey: DeviceManager.getAccountPublicKey(user),
+            encryptedPrivateKey,
+            salt: kdfParams
           });
         } catch (dbError) {
           console.log('Local user sync warning:', dbError.message);
         }
 
-        console.log('Login successful for user:', userData.username);
-        dispatch({ type: 'LOGIN_SUCCESS', payload: userData });
+        // Let other devices signing in for the first time use the new parameters too.
+        // A linked device's parameters only wrap its own key, so they stay local.
+        if (kdfParams !== challenge.salt && !DeviceManager.isLinkedDevice(user)) {
+          ApiService.updateKdfParams(kdfParams, CryptoService.getAuthPublicKey(CryptoService.deriveAuthKey(derivedKey))).catch(error =>
+            console.log('KDF parameter sync warning:', error.message)
+          );
+        }
+
+        console.log('Login successful for user:', user.username);
+        dispatch({ type: 'LOGIN_SUCCESS', payload: user });
         
         // Return success with user data and derived key for biometric registration
         return { success: true, username: username.trim(), derivedKey };
@@ -315,13 +548,19 @@ export function AuthProvider({ children }) {
       
     } catch (error) {
       console.error('Login failed:', error);
+      KeyVault.lock();
       
       let errorMessage = 'Login failed. Please try again.';
       let fieldErrors = {};
       
-      if (error.message.includes('User not found') || error.message.includes('not found')) {
+      if (error.message.includes('Incorrect password') || error.status === 401) {
+        errorMessage = 'Incorrect password';
+        fieldErrors.password = 'Incorrect password';
+      } else if (error.message.includes('User not found') || error.message.includes('not found')) {
         errorMessage = 'Account not found';
         fieldErrors.username = 'No account found with this username';
+      } else if (error.message.includes('Two-factor')) {
+        errorMessage = error.message;
       } else if (error.message.includes('timeout')) {
         errorMessage = 'Connection timeout. Check your internet connection.';
       } else if (error.message.includes('fetch')) {
@@ -368,27 +607,35 @@ export function AuthProvider({ children }) {
 
         // Verify the username matches
         if (user.username === username) {
+          await KeyVault.unlockWithDerivedKey(user.username, derivedKey);
           console.log('Biometric login successful for user:', user.username);
           dispatch({ type: 'LOGIN_SUCCESS', payload: user });
           return true;
         }
       }
 
-      // If no stored data or mismatch, try to login with backend
-      const response = await ApiService.login({ username });
+      // If no stored data or mismatch, try to login with backend. The stored key
+      // stands in for the password in the login proof.
+      await KeyVault.unlockWithDerivedKey(username, derivedKey);
+      const localUser = await DatabaseService.getUserByUsername(username);
+      const challenge = await ApiService.getLoginChallenge(username);
+      const response = await passTwoFactor(await ApiService.login({
+        username,
+        challengeId: challenge.challengeId,
+        ...await AuthService.createLoginProof(username, challenge, { derivedKey, kdfParams: localUser?.salt })
+      }));
 
       if (response.success) {
-        const userData = {
+        const userData = await DeviceManager.applyLocalDevice({
           id: response.user.id,
           username: response.user.username,
           publicKey: response.user.publicKey
-        };
+        }, response.deviceId);
 
         // Store updated auth data
         await Promise.all([
-          Storage.setSecureString('authToken', response.token),
-          Storage.setSecure('userData', userData),
-          Storage.setSecureString('derivedKey', derivedKey)
+          AuthService.storeTokens(response),
+          Storage.setSecure('userData', userData)
         ]);
 
         console.log('Biometric login successful for user:', userData.username);
@@ -398,6 +645,7 @@ export function AuthProvider({ children }) {
       
     } catch (error) {
       console.error('Biometric login failed:', error);
+      KeyVault.lock();
       
       let errorMessage = 'Biometric login failed. ';
       if (error.message.includes('No biometric registered')) {
@@ -448,27 +696,35 @@ export function AuthProvider({ children }) {
 
         // Verify the username matches
         if (user.username === username) {
+          await KeyVault.unlockWithDerivedKey(user.username, derivedKey);
           console.log('Biometric login successful for user:', user.username);
           dispatch({ type: 'LOGIN_SUCCESS', payload: user });
           return true;
         }
       }
 
-      // If no stored data or mismatch, try to login with backend
-      const response = await ApiService.login({ username });
+      // If no stored data or mismatch, try to login with backend. The stored key
+      // stands in for the password in the login proof.
+      await KeyVault.unlockWithDerivedKey(username, derivedKey);
+      const localUser = await DatabaseService.getUserByUsername(username);
+      const challenge = await ApiService.getLoginChallenge(username);
+      const response = await passTwoFactor(await ApiService.login({
+        username,
+        challengeId: challenge.challengeId,
+        ...await AuthService.createLoginProof(username, challenge, { derivedKey, kdfParams: localUser?.salt })
+      }));
 
       if (response.success) {
-        const userData = {
+        const userData = await DeviceManager.applyLocalDevice({
           id: response.user.id,
           username: response.user.username,
           publicKey: response.user.publicKey
-        };
+        }, response.deviceId);
 
         // Store updated auth data
         await Promise.all([
-          Storage.setSecureString('authToken', response.token),
-          Storage.setSecure('userData', userData),
-          Storage.setSecureString('derivedKey', derivedKey)
+          AuthService.storeTokens(response),
+          Storage.setSecure('userData', userData)
         ]);
 
         console.log('Biometric login successful for user:', userData.username);
@@ -478,6 +734,7 @@ export function AuthProvider({ children }) {
       
     } catch (error) {
       console.error('Biometric login failed:', error);
+      KeyVault.lock();
       
       let errorMessage = 'Biometric login failed. ';
       if (error.message.includes('No biometric credentials')) {
@@ -497,9 +754,280 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Set up this device from a backup file. The private key comes out of the
+  // backup and is wrapped again under the password chosen for this device.
+  const restoreFromBackup = async (contents, backupPassword, password) => {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      dispatch({
+        type: 'LOGIN_FAILURE',
+        payload: { message: 'Please fix the errors below', fieldErrors: { password: passwordError } }
+      });
+      return false;
+    }
+
+    dispatch({ type: 'LOGIN_START' });
+
+    try {
+      const backup = await BackupService.readBackup(contents, backupPassword);
+      console.log('Restoring backup for:', backup.user.username);
+
+      // The account key in the backup answers the login challenge
+      const challenge = await ApiService.getLoginChallenge(backup.user.username);
+      const response = await passTwoFactor(await ApiService.login({
+        username: backup.user.username,
+        challengeId: challenge.challengeId,
+        signature: CryptoService.signLoginChallenge(backup.privateKey, { username: backup.user.username, ...challenge })
+      }));
+      if (!response.success) {
+        throw new Error('Login failed');
+      }
+
+      // A backup from before a key change would restore a key nobody encrypts to
+      if (String(response.user.id) !== String(backup.user.id) || response.user.publicKey !== backup.user.publicKey) {
+        throw new Error('This backup does not match the account\'s current keys');
+      }
+
+      const kdfParams = await CryptoService.generateKdfParams();
+      const derivedKey = await CryptoService.deriveKeyFromPassword(password, kdfParams);
+
+      // With the account key restored, this phone is the account's primary device
+      const userData = await DeviceManager.usePrimaryDevice({
+        id: response.user.id,
+        username: response.user.username,
+        publicKey: response.user.publicKey
+      }, response.deviceId);
+
+      await AuthService.storeTokens(response);
+      await DatabaseService.createUser({
+        id: userData.id,
+        username: userData.username,
+        publicKey: userData.publicKey,
+        encryptedPrivateKey: CryptoService.wrapPrivateKey(backup.privateKey, derivedKey),
+        salt: kdfParams
+      });
+      await BackupService.restoreBackup(userData.id, backup);
+      await Storage.setSecure('userData', userData);
+
+      KeyVault.unlock(backup.privateKey, derivedKey);
+
+      console.log('Backup restored for user:', userData.username);
+      dispatch({ type: 'LOGIN_SUCCESS', payload: userData });
+      return true;
+    } catch (error) {
+      console.error('Backup restore failed:', error);
+
+      let errorMessage = 'Restore failed. Please try again.';
+      let fieldErrors = {};
+
+      if (error.message.includes('Incorrect backup password')) {
+        errorMessage = 'Incorrect backup password';
+        fieldErrors.backupPassword = 'Incorrect backup password';
+      } else if (error.message.includes('backup')) {
+        errorMessage = error.message;
+      } else if (error.message.includes('not found')) {
+        errorMessage = 'The account in this backup no longer exists';
+      } else if (error.message.includes('timeout') || error.message.includes('fetch')) {
+        errorMessage = 'Cannot connect to server. Make sure backend is running.';
+      }
+
+      dispatch({
+        type: 'LOGIN_FAILURE',
+        payload: { message: errorMessage, fieldErrors }
+      });
+      return false;
+    }
+  };
+
+  // Forgotten password: open the server's recovery copy of the key with the phrase
+  // and set a new password
+  const recoverAccount = async (username, phrase, password) => {
+    const fieldErrors = {};
+    if (!username?.trim()) {
+      fieldErrors.username = 'Username is required';
+    }
+    if (!RecoveryService.isValidPhrase(phrase)) {
+      fieldErrors.phrase = 'Enter all 12 words of your recovery phrase';
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      fieldErrors.password = passwordError;
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+      dispatch({
+        type: 'LOGIN_FAILURE',
+        payload: { message: 'Please fix the errors below', fieldErrors }
+      });
+      return false;
+    }
+
+    dispatch({ type: 'LOGIN_START' });
+
+    try {
+      const recovery = await ApiService.getRecoveryKey({
+        username: username.trim(),
+        ...await RecoveryService.createRecoveryProof(username.trim(), phrase)
+      });
+
+      const privateKey = RecoveryService.openRecoveryKey(recovery.encryptedPrivateKey, phrase);
+      if (CryptoService.getPublicKeyFromPrivate(privateKey) !== recovery.user.publicKey) {
+        throw new Error('The recovery key does not match the account\'s current keys');
+      }
+
+      const kdfParams = await CryptoService.generateKdfParams();
+      const derivedKey = await CryptoService.deriveKeyFromPassword(password, kdfParams);
+
+      // Only replace the password once we know the phrase opens the key
+      const response = await ApiService.recoverAccount({
+        username: username.trim(),
+        ...await RecoveryService.createRecoveryProof(username.trim(), phrase),
+        authKey: CryptoService.getAuthPublicKey(CryptoService.deriveAuthKey(derivedKey)),
+        salt: kdfParams
+      });
+
+      const userData = await DeviceManager.usePrimaryDevice({
+        id: response.user.id,
+        username: response.user.username,
+        publicKey: response.user.publicKey
+      }, response.deviceId);
+      const encryptedPrivateKey = CryptoService.wrapPrivateKey(privateKey, derivedKey);
+
+      await AuthService.storeTokens(response);
+
+      // Keep this phone's chats if it still has the account
+      const localUser = await DatabaseService.getUserByUsername(userData.username);
+      if (localUser) {
+        await DatabaseService.updateEncryptedPrivateKey(localUser.id, encryptedPrivateKey, kdfParams);
+      } else {
+        await DatabaseService.createUser({
+          id: userData.id,
+          username: userData.username,
+          publicKey: userData.publicKey,
+          encryptedPrivateKey,
+          salt: kdfParams
+        });
+      }
+      await Storage.setSecure('userData', userData);
+
+      // Biometrics released a key derived from the old password
+      await BiometricAuthService.removeBiometricForUsername(userData.username);
+
+      KeyVault.unlock(privateKey, derivedKey);
+
+      console.log('Account recovered for user:', userData.username);
+      dispatch({ type: 'LOGIN_SUCCESS', payload: userData });
+      return true;
+    } catch (error) {
+      console.error('Account recovery failed:', error);
+
+      let errorMessage = 'Recovery failed. Please try again.';
+      let fieldErrors = {};
+
+      // A phrase for another account fails the server's credential check instead
+      if (error.message.includes('Incorrect recovery phrase') || error.message.includes('Authentication failed')) {
+        errorMessage = 'That recovery phrase doesn\'t match this account';
+        fieldErrors.phrase = 'Check the words and their order';
+      } else if (error.message.includes('not found')) {
+        errorMessage = 'No recovery phrase is set up for this account';
+      } else if (error.message.includes('current keys')) {
+        errorMessage = error.message;
+      } else if (error.message.includes('timeout') || error.message.includes('fetch')) {
+        errorMessage = 'Cannot connect to server. Make sure backend is running.';
+      }
+
+      dispatch({
+        type: 'LOGIN_FAILURE',
+        payload: { message: errorMessage, fieldErrors }
+      });
+      return false;
+    }
+  };
+
+  // New device: finish linking once the existing device has approved. The new
+  // device key is wrapped under the password like the account key is elsewhere.
+  const completeDeviceLink = async (pending, approval, password) => {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      dispatch({
+        type: 'LOGIN_FAILURE',
+        payload: { message: 'Please fix the errors below', fieldErrors: { password: passwordError } }
+      });
+      return false;
+    }
+
+    dispatch({ type: 'LOGIN_START' });
+
+    try {
+      const account = DeviceManager.readApprovedLink(pending, approval);
+      const { privateKey } = pending.keyPair;
+
+      const kdfParams = await CryptoService.generateKdfParams();
+      const derivedKey = await CryptoService.deriveKeyFromPassword(password, kdfParams);
+
+      // The approval carries a token issued to this device
+      await AuthService.storeTokens(approval);
+      await DatabaseService.createUser({
+        id: account.userId,
+        username: account.username,
+        publicKey: account.accountPublicKey,
+        encryptedPrivateKey: CryptoService.wrapPrivateKey(privateKey, derivedKey),
+        salt: kdfParams
+      });
+      await DeviceManager.saveLocalDevice(account.userId, {
+        deviceId: account.deviceId,
+        publicKey: account.devicePublicKey,
+        accountPublicKey: account.accountPublicKey,
+        certificate: account.certificate
+      });
+
+      const userData = {
+        id: account.userId,
+        username: account.username,
+        publicKey: account.devicePublicKey,
+        accountPublicKey: account.accountPublicKey,
+        deviceId: account.deviceId
+      };
+      await Storage.setSecure('userData', userData);
+
+      KeyVault.unlock(privateKey, derivedKey);
+
+      // Contacts start sessions with this device through its own prekeys
+      try {
+        await PreKeyManager.ensurePreKeys(privateKey);
+      } catch (prekeyError) {
+        console.log('Prekey bundle warning:', prekeyError.message);
+      }
+
+      console.log('Device linked for user:', userData.username);
+      dispatch({ type: 'LOGIN_SUCCESS', payload: userData });
+      return true;
+    } catch (error) {
+      console.error('Device linking failed:', error);
+
+      let errorMessage = 'Linking failed. Please try again.';
+      if (error.message.includes('could not be verified')) {
+        errorMessage = 'This device could not be verified. Start linking again from your other device.';
+      } else if (error.message.includes('timeout') || error.message.includes('fetch')) {
+        errorMessage = 'Cannot connect to server. Make sure backend is running.';
+      }
+
+      dispatch({
+        type: 'LOGIN_FAILURE',
+        payload: { message: errorMessage, fieldErrors: {} }
+      });
+      return false;
+    }
+  };
+
   const logout = async () => {
     try {
       console.log('Logging out user');
+
+      // The server needs the tokens to know which session is ending
+      const [token, refreshToken] = await Promise.all([
+        Storage.getSecureString('authToken'),
+        Storage.getSecureString('refreshToken')
+      ]);
       
       // Clear local data immediately
       await clearAuthData();
@@ -510,7 +1038,7 @@ export function AuthProvider({ children }) {
       
       // Notify backend in background (don't wait)
       if (state.user) {
-        ApiService.logout(state.user.id).catch(error => 
+        ApiService.logout(state.user.id, { token, refreshToken }).catch(error => 
           console.log('Backend logout error (non-critical):', error.message)
         );
       }
@@ -520,42 +1048,188 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const deleteAccount = async () => {
+  // Sign out every session on the account, this one included. Only clears local
+  // state once the server has revoked them, so a failure can be retried.
+  const logoutEverywhere = async () => {
     try {
-      if (state.user) {
-        console.log('Account deletion requested for:', state.user.username);
-        
-        // Clear biometric data for this user
-        if (state.user.username) {
-          await BiometricAuthService.removeBiometricForUsername(state.user.username);
-        }
-        
-        await logout();
+      await ApiService.logoutAllSessions();
+      console.log('✅ All sessions signed out');
+
+      await clearAuthData();
+      dispatch({ type: 'LOGOUT' });
+      await checkBiometricStatus();
+      return { success: true };
+    } catch (error) {
+      console.error('Sign out everywhere failed:', error);
+
+      if (error.message.includes('timeout') || error.message.includes('connect')) {
+        return { success: false, error: 'Cannot reach the server. Please try again.' };
       }
+      return { success: false, error: 'Failed to sign out other sessions. Please try again.' };
+    }
+  };
+
+  // Returns { success, error, fieldErrors }. Nothing local is touched unless the
+  // server deleted the account.
+  const deleteAccount = async (password) => {
+    try {
+      if (!state.user) throw new Error('No user logged in');
+      console.log('Account deletion requested for:', state.user.username);
+
+      await AuthService.deleteAccount(password, state.user);
+
+      await clearAuthData();
+      dispatch({ type: 'LOGOUT' });
+      await checkBiometricStatus();
+      return { success: true };
     } catch (error) {
       console.error('Account deletion failed:', error);
+
+      if (error.message.includes('Incorrect password')) {
+        return { success: false, error: 'Password is incorrect', fieldErrors: { password: 'Incorrect password' } };
+      }
+      if (error.message.includes('primary device')) {
+        return { success: false, error: error.message };
+      }
+      if (error.message.includes('timeout') || error.message.includes('connect')) {
+        return { success: false, error: 'Cannot reach the server. Your account was not deleted.' };
+      }
+      return { success: false, error: 'Failed to delete your account. Please try again.' };
     }
   };
 
+  // Null while the vault is locked
   const getPrivateKey = async () => {
+    return KeyVault.getPrivateKey();
+  };
+
+  const unlock = async (password) => {
     try {
-      const derivedKey = await Storage.getSecureString('derivedKey');
-      if (!derivedKey || !state.user) return null;
+      if (!state.user) throw new Error('No user logged in');
 
-      // Try to get from local database first
-      const localUser = await DatabaseService.getUserByUsername(state.user.username);
-      if (localUser && localUser.encrypted_private_key) {
-        return CryptoService.decryptWithAES(localUser.encrypted_private_key, derivedKey);
+      await KeyVault.unlockWithPassword(state.user.username, password);
+      dispatch({ type: 'UNLOCK' });
+      return true;
+    } catch (error) {
+      console.error('Unlock failed:', error);
+      dispatch({ type: 'UNLOCK_FAILURE', payload: error.message });
+      return false;
+    }
+  };
+
+  const unlockWithBiometric = async () => {
+    try {
+      if (!state.user) throw new Error('No user logged in');
+
+      const biometricResult = await BiometricAuthService.loginWithBiometricForUsername(state.user.username);
+      if (!biometricResult.success) {
+        throw new Error(biometricResult.error || 'Biometric authentication failed');
       }
-      
-      console.log('No local private key found, generating temporary key');
-      return state.user.publicKey;
+
+      try {
+        await KeyVault.unlockWithDerivedKey(state.user.username, biometricResult.derivedKey);
+      } catch (unlockError) {
+        // Enrolled before a password change; only the password works now
+        throw new Error('Biometric unlock is out of date. Unlock with your password and enable it again.');
+      }
+
+      dispatch({ type: 'UNLOCK' });
+      return true;
     } catch (error) {
-      console.error('Failed to get private key:', error);
-      return null;
+      console.error('Biometric unlock failed:', error);
+      dispatch({ type: 'UNLOCK_FAILURE', payload: error.message });
+      return false;
     }
   };
 
+  const lock = () => {
+    KeyVault.lock();
+  };
+
+  // Returns { success, error, fieldErrors } for the form to show
+  const changePassword = async (currentPassword, newPassword) => {
+    const fieldErrors = {};
+    if (!currentPassword) {
+      fieldErrors.currentPassword = 'Current password is required';
+    }
+    const newPasswordError = validatePassword(newPassword);
+    if (newPasswordError) {
+      fieldErrors.newPassword = newPasswordError;
+    } else if (newPassword === currentPassword) {
+      fieldErrors.newPassword = 'New password must be different';
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+      return { success: false, error: 'Please fix the errors below', fieldErrors };
+    }
+
+    try {
+      if (!state.user) throw new Error('No user logged in');
+      console.log('Changing password for:', state.user.username);
+
+      const result = await AuthService.changePassword(currentPassword, newPassword, state.user);
+
+      // The old token was revoked along with the old password
+      if (result.token) {
+        await AuthService.storeTokens(result);
+        WebSocketService.reconnectWithToken(result.token);
+      }
+
+      KeyVault.unlock(result.privateKey, result.derivedKey);
+
+      // Biometric unlock keeps working without enrolling again
+      await BiometricAuthService.updateBiometricKey(state.user.username, result.derivedKey);
+
+      console.log('✅ Password changed');
+      return { success: true };
+    } catch (error) {
+      console.error('Password change failed:', error);
+
+      if (error.message.includes('Incorrect password')) {
+        return {
+          success: false,
+          error: 'Current password is incorrect',
+          fieldErrors: { currentPassword: 'Incorrect password' }
+        };
+      }
+      if (error.message.includes('timeout') || error.message.includes('fetch')) {
+        return { success: false, error: 'Cannot reach the server. Your password was not changed.' };
+      }
+      return { success: false, error: 'Failed to change password. Please try again.' };
+    }
+  };
+
+  // Start (or redo) recovery phrase setup from settings. The phrase protects the
+  // account key, which only the primary device holds.
+  const setUpRecoveryPhrase = async () => {
+    if (DeviceManager.isLinkedDevice(state.user)) return;
+    dispatch({ type: 'SET_RECOVERY_PHRASE', payload: await RecoveryService.generatePhrase() });
+  };
+
+  // The user has written the words down: upload the recovery copy of the key
+  const confirmRecoveryPhrase = async () => {
+    try {
+      const privateKey = await getPrivateKey();
+      if (!privateKey) throw new Error('Your encryption keys are locked');
+
+      await ApiService.setRecoveryKey(RecoveryService.createRecoveryKey(privateKey, state.recoveryPhrase));
+      dispatch({ type: 'SET_RECOVERY_PHRASE', payload: null });
+
+      console.log('✅ Recovery phrase set up');
+      return { success: true };
+    } catch (error) {
+      console.error('Recovery phrase setup failed:', error);
+
+      if (error.message.includes('timeout') || error.message.includes('fetch')) {
+        return { success: false, error: 'Cannot reach the server. Please try again.' };
+      }
+      return { success: false, error: 'Failed to save your recovery phrase. Please try again.' };
+    }
+  };
+
+  const dismissRecoveryPhrase = () => {
+    dispatch({ type: 'SET_RECOVERY_PHRASE', payload: null });
+  };
+
   const clearAllStorage = async () => {
     try {
       await Storage.clearAllSecure();
@@ -574,13 +1248,14 @@ export function AuthProvider({ children }) {
         throw new Error('No user logged in');
       }
 
-      const success = await BiometricAuthService.enableBiometric();
+      // The key only exists in memory while the vault is unlocked
+      const derivedKey = KeyVault.getDerivedKey();
+      if (!derivedKey) {
+        throw new Error('Unlock with your password first');
+      }
+
+      const success = await BiometricAuthService.registerBiometricCredentials(state.user.username, derivedKey);
       if (success) {
-        // Store current credentials for biometric unlock
-        const derivedKey = await Storage.getSecureString('derivedKey');
-        if (derivedKey) {
-          await BiometricAuthService.storeBiometricCredentials(state.user.username, derivedKey);
-        }
         await checkBiometricStatus();
       }
       return success;
@@ -592,21 +1267,8 @@ export function AuthProvider({ children }) {
 
   // Enable biometric authentication (general)
   const enableBiometric = async () => {
-    try {
-      const success = await BiometricAuthService.enableBiometric();
-      if (success && state.user) {
-        // Store current credentials for biometric unlock
-        const derivedKey = await Storage.getSecureString('derivedKey');
-        if (derivedKey) {
-          await BiometricAuthService.storeBiometricCredentials(state.user.username, derivedKey);
-        }
-        await checkBiometricStatus();
-      }
-      return success;
-    } catch (error) {
-      console.error('Failed to enable biometric:', error);
-      return false;
-    }
+    if (!state.user) return false;
+    return enableBiometricForCurrentUser();
   };
 
   // Disable biometric authentication
@@ -633,9 +1295,22 @@ export function AuthProvider({ children }) {
     login,
     biometricLogin,
     biometricLoginWithUsername,
+    restoreFromBackup,
+    recoverAccount,
+    completeDeviceLink,
+    submitTwoFactorCode,
+    cancelTwoFactor,
     logout,
+    logoutEverywhere,
     deleteAccount,
     getPrivateKey,
+    unlock,
+    unlockWithBiometric,
+    lock,
+    changePassword,
+    setUpRecoveryPhrase,
+    confirmRecoveryPhrase,
+    dismissRecoveryPhrase,
     clearAllStorage,
     enableBiometric,
     enableBiometricForCurrentUser,
@@ -665,15 +1340,23 @@ function validateRegistrationInput(username, password) {
     errors.username = 'Username can only contain letters, numbers, and underscores';
   }
   
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    errors.password = passwordError;
+  }
+  
+  return errors;
+}
+
+function validatePassword(password) {
   if (!password || password.length === 0) {
-    errors.password = 'Password is required';
+    return 'Password is required';
   } else if (password.length < 8) {
-    errors.password = 'Password must be at least 8 characters';
+    return 'Password must be at least 8 characters';
   } else if (password.length > 128) {
-    errors.password = 'Password is too long';
+    return 'Password is too long';
   }
-  
-  return errors;
+  return null;
 }
 
 function validateLoginInput(username, password) {
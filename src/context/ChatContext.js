@@ -3,6 +3,10 @@ import { useAuth } from './AuthContext';
 import { useWebSocket } from '../hooks/useWebSocket';
 import { DatabaseService } from '../services/database/DatabaseService';
 import { CryptoService } from '../services/crypto/CryptoService';
+import { SessionManager } from '../services/crypto/SessionManager';
+import { GroupSessionManager } from '../services/crypto/GroupSessionManager';
+import { KeyRotationService } from '../services/crypto/KeyRotationService';
+import { AuthService } from '../services/auth/AuthService';
 
 const ChatContext = createContext();
 
@@ -90,8 +94,12 @@ export function ChatProvider({ children }) {
     joinChat: wsJoinChat,
     leaveChat: wsLeaveChat,
     sendTypingIndicator,
+    markMessagesRead,
     onMessage,
-    onTyping
+    onTyping,
+    networkState,
+    nextRetryAt,
+    reconnectNow
   } = useWebSocket();
 
   useEffect(() => {
@@ -148,10 +156,20 @@ export function ChatProvider({ children }) {
     
     for (const message of encryptedMessages) {
       try {
+        if (message.message_type === 'system') {
+          decryptedMessages.push({ ...message, content: message.encrypted_content, isMine: false });
+          continue;
+        }
+        if (message.message_type === 'undecryptable') {
+          throw new Error('Message could not be opened when it arrived');
+        }
+
         const encryptedData = JSON.parse(message.encrypted_content);
         const decryptedContent = await CryptoService.decryptMessage(
           encryptedData, 
-          privateKey
+          privateKey,
+          { chatId: message.chat_id, senderId: message.sender_id, timestamp: message.timestamp },
+          { allowLegacy: true }
         );
         
         decryptedMessages.push({
@@ -173,29 +191,40 @@ export function ChatProvider({ children }) {
     return decryptedMessages;
   };
 
-  const sendMessage = async (chatId, messageText, recipientPublicKey) => {
+  const sendMessage = async (chatId, messageText, recipientPublicKey, recipientId) => {
     try {
-      // Encrypt message
-      const encryptedData = await CryptoService.encryptMessage(
-        messageText, 
-        recipientPublicKey
-      );
+      const timestamp = Date.now();
+      const context = { chatId, senderId: user.id, timestamp };
+
+      // Each of the recipient's devices and our other devices gets a Double Ratchet
+      // message; our copy is sealed to our own key
+      const privateKey = await getPrivateKey();
+      const ratchetEnvelope = await SessionManager.encryptForUser({
+        chatId,
+        peerId: recipientId,
+        peerPublicKey: recipientPublicKey,
+        sender: user,
+        privateKey,
+        plaintext: messageText,
+        context
+      });
+      const sealedData = await CryptoService.encryptMessage(messageText, [user.publicKey], context);
       
       const messageData = {
         chatId,
         senderId: user.id,
         senderUsername: user.username,
-        encryptedContent: JSON.stringify(encryptedData),
+        encryptedContent: JSON.stringify(sealedData),
         messageType: 'text',
-        timestamp: Date.now()
+        timestamp
       };
 
-      // Send via WebSocket
-      wsSendMessage(messageData);
+      // Save to local database first; its ID ties the outbox and receipts to the message
+      const savedMessageId = await DatabaseService.saveMessage(messageData);
       
       // Add optimistic message to state
       const optimisticMessage = {
-        id: `temp_${Date.now()}`,
+        id: savedMessageId,
         chat_id: chatId,
         sender_id: user.id,
         sender_username: user.username,
@@ -209,9 +238,17 @@ export function ChatProvider({ children }) {
         type: 'ADD_MESSAGE', 
         payload: { chatId, message: optimisticMessage } 
       });
-      
-      // Save to local database
-      await DatabaseService.saveMessage(messageData);
+
+      // Send via WebSocket, signed so the recipient knows it came from us
+      const wireMessage = {
+        ...messageData,
+        encryptedContent: JSON.stringify(ratchetEnvelope),
+        senderDeviceId: user.deviceId ?? null
+      };
+      await wsSendMessage(
+        { ...wireMessage, signature: CryptoService.signMessage(wireMessage, privateKey) },
+        { localMessageId: savedMessageId }
+      );
       
     } catch (error) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -257,10 +294,57 @@ export function ChatProvider({ children }) {
   const handleIncomingMessage = async (messageData) => {
     try {
       const privateKey = await getPrivateKey();
-      const decryptedContent = await CryptoService.decryptMessage(
-        JSON.parse(messageData.encryptedContent), 
-        privateKey
-      );
+
+      // Sender key distributions and requests are handled, not shown
+      if (GroupSessionManager.isControlMessage(messageData)) {
+        await GroupSessionManager.handleControlMessage({ data: messageData, user, privateKey });
+        return;
+      }
+
+      // A contact moved to a new identity key
+      if (KeyRotationService.isRotationMessage(messageData)) {
+        await KeyRotationService.handleRotationMessage(messageData);
+        return;
+      }
+
+      // A contact deleted their account
+      if (AuthService.isAccountDeletedMessage(messageData)) {
+        await AuthService.handleAccountDeletedMessage(messageData);
+        return;
+      }
+
+      const context = {
+        chatId: messageData.chatId,
+        senderId: messageData.senderId,
+        timestamp: messageData.timestamp
+      };
+      const envelope = JSON.parse(messageData.encryptedContent);
+      let decryptedContent;
+
+      if (GroupSessionManager.isSenderKeyEnvelope(envelope)) {
+        decryptedContent = await GroupSessionManager.decryptMessage({
+          groupId: messageData.chatId,
+          senderId: messageData.senderId,
+          privateKey,
+          envelope,
+          context
+        });
+      } else {
+        const sender = await DatabaseService.getUserById(messageData.senderId);
+        decryptedContent = await SessionManager.decryptDirectMessage({
+          chatId: messageData.chatId,
+          peerId: messageData.senderId,
+          peerPublicKey: sender?.public_key,
+          senderDeviceId: messageData.senderDeviceId ?? null,
+          deviceId: user.deviceId,
+          privateKey,
+          encryptedContent: messageData.encryptedContent,
+          context
+        });
+      }
+
+      // Message keys are single-use, so history is re-sealed to our own key
+      const sealedData = await CryptoService.encryptMessage(decryptedContent, [user.publicKey], context);
       
       const newMessage = {
         id: messageData.messageId,
@@ -269,7 +353,9 @@ export function ChatProvider({ children }) {
         sender_username: messageData.senderUsername,
         content: decryptedContent,
         timestamp: messageData.timestamp,
-        isMine: messageData.senderId === user.id
+        isMine: messageData.senderId === user.id,
+        sender_verified: messageData.senderVerified ? 1 : 0,
+        server_id: messageData.serverId ?? null
       };
       
       dispatch({ 
@@ -281,13 +367,27 @@ export function ChatProvider({ children }) {
       await DatabaseService.saveMessage({
         chatId: messageData.chatId,
         senderId: messageData.senderId,
-        encryptedContent: messageData.encryptedContent,
+        encryptedContent: JSON.stringify(sealedData),
         messageType: 'text',
-        timestamp: messageData.timestamp
+        timestamp: messageData.timestamp,
+        senderVerified: messageData.senderVerified,
+        serverId: messageData.serverId ?? null
       });
       
     } catch (error) {
       console.error('Failed to handle incoming message:', error);
+
+      // Keep a placeholder so sync doesn't fetch a message we can't open on every reconnect
+      if (messageData.messageType === 'text' && messageData.serverId != null) {
+        await DatabaseService.saveUndecryptableMessage({
+          chatId: messageData.chatId,
+          senderId: messageData.senderId,
+          encryptedContent: messageData.encryptedContent,
+          timestamp: messageData.timestamp,
+          senderVerified: messageData.senderVerified,
+          serverId: messageData.serverId
+        }).catch(saveError => console.error('Failed to save undecryptable message:', saveError));
+      }
     }
   };
 
@@ -346,8 +446,11 @@ export function ChatProvider({ children }) {
         }
       });
       
-      // Mark as read on server (if implemented)
-      // await ApiService.markMessageAsRead(messageId, token);
+      // Let the sender know; messages the server never numbered can't have receipts
+      const message = (state.messages[chatId] || []).find(msg => msg.id === messageId);
+      if (message?.server_id != null && !message.isMine) {
+        await markMessagesRead(chatId, [message.server_id]);
+      }
     } catch (error) {
       console.error('Failed to mark message as read:', error);
     }
@@ -374,6 +477,9 @@ export function ChatProvider({ children }) {
 
   const value = {
     ...state,
+    networkState,
+    nextRetryAt,
+    reconnectNow,
     loadUserChats,
     loadChatMessages,
     sendMessage,
@@ -3,13 +3,15 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 import { WebSocketService } from '../services/network/WebSocketService';
 import { useAuth } from '../context/AuthContext';
 import { DatabaseService } from '../services/database/DatabaseService';
-import { API_CONFIG } from '../utils/constants';
+import { API_CONFIG, NETWORK_QUALITY } from '../utils/constants';
 
 export function useWebSocket() {
   const [isConnected, setIsConnected] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('disabled');
   const [lastMessage, setLastMessage] = useState(null);
   const [typingUsers, setTypingUsers] = useState({});
+  const [networkState, setNetworkState] = useState(WebSocketService.getNetworkState());
+  const [nextRetryAt, setNextRetryAt] = useState(null);
   const { user } = useAuth();
   const messageHandlersRef = useRef(new Set());
   const typingHandlersRef = useRef(new Set());
@@ -32,6 +34,11 @@ export function useWebSocket() {
     };
   }, [user]);
 
+  // Connectivity and round-trip quality, for "poor connection" warnings
+  useEffect(() => {
+    return WebSocketService.addNetworkListener(setNetworkState);
+  }, []);
+
   // Monitor connection and auto-join status
   useEffect(() => {
     if (connectionCheckInterval.current) {
@@ -59,6 +66,7 @@ export function useWebSocket() {
     const status = WebSocketService.getConnectionStatus();
     
     setIsConnected(status.connected);
+    setNextRetryAt(status.nextRetryAt);
     
     if (!status.enabled) {
       setConnectionStatus('disabled');
@@ -117,7 +125,8 @@ export function useWebSocket() {
       await WebSocketService.connect(
         wsUrl,
         user.id,
-        user.username
+        user.username,
+        user.deviceId
       );
 
       // Set up event handlers
@@ -140,18 +149,18 @@ export function useWebSocket() {
     joinedChatsRef.current.clear();
   }, []);
 
-  const handleIncomingMessage = useCallback((messageData) => {
+  const handleIncomingMessage = useCallback(async (messageData) => {
     console.log('📨 Received message for chat:', messageData.chatId);
     setLastMessage(messageData);
     
-    // Notify all registered message handlers
-    messageHandlersRef.current.forEach(handler => {
+    // Notify all registered message handlers; sync waits for them to save it
+    for (const handler of messageHandlersRef.current) {
       try {
-        handler(messageData);
+        await handler(messageData);
       } catch (error) {
         console.error('Message handler error:', error);
       }
-    });
+    }
   }, []);
 
   const handleTypingIndicator = useCallback((data) => {
@@ -187,15 +196,10 @@ export function useWebSocket() {
   }, []);
 
   // IMPROVED: Send message with chat join verification
-  const sendMessage = useCallback(async (messageData) => {
-    if (connectionStatus === 'disabled') {
-      console.log('WebSocket disabled - message saved locally only');
-      return;
-    }
-    
-    // Ensure user is in the chat before sending
+  const sendMessage = useCallback(async (messageData, options) => {
+    // Ensure user is in the chat before sending; offline, the outbox holds it for later
     const chatId = messageData.chatId;
-    if (!joinedChatsRef.current.has(chatId.toString())) {
+    if (connectionStatus !== 'disabled' && !joinedChatsRef.current.has(chatId.toString())) {
       console.log(`🔄 User not in chat ${chatId}, joining before sending...`);
       const joined = await WebSocketService.ensureInChat(chatId);
       if (joined) {
@@ -205,7 +209,7 @@ export function useWebSocket() {
       }
     }
     
-    WebSocketService.sendMessage(messageData);
+    return WebSocketService.sendMessage(messageData, options);
   }, [connectionStatus]);
 
   // IMPROVED: Join specific chat room with verification
@@ -245,6 +249,11 @@ export function useWebSocket() {
     }
   }, [connectionStatus]);
 
+  // Read receipts for messages from others, by server ID
+  const markMessagesRead = useCallback((chatId, serverIds) => {
+    return WebSocketService.markMessagesRead(chatId, serverIds);
+  }, []);
+
   // Subscribe to message events
   const onMessage = useCallback((handler) => {
     messageHandlersRef.current.add(handler);
@@ -278,6 +287,12 @@ export function useWebSocket() {
     return activeTyping;
   }, [typingUsers]);
 
+  // Skip the rest of the backoff and try again now
+  const reconnectNow = useCallback(() => {
+    WebSocketService.reconnectNow('requested');
+    setNextRetryAt(null);
+  }, []);
+
   // Reconnect manually
   const reconnect = useCallback(() => {
     hasAutoJoinedRef.current = false;
@@ -339,15 +354,20 @@ export function useWebSocket() {
   return {
     isConnected,
     connectionStatus,
+    networkState,
+    isPoorConnection: networkState.quality === NETWORK_QUALITY.POOR || networkState.quality === NETWORK_QUALITY.OFFLINE,
     lastMessage,
     sendMessage,
     joinChat,
     leaveChat,
     sendTypingIndicator,
+    markMessagesRead,
     onMessage,
     onTyping,
     getTypingUsers,
     reconnect,
+    reconnectNow,
+    nextRetryAt,
     connect: connectWebSocket,
     disconnect: disconnectWebSocket,
     autoJoinUserChats,
@@ -16,6 +16,18 @@ import ProfileScreen from '../screens/ProfileScreen';
 import UserSearchScreen from '../screens/UserSearchScreen';
 import InvitationsScreen from '../screens/InvitationsScreen';
 import GroupChatScreen from '../screens/GroupChatScreen';
+import ContactInfoScreen from '../screens/ContactInfoScreen';
+import UnlockScreen from '../screens/UnlockScreen';
+import ChangePasswordScreen from '../screens/ChangePasswordScreen';
+import DeleteAccountScreen from '../screens/DeleteAccountScreen';
+import TwoFactorScreen from '../screens/TwoFactorScreen';
+import TwoFactorSetupScreen from '../screens/TwoFactorSetupScreen';
+import BackupScreen from '../screens/BackupScreen';
+import RestoreBackupScreen from '../screens/RestoreBackupScreen';
+import RecoveryPhraseScreen from '../screens/RecoveryPhraseScreen';
+import RecoverAccountScreen from '../screens/RecoverAccountScreen';
+import DevicesScreen from '../screens/DevicesScreen';
+import LinkDeviceScreen from '../screens/LinkDeviceScreen';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -47,72 +59,132 @@ function ChatTabs() {
 }
 
 export default function AppNavigator() {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, isLocked, recoveryPhrase, twoFactorRequired, loading } = useAuth();
 
   if (loading) {
     return null; // Or loading screen
   }
 
   return (
-    <Stack.Navigator screenOptions={{ headerShown: false }}>
-      {!isAuthenticated ? (
-        <>
-          <Stack.Screen name="Auth" component={AuthScreen} />
-          <Stack.Screen 
-            name="BiometricLogin" 
-            component={BiometricLoginScreen}
-            options={{
-              presentation: 'modal'
-            }}
-          />
-          <Stack.Screen 
-            name="BiometricRegister" 
-            component={BiometricRegisterScreen}
-            options={{
-              presentation: 'modal'
-            }}
-          />
-        </>
-      ) : (
-        <>
-          <Stack.Screen name="Main" component={ChatTabs} />
-          <Stack.Screen 
-            name="Chat" 
-            component={ChatScreen}
-            options={{
-              headerShown: false
-            }}
-          />
-          <Stack.Screen 
-            name="UserSearch" 
-            component={UserSearchScreen}
-            options={{
-              headerShown: false
-            }}
-          />
-          <Stack.Screen 
-            name="Invitations" 
-            component={InvitationsScreen}
-            options={{
-              headerShown: false
-            }}  
-          />
-          <Stack.Screen 
-            name="GroupChat" 
-            component={GroupChatScreen}
-            options={{
-              headerShown: false
-            }}
-          />
-          <Stack.Screen 
-            name="BiometricRegister" 
-            component={BiometricRegisterScreen}
-            options={{
-              presentation: 'modal'
-            }}
-          />
-        </>
-      )}
-    </Stack.Navigator>
+    <>
+      <Stack.Navigator screenOptions={{ headerShown: false }}>
+        {!isAuthenticated ? (
+          <>
+            <Stack.Screen name="Auth" component={AuthScreen} />
+            <Stack.Screen 
+              name="BiometricLogin" 
+              component={BiometricLoginScreen}
+              options={{
+                presentation: 'modal'
+              }}
+            />
+            <Stack.Screen 
+              name="BiometricRegister" 
+              component={BiometricRegisterScreen}
+              options={{
+                presentation: 'modal'
+              }}
+            />
+            <Stack.Screen 
+              name="RestoreBackup" 
+              component={RestoreBackupScreen}
+            />
+            <Stack.Screen 
+              name="RecoverAccount" 
+              component={RecoverAccountScreen}
+            />
+            <Stack.Screen 
+              name="LinkDevice" 
+              component={LinkDeviceScreen}
+            />
+          </>
+        ) : (
+          <>
+            <Stack.Screen name="Main" component={ChatTabs} />
+            <Stack.Screen 
+              name="Chat" 
+              component={ChatScreen}
+              options={{
+                headerShown: false
+              }}
+            />
+            <Stack.Screen 
+              name="UserSearch" 
+              component={UserSearchScreen}
+              options={{
+                headerShown: false
+              }}
+            />
+            <Stack.Screen 
+              name="Invitations" 
+              component={InvitationsScreen}
+              options={{
+                headerShown: false
+              }}  
+            />
+            <Stack.Screen 
+              name="GroupChat" 
+              component={GroupChatScreen}
+              options={{
+                headerShown: false
+              }}
+            />
+            <Stack.Screen 
+              name="ContactInfo" 
+              component={ContactInfoScreen}
+              options={{
+                headerShown: false
+              }}
+            />
+            <Stack.Screen 
+              name="ChangePassword" 
+              component={ChangePasswordScreen}
+              options={{
+                headerShown: false
+              }}
+            />
+            <Stack.Screen 
+              name="TwoFactorSetup" 
+              component={TwoFactorSetupScreen}
+              options={{
+                headerShown: false
+              }}
+            />
+            <Stack.Screen 
+              name="DeleteAccount" 
+              component={DeleteAccountScreen}
+              options={{
+                headerShown: false
+              }}
+            />
+            <Stack.Screen 
+              name="Backup" 
+              component={BackupScreen}
+              options={{
+                headerShown: false
+              }}
+            />
+            <Stack.Screen 
+              name="Devices" 
+              component={DevicesScreen}
+              options={{
+                headerShown: false
+              }}
+            />
+            <Stack.Screen 
+              name="BiometricRegister" 
+              component={BiometricRegisterScreen}
+              options={{
+                presentation: 'modal'
+              }}
+            />
+          </>
+        )}
+      </Stack.Navigator>
+      {!isAuthenticated && twoFactorRequired && <TwoFactorScreen />}
+      {isAuthenticated && !isLocked && recoveryPhrase && <RecoveryPhraseScreen />}
+      {/* Covers the stack instead of replacing it, so open chats survive a lock */}
+      {isAuthenticated && isLocked && <UnlockScreen />}
+    </>
   );
 }
\ No newline at end of file
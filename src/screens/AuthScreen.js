@@ -7,7 +7,8 @@ import {
   Platform, 
   ScrollView,
   Animated,
-  Text
+  Text,
+  TouchableOpacity
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { LoginForm } from '../components/auth/LoginForm';
@@ -16,7 +17,7 @@ import { LoadingSpinner } from '../components/ui/LoadingSpinner';
 import { useAuth } from '../context/AuthContext';
 import { UI_CONFIG } from '../utils/constants';
 
-export default function AuthScreen() {
+export default function AuthScreen({ navigation }) {
   const [isLogin, setIsLogin] = useState(true);
   const [fadeAnim] = useState(new Animated.Value(0));
   const { loading, isLoggingIn, isRegistering } = useAuth();
@@ -61,7 +62,23 @@ export default function AuthScreen() {
           </View>
 
           {isLogin ? (
-            <LoginForm onSwitchToRegister={switchToRegister} />
+            <>
+              <LoginForm onSwitchToRegister={switchToRegister} />
+              <TouchableOpacity
+                style={styles.recoverLink}
+                onPress={() => navigation.navigate('RecoverAccount')}
+                disabled={isLoggingIn}
+              >
+                <Text style={styles.recoverText}>Forgot password? Use your recovery phrase</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.recoverLink}
+                onPress={() => navigation.navigate('LinkDevice')}
+                disabled={isLoggingIn}
+              >
+                <Text style={styles.recoverText}>Link to Existing Device</Text>
+              </TouchableOpacity>
+            </>
           ) : (
             <RegisterForm onSwitchToLogin={switchToLogin} />
           )}
@@ -123,6 +140,15 @@ const styles = StyleSheet.create({
     color: UI_CONFIG.COLORS.TEXT_SECONDARY,
     textAlign: 'center'
   },
+  recoverLink: {
+    alignSelf: 'center',
+    padding: UI_CONFIG.SPACING.SM,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  recoverText: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.PRIMARY
+  },
   loadingOverlay: {
     ...StyleSheet.absoluteFillObject,
     backgroundColor: 'rgba(0, 0, 0, 0.8)',
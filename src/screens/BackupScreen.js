@@ -0,0 +1,158 @@
+// src/screens/BackupScreen.js
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView, Switch } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { BackupService } from '../services/backup/BackupService';
+import { UI_CONFIG } from '../utils/constants';
+
+export default function BackupScreen({ navigation }) {
+  const { user, getPrivateKey } = useAuth();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [includeMessages, setIncludeMessages] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    if (password.length < 8) {
+      setFieldErrors({ password: 'Backup password must be at least 8 characters' });
+      return;
+    }
+    if (password !== confirmPassword) {
+      setFieldErrors({ confirmPassword: 'Passwords do not match' });
+      return;
+    }
+
+    setFieldErrors({});
+    setExporting(true);
+    try {
+      const privateKey = await getPrivateKey();
+      if (!privateKey) {
+        throw new Error('Your encryption keys are not available on this device');
+      }
+
+      await BackupService.exportBackup(user, privateKey, password, { includeMessages });
+      setPassword('');
+      setConfirmPassword('');
+    } catch (error) {
+      console.error('Backup export failed:', error);
+      Alert.alert('Backup Failed', error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Back Up Keys</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.description}>
+          The backup file contains your encryption keys and the contacts you have verified.
+          Anyone with the file and its password can read your messages, so choose a strong
+          password and keep the file somewhere safe.
+        </Text>
+
+        <Input
+          label="Backup Password"
+          value={password}
+          onChangeText={setPassword}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.password}
+        />
+        <Input
+          label="Confirm Backup Password"
+          value={confirmPassword}
+          onChangeText={setConfirmPassword}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.confirmPassword}
+        />
+
+        <View style={styles.option}>
+          <View style={styles.optionText}>
+            <Text style={styles.optionTitle}>Include Message History</Text>
+            <Text style={styles.optionSubtitle}>Makes the backup larger</Text>
+          </View>
+          <Switch
+            value={includeMessages}
+            onValueChange={setIncludeMessages}
+            trackColor={{ false: '#767577', true: UI_CONFIG.COLORS.PRIMARY }}
+          />
+        </View>
+
+        <Button
+          title="Export Backup"
+          onPress={handleExport}
+          loading={exporting}
+          disabled={!password || !confirmPassword}
+          style={styles.button}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  content: {
+    padding: UI_CONFIG.SPACING.LG
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    lineHeight: 20,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: UI_CONFIG.SPACING.MD
+  },
+  optionText: {
+    flex: 1
+  },
+  optionTitle: {
+    fontSize: 16,
+    color: UI_CONFIG.COLORS.TEXT
+  },
+  optionSubtitle: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    marginTop: 2
+  },
+  button: {
+    marginTop: UI_CONFIG.SPACING.MD
+  }
+});
@@ -0,0 +1,146 @@
+// src/screens/ChangePasswordScreen.js
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { UI_CONFIG } from '../utils/constants';
+
+export default function ChangePasswordScreen({ navigation }) {
+  const { changePassword } = useAuth();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async () => {
+    if (newPassword !== confirmPassword) {
+      setFieldErrors({ confirmPassword: 'Passwords do not match' });
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    setFieldErrors({});
+
+    const result = await changePassword(currentPassword, newPassword);
+    setSaving(false);
+
+    if (result.success) {
+      Alert.alert('Password Changed', 'Your password has been updated.', [
+        { text: 'OK', onPress: () => navigation.goBack() }
+      ]);
+    } else {
+      setError(result.error);
+      setFieldErrors(result.fieldErrors || {});
+    }
+  };
+
+  // Clear a field's error as soon as it's edited
+  const updateField = (setter, field) => (text) => {
+    setter(text);
+    if (fieldErrors[field]) {
+      setFieldErrors(prev => ({ ...prev, [field]: undefined }));
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Change Password</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.description}>
+          Your password protects the encryption keys on this device. Changing it
+          re-encrypts your keys and signs out your other sessions.
+        </Text>
+
+        {error && <Text style={styles.error}>{error}</Text>}
+
+        <Input
+          label="Current Password"
+          value={currentPassword}
+          onChangeText={updateField(setCurrentPassword, 'currentPassword')}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.currentPassword}
+        />
+        <Input
+          label="New Password"
+          value={newPassword}
+          onChangeText={updateField(setNewPassword, 'newPassword')}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.newPassword}
+        />
+        <Input
+          label="Confirm New Password"
+          value={confirmPassword}
+          onChangeText={updateField(setConfirmPassword, 'confirmPassword')}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.confirmPassword}
+        />
+
+        <Button
+          title="Change Password"
+          onPress={handleSubmit}
+          loading={saving}
+          disabled={!currentPassword || !newPassword || !confirmPassword}
+          style={styles.button}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  content: {
+    padding: UI_CONFIG.SPACING.LG
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    lineHeight: 20,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  error: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.ERROR,
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  button: {
+    marginTop: UI_CONFIG.SPACING.MD
+  }
+});
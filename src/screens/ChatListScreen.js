@@ -14,6 +14,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { LoadingSpinner } from '../components/ui/LoadingSpinner';
 import { Button } from '../components/ui/Button';
+import { ConnectionBanner } from '../components/chat/ConnectionBanner';
 import { useAuth } from '../context/AuthContext';
 import { useChat } from '../context/ChatContext';
 import { DatabaseService } from '../services/database/DatabaseService';
@@ -26,8 +27,8 @@ export default function ChatListScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [showCreateChat, setShowCreateChat] = useState(false);
-  const { user, logout, deleteAccount, pendingInvitations = [] } = useAuth();
-  const { createChat } = useChat();
+  const { user, logout, pendingInvitations = [] } = useAuth();
+  const { createChat, networkState, nextRetryAt, reconnectNow } = useChat();
 
   useEffect(() => {
     loadChats();
@@ -132,19 +133,22 @@ export default function ChatListScreen({ navigation }) {
   const openChat = async (chat) => {
     try {
       let recipientPublicKey = user.publicKey;
+      let recipientId = null;
       
       if (chat.type === 'direct') {
         const participants = await DatabaseService.getChatParticipants(chat.id);
         const recipient = participants.find(p => p.id !== user.id);
         if (recipient) {
           recipientPublicKey = recipient.public_key;
+          recipientId = recipient.id;
         }
       }
       
       navigation.navigate('Chat', {
         chatId: chat.id,
         chatName: chat.name,
-        recipientPublicKey
+        recipientPublicKey,
+        recipientId
       });
     } catch (error) {
       console.error('Failed to open chat:', error);
@@ -161,21 +165,6 @@ export default function ChatListScreen({ navigation }) {
     setShowCreateChat(false);
   };
 
-  const handleDeleteAccount = () => {
-    Alert.alert(
-      'Delete Account',
-      'Are you sure you want to delete your account? This cannot be undone.',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: deleteAccount
-        }
-      ]
-    );
-  };
-
   const navigateToUserSearch = () => {
     navigation.navigate('UserSearch');
   };
@@ -271,7 +260,7 @@ export default function ChatListScreen({ navigation }) {
             <Ionicons name="add" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
           </TouchableOpacity>
           <TouchableOpacity 
-            onPress={handleDeleteAccount} 
+            onPress={() => navigation.navigate('DeleteAccount')} 
             style={styles.headerButton}
             activeOpacity={0.7}
           >
@@ -287,6 +276,8 @@ export default function ChatListScreen({ navigation }) {
         </View>
       </View>
 
+      <ConnectionBanner networkState={networkState} nextRetryAt={nextRetryAt} onRetry={reconnectNow} />
+
       {chats.length === 0 ? (
         <View style={styles.emptyContainer}>
           <Ionicons name="chatbubbles-outline" size={64} color="#C7C7CC" />
@@ -7,7 +7,8 @@ import {
   Platform,
   StyleSheet,
   Alert,
-  Text
+  Text,
+  TouchableOpacity
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { ChatHeader } from '../components/chat/ChatHeader';
@@ -17,18 +18,29 @@ import { LoadingSpinner } from '../components/ui/LoadingSpinner';
 import { useAuth } from '../context/AuthContext';
 import { DatabaseService } from '../services/database/DatabaseService';
 import { CryptoService } from '../services/crypto/CryptoService';
+import { SessionManager } from '../services/crypto/SessionManager';
+import { GroupSessionManager, SENDER_KEY_DISTRIBUTION } from '../services/crypto/GroupSessionManager';
+import { IdentityKeyStore } from '../services/crypto/IdentityKeyStore';
+import { KeyRotationService } from '../services/crypto/KeyRotationService';
+import { AuthService } from '../services/auth/AuthService';
 import { WebSocketService } from '../services/network/WebSocketService';
 import { UI_CONFIG } from '../utils/constants';
 
 export default function ChatScreen({ route, navigation }) {
-  const { chatId, chatName, recipientPublicKey, isGroup } = route.params;
+  const { chatId, chatName, recipientPublicKey, recipientId, isGroup } = route.params;
   const { user, getPrivateKey } = useAuth();
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isTyping, setIsTyping] = useState(false);
   const [sendingMessage, setSendingMessage] = useState(false);
   const [recipientKey, setRecipientKey] = useState(recipientPublicKey);
+  const [recipientUserId, setRecipientUserId] = useState(recipientId);
+  const [isVerified, setIsVerified] = useState(false);
+  const [keyChanged, setKeyChanged] = useState(false); // Sending is blocked until the user reviews it
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [members, setMembers] = useState([]); // Everyone else in the chat, for receipts
   const [processedMessageIds] = useState(new Set()); // Track processed messages
+  const pendingGroupMessages = useRef([]); // Group messages waiting for a sender key
   const flatListRef = useRef();
 
   useEffect(() => {
@@ -42,11 +54,95 @@ export default function ChatScreen({ route, navigation }) {
     };
   }, [chatId]);
 
+  // Re-check on focus so the badge and key warning update when coming back from ContactInfo
+  useEffect(() => {
+    if (isGroup) return;
+    loadTrustState();
+    const unsubscribe = navigation.addListener('focus', loadTrustState);
+    return unsubscribe;
+  }, [navigation, recipientUserId, recipientKey]);
+
+  const loadTrustState = async () => {
+    if (!recipientUserId || !recipientKey) return;
+    try {
+      const contact = await DatabaseService.getContact(user.id, recipientUserId);
+      setIsVerified(!!contact?.verified && contact.verified_key === recipientKey);
+
+      const status = await IdentityKeyStore.checkIdentity(recipientUserId, recipientKey);
+      setKeyChanged(status === IdentityKeyStore.CHANGED);
+      setNeedsVerification(await IdentityKeyStore.requiresVerification(recipientUserId, recipientKey));
+    } catch (error) {
+      console.error('Failed to load key trust state:', error);
+    }
+  };
+
+  const handleKeyChange = async ({ contactId, publicKey, chatIds, content, timestamp, rotated, deleted }) => {
+    if (!chatIds.some(id => String(id) === String(chatId))) return;
+
+    setMessages(prev => [...prev, {
+      id: `key_change_${contactId}_${timestamp}`,
+      chat_id: chatId,
+      sender_id: contactId,
+      content,
+      message_type: 'system',
+      timestamp,
+      isMine: false
+    }]);
+
+    if (deleted) {
+      // Nothing to review; the notice is all there is to show
+      return;
+    }
+    if (rotated) {
+      // Followed from the key we trusted, so there's nothing to review
+      if (!isGroup && String(contactId) === String(recipientUserId)) {
+        setRecipientKey(publicKey);
+      }
+    } else if (!isGroup) {
+      setKeyChanged(true);
+      setNeedsVerification(await IdentityKeyStore.requiresVerification(contactId, publicKey));
+    }
+  };
+
+  const acceptKeyChange = () => {
+    Alert.alert(
+      'Accept New Key',
+      `Only accept if you're sure ${chatName} changed their key, for example by reinstalling the app.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Accept',
+          onPress: async () => {
+            try {
+              await IdentityKeyStore.acknowledgeKeyChange(recipientUserId, recipientKey);
+              setKeyChanged(false);
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleInfo = () => {
+    if (isGroup || !recipientUserId || !recipientKey) {
+      Alert.alert('Chat Info', `Chat: ${chatName}\nID: ${chatId}`);
+      return;
+    }
+    navigation.navigate('ContactInfo', {
+      contactId: recipientUserId,
+      contactName: chatName,
+      contactPublicKey: recipientKey
+    });
+  };
+
   const loadRecipientKey = async () => {
     try {
-      const key = await DatabaseService.getChatRecipientKey(chatId, user.id);
-      if (key) {
-        setRecipientKey(key);
+      const recipient = await DatabaseService.getChatRecipient(chatId, user.id);
+      if (recipient) {
+        setRecipientKey(recipient.public_key);
+        setRecipientUserId(recipient.id);
       }
     } catch (error) {
       console.error('Failed to load recipient key:', error);
@@ -61,6 +157,9 @@ const loadMessages = async () => {
     const chatMessages = await DatabaseService.getChatMessages(chatId);
     console.log(`📊 Raw messages from DB:`, chatMessages);
     
+    const participants = await DatabaseService.getChatParticipants(chatId);
+    setMembers(participants.filter(p => p.id !== user.id));
+    
     if (chatMessages.length > 0) {
       const decryptedMessages = await decryptMessages(chatMessages);
       console.log(`🔓 Decrypted messages:`, decryptedMessages);
@@ -70,7 +169,8 @@ const loadMessages = async () => {
         processedMessageIds.add(msg.id.toString());
       });
       
-      setMessages(decryptedMessages);
+      setMessages(await attachReceipts(decryptedMessages));
+      await markChatRead();
     } else {
       console.log('📭 No messages found for this chat');
       setMessages([]);
@@ -84,6 +184,21 @@ const loadMessages = async () => {
   }
 };
 
+  // Our messages carry who has received and read them
+  const attachReceipts = async (chatMessages) => {
+    const receipts = await DatabaseService.getChatReceipts(chatId);
+    return chatMessages.map(msg => msg.isMine
+      ? { ...msg, receipts: receipts.filter(r => r.message_id === msg.id) }
+      : msg
+    );
+  };
+
+  // Read receipts for everything from others that's now on screen
+  const markChatRead = async () => {
+    const unread = await DatabaseService.getUnreadMessages(chatId, user.id);
+    await WebSocketService.markMessagesRead(chatId, unread.map(m => m.server_id));
+  };
+
   const decryptMessages = async (encryptedMessages) => {
     const privateKey = await getPrivateKey();
     if (!privateKey) return [];
@@ -93,13 +208,30 @@ const loadMessages = async () => {
     for (const message of encryptedMessages) {
       try {
         let decryptedContent;
+        let encryptedData = null;
         
         try {
-          const encryptedData = JSON.parse(message.encrypted_content);
-          decryptedContent = await CryptoService.decryptMessage(encryptedData, privateKey);
-        } catch (decryptError) {
-          console.warn('Decryption failed, using plain text:', decryptError);
+          encryptedData = JSON.parse(message.encrypted_content);
+        } catch {
+          // Not an envelope - group messages from before encryption are plain text
+        }
+
+        if (message.message_type === 'system') {
+          // Notices we wrote ourselves, e.g. key changes - never encrypted
+          decryptedContent = message.encrypted_content;
+        } else if (message.message_type === 'undecryptable') {
+          throw new Error('Message could not be opened when it arrived');
+        } else if (encryptedData) {
+          decryptedContent = await CryptoService.decryptMessage(
+            encryptedData,
+            privateKey,
+            { chatId: message.chat_id, senderId: message.sender_id, timestamp: message.timestamp },
+            { allowLegacy: true }
+          );
+        } else if (isGroup) {
           decryptedContent = message.encrypted_content;
+        } else {
+          throw new Error('Unencrypted message in direct chat');
         }
         
         decryptedMessages.push({
@@ -124,12 +256,86 @@ const loadMessages = async () => {
   const setupWebSocketHandlers = () => {
     WebSocketService.setMessageHandler(handleNewMessage);
     WebSocketService.setTypingHandler(handleTypingIndicator);
+    WebSocketService.setOutboxStateHandler(handleOutboxState);
+    WebSocketService.setReceiptHandler(handleReceipt);
+    IdentityKeyStore.setKeyChangeHandler(handleKeyChange);
+  };
+
+  const handleReceipt = ({ chatId: receiptChatId, localMessageId, userId, state, timestamp }) => {
+    if (String(receiptChatId) !== String(chatId)) return;
+
+    setMessages(prev =>
+      prev.map(msg => {
+        if (msg.id !== localMessageId) return msg;
+        const others = (msg.receipts || []).filter(r => r.user_id !== userId);
+        return { ...msg, receipts: [...others, { message_id: localMessageId, user_id: userId, state, updated_at: timestamp }] };
+      })
+    );
+  };
+
+  // Our messages' bubbles follow their outbox entry from queued to delivered
+  const handleOutboxState = ({ outboxId, localMessageId, chatId: stateChatId, state }) => {
+    if (String(stateChatId) !== String(chatId) || localMessageId == null) return;
+
+    setMessages(prev =>
+      prev.map(msg =>
+        msg.id === localMessageId
+          ? { ...msg, outbox_id: outboxId, send_state: state }
+          : msg
+      )
+    );
+  };
+
+  const handleRetry = async (message) => {
+    try {
+      await WebSocketService.retryOutboxMessage(message.outbox_id);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to resend message');
+    }
+  };
+
+  const handleSenderKeyMessage = async (data) => {
+    try {
+      const privateKey = await getPrivateKey();
+      await GroupSessionManager.handleControlMessage({ data, user, privateKey });
+
+      // Retry messages that were waiting for this member's key
+      if (data.chatId === chatId && data.messageType === SENDER_KEY_DISTRIBUTION) {
+        const waiting = pendingGroupMessages.current.filter(m => m.senderId === data.senderId);
+        pendingGroupMessages.current = pendingGroupMessages.current.filter(m => m.senderId !== data.senderId);
+
+        for (const message of waiting) {
+          processedMessageIds.delete(message.messageId || `${message.timestamp}_${message.senderId}`);
+          await handleNewMessage(message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Failed to handle sender key message:', error);
+    }
   };
 
 // Update handleNewMessage to log more:
 const handleNewMessage = async (data) => {
   console.log('📨 Received WebSocket message:', data);
   
+  // Sender key messages can be for any of our groups, not just this chat
+  if (GroupSessionManager.isControlMessage(data)) {
+    await handleSenderKeyMessage(data);
+    return;
+  }
+
+  // Key rotations cover every chat shared with the contact
+  if (KeyRotationService.isRotationMessage(data)) {
+    await KeyRotationService.handleRotationMessage(data);
+    return;
+  }
+
+  // A contact deleted their account
+  if (AuthService.isAccountDeletedMessage(data)) {
+    await AuthService.handleAccountDeletedMessage(data);
+    return;
+  }
+  
   if (data.chatId !== chatId) {
     console.log('🚫 Message for different chat, ignoring');
     return;
@@ -145,8 +351,9 @@ const handleNewMessage = async (data) => {
       return;
     }
     
-    // Skip if it's our own message (we already have it as optimistic)
-    if (data.senderId === user.id) {
+    // Skip if this device sent it (we already have it as optimistic); our other
+    // devices' messages are shown like anyone else's
+    if (data.senderId === user.id && String(data.senderDeviceId ?? null) === String(user.deviceId ?? null)) {
       console.log('⏭️ Skipping own message from WebSocket');
       return;
     }
@@ -157,17 +364,58 @@ const handleNewMessage = async (data) => {
     processedMessageIds.add(messageId);
     
     const privateKey = await getPrivateKey();
+    const context = { chatId: data.chatId, senderId: data.senderId, timestamp: data.timestamp };
     let decryptedContent;
+    let decryptionFailed = false;
+    let awaitingKey = false;
+    let storedContent = data.encryptedContent;
     
     try {
-      decryptedContent = await CryptoService.decryptMessage(
-        JSON.parse(data.encryptedContent), 
-        privateKey
-      );
+      if (isGroup) {
+        decryptedContent = await GroupSessionManager.decryptMessage({
+          groupId: chatId,
+          senderId: data.senderId,
+          privateKey,
+          envelope: JSON.parse(data.encryptedContent),
+          context
+        });
+      } else {
+        const sender = await DatabaseService.getUserById(data.senderId);
+        decryptedContent = await SessionManager.decryptDirectMessage({
+          chatId: data.chatId,
+          peerId: data.senderId,
+          peerPublicKey: sender?.public_key || recipientPublicKey,
+          senderDeviceId: data.senderDeviceId ?? null,
+          deviceId: user.deviceId,
+          privateKey,
+          encryptedContent: data.encryptedContent,
+          context
+        });
+      }
       console.log('✅ Message decrypted successfully');
-    } catch {
-      console.warn('⚠️ Decryption failed, using plain text');
-      decryptedContent = data.encryptedContent;
+
+      // Message keys are single-use, so history is re-sealed to our own key
+      const sealedData = await CryptoService.encryptMessage(decryptedContent, [user.publicKey], context);
+      storedContent = JSON.stringify(sealedData);
+    } catch (decryptError) {
+      if (isGroup && GroupSessionManager.isMissingSenderKey(decryptError)) {
+        // Hold on to it and ask the sender for their key
+        pendingGroupMessages.current.push(data);
+        GroupSessionManager.requestSenderKey({
+          groupId: chatId,
+          sender: user,
+          privateKey,
+          memberId: data.senderId,
+          memberDeviceId: data.senderDeviceId ?? null
+        });
+        decryptedContent = '[Waiting for this message...]';
+        awaitingKey = true;
+      } else {
+        // Tampered, replayed or unencrypted payloads are never shown as text
+        console.warn('⚠️ Rejected message that failed authentication:', decryptError.message);
+        decryptedContent = '[Message could not be decrypted]';
+        decryptionFailed = true;
+      }
     }
     
     const newMessage = {
@@ -177,7 +425,11 @@ const handleNewMessage = async (data) => {
       sender_username: data.senderUsername,
       content: decryptedContent,
       timestamp: data.timestamp,
-      isMine: false
+      isMine: false,
+      sender_verified: data.senderVerified ? 1 : 0,
+      server_id: data.serverId ?? null,
+      decryptionFailed,
+      awaitingKey
     };
     
     console.log('➕ Adding new message to state:', newMessage);
@@ -185,23 +437,41 @@ const handleNewMessage = async (data) => {
     // Add message to state
     setMessages(prev => {
       // Double check it doesn't exist
-      const exists = prev.some(msg => msg.id === messageId);
-      if (exists) {
+      const existing = prev.find(msg => msg.id === messageId);
+      if (existing?.awaitingKey) {
+        return prev.map(msg => msg.id === messageId ? newMessage : msg);
+      }
+      if (existing) {
         console.log('⚠️ Message already exists in state');
         return prev;
       }
       return [...prev, newMessage];
     });
     
-    // Save to local database
+    // Save to local database. What we couldn't open is kept as a placeholder, which
+    // saving the message later (once the sender's key arrives) replaces.
     console.log('💾 Saving incoming message to database');
-    await DatabaseService.saveMessage({
+    const storedMessage = {
       chatId,
       senderId: data.senderId,
-      encryptedContent: data.encryptedContent,
+      encryptedContent: storedContent,
       messageType: 'text',
-      timestamp: data.timestamp
-    });
+      timestamp: data.timestamp,
+      senderVerified: data.senderVerified,
+      serverId: data.serverId ?? null
+    };
+    if (awaitingKey || decryptionFailed) {
+      await DatabaseService.saveUndecryptableMessage(storedMessage);
+    } else {
+      await DatabaseService.saveMessage(storedMessage);
+    }
+    
+    if (awaitingKey) return;
+    
+    // The chat is open, so it's been seen
+    if (data.serverId != null) {
+      WebSocketService.markMessagesRead(chatId, [data.serverId]);
+    }
     
     // Scroll to bottom
     setTimeout(() => {
@@ -306,22 +576,41 @@ const sendMessage = async (messageText) => {
     }, 100);
 
     // Prepare encrypted content
-    let encryptedContent;
+    const context = { chatId, senderId: user.id, timestamp };
+    const privateKey = await getPrivateKey();
+    let wireEnvelope;
     
     if (isGroup) {
-    encryptedContent = messageText.trim();
+    // Encrypted once with our sender key, readable by every current member
+    wireEnvelope = await GroupSessionManager.encryptMessage({
+      groupId: chatId,
+      sender: user,
+      privateKey,
+      plaintext: messageText.trim(),
+      context
+    });
   } else {
-    try {
-      const encryptedData = await CryptoService.encryptMessage(
-        messageText.trim(), 
-        recipientKey || user.publicKey
-      );
-      encryptedContent = JSON.stringify(encryptedData);
-      console.log('🔐 Message encrypted successfully');
-    } catch (encryptError) {
-      console.warn('⚠️ Encryption failed, sending plain text:', encryptError);
-      encryptedContent = messageText.trim();
-    }}
+    if (!recipientKey || !recipientUserId) {
+      throw new Error('Recipient public key not available');
+    }
+
+    // Each of the recipient's devices and our other devices gets its own Double Ratchet message
+    wireEnvelope = await SessionManager.encryptForUser({
+      chatId,
+      peerId: recipientUserId,
+      peerPublicKey: recipientKey,
+      sender: user,
+      privateKey,
+      plaintext: messageText.trim(),
+      context
+    });
+  }
+    const wireContent = JSON.stringify(wireEnvelope);
+
+    // Our copy is sealed to our own key
+    const sealedData = await CryptoService.encryptMessage(messageText.trim(), [user.publicKey], context);
+    const encryptedContent = JSON.stringify(sealedData);
+    console.log('🔐 Message encrypted successfully');
     
     // Save to local database FIRST
     const messageData = {
@@ -336,32 +625,39 @@ const sendMessage = async (messageText) => {
     const savedMessageId = await DatabaseService.saveMessage(messageData);
     console.log('✅ Message saved with ID:', savedMessageId);
     
+    // From here on the outbox reports this message's state against its database ID
+    setMessages(prev => 
+      prev.map(msg => 
+        msg.id === messageId 
+          ? { ...msg, pending: false, id: savedMessageId || messageId }
+          : msg
+      )
+    );
+    
     // Send via WebSocket with the database ID
     const wsMessageData = {
       messageId: savedMessageId || messageId,
       chatId,
       senderId: user.id,
       senderUsername: user.username,
-      encryptedContent,
+      encryptedContent: wireContent,
       messageType: 'text',
-      timestamp: timestamp
+      timestamp: timestamp,
+      senderDeviceId: user.deviceId ?? null
     };
+    wsMessageData.signature = CryptoService.signMessage(wsMessageData, privateKey);
     
     console.log('🌐 Sending via WebSocket:', wsMessageData);
-    WebSocketService.sendMessage(wsMessageData);
-    
-    // Update message to remove pending status
-    setMessages(prev => 
-      prev.map(msg => 
-        msg.id === messageId 
-          ? { ...msg, pending: false, id: savedMessageId || messageId }
-          : msg
-      )
-    );
+    await WebSocketService.sendMessage(wsMessageData, { localMessageId: savedMessageId });
     
   } catch (error) {
     console.error('❌ Failed to send message:', error);
-    Alert.alert('Error', 'Failed to send message: ' + error.message);
+    if (IdentityKeyStore.isKeyChangedError(error)) {
+      if (!isGroup) setKeyChanged(true);
+      Alert.alert('Safety Number Changed', 'Review the new safety number before sending messages.');
+    } else {
+      Alert.alert('Error', 'Failed to send message: ' + error.message);
+    }
     
     // Remove the failed message
     setMessages(prev => prev.filter(msg => !msg.pending));
@@ -379,6 +675,9 @@ const sendMessage = async (messageText) => {
       message={item}
       isMine={item.isMine}
       showTime={true}
+      onRetry={handleRetry}
+      members={members}
+      showReceiptDetails={isGroup}
     />
   );
 
@@ -409,8 +708,9 @@ const sendMessage = async (messageText) => {
       <ChatHeader 
         title={chatName}
         isTyping={isTyping}
+        isVerified={isVerified}
         onBack={() => navigation.goBack()}
-        onInfo={() => Alert.alert('Chat Info', `Chat: ${chatName}\nID: ${chatId}`)}
+        onInfo={handleInfo}
       />
       
       <KeyboardAvoidingView 
@@ -446,13 +746,33 @@ const sendMessage = async (messageText) => {
           }}
         />
         
-        <MessageInput
-          onSendMessage={sendMessage}
-          onTyping={handleTyping}
-          disabled={sendingMessage}
-          lastMessage={messages[messages.length - 1]} // Pass last message
-          conversationContext={messages.slice(-5)} // Last 5 messages for context
-        />
+        {keyChanged ? (
+          <View style={styles.keyChangeBanner}>
+            <Text style={styles.keyChangeText}>
+              {needsVerification
+                ? `${chatName}'s safety number changed. You verified them before, so verify the new number to keep chatting.`
+                : `${chatName}'s safety number changed. Review it before sending messages.`}
+            </Text>
+            <View style={styles.keyChangeActions}>
+              <TouchableOpacity onPress={handleInfo} style={styles.keyChangeButton}>
+                <Text style={styles.keyChangeButtonText}>{needsVerification ? 'Verify' : 'Review'}</Text>
+              </TouchableOpacity>
+              {!needsVerification && (
+                <TouchableOpacity onPress={acceptKeyChange} style={styles.keyChangeButton}>
+                  <Text style={styles.keyChangeButtonText}>Accept</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        ) : (
+          <MessageInput
+            onSendMessage={sendMessage}
+            onTyping={handleTyping}
+            disabled={sendingMessage}
+            lastMessage={messages[messages.length - 1]} // Pass last message
+            conversationContext={messages.slice(-5)} // Last 5 messages for context
+          />
+        )}
       </KeyboardAvoidingView>
     </SafeAreaView>
   );
@@ -489,6 +809,30 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingHorizontal: UI_CONFIG.SPACING.XL
   },
+  keyChangeBanner: {
+    padding: UI_CONFIG.SPACING.MD,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0'
+  },
+  keyChangeText: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT,
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  keyChangeActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end'
+  },
+  keyChangeButton: {
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM
+  },
+  keyChangeButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.PRIMARY
+  },
   emptyStateText: {
     fontSize: 16,
     color: UI_CONFIG.COLORS.TEXT_SECONDARY,
@@ -0,0 +1,342 @@
+// src/screens/ContactInfoScreen.js
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import QRCode from 'react-native-qrcode-svg';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { DatabaseService } from '../services/database/DatabaseService';
+import { SafetyNumber } from '../services/crypto/SafetyNumber';
+import { IdentityKeyStore } from '../services/crypto/IdentityKeyStore';
+import { DeviceManager } from '../services/crypto/DeviceManager';
+import { UI_CONFIG } from '../utils/constants';
+import { formatTimestamp } from '../utils/helpers';
+
+export default function ContactInfoScreen({ route, navigation }) {
+  const { contactId, contactName, contactPublicKey } = route.params;
+  const { user } = useAuth();
+  const [contact, setContact] = useState(null);
+  const [keyHistory, setKeyHistory] = useState([]);
+  const [scanning, setScanning] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [permission, requestPermission] = useCameraPermissions();
+  const scanHandled = useRef(false);
+
+  // On a linked device the safety number is still about the account key
+  const ownPublicKey = DeviceManager.getAccountPublicKey(user);
+
+  // Fingerprinting is deliberately slow, so only do it when the keys change
+  const { safetyNumber, qrPayload } = useMemo(() => {
+    try {
+      return {
+        safetyNumber: SafetyNumber.getSafetyNumber(user.id, ownPublicKey, contactId, contactPublicKey),
+        qrPayload: SafetyNumber.getQrPayload(user.id, ownPublicKey, contactId, contactPublicKey)
+      };
+    } catch (error) {
+      console.error('Failed to compute safety number:', error);
+      return { safetyNumber: null, qrPayload: null };
+    }
+  }, [user.id, ownPublicKey, contactId, contactPublicKey]);
+
+  // Verification only counts for the key it was made against
+  const isVerified = !!contact?.verified && contact.verified_key === contactPublicKey;
+
+  useEffect(() => {
+    loadContact();
+  }, [contactId]);
+
+  const loadContact = async () => {
+    const saved = await DatabaseService.getContact(user.id, contactId);
+    setContact(saved);
+    setKeyHistory(await IdentityKeyStore.getKeyHistory(contactId));
+  };
+
+  const markVerified = async () => {
+    try {
+      setSaving(true);
+      // Make sure there's a contacts row to hold the verification
+      await DatabaseService.addContact(user.id, contactId, {
+        username: contactName,
+        public_key: contactPublicKey
+      });
+      await DatabaseService.setContactVerification(user.id, contactId, contactPublicKey);
+      // Verifying a key also accepts it if it was waiting after a change
+      await IdentityKeyStore.acknowledgeKeyChange(contactId, contactPublicKey, { verified: true });
+      await loadContact();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save verification');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const clearVerification = async () => {
+    try {
+      setSaving(true);
+      await DatabaseService.setContactVerification(user.id, contactId, null);
+      await loadContact();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to clear verification');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMarkVerified = () => {
+    Alert.alert(
+      'Mark as Verified',
+      `Only do this if the safety number matches the one on ${contactName}'s device.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Verify', onPress: markVerified }
+      ]
+    );
+  };
+
+  const startScan = async () => {
+    if (!permission?.granted) {
+      const result = await requestPermission();
+      if (!result.granted) {
+        Alert.alert('Camera Access', 'Camera access is needed to scan a verification code');
+        return;
+      }
+    }
+    scanHandled.current = false;
+    setScanning(true);
+  };
+
+  const handleBarcodeScanned = ({ data }) => {
+    // The camera keeps firing while the code is in view
+    if (scanHandled.current) return;
+    scanHandled.current = true;
+    setScanning(false);
+
+    const result = SafetyNumber.verifyQrPayload(data, user.id, ownPublicKey, contactId, contactPublicKey);
+    if (result.valid) {
+      markVerified();
+      Alert.alert('Verified', `Your safety number with ${contactName} matches.`);
+    } else {
+      Alert.alert('Verification Failed', result.reason);
+    }
+  };
+
+  if (scanning) {
+    return (
+      <SafeAreaView style={styles.scannerContainer}>
+        <CameraView
+          style={styles.camera}
+          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+          onBarcodeScanned={handleBarcodeScanned}
+        />
+        <Button
+          title="Cancel"
+          variant="secondary"
+          onPress={() => setScanning(false)}
+          style={styles.cancelScan}
+        />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
+        </TouchableOpacity>
+        <Text style={styles.title}>{contactName}</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.status}>
+          <Ionicons
+            name={isVerified ? 'shield-checkmark' : 'shield-outline'}
+            size={20}
+            color={isVerified ? UI_CONFIG.COLORS.SUCCESS : UI_CONFIG.COLORS.TEXT_SECONDARY}
+          />
+          <Text style={[styles.statusText, isVerified && styles.verifiedText]}>
+            {isVerified ? 'Verified' : 'Not verified'}
+          </Text>
+        </View>
+
+        {contact?.verified && !isVerified && (
+          <Text style={styles.warning}>
+            {contactName}'s key has changed since you verified it. Compare safety numbers again.
+          </Text>
+        )}
+
+        {safetyNumber ? (
+          <>
+            <View style={styles.qrContainer}>
+              <QRCode value={qrPayload} size={200} />
+            </View>
+
+            <Text style={styles.sectionTitle}>Safety Number</Text>
+            <Text style={styles.safetyNumber}>{SafetyNumber.formatSafetyNumber(safetyNumber)}</Text>
+            <Text style={styles.description}>
+              Compare these numbers with {contactName} in person or over a trusted channel,
+              or scan the code on their device. If they match, your messages are end-to-end
+              encrypted with the right person.
+            </Text>
+
+            <Button title="Scan Code" onPress={startScan} style={styles.button} />
+            {isVerified ? (
+              <Button
+                title="Clear Verification"
+                variant="secondary"
+                onPress={clearVerification}
+                loading={saving}
+                style={styles.button}
+              />
+            ) : (
+              <Button
+                title="Mark as Verified"
+                variant="secondary"
+                onPress={handleMarkVerified}
+                loading={saving}
+                style={styles.button}
+              />
+            )}
+          </>
+        ) : (
+          <Text style={styles.description}>
+            A safety number isn't available for this contact's key.
+          </Text>
+        )}
+
+        {keyHistory.length > 1 && (
+          <View style={styles.history}>
+            <Text style={styles.sectionTitle}>Key History</Text>
+            {keyHistory.slice().reverse().map(entry => (
+              <View key={entry.publicKey} style={styles.historyItem}>
+                <Text style={styles.historyText}>
+                  {entry.publicKey === contactPublicKey ? 'Current key' : 'Previous key'}
+                  {!entry.acknowledgedAt && ' (not accepted)'}
+                </Text>
+                <Text style={styles.historyDate}>First seen {formatTimestamp(entry.firstSeenAt)}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  content: {
+    padding: UI_CONFIG.SPACING.LG,
+    alignItems: 'center'
+  },
+  status: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  statusText: {
+    fontSize: 16,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    marginLeft: UI_CONFIG.SPACING.XS
+  },
+  verifiedText: {
+    color: UI_CONFIG.COLORS.SUCCESS,
+    fontWeight: '600'
+  },
+  warning: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.WARNING,
+    textAlign: 'center',
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  qrContainer: {
+    padding: UI_CONFIG.SPACING.MD,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  safetyNumber: {
+    fontSize: 18,
+    fontFamily: 'monospace',
+    letterSpacing: 1,
+    lineHeight: 28,
+    textAlign: 'center',
+    color: UI_CONFIG.COLORS.TEXT,
+    marginBottom: UI_CONFIG.SPACING.MD,
+    maxWidth: 260
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    textAlign: 'center',
+    lineHeight: 20,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  button: {
+    alignSelf: 'stretch',
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  history: {
+    alignSelf: 'stretch',
+    marginTop: UI_CONFIG.SPACING.LG
+  },
+  historyItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  historyText: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT
+  },
+  historyDate: {
+    fontSize: 12,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY
+  },
+  scannerContainer: {
+    flex: 1,
+    backgroundColor: '#000000'
+  },
+  camera: {
+    flex: 1
+  },
+  cancelScan: {
+    margin: UI_CONFIG.SPACING.LG
+  }
+});
@@ -0,0 +1,124 @@
+// src/screens/DeleteAccountScreen.js
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { UI_CONFIG } from '../utils/constants';
+
+export default function DeleteAccountScreen({ navigation }) {
+  const { deleteAccount } = useAuth();
+  const [password, setPassword] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Account',
+      'Your account, messages and keys will be permanently deleted. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: confirmDelete }
+      ]
+    );
+  };
+
+  // On success the auth state flips and the navigator leaves this screen
+  const confirmDelete = async () => {
+    setDeleting(true);
+    setError(null);
+    setFieldErrors({});
+
+    const result = await deleteAccount(password);
+    if (!result.success) {
+      setDeleting(false);
+      setError(result.error);
+      setFieldErrors(result.fieldErrors || {});
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} disabled={deleting}>
+          <Ionicons name="arrow-back" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Delete Account</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.description}>
+          Deleting your account removes it from the server along with your devices
+          and published keys, and erases your chats and keys from this phone.
+          Your contacts will be told the account is gone.
+        </Text>
+
+        {error && <Text style={styles.error}>{error}</Text>}
+
+        <Input
+          label="Password"
+          value={password}
+          onChangeText={(text) => {
+            setPassword(text);
+            setFieldErrors({});
+          }}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.password}
+        />
+
+        <Button
+          title="Delete Account"
+          onPress={handleDelete}
+          loading={deleting}
+          disabled={!password}
+          style={[styles.button, { backgroundColor: UI_CONFIG.COLORS.ERROR }]}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  content: {
+    padding: UI_CONFIG.SPACING.LG
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    lineHeight: 20,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  error: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.ERROR,
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  button: {
+    marginTop: UI_CONFIG.SPACING.MD
+  }
+});
@@ -0,0 +1,298 @@
+// src/screens/DevicesScreen.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView, ActivityIndicator } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import QRCode from 'react-native-qrcode-svg';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { DeviceManager } from '../services/crypto/DeviceManager';
+import { UI_CONFIG } from '../utils/constants';
+import { formatTimestamp } from '../utils/helpers';
+
+const LINK_POLL_INTERVAL = 2000;
+
+export default function DevicesScreen({ navigation }) {
+  const { user, getPrivateKey } = useAuth();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [link, setLink] = useState(null);
+  const [request, setRequest] = useState(null);
+  const [approving, setApproving] = useState(false);
+
+  const accountPublicKey = DeviceManager.getAccountPublicKey(user);
+  const isPrimary = !DeviceManager.isLinkedDevice(user);
+
+  useEffect(() => {
+    loadDevices();
+  }, []);
+
+  // Wait for the new device to scan the code and answer
+  useEffect(() => {
+    if (!link || request) return;
+
+    const interval = setInterval(async () => {
+      try {
+        const status = await DeviceManager.getLinkStatus(link.linkId);
+        if (status.status === 'requested') {
+          setRequest({ ...status.request, code: DeviceManager.openLinkRequest(link, status.request).code });
+        } else if (status.status === 'expired') {
+          setLink(null);
+          Alert.alert('Link Expired', 'Start again to link a new device.');
+        }
+      } catch (error) {
+        console.log('Device link status warning:', error.message);
+      }
+    }, LINK_POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [link, request]);
+
+  const loadDevices = async () => {
+    try {
+      setDevices(await DeviceManager.getOwnDevices());
+    } catch (error) {
+      console.error('Failed to load devices:', error);
+      Alert.alert('Error', 'Failed to load your devices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startLink = async () => {
+    try {
+      setLink(await DeviceManager.createLink());
+    } catch (error) {
+      console.error('Failed to start device link:', error);
+      Alert.alert('Error', 'Failed to start linking. Please try again.');
+    }
+  };
+
+  const cancelLink = () => {
+    setLink(null);
+    setRequest(null);
+  };
+
+  const approveLink = async () => {
+    try {
+      setApproving(true);
+      const accountPrivateKey = await getPrivateKey();
+      if (!accountPrivateKey) throw new Error('Your encryption keys are locked');
+
+      await DeviceManager.approveLink(link, request, { user, accountPrivateKey });
+      cancelLink();
+      await loadDevices();
+      Alert.alert('Device Linked', `${request.name || 'The new device'} can now send and receive your messages.`);
+    } catch (error) {
+      console.error('Failed to approve device:', error);
+      Alert.alert('Linking Failed', error.message);
+    } finally {
+      setApproving(false);
+    }
+  };
+
+  const handleRevoke = (device) => {
+    Alert.alert(
+      'Remove Device',
+      `${device.name || 'This device'} will be signed out and will stop receiving your messages.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await DeviceManager.revokeDevice(device.deviceId);
+              await loadDevices();
+            } catch (error) {
+              console.error('Failed to revoke device:', error);
+              Alert.alert('Error', 'Failed to remove the device');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderDevice = (device) => {
+    const isCurrent = String(device.deviceId) === String(user.deviceId);
+    const holdsAccountKey = device.publicKey === accountPublicKey;
+
+    return (
+      <View key={device.deviceId} style={styles.device}>
+        <Ionicons
+          name={holdsAccountKey ? 'phone-portrait' : 'tablet-portrait-outline'}
+          size={24}
+          color={UI_CONFIG.COLORS.PRIMARY}
+        />
+        <View style={styles.deviceInfo}>
+          <Text style={styles.deviceName}>
+            {device.name || 'Unnamed device'}
+            {isCurrent && <Text style={styles.currentTag}>  This device</Text>}
+          </Text>
+          <Text style={styles.deviceDetail}>
+            {holdsAccountKey ? 'Primary device' : 'Linked device'}
+            {device.lastSeenAt ? ` · Last active ${formatTimestamp(device.lastSeenAt)}` : ''}
+          </Text>
+        </View>
+        {!isCurrent && !holdsAccountKey && (
+          <TouchableOpacity onPress={() => handleRevoke(device)}>
+            <Ionicons name="trash-outline" size={20} color={UI_CONFIG.COLORS.ERROR} />
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderLink = () => {
+    if (request) {
+      return (
+        <View style={styles.linkPanel}>
+          <Text style={styles.sectionTitle}>Confirm New Device</Text>
+          <Text style={styles.description}>
+            Check that {request.name || 'the new device'} shows this code before linking it.
+          </Text>
+          <Text style={styles.code}>{request.code}</Text>
+          <Button title="Codes Match" onPress={approveLink} loading={approving} style={styles.button} />
+          <Button title="Cancel" variant="secondary" onPress={cancelLink} disabled={approving} style={styles.button} />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.linkPanel}>
+        <Text style={styles.sectionTitle}>Link New Device</Text>
+        <Text style={styles.description}>
+          On the new device, choose "Link to Existing Device" and scan this code.
+        </Text>
+        <View style={styles.qrContainer}>
+          <QRCode value={link.qrPayload} size={200} />
+        </View>
+        <ActivityIndicator color={UI_CONFIG.COLORS.PRIMARY} style={styles.waiting} />
+        <Button title="Cancel" variant="secondary" onPress={cancelLink} style={styles.button} />
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Devices</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {link ? renderLink() : (
+          <>
+            {loading ? (
+              <ActivityIndicator color={UI_CONFIG.COLORS.PRIMARY} style={styles.waiting} />
+            ) : (
+              devices.map(renderDevice)
+            )}
+
+            {isPrimary ? (
+              <Button title="Link New Device" onPress={startLink} style={styles.linkButton} />
+            ) : (
+              <Text style={styles.description}>
+                New devices can only be linked from your primary device.
+              </Text>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  content: {
+    padding: UI_CONFIG.SPACING.LG
+  },
+  device: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: UI_CONFIG.SPACING.MD,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  deviceInfo: {
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  deviceName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: UI_CONFIG.COLORS.TEXT
+  },
+  currentTag: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.SUCCESS
+  },
+  deviceDetail: {
+    fontSize: 12,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    marginTop: 2
+  },
+  linkButton: {
+    marginTop: UI_CONFIG.SPACING.LG
+  },
+  linkPanel: {
+    alignItems: 'center'
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    textAlign: 'center',
+    lineHeight: 20,
+    marginVertical: UI_CONFIG.SPACING.MD
+  },
+  qrContainer: {
+    padding: UI_CONFIG.SPACING.MD,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  code: {
+    fontSize: 32,
+    fontFamily: 'monospace',
+    letterSpacing: 6,
+    color: UI_CONFIG.COLORS.TEXT,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  waiting: {
+    marginVertical: UI_CONFIG.SPACING.MD
+  },
+  button: {
+    alignSelf: 'stretch',
+    marginBottom: UI_CONFIG.SPACING.SM
+  }
+});
@@ -61,7 +61,8 @@ export default function InvitationsScreen({ navigation }) {
         navigation.navigate('Chat', {
           chatId: response.chatId,
           chatName: invitation.from_username,
-          recipientPublicKey: invitation.from_public_key
+          recipientPublicKey: invitation.from_public_key,
+          recipientId: invitation.from_user_id
         });
         
         // Reload invitations
@@ -0,0 +1,262 @@
+// src/screens/LinkDeviceScreen.js
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView, ActivityIndicator } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { DeviceManager } from '../services/crypto/DeviceManager';
+import { UI_CONFIG } from '../utils/constants';
+import { validatePassword } from '../utils/helpers';
+
+const LINK_POLL_INTERVAL = 2000;
+
+// New device: choose a password for this device, scan the code shown on the
+// primary device, compare codes, then wait for the primary to approve.
+// On success the auth state flips and the navigator moves to the main app.
+export default function LinkDeviceScreen({ navigation }) {
+  const { completeDeviceLink, isLoggingIn, error, clearError } = useAuth();
+  const [step, setStep] = useState('password');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(null);
+  const [permission, requestPermission] = useCameraPermissions();
+  const scanHandled = useRef(false);
+
+  useEffect(() => {
+    clearError();
+  }, []);
+
+  // Wait for the primary device to approve, then finish setting up
+  useEffect(() => {
+    if (!pending) return;
+
+    let finished = false;
+    const interval = setInterval(async () => {
+      try {
+        const status = await DeviceManager.getLinkStatus(pending.linkId);
+        if (finished) return;
+
+        if (status.status === 'approved') {
+          finished = true;
+          clearInterval(interval);
+          const linked = await completeDeviceLink(pending, status, password);
+          if (!linked) {
+            setPending(null);
+            setStep('scan');
+          }
+        } else if (status.status === 'expired') {
+          finished = true;
+          clearInterval(interval);
+          setPending(null);
+          setStep('scan');
+          Alert.alert('Link Expired', 'Start again from your primary device.');
+        }
+      } catch (statusError) {
+        console.log('Device link status warning:', statusError.message);
+      }
+    }, LINK_POLL_INTERVAL);
+
+    return () => {
+      finished = true;
+      clearInterval(interval);
+    };
+  }, [pending]);
+
+  const handleContinue = () => {
+    if (!validatePassword(password)) {
+      setFieldErrors({ password: 'Password must be at least 8 characters' });
+      return;
+    }
+    if (password !== confirmPassword) {
+      setFieldErrors({ confirmPassword: 'Passwords do not match' });
+      return;
+    }
+
+    setFieldErrors({});
+    setStep('scan');
+  };
+
+  const startScan = async () => {
+    if (!permission?.granted) {
+      const result = await requestPermission();
+      if (!result.granted) {
+        Alert.alert('Camera Access', 'Camera access is needed to scan the link code');
+        return;
+      }
+    }
+    scanHandled.current = false;
+    setStep('scanning');
+  };
+
+  const handleBarcodeScanned = async ({ data }) => {
+    // The camera keeps firing while the code is in view
+    if (scanHandled.current) return;
+    scanHandled.current = true;
+
+    try {
+      setPending(await DeviceManager.requestLink(data));
+      setStep('confirm');
+    } catch (scanError) {
+      console.error('Device link request failed:', scanError);
+      setStep('scan');
+      Alert.alert('Linking Failed', scanError.message);
+    }
+  };
+
+  if (step === 'scanning') {
+    return (
+      <SafeAreaView style={styles.scannerContainer}>
+        <CameraView
+          style={styles.camera}
+          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+          onBarcodeScanned={handleBarcodeScanned}
+        />
+        <Button
+          title="Cancel"
+          variant="secondary"
+          onPress={() => setStep('scan')}
+          style={styles.cancelScan}
+        />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Link to Existing Device</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {error && <Text style={styles.error}>{error}</Text>}
+
+        {step === 'password' && (
+          <>
+            <Text style={styles.description}>
+              Choose the password you'll use to unlock SecureChat on this device.
+            </Text>
+            <Input
+              label="Password"
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+              error={fieldErrors.password}
+            />
+            <Input
+              label="Confirm Password"
+              value={confirmPassword}
+              onChangeText={setConfirmPassword}
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+              error={fieldErrors.confirmPassword}
+            />
+            <Button
+              title="Continue"
+              onPress={handleContinue}
+              disabled={!password || !confirmPassword}
+              style={styles.button}
+            />
+          </>
+        )}
+
+        {step === 'scan' && (
+          <>
+            <Text style={styles.description}>
+              On your primary device, open Profile → Devices and tap "Link New Device",
+              then scan the code it shows.
+            </Text>
+            <Button title="Scan Code" onPress={startScan} style={styles.button} />
+          </>
+        )}
+
+        {step === 'confirm' && pending && (
+          <View style={styles.confirm}>
+            <Text style={styles.description}>
+              Check that your primary device shows the same code, then approve it there.
+            </Text>
+            <Text style={styles.code}>{pending.code}</Text>
+            <ActivityIndicator color={UI_CONFIG.COLORS.PRIMARY} />
+            <Text style={styles.waitingText}>
+              {isLoggingIn ? 'Setting up this device...' : 'Waiting for approval...'}
+            </Text>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  content: {
+    padding: UI_CONFIG.SPACING.LG
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    lineHeight: 20,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  error: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.ERROR,
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  button: {
+    marginTop: UI_CONFIG.SPACING.MD
+  },
+  confirm: {
+    alignItems: 'center'
+  },
+  code: {
+    fontSize: 32,
+    fontFamily: 'monospace',
+    letterSpacing: 6,
+    color: UI_CONFIG.COLORS.TEXT,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  waitingText: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    marginTop: UI_CONFIG.SPACING.SM
+  },
+  scannerContainer: {
+    flex: 1,
+    backgroundColor: '#000000'
+  },
+  camera: {
+    flex: 1
+  },
+  cancelScan: {
+    margin: UI_CONFIG.SPACING.LG
+  }
+});
@@ -1,5 +1,5 @@
 // src/screens/ProfileScreen.js - Updated with WebSocket Debug
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -14,49 +14,44 @@ import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
 import { Button } from '../components/ui/Button';
 import { BiometricSettings } from '../components/settings/BiometricSettings';
+import { ActiveSessions } from '../components/settings/ActiveSessions';
 import { BiometricDebug } from '../components/debug/BiometricDebug';
 import { StorageDebug } from '../components/debug/StorageDebug';
 import { WebSocketDebug } from '../components/debug/WebSocketDebug';
 import { useAuth } from '../context/AuthContext';
 import { DatabaseService } from '../services/database/DatabaseService';
+import { IdentityKeyStore } from '../services/crypto/IdentityKeyStore';
+import { KeyRotationService } from '../services/crypto/KeyRotationService';
+import { DeviceManager } from '../services/crypto/DeviceManager';
 import { Storage } from '../utils/storage';
 import { UI_CONFIG } from '../utils/constants';
 
 export default function ProfileScreen() {
-  const { user, logout } = useAuth();
+  const { user, logout, setUpRecoveryPhrase } = useAuth();
   const [notificationsEnabled, setNotificationsEnabled] = useState(true);
   const [showDebugTools, setShowDebugTools] = useState(false);
+  const [strictKeyVerification, setStrictKeyVerification] = useState(true);
+  const [keyRotationEnabled, setKeyRotationEnabled] = useState(false);
   const navigation = useNavigation();
 
+  useEffect(() => {
+    IdentityKeyStore.isStrictMode().then(setStrictKeyVerification);
+    KeyRotationService.isAutoRotationEnabled().then(setKeyRotationEnabled);
+  }, []);
+
   const handleNotificationsToggle = async (value) => {
     setNotificationsEnabled(value);
     await Storage.set('notificationsEnabled', value);
   };
 
-  const exportData = () => {
-    Alert.alert(
-      'Export Data',
-      'This feature would export your encrypted data for backup purposes.',
-      [{ text: 'OK' }]
-    );
+  const handleStrictKeyVerificationToggle = async (value) => {
+    setStrictKeyVerification(value);
+    await IdentityKeyStore.setStrictMode(value);
   };
 
-  const deleteAccount = () => {
-    Alert.alert(
-      'Delete Account',
-      'Are you sure you want to delete your account? This action cannot be undone.',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: () => {
-            // Implement account deletion
-            logout();
-          }
-        }
-      ]
-    );
+  const handleKeyRotationToggle = async (value) => {
+    setKeyRotationEnabled(value);
+    await KeyRotationService.setAutoRotationEnabled(value);
   };
 
   const resetDatabase = async () => {
@@ -121,21 +116,79 @@ export default function ProfileScreen() {
             onPress={() => navigation.navigate('BiometricRegister')}
           />
           
+          <SettingItem
+            title="Strict Key Verification"
+            subtitle="Verified contacts must be re-verified when their key changes"
+            icon="shield-checkmark"
+            rightComponent={
+              <Switch
+                value={strictKeyVerification}
+                onValueChange={handleStrictKeyVerificationToggle}
+                trackColor={{ false: '#E0E0E0', true: UI_CONFIG.COLORS.PRIMARY }}
+                thumbColor={strictKeyVerification ? '#FFFFFF' : '#F4F3F4'}
+              />
+            }
+          />
+          
+          {!DeviceManager.isLinkedDevice(user) && (
+            <SettingItem
+              title="Automatic Key Rotation"
+              subtitle="Replace your identity key every 90 days"
+              icon="refresh-circle"
+              rightComponent={
+                <Switch
+                  value={keyRotationEnabled}
+                  onValueChange={handleKeyRotationToggle}
+                  trackColor={{ false: '#E0E0E0', true: UI_CONFIG.COLORS.PRIMARY }}
+                  thumbColor={keyRotationEnabled ? '#FFFFFF' : '#F4F3F4'}
+                />
+              }
+            />
+          )}
+          
+          <SettingItem
+            title="Devices"
+            subtitle="Link or remove your devices"
+            icon="phone-portrait"
+            onPress={() => navigation.navigate('Devices')}
+          />
+          
+          <SettingItem
+            title="Two-Factor Authentication"
+            subtitle="Require a code from an authenticator app"
+            icon="shield-checkmark"
+            onPress={() => navigation.navigate('TwoFactorSetup')}
+          />
+          
           <SettingItem
             title="Change Password"
             subtitle="Update your account password"
             icon="key"
-            onPress={() => Alert.alert('Change Password', 'This feature will be implemented')}
+            onPress={() => navigation.navigate('ChangePassword')}
           />
           
+          {!DeviceManager.isLinkedDevice(user) && (
+            <SettingItem
+              title="Recovery Phrase"
+              subtitle="Create new words for account recovery"
+              icon="document-lock"
+              onPress={setUpRecoveryPhrase}
+            />
+          )}
+          
           <SettingItem
             title="Export Keys"
             subtitle="Backup your encryption keys"
             icon="download"
-            onPress={exportData}
+            onPress={() => navigation.navigate('Backup')}
           />
         </View>
 
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Active Sessions</Text>
+          <ActiveSessions />
+        </View>
+
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Notifications</Text>
           
@@ -159,9 +212,9 @@ export default function ProfileScreen() {
           
           <SettingItem
             title="Export Data"
-            subtitle="Download your chat history"
+            subtitle="Back up your keys and chat history"
             icon="archive"
-            onPress={exportData}
+            onPress={() => navigation.navigate('Backup')}
           />
           
           <SettingItem
@@ -231,7 +284,7 @@ export default function ProfileScreen() {
           
           <Button
             title="Delete Account"
-            onPress={deleteAccount}
+            onPress={() => navigation.navigate('DeleteAccount')}
             style={[styles.deleteButton, { backgroundColor: UI_CONFIG.COLORS.ERROR }]}
           />
 
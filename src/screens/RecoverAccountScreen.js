@@ -0,0 +1,144 @@
+// src/screens/RecoverAccountScreen.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { UI_CONFIG } from '../utils/constants';
+
+// Reached from the sign-in screen when the password is forgotten.
+// On success the auth state flips and the navigator moves to the main app.
+export default function RecoverAccountScreen({ navigation }) {
+  const { recoverAccount, isLoggingIn, error, fieldErrors, clearError } = useAuth();
+  const [username, setUsername] = useState('');
+  const [phrase, setPhrase] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [confirmError, setConfirmError] = useState(null);
+
+  useEffect(() => {
+    clearError();
+  }, []);
+
+  const handleRecover = async () => {
+    if (password !== confirmPassword) {
+      setConfirmError('Passwords do not match');
+      return;
+    }
+
+    setConfirmError(null);
+    await recoverAccount(username, phrase, password);
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Recover Account</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.description}>
+          Enter the 12-word recovery phrase you wrote down when you set up your account,
+          then choose a new password.
+        </Text>
+
+        {error && <Text style={styles.error}>{error}</Text>}
+
+        <Input
+          label="Username"
+          value={username}
+          onChangeText={setUsername}
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.username}
+        />
+        <Input
+          label="Recovery Phrase"
+          placeholder="word1 word2 word3 ..."
+          value={phrase}
+          onChangeText={setPhrase}
+          autoCapitalize="none"
+          autoCorrect={false}
+          multiline
+          inputStyle={styles.phraseInput}
+          error={fieldErrors.phrase}
+        />
+        <Input
+          label="New Password"
+          value={password}
+          onChangeText={setPassword}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.password}
+        />
+        <Input
+          label="Confirm New Password"
+          value={confirmPassword}
+          onChangeText={setConfirmPassword}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={confirmError}
+        />
+
+        <Button
+          title="Recover Account"
+          onPress={handleRecover}
+          loading={isLoggingIn}
+          disabled={!username || !phrase || !password || !confirmPassword}
+          style={styles.button}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  content: {
+    padding: UI_CONFIG.SPACING.LG
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    lineHeight: 20,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  error: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.ERROR,
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  phraseInput: {
+    minHeight: 80,
+    textAlignVertical: 'top'
+  },
+  button: {
+    marginTop: UI_CONFIG.SPACING.MD
+  }
+});
@@ -0,0 +1,202 @@
+// src/screens/RecoveryPhraseScreen.js
+import React, { useState, useMemo } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { RecoveryService } from '../services/crypto/RecoveryService';
+import { UI_CONFIG } from '../utils/constants';
+
+// Shown over the app while a new recovery phrase is waiting to be confirmed
+export default function RecoveryPhraseScreen() {
+  const { recoveryPhrase, confirmRecoveryPhrase, dismissRecoveryPhrase } = useAuth();
+  const [step, setStep] = useState('show');
+  const [answers, setAnswers] = useState({});
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const words = useMemo(() => RecoveryService.getWords(recoveryPhrase), [recoveryPhrase]);
+  const positions = useMemo(() => RecoveryService.pickWordsToConfirm(recoveryPhrase), [recoveryPhrase]);
+
+  const handleConfirm = async () => {
+    const allCorrect = positions.every(
+      position => RecoveryService.normalizePhrase(answers[position]) === words[position]
+    );
+    if (!allCorrect) {
+      setError('Those words don\'t match. Check what you wrote down.');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    const result = await confirmRecoveryPhrase();
+    setSaving(false);
+
+    if (result.success) {
+      Alert.alert('Recovery Phrase Saved', 'You can use these words to get back into your account.');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleSkip = () => {
+    Alert.alert(
+      'Skip Recovery Phrase?',
+      'Without a recovery phrase, forgetting your password means losing your account and messages. You can set one up later in Profile.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Skip', style: 'destructive', onPress: dismissRecoveryPhrase }
+      ]
+    );
+  };
+
+  const updateAnswer = (position) => (text) => {
+    setAnswers(prev => ({ ...prev, [position]: text }));
+    if (error) setError(null);
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Ionicons name="key" size={48} color={UI_CONFIG.COLORS.PRIMARY} style={styles.icon} />
+        <Text style={styles.title}>Your Recovery Phrase</Text>
+
+        {step === 'show' ? (
+          <>
+            <Text style={styles.description}>
+              Write these 12 words down in order and keep them somewhere safe. They are the
+              only way back into your account if you forget your password. Never share them.
+            </Text>
+
+            <View style={styles.wordGrid}>
+              {words.map((word, index) => (
+                <View key={index} style={styles.word}>
+                  <Text style={styles.wordNumber}>{index + 1}</Text>
+                  <Text style={styles.wordText}>{word}</Text>
+                </View>
+              ))}
+            </View>
+
+            <Button
+              title="I've Written Them Down"
+              onPress={() => setStep('confirm')}
+              style={styles.button}
+            />
+          </>
+        ) : (
+          <>
+            <Text style={styles.description}>
+              To make sure you have them, enter these words from your phrase.
+            </Text>
+
+            {error && <Text style={styles.error}>{error}</Text>}
+
+            {positions.map(position => (
+              <Input
+                key={position}
+                label={`Word #${position + 1}`}
+                value={answers[position] || ''}
+                onChangeText={updateAnswer(position)}
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!saving}
+              />
+            ))}
+
+            <Button
+              title="Confirm"
+              onPress={handleConfirm}
+              loading={saving}
+              disabled={positions.some(position => !answers[position])}
+              style={styles.button}
+            />
+            <Button
+              title="Show Words Again"
+              variant="secondary"
+              onPress={() => setStep('show')}
+              disabled={saving}
+              style={styles.button}
+            />
+          </>
+        )}
+
+        <TouchableOpacity onPress={handleSkip} style={styles.skip} disabled={saving}>
+          <Text style={styles.skipText}>Skip for Now</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  content: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: UI_CONFIG.SPACING.LG
+  },
+  icon: {
+    alignSelf: 'center',
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    textAlign: 'center',
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    textAlign: 'center',
+    lineHeight: 20,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  wordGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  word: {
+    width: '48%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: UI_CONFIG.SPACING.SM,
+    marginBottom: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderRadius: 8
+  },
+  wordNumber: {
+    width: 24,
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY
+  },
+  wordText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: UI_CONFIG.COLORS.TEXT
+  },
+  error: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.ERROR,
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  button: {
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  skip: {
+    alignSelf: 'center',
+    marginTop: UI_CONFIG.SPACING.MD
+  },
+  skipText: {
+    fontSize: 16,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY
+  }
+});
@@ -0,0 +1,151 @@
+// src/screens/RestoreBackupScreen.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { BackupService } from '../services/backup/BackupService';
+import { UI_CONFIG } from '../utils/constants';
+
+// Reached from the login and register screens when setting up a new phone.
+// On success the auth state flips and the navigator moves to the main app.
+export default function RestoreBackupScreen({ navigation }) {
+  const { restoreFromBackup, isLoggingIn, error, fieldErrors, clearError } = useAuth();
+  const [backupFile, setBackupFile] = useState(null);
+  const [backupPassword, setBackupPassword] = useState('');
+  const [password, setPassword] = useState('');
+
+  useEffect(() => {
+    clearError();
+  }, []);
+
+  const chooseFile = async () => {
+    try {
+      const file = await BackupService.pickBackupFile();
+      if (file) setBackupFile(file);
+    } catch (pickError) {
+      console.error('Failed to open backup file:', pickError);
+      Alert.alert('Error', 'Could not open that file');
+    }
+  };
+
+  const handleRestore = async () => {
+    await restoreFromBackup(backupFile.contents, backupPassword, password);
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Restore from Backup</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.description}>
+          Choose a SecureChat backup file to bring your keys, contacts and verified
+          safety numbers to this phone.
+        </Text>
+
+        {error && <Text style={styles.error}>{error}</Text>}
+
+        <TouchableOpacity style={styles.filePicker} onPress={chooseFile} disabled={isLoggingIn}>
+          <Ionicons
+            name={backupFile ? 'document-text' : 'folder-open-outline'}
+            size={20}
+            color={UI_CONFIG.COLORS.PRIMARY}
+          />
+          <Text style={styles.filePickerText} numberOfLines={1}>
+            {backupFile ? backupFile.name : 'Choose Backup File'}
+          </Text>
+        </TouchableOpacity>
+
+        <Input
+          label="Backup Password"
+          value={backupPassword}
+          onChangeText={setBackupPassword}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.backupPassword}
+        />
+        <Input
+          label="Password for This Phone"
+          placeholder="Used to unlock SecureChat here"
+          value={password}
+          onChangeText={setPassword}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          error={fieldErrors.password}
+        />
+
+        <Button
+          title="Restore"
+          onPress={handleRestore}
+          loading={isLoggingIn}
+          disabled={!backupFile || !backupPassword || !password}
+          style={styles.button}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  content: {
+    padding: UI_CONFIG.SPACING.LG
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    lineHeight: 20,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  error: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.ERROR,
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  filePicker: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: UI_CONFIG.SPACING.MD,
+    borderWidth: 1,
+    borderColor: UI_CONFIG.COLORS.PRIMARY,
+    borderRadius: 8,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  filePickerText: {
+    flex: 1,
+    fontSize: 16,
+    color: UI_CONFIG.COLORS.PRIMARY,
+    marginLeft: UI_CONFIG.SPACING.SM
+  },
+  button: {
+    marginTop: UI_CONFIG.SPACING.MD
+  }
+});
@@ -0,0 +1,136 @@
+// src/screens/TwoFactorScreen.js
+import React, { useState } from 'react';
+import { Text, TouchableOpacity, StyleSheet, KeyboardAvoidingView, Platform } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { UI_CONFIG } from '../utils/constants';
+
+// Second login step, shown over the auth screens while the login waits for a code
+export default function TwoFactorScreen() {
+  const { submitTwoFactorCode, cancelTwoFactor } = useAuth();
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [error, setError] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  const handleVerify = async () => {
+    if (!code) return;
+
+    setVerifying(true);
+    const result = await submitTwoFactorCode(code);
+    setVerifying(false);
+    if (!result.success) {
+      setError(result.error);
+      setCode('');
+    }
+  };
+
+  const handleCodeChange = (text) => {
+    setCode(text);
+    if (error) setError(null);
+  };
+
+  const toggleBackupCode = () => {
+    setUseBackupCode(!useBackupCode);
+    setCode('');
+    setError(null);
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        style={styles.content}
+      >
+        <Ionicons name="shield-checkmark" size={48} color={UI_CONFIG.COLORS.PRIMARY} style={styles.icon} />
+        <Text style={styles.title}>Two-Factor Authentication</Text>
+        <Text style={styles.subtitle}>
+          {useBackupCode
+            ? 'Enter one of the backup codes you saved when you turned on two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </Text>
+
+        <Input
+          placeholder={useBackupCode ? 'Backup code' : '123456'}
+          value={code}
+          onChangeText={handleCodeChange}
+          keyboardType={useBackupCode ? 'default' : 'number-pad'}
+          autoCapitalize="none"
+          autoCorrect={false}
+          maxLength={useBackupCode ? 20 : 6}
+          onSubmitEditing={handleVerify}
+          error={error}
+          style={styles.input}
+        />
+
+        <Button
+          title="Verify"
+          onPress={handleVerify}
+          loading={verifying}
+          disabled={!code}
+          style={styles.button}
+        />
+
+        <TouchableOpacity onPress={toggleBackupCode} style={styles.link}>
+          <Text style={styles.linkText}>
+            {useBackupCode ? 'Use authenticator code' : 'Use a backup code'}
+          </Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity onPress={cancelTwoFactor} style={styles.link} disabled={verifying}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: UI_CONFIG.SPACING.LG
+  },
+  icon: {
+    alignSelf: 'center',
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    textAlign: 'center',
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  subtitle: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    textAlign: 'center',
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  input: {
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  button: {
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  link: {
+    alignSelf: 'center',
+    marginTop: UI_CONFIG.SPACING.MD
+  },
+  linkText: {
+    fontSize: 16,
+    color: UI_CONFIG.COLORS.PRIMARY
+  },
+  cancelText: {
+    fontSize: 16,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY
+  }
+});
@@ -0,0 +1,318 @@
+// src/screens/TwoFactorSetupScreen.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView, ActivityIndicator } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import QRCode from 'react-native-qrcode-svg';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { ApiService } from '../services/network/ApiService';
+import { UI_CONFIG } from '../utils/constants';
+
+// Enrolment: scan the secret into an authenticator app, prove it with a code,
+// then write down the backup codes. The server only turns two-factor on once
+// the code checks out.
+export default function TwoFactorSetupScreen({ navigation }) {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await ApiService.getTwoFactorStatus());
+    } catch (loadError) {
+      console.error('Failed to load two-factor status:', loadError);
+      Alert.alert('Error', 'Failed to load two-factor settings');
+      navigation.goBack();
+    }
+  };
+
+  const startSetup = async () => {
+    try {
+      setWorking(true);
+      setSetup(await ApiService.startTwoFactorSetup());
+    } catch (setupError) {
+      console.error('Failed to start two-factor setup:', setupError);
+      Alert.alert('Error', 'Failed to start setup. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Every change needs a current code, so a stolen session can't switch it off
+  const submitCode = async (action) => {
+    try {
+      setWorking(true);
+      setError(null);
+      const response = await action(code.replace(/\s/g, ''));
+      setCode('');
+      return response;
+    } catch (codeError) {
+      console.error('Two-factor code rejected:', codeError);
+      setError('That code didn\'t work. Check the time on your phone and try again.');
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const confirmSetup = async () => {
+    const response = await submitCode(value => ApiService.confirmTwoFactorSetup(value));
+    if (response) {
+      setSetup(null);
+      setBackupCodes(response.backupCodes || []);
+      await loadStatus();
+    }
+  };
+
+  const regenerateCodes = async () => {
+    const response = await submitCode(value => ApiService.regenerateBackupCodes(value));
+    if (response) {
+      setBackupCodes(response.backupCodes || []);
+      await loadStatus();
+    }
+  };
+
+  const disable = () => {
+    Alert.alert(
+      'Turn Off Two-Factor',
+      'Signing in will only need your password.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Turn Off',
+          style: 'destructive',
+          onPress: async () => {
+            if (await submitCode(value => ApiService.disableTwoFactor(value))) {
+              await loadStatus();
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderCodeInput = () => (
+    <>
+      {error && <Text style={styles.error}>{error}</Text>}
+      <Input
+        label="Code from your authenticator app"
+        value={code}
+        onChangeText={(text) => {
+          setCode(text);
+          if (error) setError(null);
+        }}
+        keyboardType="number-pad"
+        maxLength={6}
+        placeholder="123456"
+      />
+    </>
+  );
+
+  const renderContent = () => {
+    if (!status) {
+      return <ActivityIndicator color={UI_CONFIG.COLORS.PRIMARY} style={styles.loading} />;
+    }
+
+    if (backupCodes) {
+      return (
+        <>
+          <Text style={styles.sectionTitle}>Backup Codes</Text>
+          <Text style={styles.description}>
+            Each code signs you in once if you lose your authenticator. Write them down
+            and keep them somewhere safe; they won't be shown again.
+          </Text>
+          <View style={styles.codeGrid}>
+            {backupCodes.map(backupCode => (
+              <Text key={backupCode} style={styles.backupCode}>{backupCode}</Text>
+            ))}
+          </View>
+          <Button title="Done" onPress={() => setBackupCodes(null)} style={styles.button} />
+        </>
+      );
+    }
+
+    if (setup) {
+      return (
+        <>
+          <Text style={styles.description}>
+            Scan this code with an authenticator app, or enter the key by hand, then
+            type the 6-digit code it shows.
+          </Text>
+          <View style={styles.qrContainer}>
+            <QRCode value={setup.otpauthUrl} size={200} />
+          </View>
+          <Text style={styles.secret} selectable>{setup.secret}</Text>
+          {renderCodeInput()}
+          <Button
+            title="Turn On"
+            onPress={confirmSetup}
+            loading={working}
+            disabled={code.length < 6}
+            style={styles.button}
+          />
+          <Button
+            title="Cancel"
+            variant="secondary"
+            onPress={() => setSetup(null)}
+            disabled={working}
+            style={styles.button}
+          />
+        </>
+      );
+    }
+
+    if (status.enabled) {
+      return (
+        <>
+          <View style={styles.statusRow}>
+            <Ionicons name="shield-checkmark" size={24} color={UI_CONFIG.COLORS.SUCCESS} />
+            <Text style={styles.statusText}>Two-factor authentication is on</Text>
+          </View>
+          <Text style={styles.description}>
+            {status.backupCodesRemaining ?? 0} backup codes left. Enter a current code to
+            get new backup codes or to turn two-factor off.
+          </Text>
+          {renderCodeInput()}
+          <Button
+            title="New Backup Codes"
+            onPress={regenerateCodes}
+            loading={working}
+            disabled={code.length < 6}
+            style={styles.button}
+          />
+          <Button
+            title="Turn Off"
+            variant="secondary"
+            onPress={disable}
+            disabled={working || code.length < 6}
+            style={styles.button}
+          />
+        </>
+      );
+    }
+
+    return (
+      <>
+        <Text style={styles.description}>
+          With two-factor authentication, signing in also needs a code from an
+          authenticator app on another device, so your password alone isn't enough.
+        </Text>
+        <Button title="Set Up" onPress={startSetup} loading={working} style={styles.button} />
+      </>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={UI_CONFIG.COLORS.PRIMARY} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Two-Factor Authentication</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {renderContent()}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: UI_CONFIG.SPACING.MD,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    flex: 1,
+    marginLeft: UI_CONFIG.SPACING.MD
+  },
+  content: {
+    padding: UI_CONFIG.SPACING.LG
+  },
+  loading: {
+    marginVertical: UI_CONFIG.SPACING.LG
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  description: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    lineHeight: 20,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  error: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.ERROR,
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  statusText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: UI_CONFIG.COLORS.TEXT,
+    marginLeft: UI_CONFIG.SPACING.SM
+  },
+  qrContainer: {
+    alignSelf: 'center',
+    padding: UI_CONFIG.SPACING.MD,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  secret: {
+    fontSize: 14,
+    fontFamily: 'monospace',
+    textAlign: 'center',
+    color: UI_CONFIG.COLORS.TEXT,
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  codeGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  backupCode: {
+    width: '48%',
+    fontSize: 16,
+    fontFamily: 'monospace',
+    textAlign: 'center',
+    color: UI_CONFIG.COLORS.TEXT,
+    paddingVertical: UI_CONFIG.SPACING.SM,
+    marginBottom: UI_CONFIG.SPACING.SM,
+    backgroundColor: UI_CONFIG.COLORS.SURFACE,
+    borderRadius: 8
+  },
+  button: {
+    marginTop: UI_CONFIG.SPACING.MD
+  }
+});
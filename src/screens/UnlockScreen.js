@@ -0,0 +1,139 @@
+// src/screens/UnlockScreen.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, KeyboardAvoidingView, Platform } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { Input } from '../components/ui/Input';
+import { Button } from '../components/ui/Button';
+import { useAuth } from '../context/AuthContext';
+import { BiometricAuthService } from '../services/auth/BiometricAuthService';
+import { UI_CONFIG } from '../utils/constants';
+
+// Shown over the app while the key vault is locked, so navigation state survives
+export default function UnlockScreen() {
+  const { user, unlock, unlockWithBiometric, logout, error, clearError } = useAuth();
+  const [password, setPassword] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [canUseBiometric, setCanUseBiometric] = useState(false);
+
+  useEffect(() => {
+    checkBiometric();
+  }, [user?.username]);
+
+  const checkBiometric = async () => {
+    const status = await BiometricAuthService.getBiometricStatus();
+    setCanUseBiometric(status.available && status.registeredUsernames.includes(user?.username));
+  };
+
+  const handleUnlock = async () => {
+    if (!password) return;
+
+    setUnlocking(true);
+    const success = await unlock(password);
+    setUnlocking(false);
+    if (success) setPassword('');
+  };
+
+  const handleBiometricUnlock = async () => {
+    setUnlocking(true);
+    await unlockWithBiometric();
+    setUnlocking(false);
+  };
+
+  const handlePasswordChange = (text) => {
+    setPassword(text);
+    if (error) clearError();
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        style={styles.content}
+      >
+        <Ionicons name="lock-closed" size={48} color={UI_CONFIG.COLORS.PRIMARY} style={styles.icon} />
+        <Text style={styles.title}>SecureChat is locked</Text>
+        <Text style={styles.subtitle}>
+          Enter your password to unlock your keys{user?.username ? ` as ${user.username}` : ''}.
+        </Text>
+
+        <Input
+          placeholder="Password"
+          value={password}
+          onChangeText={handlePasswordChange}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          onSubmitEditing={handleUnlock}
+          error={error}
+          style={styles.input}
+        />
+
+        <Button
+          title="Unlock"
+          onPress={handleUnlock}
+          loading={unlocking}
+          disabled={!password}
+          style={styles.button}
+        />
+
+        {canUseBiometric && (
+          <Button
+            title="Unlock with Biometrics"
+            variant="secondary"
+            onPress={handleBiometricUnlock}
+            disabled={unlocking}
+            style={styles.button}
+          />
+        )}
+
+        <TouchableOpacity onPress={logout} style={styles.logout}>
+          <Text style={styles.logoutText}>Log out</Text>
+        </TouchableOpacity>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: UI_CONFIG.COLORS.BACKGROUND
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: UI_CONFIG.SPACING.LG
+  },
+  icon: {
+    alignSelf: 'center',
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '600',
+    color: UI_CONFIG.COLORS.TEXT,
+    textAlign: 'center',
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  subtitle: {
+    fontSize: 14,
+    color: UI_CONFIG.COLORS.TEXT_SECONDARY,
+    textAlign: 'center',
+    marginBottom: UI_CONFIG.SPACING.LG
+  },
+  input: {
+    marginBottom: UI_CONFIG.SPACING.MD
+  },
+  button: {
+    marginBottom: UI_CONFIG.SPACING.SM
+  },
+  logout: {
+    alignSelf: 'center',
+    marginTop: UI_CONFIG.SPACING.MD
+  },
+  logoutText: {
+    fontSize: 16,
+    color: UI_CONFIG.COLORS.ERROR
+  }
+});
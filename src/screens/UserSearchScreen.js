@@ -15,6 +15,7 @@ import { LoadingSpinner } from '../components/ui/LoadingSpinner';
 import { useAuth } from '../context/AuthContext';
 import { ApiService } from '../services/network/ApiService';
 import { DatabaseService } from '../services/database/DatabaseService';
+import { IdentityKeyStore } from '../services/crypto/IdentityKeyStore';
 import { UI_CONFIG } from '../utils/constants';
 
 export default function UserSearchScreen({ navigation }) {
@@ -162,7 +163,18 @@ export default function UserSearchScreen({ navigation }) {
         public_key: contactUser.public_key || contactUser.publicKey
       });
       
-      Alert.alert('Success', `${contactUser.username} added to contacts`);
+      const keyStatus = await IdentityKeyStore.checkIdentity(
+        contactUser.id,
+        contactUser.public_key || contactUser.publicKey
+      );
+      if (keyStatus === IdentityKeyStore.CHANGED) {
+        Alert.alert(
+          'Safety Number Changed',
+          `${contactUser.username}'s key is different from the one you saw before. Review it before chatting.`
+        );
+      } else {
+        Alert.alert('Success', `${contactUser.username} added to contacts`);
+      }
       loadContacts();
     } catch (error) {
       console.error('Add contact failed:', error);
@@ -189,7 +201,8 @@ export default function UserSearchScreen({ navigation }) {
         navigation.navigate('Chat', {
           chatId,
           chatName: contactUser.username,
-          recipientPublicKey: contactUser.public_key || contactUser.publicKey
+          recipientPublicKey: contactUser.public_key || contactUser.publicKey,
+          recipientId: contactUser.id
         });
       } else {
         Alert.alert('Error', 'Failed to send invitation: ' + error.message);
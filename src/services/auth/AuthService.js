@@ -1,11 +1,20 @@
 import { ApiService } from '../network/ApiService';
 import { KeyManager } from '../crypto/KeyManager';
+import { CryptoService } from '../crypto/CryptoService';
 import { Storage } from '../../utils/storage';
 import { DatabaseService } from '../database/DatabaseService';
+import { KeyVault } from '../crypto/KeyVault';
+import { PreKeyManager } from '../crypto/PreKeyManager';
+import { DeviceManager } from '../crypto/DeviceManager';
+import { IdentityKeyStore } from '../crypto/IdentityKeyStore';
+import { KeyRotationService } from '../crypto/KeyRotationService';
+import { BiometricAuthService } from './BiometricAuthService';
+
+export const ACCOUNT_DELETED = 'account_deleted';
 
 export class AuthService {
-  static TOKEN_KEY = 'auth_token';
-  static REFRESH_TOKEN_KEY = 'refresh_token';
+  static TOKEN_KEY = 'authToken';
+  static REFRESH_TOKEN_KEY = 'refreshToken';
   static USER_DATA_KEY = 'user_data';
 
   // Register new user
@@ -49,41 +58,85 @@ export class AuthService {
     }
   }
 
-  // Login user
+  // Login user. The password never leaves the device: the server gets a proof
+  // for its challenge instead.
   static async login(username, password) {
     try {
-      // Attempt login with server
-      const response = await ApiService.login({ username, password });
-      
-      // Store tokens and user data
-      await this.storeAuthData(response);
-      
-      // Verify we can decrypt user's private key
+      const challenge = await ApiService.getLoginChallenge(username);
       const user = await DatabaseService.getUserByUsername(username);
+      const kdfParams = user?.salt || challenge.salt;
+      const derivedKey = await CryptoService.deriveKeyFromPassword(password, kdfParams);
+
+      // Verify we can decrypt user's private key
       if (user) {
         try {
-          await KeyManager.decryptPrivateKey(user.id, password);
+          await KeyManager.decryptPrivateKey(user.id, password, challenge.salt);
         } catch (decryptError) {
           throw new Error('Invalid password');
         }
       }
 
-      return {
-        user: response.user,
-        token: response.token
-      };
+      const response = await ApiService.login({
+        username,
+        challengeId: challenge.challengeId,
+        ...await this.createLoginProof(username, challenge, { derivedKey, kdfParams, password })
+      });
+      
+      // Store tokens and user data
+      if (!response.twoFactorRequired) {
+        await this.storeAuthData(response);
+      }
+
+      return response;
     } catch (error) {
       console.error('Login failed:', error);
       throw error;
     }
   }
 
+  // Proof for a login challenge. The primary device proves the account password
+  // with its auth key, which comes from the account's KDF parameters, so a
+  // key derived under newer local parameters needs the password to redo it. A
+  // linked device's password only wraps its own key, so it signs the challenge
+  // with that key (the vault has to be unlocked first).
+  static async createLoginProof(username, challenge, { derivedKey, kdfParams, password = null }) {
+    const data = { username, challengeId: challenge.challengeId, challenge: challenge.challenge };
+    const localUser = await DatabaseService.getUserByUsername(username);
+    const device = localUser ? await DeviceManager.getLocalDevice(localUser.id) : null;
+
+    if (device?.accountPublicKey) {
+      const privateKey = KeyVault.getPrivateKey();
+      if (!privateKey) throw new Error('Unlock with your password first');
+      return { deviceId: device.deviceId, signature: CryptoService.signLoginChallenge(privateKey, data) };
+    }
+
+    if (kdfParams !== challenge.salt) {
+      if (!password) throw new Error('Sign in with your password on this device');
+      derivedKey = await CryptoService.deriveKeyFromPassword(password, challenge.salt);
+    }
+    return { passwordSignature: CryptoService.signAuthChallenge(CryptoService.deriveAuthKey(derivedKey), data) };
+  }
+
+  // Fresh password proof for calls that change or remove the account. Like a login
+  // proof it has to come from the server's KDF parameters, which lag behind ours
+  // when syncing an upgrade failed, so the password is needed to redo the key.
+  static async createPasswordProof(username, derivedKey, { kdfParams = null, password = null } = {}) {
+    const { challengeId, challenge, salt } = await ApiService.getLoginChallenge(username);
+    if (kdfParams && kdfParams !== salt) {
+      if (!password) throw new Error('Enter your password to continue');
+      derivedKey = await CryptoService.deriveKeyFromPassword(password, salt);
+    }
+    return {
+      challengeId,
+      passwordSignature: CryptoService.signAuthChallenge(CryptoService.deriveAuthKey(derivedKey), { username, challengeId, challenge })
+    };
+  }
+
   // Logout user
   static async logout() {
     try {
       // Clear stored auth data
-      await Storage.removeSecure(this.TOKEN_KEY);
-      await Storage.removeSecure(this.REFRESH_TOKEN_KEY);
+      await this.clearTokens();
       await Storage.removeSecure(this.USER_DATA_KEY);
       
       return true;
@@ -96,7 +149,7 @@ export class AuthService {
   // Get current auth token
   static async getToken() {
     try {
-      return await Storage.getSecure(this.TOKEN_KEY);
+      return await Storage.getSecureString(this.TOKEN_KEY);
     } catch (error) {
       console.error('Failed to get token:', error);
       return null;
@@ -113,22 +166,63 @@ export class AuthService {
     }
   }
 
-  // Refresh auth token
+  // Refresh auth token. Only a refusal from the server ends the session; a
+  // network failure or server error leaves the tokens alone so the next attempt
+  // can succeed.
   static async refreshToken() {
     try {
-      const refreshToken = await Storage.getSecure(this.REFRESH_TOKEN_KEY);
+      const refreshToken = await Storage.getSecureString(this.REFRESH_TOKEN_KEY);
       if (!refreshToken) {
-        throw new Error('No refresh token available');
+        const error = new Error('No refresh token available');
+        error.status = 401;
+        throw error;
       }
 
       const response = await ApiService.refreshToken(refreshToken);
-      await this.storeAuthData(response);
+      await this.storeTokens(response);
+      console.log('🔑 Access token refreshed');
       
       return response.token;
     } catch (error) {
       console.error('Token refresh failed:', error);
-      // If refresh fails, user needs to login again
-      await this.logout();
+      if (ApiService.isAuthRejection(error)) {
+        await this.clearTokens();
+      }
+      throw error;
+    }
+  }
+
+  // Access token plus, when the server sent one, a new refresh token
+  static async storeTokens({ token, refreshToken }) {
+    await Storage.setSecureString(this.TOKEN_KEY, token);
+    if (refreshToken) {
+      await Storage.setSecureString(this.REFRESH_TOKEN_KEY, refreshToken);
+    }
+  }
+
+  static async clearTokens() {
+    await Storage.removeSecure(this.TOKEN_KEY);
+    await Storage.removeSecure(this.REFRESH_TOKEN_KEY);
+  }
+
+  // Sessions signed in to the account, newest activity first
+  static async getSessions() {
+    try {
+      const response = await ApiService.getSessions();
+      return (response.sessions || []).sort((a, b) => (b.lastActiveAt || 0) - (a.lastActiveAt || 0));
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+      throw error;
+    }
+  }
+
+  // Cut off another session, e.g. a lost phone
+  static async revokeSession(sessionId) {
+    try {
+      await ApiService.revokeSession(sessionId);
+      console.log('🗑️ Session revoked:', sessionId);
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
       throw error;
     }
   }
@@ -147,11 +241,7 @@ export class AuthService {
   // Store authentication data securely
   static async storeAuthData(authResponse) {
     try {
-      await Storage.setSecure(this.TOKEN_KEY, authResponse.token);
-      
-      if (authResponse.refreshToken) {
-        await Storage.setSecure(this.REFRESH_TOKEN_KEY, authResponse.refreshToken);
-      }
+      await this.storeTokens(authResponse);
       
       if (authResponse.user) {
         await Storage.setSecure(this.USER_DATA_KEY, authResponse.user);
@@ -173,51 +263,118 @@ export class AuthService {
     }
   }
 
-  // Change password
-  static async changePassword(currentPassword, newPassword) {
+  // Change password. The server is updated first (new salt, new auth key and a
+  // rotated token); the re-wrapped private key is only saved once it accepted.
+  static async changePassword(currentPassword, newPassword, user = null) {
     try {
-      const user = await this.getCurrentUser();
+      user = user || await this.getCurrentUser();
       if (!user) {
         throw new Error('User not authenticated');
       }
 
-      // Update password with KeyManager
-      await KeyManager.updatePassword(user.id, currentPassword, newPassword);
-      
-      // Optionally update password on server
-      // await ApiService.updatePassword({ currentPassword, newPassword }, await this.getToken());
+      let response;
+      const result = await KeyManager.updatePassword(user.id, currentPassword, newPassword, {
+        onBeforeSave: async ({ derivedKey, oldDerivedKey, oldKdfParams, kdfParams }) => {
+          response = await ApiService.changePassword({
+            ...await this.createPasswordProof(user.username, oldDerivedKey, {
+              kdfParams: oldKdfParams,
+              password: currentPassword
+            }),
+            authKey: CryptoService.getAuthPublicKey(CryptoService.deriveAuthKey(derivedKey)),
+            salt: kdfParams
+          });
+        }
+      });
       
-      return true;
+      return {
+        ...result,
+        token: response.token,
+        refreshToken: response.refreshToken
+      };
     } catch (error) {
       console.error('Password change failed:', error);
       throw error;
     }
   }
 
-  // Delete account
-  static async deleteAccount(password) {
+  // Delete the account. The password is checked locally first, then by the
+  // server, which removes the account, its devices and prekeys and forwards the
+  // signed notice to contacts. Local data only goes once the server has agreed.
+  static async deleteAccount(password, user = null) {
     try {
-      const user = await this.getCurrentUser();
-      const token = await this.getToken();
-      
-      if (!user || !token) {
+      user = user || await this.getCurrentUser();
+      if (!user) {
         throw new Error('User not authenticated');
       }
+      // Contacts only know the account key, so only it can sign the notice
+      if (DeviceManager.isLinkedDevice(user)) {
+        throw new Error('The account can only be deleted from your primary device');
+      }
 
-      // Verify password before deletion
-      await KeyManager.decryptPrivateKey(user.id, password);
-      
-      // Delete account on server
-      // await ApiService.deleteAccount({ password }, token);
-      
-      // Clear local data
-      await KeyManager.clearUserKeys(user.id);
-      await this.logout();
-      
+      const privateKey = await KeyVault.unlockWithPassword(user.username, password);
+      if (!privateKey) {
+        throw new Error('Your encryption keys are not on this device');
+      }
+
+      // The vault's key comes from the local KDF parameters, which the server's may lag
+      const localUser = await DatabaseService.getUserByUsername(user.username);
+      await ApiService.deleteAccount({
+        ...await this.createPasswordProof(user.username, KeyVault.getDerivedKey(), {
+          kdfParams: localUser?.salt,
+          password
+        }),
+        notice: CryptoService.signAccountDeletion(privateKey, { userId: user.id, timestamp: Date.now() })
+      });
+      console.log('🗑️ Account deleted on the server');
+
+      await this.deleteLocalAccount(user, privateKey);
       return true;
     } catch (error) {
       console.error('Account deletion failed:', error);
       throw error;
     }
   }
+
+  // The account is already gone, so a step failing here doesn't stop the rest
+  static async deleteLocalAccount(user, privateKey) {
+    const steps = [
+      () => KeyRotationService.deleteRetiredKeys(privateKey),
+      () => PreKeyManager.deleteLocalPreKeys(privateKey),
+      () => DatabaseService.deleteUserData(user.id),
+      () => KeyManager.clearUserKeys(user.id),
+      () => BiometricAuthService.removeBiometricForUsername(user.username),
+      () => Storage.removeSecure(`device_${user.id}`),
+      () => Storage.removeSecure(`identity_rotated_at_${user.id}`),
+      () => KeyRotationService.clearPendingRotation(user.id),
+      () => this.logout()
+    ];
+
+    for (const step of steps) {
+      try {
+        await step();
+      } catch (error) {
+        console.error('Local account cleanup step failed:', error);
+      }
+    }
+    KeyVault.lock();
+    console.log('✅ Local account data removed');
+  }
+
+  static isAccountDeletedMessage(data) {
+    return data?.messageType === ACCOUNT_DELETED;
+  }
+
+  // Relayed by the server when a contact deletes their account
+  static async handleAccountDeletedMessage(data) {
+    try {
+      const applied = await IdentityKeyStore.applyAccountDeletion(data.senderId, JSON.parse(data.encryptedContent));
+      if (!applied) {
+        console.warn('⚠️ Ignoring account deletion notice not signed by the trusted key:', data.senderId);
+      }
+      return applied;
+    } catch (error) {
+      console.error('❌ Account deletion notice failed:', error);
+      return false;
+    }
+  }
 }
\ No newline at end of file
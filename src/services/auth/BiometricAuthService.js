@@ -3,6 +3,9 @@ import * as LocalAuthentication from 'expo-local-authentication';
 import { Alert } from 'react-native';
 import { Storage } from '../../utils/storage';
 
+// The OS only releases items stored with this after a biometric check
+const BIOMETRIC_KEY_OPTIONS = { requireAuthentication: true };
+
 export class BiometricAuthService {
   // Check if biometric authentication is available on the device
   static async isAvailable() {
@@ -71,12 +74,14 @@ export class BiometricAuthService {
         return false;
       }
 
+      // The key itself goes in a biometric-gated item; the list only keeps metadata
+      await Storage.setSecureString(this.getKeyItemName(username), derivedKey, BIOMETRIC_KEY_OPTIONS);
+
       // Get existing biometric users or create new object
       const biometricUsers = await Storage.getSecure('biometricUsers') || {};
       
       // Store credentials for this specific username
       biometricUsers[username] = {
-        derivedKey,
         registeredAt: Date.now(),
         biometricType: authResult.biometricType
       };
@@ -134,6 +139,19 @@ export class BiometricAuthService {
     }
   }
 
+  // Replace the stored key after it was re-derived (e.g. a KDF upgrade), keeping the enrolment
+  static async updateBiometricKey(username, derivedKey) {
+    try {
+      if (!(await this.isUsernameRegistered(username))) return false;
+
+      await Storage.setSecureString(this.getKeyItemName(username), derivedKey, BIOMETRIC_KEY_OPTIONS);
+      return true;
+    } catch (error) {
+      console.error('Error updating biometric key:', error);
+      return false;
+    }
+  }
+
   // Check if a specific username has biometric registered
   static async isUsernameRegistered(username) {
     try {
@@ -145,7 +163,7 @@ export class BiometricAuthService {
     }
   }
 
-  // Get biometric credentials for a specific username (requires authentication)
+  // Get biometric credentials for a specific username (prompts for biometrics)
   static async getBiometricCredentialsForUsername(username) {
     try {
       const biometricUsers = await Storage.getSecure('biometricUsers') || {};
@@ -164,9 +182,20 @@ export class BiometricAuthService {
         return null;
       }
 
+      // Reading the gated item is what shows the biometric prompt
+      const derivedKey = await Storage.getSecureString(this.getKeyItemName(username), {
+        ...BIOMETRIC_KEY_OPTIONS,
+        authenticationPrompt: `Unlock SecureChat as ${username}`
+      });
+
+      if (!derivedKey) {
+        console.log('Biometric key unavailable (cancelled or biometrics changed)');
+        return null;
+      }
+
       return {
         username,
-        derivedKey: userCredentials.derivedKey,
+        derivedKey,
         registeredAt: userCredentials.registeredAt
       };
     } catch (error) {
@@ -188,25 +217,13 @@ export class BiometricAuthService {
         };
       }
 
-      // Authenticate with biometric
-      const authResult = await this.authenticate(
-        `Login to SecureChat as ${username}`
-      );
-      
-      if (!authResult.success) {
-        return {
-          success: false,
-          error: authResult.error || 'Biometric authentication failed'
-        };
-      }
-
       // Get stored credentials for this username
       const credentials = await this.getBiometricCredentialsForUsername(username);
       
       if (!credentials) {
         return {
           success: false,
-          error: 'Failed to retrieve credentials'
+          error: 'Biometric authentication failed'
         };
       }
 
@@ -231,6 +248,7 @@ export class BiometricAuthService {
       const biometricUsers = await Storage.getSecure('biometricUsers') || {};
       delete biometricUsers[username];
       await Storage.setSecure('biometricUsers', biometricUsers);
+      await Storage.removeSecure(this.getKeyItemName(username));
       console.log(`✅ Biometric credentials removed for: ${username}`);
       return true;
     } catch (error) {
@@ -253,6 +271,10 @@ export class BiometricAuthService {
   // Clear all biometric credentials
   static async clearAllBiometricCredentials() {
     try {
+      const usernames = await this.getRegisteredUsernames();
+      for (const username of usernames) {
+        await Storage.removeSecure(this.getKeyItemName(username));
+      }
       await Storage.removeSecure('biometricUsers');
       console.log('✅ All biometric credentials cleared');
       return true;
@@ -262,6 +284,36 @@ export class BiometricAuthService {
     }
   }
 
+  // Older versions kept each derived key in the plain biometricUsers list.
+  // Move them into gated items and strip them from the list.
+  static async migrateLegacyCredentials() {
+    try {
+      const biometricUsers = await Storage.getSecure('biometricUsers') || {};
+      const legacy = Object.keys(biometricUsers).filter(name => biometricUsers[name].derivedKey);
+      if (legacy.length === 0) return;
+
+      for (const username of legacy) {
+        const { derivedKey, ...metadata } = biometricUsers[username];
+        try {
+          await Storage.setSecureString(this.getKeyItemName(username), derivedKey, BIOMETRIC_KEY_OPTIONS);
+          biometricUsers[username] = metadata;
+        } catch (error) {
+          // Can't gate it on this device, so the user will have to enrol again
+          delete biometricUsers[username];
+        }
+      }
+
+      await Storage.setSecure('biometricUsers', biometricUsers);
+      console.log(`🔐 Moved ${legacy.length} biometric credentials to gated storage`);
+    } catch (error) {
+      console.error('Error migrating biometric credentials:', error);
+    }
+  }
+
+  static getKeyItemName(username) {
+    return `biometric_key_${username}`;
+  }
+
   // Legacy methods for backward compatibility
   static async isBiometricEnabled() {
     try {
@@ -0,0 +1,88 @@
+// src/services/backup/BackupService.js
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { KeyManager } from '../crypto/KeyManager';
+import { DeviceManager } from '../crypto/DeviceManager';
+import { DatabaseService } from '../database/DatabaseService';
+
+const BACKUP_MIME_TYPE = 'application/json';
+const BACKUP_EXTENSION = '.scbackup';
+
+// Password-protected backup files: the identity key, contact trust state and,
+// optionally, message history, written to a file the user shares off the phone.
+export class BackupService {
+  static async createBackup(user, privateKey, password, { includeMessages = false } = {}) {
+    const data = await DatabaseService.getBackupData(user.id, { includeMessages });
+    const backup = await KeyManager.exportUserKeys(user, privateKey, password, {
+      ...data,
+      includesMessages: includeMessages
+    });
+    return JSON.stringify(backup);
+  }
+
+  // Write the backup to a temporary file and hand it to the share sheet
+  static async exportBackup(user, privateKey, password, options = {}) {
+    // A linked device only holds its own key, which can't stand in for the account's
+    if (DeviceManager.isLinkedDevice(user)) {
+      throw new Error('Back up your keys from your primary device');
+    }
+
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device');
+    }
+
+    const contents = await this.createBackup(user, privateKey, password, options);
+    const date = new Date().toISOString().slice(0, 10);
+    const fileUri = `${FileSystem.cacheDirectory}securechat-${user.username}-${date}${BACKUP_EXTENSION}`;
+
+    try {
+      await FileSystem.writeAsStringAsync(fileUri, contents);
+      await Sharing.shareAsync(fileUri, {
+        mimeType: BACKUP_MIME_TYPE,
+        dialogTitle: 'Save SecureChat Backup',
+        UTI: 'public.json'
+      });
+      console.log('✅ Backup exported');
+    } finally {
+      // Don't leave a copy lying around in the cache
+      await FileSystem.deleteAsync(fileUri, { idempotent: true });
+    }
+  }
+
+  // Contents of a backup file the user picks, or null if they cancelled
+  static async pickBackupFile() {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: '*/*',
+      copyToCacheDirectory: true
+    });
+    if (result.canceled || !result.assets?.length) return null;
+
+    const { uri, name } = result.assets[0];
+    try {
+      return { name, contents: await FileSystem.readAsStringAsync(uri) };
+    } finally {
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+    }
+  }
+
+  // Decrypt a backup file's contents
+  static async readBackup(contents, password) {
+    let backup;
+    try {
+      backup = JSON.parse(contents);
+    } catch (error) {
+      throw new Error('This is not a SecureChat backup');
+    }
+
+    if (backup.format && backup.format !== KeyManager.EXPORT_FORMAT) {
+      throw new Error('This is not a SecureChat backup');
+    }
+
+    return KeyManager.importUserKeys(backup, password);
+  }
+
+  static async restoreBackup(userId, backupData) {
+    await DatabaseService.restoreBackupData(userId, backupData);
+  }
+}
@@ -2,17 +2,45 @@
 import * as Crypto from 'expo-crypto';
 import CryptoJS from 'crypto-js';
 import { Buffer } from 'buffer';
+import { x25519, ed25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { KdfService } from './KdfService';
+
+// Serialized keys look like "v1.<x25519 base64>.<ed25519 base64>"
+const KEY_FORMAT_VERSION = 'v1';
+
+// Envelope version 3: XChaCha20-Poly1305 content, key wrapped to each recipient
+const MESSAGE_ENVELOPE_VERSION = 3;
+const KEY_WRAP_INFO = 'SecureChat message key wrap v3';
+const LEGACY_KEY_WRAP_INFO = 'SecureChat message key wrap v2';
+
+const MESSAGE_SIGNATURE_CONTEXT = 'securechat:message-signature:v1';
+const KEY_ROTATION_CONTEXT = 'securechat:identity-rotation:v1';
+const ACCOUNT_DELETION_CONTEXT = 'securechat:account-deletion:v1';
+const LOGIN_CHALLENGE_CONTEXT = 'securechat:login-challenge:v1';
+
+const AEAD_FORMAT_VERSION = 'x1';
+const PRIVATE_KEY_AD = 'securechat:private-key';
+const AUTH_KEY_INFO = 'SecureChat auth key v2';
 
 class CryptoServiceClass {
-  // Generate a simple key pair (simplified for demo - use proper RSA library in production)
+  // Generate an X25519 key-agreement pair plus an Ed25519 signing pair
   async generateKeyPair() {
     try {
-      // For demo purposes, we'll use a simplified approach
-      // In production, use react-native-rsa-native or similar
-      const keyId = await Crypto.getRandomBytesAsync(32);
-      const publicKey = Buffer.from(keyId).toString('hex') + '_public';
-      const privateKey = Buffer.from(keyId).toString('hex') + '_private';
-      
+      const [dhPrivateKey, signPrivateKey] = await Promise.all([
+        Crypto.getRandomBytesAsync(32),
+        Crypto.getRandomBytesAsync(32)
+      ]);
+
+      const publicKey = this.serializeKey(
+        x25519.getPublicKey(dhPrivateKey),
+        ed25519.getPublicKey(signPrivateKey)
+      );
+      const privateKey = this.serializeKey(dhPrivateKey, signPrivateKey);
+
       return {
         publicKey,
         privateKey
@@ -23,22 +51,98 @@ class CryptoServiceClass {
     }
   }
 
-  // Encrypt message content using AES (simplified)
-  async encryptMessage(message, recipientPublicKey) {
+  // Pack a key-agreement key and a signing key into one string
+  serializeKey(dhKey, signKey) {
+    return [
+      KEY_FORMAT_VERSION,
+      Buffer.from(dhKey).toString('base64'),
+      Buffer.from(signKey).toString('base64')
+    ].join('.');
+  }
+
+  // Unpack a serialized key into raw 32-byte key-agreement and signing keys
+  parseKey(serializedKey) {
+    if (typeof serializedKey !== 'string') {
+      throw new Error('Key must be a string');
+    }
+
+    if (this.isLegacyKey(serializedKey)) {
+      throw new Error('Legacy placeholder key - the account must generate new keys');
+    }
+
+    const [version, dhKey, signKey] = serializedKey.split('.');
+    if (version !== KEY_FORMAT_VERSION || !dhKey || !signKey) {
+      throw new Error('Unsupported key format');
+    }
+
+    const dh = new Uint8Array(Buffer.from(dhKey, 'base64'));
+    const sign = new Uint8Array(Buffer.from(signKey, 'base64'));
+    if (dh.length !== 32 || sign.length !== 32) {
+      throw new Error('Invalid key length');
+    }
+
+    return { dh, sign };
+  }
+
+  parsePublicKey(publicKey) {
+    return this.parseKey(publicKey);
+  }
+
+  parsePrivateKey(privateKey) {
+    return this.parseKey(privateKey);
+  }
+
+  // Derive the serialized public key from a serialized private key
+  getPublicKeyFromPrivate(privateKey) {
+    const { dh, sign } = this.parsePrivateKey(privateKey);
+    return this.serializeKey(x25519.getPublicKey(dh), ed25519.getPublicKey(sign));
+  }
+
+  // Keys created before real key pairs were "<hex>_public" / "<hex>_private"
+  isLegacyKey(key) {
+    return typeof key === 'string' && /_(public|private)$/.test(key);
+  }
+
+  isValidPublicKey(publicKey) {
     try {
-      // Generate AES key for this message
-      const aesKey = await this.generateAESKey();
+      this.parsePublicKey(publicKey);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Encrypt a message with a fresh content key wrapped to each recipient's public key.
+  // Pass the sender's own public key as well so they can read their history.
+  // `context` ({ chatId, senderId, timestamp }) is bound into the authentication tag.
+  async encryptMessage(message, recipientPublicKeys, context) {
+    try {
+      const recipients = [...new Set(
+        (Array.isArray(recipientPublicKeys) ? recipientPublicKeys : [recipientPublicKeys]).filter(Boolean)
+      )];
+      if (recipients.length === 0) {
+        throw new Error('No recipient public key available');
+      }
+
+      // Generate a content key for this message
+      const contentKey = await this.generateSymmetricKey();
       
-      // Encrypt message with AES
-      const encryptedMessage = this.encryptWithAES(message, aesKey);
+      // Encrypt message, binding chat, sender and timestamp as associated data
+      const encryptedMessage = this.encryptWithAEAD(
+        message,
+        contentKey,
+        this.buildMessageAssociatedData(context)
+      );
       
-      // For demo, we'll just base64 encode the key (NOT SECURE)
-      // In production, encrypt with recipient's RSA public key
-      const encryptedAESKey = Buffer.from(aesKey).toString('base64');
+      // Wrap the content key to every recipient
+      const keys = await Promise.all(
+        recipients.map(publicKey => this.wrapKey(contentKey, publicKey))
+      );
       
       return {
+        version: MESSAGE_ENVELOPE_VERSION,
         encryptedContent: encryptedMessage,
-        encryptedKey: encryptedAESKey
+        keys
       };
     } catch (error) {
       console.error('Message encryption failed:', error);
@@ -46,99 +150,303 @@ class CryptoServiceClass {
     }
   }
 
-  // Decrypt message content
-  async decryptMessage(encryptedData, privateKey) {
+  // Decrypt message content. Envelopes older than version 3 have no integrity
+  // check, so they are only accepted with `allowLegacy` (rows already stored
+  // locally), never for messages arriving from the network.
+  async decryptMessage(encryptedData, privateKey, context, { allowLegacy = false } = {}) {
     try {
-      const { encryptedContent, encryptedKey } = encryptedData;
-      
-      // For demo, decode the key (NOT SECURE)
-      // In production, decrypt with user's RSA private key
-      const aesKey = Buffer.from(encryptedKey, 'base64').toString();
-      
-      // Decrypt message with AES key
-      const decryptedMessage = this.decryptWithAES(encryptedContent, aesKey);
-      
-      return decryptedMessage;
+      const version = encryptedData.version || 1;
+
+      if (version < MESSAGE_ENVELOPE_VERSION) {
+        if (!allowLegacy) {
+          throw new Error(`Rejected unauthenticated message envelope (version ${version})`);
+        }
+        return this.decryptLegacyMessage(encryptedData, privateKey);
+      }
+
+      if (version !== MESSAGE_ENVELOPE_VERSION) {
+        throw new Error(`Unsupported message envelope version: ${version}`);
+      }
+
+      const { dh } = this.parsePrivateKey(privateKey);
+      const keyId = this.getKeyId(x25519.getPublicKey(dh));
+      const wrappedKey = (encryptedData.keys || []).find(entry => entry.keyId === keyId);
+      if (!wrappedKey) {
+        throw new Error('Message was not encrypted for this key');
+      }
+
+      // Unwrap the content key, then decrypt and authenticate the message
+      const contentKey = this.unwrapKey(wrappedKey, dh);
+      return this.decryptWithAEAD(
+        encryptedData.encryptedContent,
+        contentKey,
+        this.buildMessageAssociatedData(context)
+      );
     } catch (error) {
       console.error('Message decryption failed:', error);
       throw error;
     }
   }
 
-  // Generate AES key
-  async generateAESKey() {
-    const key = await Crypto.getRandomBytesAsync(32); // 256-bit key
+  // Hand a stored message to a new key of ours without touching its content:
+  // the content key is unwrapped with the old key and wrapped to the new one
+  async rewrapMessage(encryptedData, privateKey, newPublicKey) {
+    if (encryptedData.version !== MESSAGE_ENVELOPE_VERSION) {
+      throw new Error(`Cannot re-wrap message envelope version ${encryptedData.version}`);
+    }
+
+    const { dh } = this.parsePrivateKey(privateKey);
+    const keyId = this.getKeyId(x25519.getPublicKey(dh));
+    const wrappedKey = (encryptedData.keys || []).find(entry => entry.keyId === keyId);
+    if (!wrappedKey) {
+      throw new Error('Message was not encrypted for this key');
+    }
+
+    return {
+      ...encryptedData,
+      keys: [await this.wrapKey(this.unwrapKey(wrappedKey, dh), newPublicKey)]
+    };
+  }
+
+  // Version 1 carried the key base64-encoded in the clear; version 2 wrapped it
+  // with ECDH but still used CryptoJS passphrase AES without authentication
+  decryptLegacyMessage(encryptedData, privateKey) {
+    console.warn('⚠️ Decrypting legacy unauthenticated message envelope');
+    const version = encryptedData.version || 1;
+
+    let aesKey;
+    if (version === 1) {
+      aesKey = Buffer.from(encryptedData.encryptedKey, 'base64').toString();
+    } else {
+      const { dh } = this.parsePrivateKey(privateKey);
+      const keyId = this.getKeyId(x25519.getPublicKey(dh));
+      const wrappedKey = (encryptedData.keys || []).find(entry => entry.keyId === keyId);
+      if (!wrappedKey) {
+        throw new Error('Message was not encrypted for this key');
+      }
+
+      const ephemeralPublicKey = new Uint8Array(Buffer.from(wrappedKey.ephemeralPublicKey, 'base64'));
+      const wrappingKey = this.deriveWrappingKey(
+        x25519.getSharedSecret(dh, ephemeralPublicKey),
+        ephemeralPublicKey,
+        x25519.getPublicKey(dh),
+        LEGACY_KEY_WRAP_INFO
+      );
+      aesKey = this.decryptLegacyAES(wrappedKey.encryptedKey, wrappingKey);
+    }
+
+    const decryptedMessage = this.decryptLegacyAES(encryptedData.encryptedContent, aesKey);
+    if (!decryptedMessage) {
+      throw new Error('Message content could not be decrypted');
+    }
+    return decryptedMessage;
+  }
+
+  // Associated data shared by sender and recipient for one message
+  buildMessageAssociatedData(context) {
+    if (!context || context.chatId == null || context.senderId == null || context.timestamp == null) {
+      throw new Error('Message context (chatId, senderId, timestamp) is required');
+    }
+    return `securechat:message:${context.chatId}:${context.senderId}:${context.timestamp}`;
+  }
+
+  // Wrap a symmetric key to a recipient: ephemeral X25519 ECDH, then HKDF-SHA256
+  async wrapKey(keyToWrap, recipientPublicKey) {
+    const { dh: recipientDhKey } = this.parsePublicKey(recipientPublicKey);
+    const ephemeralPrivateKey = await Crypto.getRandomBytesAsync(32);
+    const ephemeralPublicKey = x25519.getPublicKey(ephemeralPrivateKey);
+
+    const wrappingKey = this.deriveWrappingKey(
+      x25519.getSharedSecret(ephemeralPrivateKey, recipientDhKey),
+      ephemeralPublicKey,
+      recipientDhKey
+    );
+    const keyId = this.getKeyId(recipientDhKey);
+
+    return {
+      keyId,
+      ephemeralPublicKey: Buffer.from(ephemeralPublicKey).toString('base64'),
+      encryptedKey: this.encryptWithAEAD(keyToWrap, wrappingKey, `securechat:key-wrap:${keyId}`)
+    };
+  }
+
+  // Unwrap a symmetric key with our raw X25519 private key
+  unwrapKey(wrappedKey, dhPrivateKey) {
+    const ephemeralPublicKey = new Uint8Array(Buffer.from(wrappedKey.ephemeralPublicKey, 'base64'));
+    const ownPublicKey = x25519.getPublicKey(dhPrivateKey);
+
+    const wrappingKey = this.deriveWrappingKey(
+      x25519.getSharedSecret(dhPrivateKey, ephemeralPublicKey),
+      ephemeralPublicKey,
+      ownPublicKey
+    );
+
+    return this.decryptWithAEAD(
+      wrappedKey.encryptedKey,
+      wrappingKey,
+      `securechat:key-wrap:${wrappedKey.keyId}`
+    );
+  }
+
+  // Bind the derived key to both public keys involved in the exchange
+  deriveWrappingKey(sharedSecret, ephemeralPublicKey, recipientPublicKey, info = KEY_WRAP_INFO) {
+    const salt = new Uint8Array([...ephemeralPublicKey, ...recipientPublicKey]);
+    const key = hkdf(sha256, sharedSecret, salt, info, 32);
+    return Buffer.from(key).toString('hex');
+  }
+
+  // Short identifier for a raw X25519 public key, used to pick our wrapped key
+  getKeyId(dhPublicKey) {
+    return this.hashData(Buffer.from(dhPublicKey).toString('base64')).substring(0, 16);
+  }
+
+  // Generate a 256-bit symmetric key as hex
+  async generateSymmetricKey() {
+    const key = await Crypto.getRandomBytesAsync(32);
     return Buffer.from(key).toString('hex');
   }
 
-  // AES encryption using CryptoJS
-  encryptWithAES(data, key) {
+  // Authenticated encryption with XChaCha20-Poly1305 and a random 192-bit nonce.
+  // Output is "x1.<nonce base64>.<ciphertext+tag base64>".
+  encryptWithAEAD(data, key, associatedData = '') {
     try {
-      const encrypted = CryptoJS.AES.encrypt(data, key).toString();
-      return encrypted;
+      const nonce = Crypto.getRandomBytes(24);
+      const cipher = xchacha20poly1305(this.parseSymmetricKey(key), nonce, utf8ToBytes(associatedData));
+      const ciphertext = cipher.encrypt(utf8ToBytes(data));
+
+      return [
+        AEAD_FORMAT_VERSION,
+        Buffer.from(nonce).toString('base64'),
+        Buffer.from(ciphertext).toString('base64')
+      ].join('.');
     } catch (error) {
-      console.error('AES encryption failed:', error);
+      console.error('AEAD encryption failed:', error);
       throw error;
     }
   }
 
-  // AES decryption using CryptoJS
-  decryptWithAES(encryptedData, key) {
+  // Throws if the ciphertext, nonce or associated data were tampered with
+  decryptWithAEAD(encryptedData, key, associatedData = '') {
+    const [version, nonce, ciphertext] = String(encryptedData).split('.');
+    if (version !== AEAD_FORMAT_VERSION || !nonce || !ciphertext) {
+      throw new Error('Unsupported ciphertext format');
+    }
+
     try {
-      const decrypted = CryptoJS.AES.decrypt(encryptedData, key);
-      return decrypted.toString(CryptoJS.enc.Utf8);
+      const cipher = xchacha20poly1305(
+        this.parseSymmetricKey(key),
+        new Uint8Array(Buffer.from(nonce, 'base64')),
+        utf8ToBytes(associatedData)
+      );
+      const plaintext = cipher.decrypt(new Uint8Array(Buffer.from(ciphertext, 'base64')));
+      return Buffer.from(plaintext).toString('utf8');
     } catch (error) {
-      console.error('AES decryption failed:', error);
-      throw error;
+      throw new Error('Decryption failed: ciphertext could not be authenticated');
+    }
+  }
+
+  // Ciphertexts produced by CryptoJS passphrase AES before AEAD was introduced
+  isLegacyCiphertext(encryptedData) {
+    return typeof encryptedData === 'string' && !encryptedData.startsWith(`${AEAD_FORMAT_VERSION}.`);
+  }
+
+  // Symmetric keys are 32 bytes passed around as hex strings
+  parseSymmetricKey(key) {
+    const bytes = new Uint8Array(Buffer.from(key, 'hex'));
+    if (bytes.length !== 32) {
+      throw new Error('Symmetric key must be 32 bytes');
     }
+    return bytes;
   }
 
-  // Simplified RSA operations (for demo - replace with real RSA in production)
-  async encryptWithRSA(data, publicKey) {
-    // Simplified: just base64 encode (NOT SECURE)
-    // In production, use proper RSA encryption
-    console.warn('Using simplified RSA - NOT SECURE for production');
-    return Buffer.from(data).toString('base64');
+  // Wrap the account private key with a password- or device-derived key
+  wrapPrivateKey(privateKey, wrappingKey) {
+    return this.encryptWithAEAD(privateKey, wrappingKey, PRIVATE_KEY_AD);
   }
 
-  async decryptWithRSA(encryptedData, privateKey) {
-    // Simplified: just base64 decode (NOT SECURE)
-    // In production, use proper RSA decryption
-    console.warn('Using simplified RSA - NOT SECURE for production');
-    return Buffer.from(encryptedData, 'base64').toString();
+  // Unwrap the account private key, accepting pre-AEAD wrapping from older installs
+  unwrapPrivateKey(encryptedPrivateKey, wrappingKey) {
+    if (this.isLegacyCiphertext(encryptedPrivateKey)) {
+      const privateKey = this.decryptLegacyAES(encryptedPrivateKey, wrappingKey);
+      if (!privateKey) {
+        throw new Error('Private key could not be decrypted');
+      }
+      return privateKey;
+    }
+    return this.decryptWithAEAD(encryptedPrivateKey, wrappingKey, PRIVATE_KEY_AD);
+  }
+
+  // Legacy CryptoJS passphrase AES (EVP_BytesToKey, CBC, no integrity check).
+  // Only used to read data written by older versions of the app.
+  decryptLegacyAES(encryptedData, key) {
+    try {
+      const decrypted = CryptoJS.AES.decrypt(encryptedData, key);
+      return decrypted.toString(CryptoJS.enc.Utf8);
+    } catch (error) {
+      console.error('Legacy AES decryption failed:', error);
+      throw error;
+    }
   }
 
-  // Password-based key derivation using CryptoJS
-  async deriveKeyFromPassword(password, salt) {
+  // Password-based key derivation. kdfParams is a KdfService parameter string,
+  // or a bare salt for records that predate stored parameters.
+  async deriveKeyFromPassword(password, kdfParams) {
     try {
-      const key = CryptoJS.PBKDF2(password, salt, {
-        keySize: 256/32,
-        iterations: 100000
-      });
-      return key.toString();
+      return await KdfService.deriveKey(password, kdfParams);
     } catch (error) {
       console.error('Key derivation failed:', error);
       throw error;
     }
   }
 
-  // Generate salt for password hashing
+  // The password's stand-in on the server: an Ed25519 seed derived one-way from the
+  // password-derived key. The server only keeps the public half, so what it stores
+  // can check a login proof but can't be used to make one.
+  deriveAuthKey(derivedKey, info = AUTH_KEY_INFO) {
+    const seed = hkdf(sha256, new Uint8Array(Buffer.from(derivedKey, 'hex')), undefined, info, 32);
+    return Buffer.from(seed).toString('hex');
+  }
+
+  getAuthPublicKey(authKey) {
+    return Buffer.from(ed25519.getPublicKey(new Uint8Array(Buffer.from(authKey, 'hex')))).toString('base64');
+  }
+
+  // Answer to a password challenge, checked against the public auth key
+  signAuthChallenge(authKey, challenge) {
+    const signature = ed25519.sign(this.buildLoginChallengeData(challenge), new Uint8Array(Buffer.from(authKey, 'hex')));
+    return Buffer.from(signature).toString('base64');
+  }
+
+  // Devices whose password is their own answer with their device key instead
+  signLoginChallenge(privateKey, challenge) {
+    const { sign } = this.parsePrivateKey(privateKey);
+    const signature = ed25519.sign(this.buildLoginChallengeData(challenge), sign);
+    return Buffer.from(signature).toString('base64');
+  }
+
+  buildLoginChallengeData({ username, challengeId, challenge }) {
+    return utf8ToBytes(JSON.stringify([LOGIN_CHALLENGE_CONTEXT, username, String(challengeId), challenge]));
+  }
+
+  // Generate a random salt
   async generateSalt() {
     const salt = await Crypto.getRandomBytesAsync(32);
     return Buffer.from(salt).toString('hex');
   }
 
+  // New password KDF parameters (algorithm, cost and salt) for a new record
+  async generateKdfParams() {
+    return KdfService.generateParams();
+  }
+
   // Hash password for storage
-  hashPassword(password, salt) {
-    return CryptoJS.PBKDF2(password, salt, {
-      keySize: 256/32,
-      iterations: 100000
-    }).toString();
+  async hashPassword(password, kdfParams) {
+    return KdfService.deriveKey(password, kdfParams);
   }
 
   // Verify password
-  verifyPassword(password, salt, hash) {
-    const computedHash = this.hashPassword(password, salt);
+  async verifyPassword(password, kdfParams, hash) {
+    const computedHash = await this.hashPassword(password, kdfParams);
     return computedHash === hash;
   }
 
@@ -153,6 +461,135 @@ class CryptoServiceClass {
     return CryptoJS.SHA256(data).toString();
   }
 
+  // MESSAGE SIGNATURES
+
+  // Sign an outgoing wire message with our identity signing key, so the server
+  // can't change who it claims the message is from. Returns a base64 signature.
+  signMessage(message, privateKey) {
+    const { sign } = this.parsePrivateKey(privateKey);
+    const signature = ed25519.sign(this.buildMessageSignatureData(message), sign);
+    return Buffer.from(signature).toString('base64');
+  }
+
+  verifyMessageSignature(message, publicKey) {
+    try {
+      if (!message.signature) return false;
+
+      const { sign } = this.parsePublicKey(publicKey);
+      const signature = new Uint8Array(Buffer.from(message.signature, 'base64'));
+      return ed25519.verify(signature, this.buildMessageSignatureData(message), sign);
+    } catch (error) {
+      console.warn('Message signature check failed:', error.message);
+      return false;
+    }
+  }
+
+  // KEY ROTATION STATEMENTS
+
+  // Signed with the key being retired, so contacts who trust it can follow the
+  // account to its new key without treating it as a suspicious change
+  signKeyRotation(previousPrivateKey, { userId, publicKey, timestamp }) {
+    const rotation = {
+      userId,
+      previousPublicKey: this.getPublicKeyFromPrivate(previousPrivateKey),
+      publicKey,
+      timestamp
+    };
+    const { sign } = this.parsePrivateKey(previousPrivateKey);
+    const signature = ed25519.sign(this.buildKeyRotationData(rotation), sign);
+    return { ...rotation, signature: Buffer.from(signature).toString('base64') };
+  }
+
+  verifyKeyRotation(rotation) {
+    try {
+      if (!rotation?.signature || !rotation.previousPublicKey || !this.isValidPublicKey(rotation.publicKey)) {
+        return false;
+      }
+
+      const { sign } = this.parsePublicKey(rotation.previousPublicKey);
+      const signature = new Uint8Array(Buffer.from(rotation.signature, 'base64'));
+      return ed25519.verify(signature, this.buildKeyRotationData(rotation), sign);
+    } catch (error) {
+      console.warn('Key rotation check failed:', error.message);
+      return false;
+    }
+  }
+
+  // Follow a user's rotation statements from a key we trust. Returns the keys
+  // reached in order, stopping at the first statement that doesn't chain on.
+  followKeyRotations(userId, trustedPublicKey, rotations) {
+    const chain = [];
+    let current = trustedPublicKey;
+
+    for (const rotation of [...rotations].sort((a, b) => a.timestamp - b.timestamp)) {
+      if (rotation.previousPublicKey !== current) continue;
+      if (String(rotation.userId) !== String(userId) || !this.verifyKeyRotation(rotation)) break;
+      chain.push(rotation);
+      current = rotation.publicKey;
+    }
+    return chain;
+  }
+
+  buildKeyRotationData({ userId, previousPublicKey, publicKey, timestamp }) {
+    return utf8ToBytes(JSON.stringify([KEY_ROTATION_CONTEXT, String(userId), previousPublicKey, publicKey, String(timestamp)]));
+  }
+
+  // ACCOUNT DELETION NOTICES
+
+  // Signed with the identity key contacts know us by, so the server can tell
+  // them the account is gone but can't claim it for anyone else
+  signAccountDeletion(privateKey, { userId, timestamp }) {
+    const notice = {
+      userId,
+      publicKey: this.getPublicKeyFromPrivate(privateKey),
+      timestamp
+    };
+    const { sign } = this.parsePrivateKey(privateKey);
+    const signature = ed25519.sign(this.buildAccountDeletionData(notice), sign);
+    return { ...notice, signature: Buffer.from(signature).toString('base64') };
+  }
+
+  verifyAccountDeletion(notice) {
+    try {
+      if (!notice?.signature || !this.isValidPublicKey(notice.publicKey)) return false;
+
+      const { sign } = this.parsePublicKey(notice.publicKey);
+      const signature = new Uint8Array(Buffer.from(notice.signature, 'base64'));
+      return ed25519.verify(signature, this.buildAccountDeletionData(notice), sign);
+    } catch (error) {
+      console.warn('Account deletion check failed:', error.message);
+      return false;
+    }
+  }
+
+  buildAccountDeletionData({ userId, publicKey, timestamp }) {
+    return utf8ToBytes(JSON.stringify([ACCOUNT_DELETION_CONTEXT, String(userId), publicKey, String(timestamp)]));
+  }
+
+  // Everything the server relays that a reader relies on. Ids go in as strings
+  // because they don't always keep their type on the way through.
+  buildMessageSignatureData({ chatId, senderId, senderUsername, recipientId, messageType, timestamp, encryptedContent, senderDeviceId, recipientDeviceId }) {
+    const fields = [
+      MESSAGE_SIGNATURE_CONTEXT,
+      String(chatId),
+      String(senderId),
+      senderUsername || '',
+      recipientId != null ? String(recipientId) : '',
+      messageType || 'text',
+      String(timestamp),
+      encryptedContent || ''
+    ];
+
+    // Only messages from multi-device clients carry device ids
+    if (senderDeviceId != null || recipientDeviceId != null) {
+      fields.push(
+        senderDeviceId != null ? String(senderDeviceId) : '',
+        recipientDeviceId != null ? String(recipientDeviceId) : ''
+      );
+    }
+    return utf8ToBytes(JSON.stringify(fields));
+  }
+
   // Generate HMAC
   generateHMAC(data, key) {
     return CryptoJS.HmacSHA256(data, key).toString();
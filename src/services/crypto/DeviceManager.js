@@ -0,0 +1,338 @@
+// src/services/crypto/DeviceManager.js
+import * as Crypto from 'expo-crypto';
+import * as Device from 'expo-device';
+import { Buffer } from 'buffer';
+import { x25519, ed25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { CryptoService } from './CryptoService';
+import { ApiService } from '../network/ApiService';
+import { Storage } from '../../utils/storage';
+
+export const DEVICE_LINK_QR_TYPE = 'securechat-device-link';
+const DEVICE_LINK_QR_VERSION = 1;
+
+const DEVICE_CERTIFICATE_CONTEXT = 'securechat:device-certificate:v1';
+const LINK_KEY_INFO = 'SecureChat device link v1';
+const LINK_PAYLOAD_AD = 'securechat:device-link';
+const DEVICE_LIST_TTL = 60 * 1000; // 1 minute
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+const fromBase64 = (value) => new Uint8Array(Buffer.from(value, 'base64'));
+
+// Several devices per account. The device the account was registered on holds the
+// account identity key, which contacts trust and compare safety numbers against.
+// Every linked device has its own identity key, vouched for by a certificate the
+// account key signed when the device was linked. Peers only talk to devices whose
+// certificate checks out against the account key they trust.
+export class DeviceManager {
+  static deviceCache = new Map();
+
+  // LOCAL DEVICE
+
+  // { deviceId, publicKey, accountPublicKey, certificate } for this phone.
+  // Kept across logouts like the local database, so a relogin stays the same device.
+  static async getLocalDevice(userId) {
+    return Storage.getSecure(`device_${userId}`);
+  }
+
+  static async saveLocalDevice(userId, device) {
+    await Storage.setSecure(`device_${userId}`, device);
+  }
+
+  // Fill in this device's details on a user built from a server response. On a
+  // linked device publicKey is the device's own key (the one the vault unlocks)
+  // and accountPublicKey is what contacts know us by.
+  static async applyLocalDevice(user, deviceId = null) {
+    const device = await this.getLocalDevice(user.id);
+
+    if (device?.accountPublicKey) {
+      if (device.accountPublicKey !== user.publicKey) {
+        await this.followAccountRotation(user, device);
+      }
+      return {
+        ...user,
+        publicKey: device.publicKey,
+        accountPublicKey: user.publicKey,
+        deviceId: device.deviceId
+      };
+    }
+
+    const currentDeviceId = deviceId ?? device?.deviceId ?? null;
+    if (currentDeviceId != null && currentDeviceId !== device?.deviceId) {
+      await this.saveLocalDevice(user.id, { deviceId: currentDeviceId });
+    }
+    return { ...user, deviceId: currentDeviceId };
+  }
+
+  // The primary device rotated the account key. Follow it if the key we were
+  // linked under signed the change over, otherwise just flag it.
+  static async followAccountRotation(user, device) {
+    try {
+      const { rotations = [] } = await ApiService.getKeyRotations(user.id);
+      const chain = CryptoService.followKeyRotations(user.id, device.accountPublicKey, rotations);
+      if (chain.length > 0 && chain[chain.length - 1].publicKey === user.publicKey) {
+        await this.saveLocalDevice(user.id, { ...device, accountPublicKey: user.publicKey });
+        this.clearDeviceCache(user.id);
+        console.log('🔄 Followed account key rotation');
+        return;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not check account key rotations:', error.message);
+    }
+    console.warn('⚠️ Account key changed since this device was linked');
+  }
+
+  // This device holds the account key itself again, e.g. after restoring it
+  static async usePrimaryDevice(user, deviceId = null) {
+    await this.saveLocalDevice(user.id, { deviceId });
+    return { ...user, deviceId };
+  }
+
+  static isLinkedDevice(user) {
+    return !!user?.accountPublicKey;
+  }
+
+  // The key contacts see for this account, whichever device we're on
+  static getAccountPublicKey(user) {
+    return user?.accountPublicKey || user?.publicKey;
+  }
+
+  static getDeviceName() {
+    return Device.deviceName || Device.modelName || 'New device';
+  }
+
+  // CERTIFICATES
+
+  static signDeviceCertificate(accountPrivateKey, { userId, deviceId, publicKey }) {
+    const { sign } = CryptoService.parsePrivateKey(accountPrivateKey);
+    return toBase64(ed25519.sign(this.getCertificateBytes({ userId, deviceId, publicKey }), sign));
+  }
+
+  static verifyDeviceCertificate(accountPublicKey, { userId, deviceId, publicKey, certificate }) {
+    try {
+      if (!certificate) return false;
+      const { sign } = CryptoService.parsePublicKey(accountPublicKey);
+      return ed25519.verify(
+        fromBase64(certificate),
+        this.getCertificateBytes({ userId, deviceId, publicKey }),
+        sign
+      );
+    } catch (error) {
+      console.warn('Device certificate check failed:', error.message);
+      return false;
+    }
+  }
+
+  static getCertificateBytes({ userId, deviceId, publicKey }) {
+    return utf8ToBytes(JSON.stringify([DEVICE_CERTIFICATE_CONTEXT, String(userId), String(deviceId), publicKey]));
+  }
+
+  // DEVICE LISTS
+
+  // A user's devices that the given account key vouches for: the device holding the
+  // account key itself, plus linked devices with a valid certificate. Servers without
+  // device support give a single device with no id.
+  static async getDevices(userId, accountPublicKey, { refresh = false } = {}) {
+    const cacheId = String(userId);
+    const cached = this.deviceCache.get(cacheId);
+    if (!refresh && cached && cached.accountPublicKey === accountPublicKey &&
+        Date.now() - cached.fetchedAt < DEVICE_LIST_TTL) {
+      return cached.devices;
+    }
+
+    let listed = [];
+    try {
+      const response = await ApiService.getUserDevices(userId);
+      listed = response.devices || [];
+    } catch (error) {
+      console.warn('⚠️ No device list for user:', userId, error.message);
+    }
+
+    let devices = listed
+      .filter(device => device.publicKey === accountPublicKey ||
+        this.verifyDeviceCertificate(accountPublicKey, { userId, ...device }))
+      .map(({ deviceId, publicKey }) => ({ deviceId, publicKey }));
+
+    const rejected = listed.length - devices.length;
+    if (rejected > 0) {
+      console.warn(`⚠️ Ignored ${rejected} device(s) not signed by the account key of user:`, userId);
+    }
+    if (devices.length === 0) {
+      devices = [{ deviceId: null, publicKey: accountPublicKey }];
+    }
+
+    this.deviceCache.set(cacheId, { accountPublicKey, devices, fetchedAt: Date.now() });
+    return devices;
+  }
+
+  // Identity key of one of a user's devices, or null if their account key doesn't vouch for it
+  static async getDeviceKey(userId, deviceId, accountPublicKey) {
+    if (deviceId == null) return accountPublicKey;
+
+    const findDevice = devices => devices.find(device => String(device.deviceId) === String(deviceId));
+    let device = findDevice(await this.getDevices(userId, accountPublicKey));
+    if (!device) {
+      // Might have been linked since we last looked
+      device = findDevice(await this.getDevices(userId, accountPublicKey, { refresh: true }));
+    }
+    return device ? device.publicKey : null;
+  }
+
+  static clearDeviceCache(userId = null) {
+    if (userId == null) {
+      this.deviceCache.clear();
+    } else {
+      this.deviceCache.delete(String(userId));
+    }
+  }
+
+  // Our own devices, with names and last-seen times for the device list
+  static async getOwnDevices() {
+    const response = await ApiService.getDevices();
+    return response.devices || [];
+  }
+
+  static async revokeDevice(deviceId) {
+    await ApiService.revokeDevice(deviceId);
+    this.clearDeviceCache();
+    console.log('🗑️ Device revoked:', deviceId);
+  }
+
+  // LINKING
+  // The existing device shows a QR code with a one-time key. The new device scans it,
+  // sends its identity key and its own one-time key through the server, and both
+  // sides show a code derived from the two one-time keys. Once the user has checked
+  // the codes match, the existing device certifies the new key and sends the account
+  // details encrypted under the shared key.
+
+  // Existing device: open a link and get the QR payload to show
+  static async createLink() {
+    const ephemeralPrivateKey = await Crypto.getRandomBytesAsync(32);
+    const response = await ApiService.createDeviceLink();
+
+    return {
+      linkId: response.linkId,
+      ephemeralPrivateKey: Buffer.from(ephemeralPrivateKey).toString('hex'),
+      qrPayload: JSON.stringify({
+        type: DEVICE_LINK_QR_TYPE,
+        version: DEVICE_LINK_QR_VERSION,
+        linkId: response.linkId,
+        key: toBase64(x25519.getPublicKey(ephemeralPrivateKey))
+      })
+    };
+  }
+
+  static parseLinkQr(data) {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      throw new Error('Not a SecureChat device link code');
+    }
+
+    if (payload?.type !== DEVICE_LINK_QR_TYPE || !payload.linkId || !payload.key) {
+      throw new Error('Not a SecureChat device link code');
+    }
+    if (payload.version !== DEVICE_LINK_QR_VERSION) {
+      throw new Error('This link code is from a different version of SecureChat');
+    }
+    return payload;
+  }
+
+  // New device: answer a scanned QR code with a fresh identity key
+  static async requestLink(qrData) {
+    const { linkId, key } = this.parseLinkQr(qrData);
+    const [keyPair, ephemeralPrivateKey] = await Promise.all([
+      CryptoService.generateKeyPair(),
+      Crypto.getRandomBytesAsync(32)
+    ]);
+    const ephemeralKey = toBase64(x25519.getPublicKey(ephemeralPrivateKey));
+
+    await ApiService.requestDeviceLink(linkId, {
+      publicKey: keyPair.publicKey,
+      ephemeralKey,
+      name: this.getDeviceName()
+    });
+
+    const linkKey = this.deriveLinkKey(ephemeralPrivateKey, key, key, ephemeralKey);
+    return { linkId, keyPair, linkKey, code: this.getLinkCode(linkKey) };
+  }
+
+  // Either side: where the link is up to ('waiting', 'requested', 'approved' or 'expired')
+  static async getLinkStatus(linkId) {
+    return ApiService.getDeviceLink(linkId);
+  }
+
+  // Existing device: the key shared with the device that answered, and the code to compare
+  static openLinkRequest(link, request) {
+    const ephemeralPrivateKey = new Uint8Array(Buffer.from(link.ephemeralPrivateKey, 'hex'));
+    const ownEphemeralKey = toBase64(x25519.getPublicKey(ephemeralPrivateKey));
+    const linkKey = this.deriveLinkKey(ephemeralPrivateKey, request.ephemeralKey, ownEphemeralKey, request.ephemeralKey);
+    return { linkKey, code: this.getLinkCode(linkKey) };
+  }
+
+  // Existing device: only the device holding the account key can vouch for a new one
+  static async approveLink(link, request, { user, accountPrivateKey }) {
+    if (CryptoService.getPublicKeyFromPrivate(accountPrivateKey) !== user.publicKey) {
+      throw new Error('Only the device holding the account key can link devices');
+    }
+
+    const { linkKey } = this.openLinkRequest(link, request);
+    const device = { userId: user.id, deviceId: request.deviceId, publicKey: request.publicKey };
+    const certificate = this.signDeviceCertificate(accountPrivateKey, device);
+    const payload = CryptoService.encryptWithAEAD(
+      JSON.stringify({
+        userId: user.id,
+        username: user.username,
+        accountPublicKey: user.publicKey,
+        deviceId: request.deviceId,
+        devicePublicKey: request.publicKey,
+        certificate
+      }),
+      linkKey,
+      LINK_PAYLOAD_AD
+    );
+
+    await ApiService.approveDeviceLink(link.linkId, { deviceId: request.deviceId, certificate, payload });
+    this.clearDeviceCache(user.id);
+    console.log('🔗 Linked new device:', request.name || request.deviceId);
+  }
+
+  // New device: open the approved payload and check it certifies our key
+  static readApprovedLink(pending, approval) {
+    let account;
+    try {
+      account = JSON.parse(CryptoService.decryptWithAEAD(approval.payload, pending.linkKey, LINK_PAYLOAD_AD));
+    } catch (error) {
+      throw new Error('The link could not be verified');
+    }
+
+    const certified = account.devicePublicKey === pending.keyPair.publicKey &&
+      this.verifyDeviceCertificate(account.accountPublicKey, {
+        userId: account.userId,
+        deviceId: account.deviceId,
+        publicKey: account.devicePublicKey,
+        certificate: account.certificate
+      });
+    if (!certified) {
+      throw new Error('The link could not be verified');
+    }
+    return account;
+  }
+
+  // Both one-time keys go in as the salt in the same order on both sides
+  static deriveLinkKey(ephemeralPrivateKey, peerEphemeralKey, existingDeviceKey, newDeviceKey) {
+    const sharedSecret = x25519.getSharedSecret(ephemeralPrivateKey, fromBase64(peerEphemeralKey));
+    const salt = new Uint8Array(Buffer.concat([Buffer.from(existingDeviceKey, 'base64'), Buffer.from(newDeviceKey, 'base64')]));
+    return Buffer.from(hkdf(sha256, sharedSecret, salt, LINK_KEY_INFO, 32)).toString('hex');
+  }
+
+  // Six digits for the user to compare on both screens
+  static getLinkCode(linkKey) {
+    const digest = sha256(utf8ToBytes(`securechat:device-link-code:${linkKey}`));
+    const value = Buffer.from(digest.slice(0, 4)).readUInt32BE(0) % 1000000;
+    return value.toString().padStart(6, '0');
+  }
+}
@@ -0,0 +1,212 @@
+// src/services/crypto/DoubleRatchet.js
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import { x25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha2';
+import { CryptoService } from './CryptoService';
+
+// Limits on skipped message keys so a malicious header can't exhaust memory
+const MAX_SKIP = 1000;
+const MAX_STORED_SKIPPED_KEYS = 2000;
+
+const ROOT_KDF_INFO = 'SecureChat double ratchet v1';
+const MESSAGE_KEY_SEED = new Uint8Array([0x01]);
+const CHAIN_KEY_SEED = new Uint8Array([0x02]);
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+const fromBase64 = (value) => new Uint8Array(Buffer.from(value, 'base64'));
+
+// Signal-style Double Ratchet. State is a plain JSON object (base64 strings) so it
+// can be persisted as-is; every operation works on a copy and returns the new
+// state, so a failed decryption never corrupts the stored session.
+export class DoubleRatchet {
+  // Initiator side: we already know the peer's current ratchet public key
+  static async initializeSender(sharedSecret, remoteRatchetKey) {
+    const sendingRatchetKey = await this.generateRatchetKeyPair();
+    const [rootKey, sendingChainKey] = this.kdfRootKey(
+      sharedSecret,
+      x25519.getSharedSecret(fromBase64(sendingRatchetKey.privateKey), remoteRatchetKey)
+    );
+
+    return {
+      rootKey: toBase64(rootKey),
+      sendingRatchetKey,
+      receivingRatchetKey: toBase64(remoteRatchetKey),
+      sendingChainKey: toBase64(sendingChainKey),
+      receivingChainKey: null,
+      sendCount: 0,
+      receiveCount: 0,
+      previousSendCount: 0,
+      skippedMessageKeys: {}
+    };
+  }
+
+  // Responder side: the initiator ratcheted against `ownRatchetKeyPair`
+  static initializeReceiver(sharedSecret, ownRatchetKeyPair) {
+    return {
+      rootKey: toBase64(sharedSecret),
+      sendingRatchetKey: {
+        publicKey: toBase64(ownRatchetKeyPair.publicKey),
+        privateKey: toBase64(ownRatchetKeyPair.privateKey)
+      },
+      receivingRatchetKey: null,
+      sendingChainKey: null,
+      receivingChainKey: null,
+      sendCount: 0,
+      receiveCount: 0,
+      previousSendCount: 0,
+      skippedMessageKeys: {}
+    };
+  }
+
+  static async encrypt(currentState, plaintext, associatedData) {
+    const state = this.cloneState(currentState);
+    if (!state.sendingChainKey) {
+      throw new Error('Session has no sending chain yet');
+    }
+
+    const [chainKey, messageKey] = this.kdfChainKey(fromBase64(state.sendingChainKey));
+    const header = {
+      dh: state.sendingRatchetKey.publicKey,
+      pn: state.previousSendCount,
+      n: state.sendCount
+    };
+
+    state.sendingChainKey = toBase64(chainKey);
+    state.sendCount += 1;
+
+    const ciphertext = CryptoService.encryptWithAEAD(
+      plaintext,
+      Buffer.from(messageKey).toString('hex'),
+      this.buildAssociatedData(associatedData, header)
+    );
+
+    return { state, header, ciphertext };
+  }
+
+  static async decrypt(currentState, header, ciphertext, associatedData) {
+    const state = this.cloneState(currentState);
+    this.validateHeader(header);
+
+    // Late or out-of-order message from a chain we've already moved past
+    const skippedKeyId = `${header.dh}:${header.n}`;
+    const skippedKey = state.skippedMessageKeys[skippedKeyId];
+    if (skippedKey) {
+      const plaintext = this.decryptWithMessageKey(fromBase64(skippedKey), header, ciphertext, associatedData);
+      delete state.skippedMessageKeys[skippedKeyId];
+      return { state, plaintext };
+    }
+
+    // New ratchet key from the peer: finish the old chain, then step the ratchet
+    if (header.dh !== state.receivingRatchetKey) {
+      this.skipMessageKeys(state, header.pn);
+      await this.dhRatchet(state, header);
+    }
+
+    this.skipMessageKeys(state, header.n);
+
+    const [chainKey, messageKey] = this.kdfChainKey(fromBase64(state.receivingChainKey));
+    const plaintext = this.decryptWithMessageKey(messageKey, header, ciphertext, associatedData);
+
+    state.receivingChainKey = toBase64(chainKey);
+    state.receiveCount += 1;
+
+    return { state, plaintext };
+  }
+
+  static async dhRatchet(state, header) {
+    state.previousSendCount = state.sendCount;
+    state.sendCount = 0;
+    state.receiveCount = 0;
+    state.receivingRatchetKey = header.dh;
+
+    const remoteRatchetKey = fromBase64(header.dh);
+    const [rootKey, receivingChainKey] = this.kdfRootKey(
+      fromBase64(state.rootKey),
+      x25519.getSharedSecret(fromBase64(state.sendingRatchetKey.privateKey), remoteRatchetKey)
+    );
+
+    state.sendingRatchetKey = await this.generateRatchetKeyPair();
+    const [nextRootKey, sendingChainKey] = this.kdfRootKey(
+      rootKey,
+      x25519.getSharedSecret(fromBase64(state.sendingRatchetKey.privateKey), remoteRatchetKey)
+    );
+
+    state.rootKey = toBase64(nextRootKey);
+    state.receivingChainKey = toBase64(receivingChainKey);
+    state.sendingChainKey = toBase64(sendingChainKey);
+  }
+
+  // Store keys for messages we haven't seen yet in the current receiving chain
+  static skipMessageKeys(state, until) {
+    if (!state.receivingChainKey) return;
+
+    if (state.receiveCount + MAX_SKIP < until) {
+      throw new Error('Too many skipped messages');
+    }
+
+    let chainKey = fromBase64(state.receivingChainKey);
+    while (state.receiveCount < until) {
+      const [nextChainKey, messageKey] = this.kdfChainKey(chainKey);
+      state.skippedMessageKeys[`${state.receivingRatchetKey}:${state.receiveCount}`] = toBase64(messageKey);
+      chainKey = nextChainKey;
+      state.receiveCount += 1;
+    }
+    state.receivingChainKey = toBase64(chainKey);
+
+    // Drop the oldest skipped keys once over the limit
+    const skippedIds = Object.keys(state.skippedMessageKeys);
+    skippedIds
+      .slice(0, Math.max(0, skippedIds.length - MAX_STORED_SKIPPED_KEYS))
+      .forEach(id => delete state.skippedMessageKeys[id]);
+  }
+
+  static decryptWithMessageKey(messageKey, header, ciphertext, associatedData) {
+    return CryptoService.decryptWithAEAD(
+      ciphertext,
+      Buffer.from(messageKey).toString('hex'),
+      this.buildAssociatedData(associatedData, header)
+    );
+  }
+
+  // The header travels in the clear, so it is authenticated with the message
+  static buildAssociatedData(associatedData, header) {
+    return `${associatedData}|${header.dh}:${header.pn}:${header.n}`;
+  }
+
+  static validateHeader(header) {
+    if (!header || typeof header.dh !== 'string' ||
+        !Number.isInteger(header.n) || !Number.isInteger(header.pn) ||
+        header.n < 0 || header.pn < 0) {
+      throw new Error('Invalid ratchet header');
+    }
+  }
+
+  // KDF_RK: HKDF keyed by the root key, returns [root key, chain key]
+  static kdfRootKey(rootKey, dhOutput) {
+    const output = hkdf(sha256, dhOutput, rootKey, ROOT_KDF_INFO, 64);
+    return [output.slice(0, 32), output.slice(32)];
+  }
+
+  // KDF_CK: HMAC-SHA256 chain step, returns [next chain key, message key]
+  static kdfChainKey(chainKey) {
+    return [
+      hmac(sha256, chainKey, CHAIN_KEY_SEED),
+      hmac(sha256, chainKey, MESSAGE_KEY_SEED)
+    ];
+  }
+
+  static async generateRatchetKeyPair() {
+    const privateKey = await Crypto.getRandomBytesAsync(32);
+    return {
+      publicKey: toBase64(x25519.getPublicKey(privateKey)),
+      privateKey: toBase64(privateKey)
+    };
+  }
+
+  static cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+}
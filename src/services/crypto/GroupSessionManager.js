@@ -0,0 +1,518 @@
+// src/services/crypto/GroupSessionManager.js
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import { ed25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { CryptoService } from './CryptoService';
+import { DoubleRatchet } from './DoubleRatchet';
+import { SessionManager } from './SessionManager';
+import { DeviceManager } from './DeviceManager';
+import { DatabaseService } from '../database/DatabaseService';
+import { ApiService } from '../network/ApiService';
+import { WebSocketService } from '../network/WebSocketService';
+import { NetworkOptimizer } from '../network/NetworkOptimizer';
+import { Storage } from '../../utils/storage';
+
+// Envelope version 5: group message encrypted with the sender's chain key
+const SENDER_KEY_ENVELOPE_VERSION = 5;
+const SENDER_KEY_ENVELOPE_TYPE = 'sender_key';
+
+// Control messages share the group's WebSocket room but are addressed to one member
+export const SENDER_KEY_DISTRIBUTION = 'sender_key_distribution';
+export const SENDER_KEY_REQUEST = 'sender_key_request';
+
+const SENDER_KEY_STORAGE_INFO = 'SecureChat sender key storage v1';
+const MAX_SKIP = 1000;
+const MAX_STORED_SKIPPED_KEYS = 2000;
+const KEY_REQUEST_INTERVAL = 30 * 1000; // 30 seconds
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+const fromBase64 = (value) => new Uint8Array(Buffer.from(value, 'base64'));
+
+// Sender Keys for group chats: each member encrypts with their own hash-ratchet
+// chain and signs with a per-key Ed25519 key. The chain key and signing public
+// key are handed to every device of every other member, and to our own other
+// devices, over the pairwise ratchet sessions.
+class GroupSessionManagerClass {
+  constructor() {
+    this.locks = new Map();
+    this.lastKeyRequests = new Map();
+
+    ApiService.setGroupMembershipHandler(change => this.handleMembershipChange(change));
+  }
+
+  isSenderKeyEnvelope(envelope) {
+    return envelope?.version === SENDER_KEY_ENVELOPE_VERSION && envelope?.type === SENDER_KEY_ENVELOPE_TYPE;
+  }
+
+  isControlMessage(data) {
+    return data?.messageType === SENDER_KEY_DISTRIBUTION || data?.messageType === SENDER_KEY_REQUEST;
+  }
+
+  isMissingSenderKey(error) {
+    return error?.message === 'Missing sender key';
+  }
+
+  // Encrypt a group message with our sender key. Devices that joined since the key
+  // was handed out get it first; if any member or device left, the key is replaced.
+  async encryptMessage({ groupId, sender, privateKey, plaintext, context }) {
+    const members = await this.getGroupMembers(groupId);
+    const devices = (await this.getMemberDevices(members))
+      .filter(device => !this.isCurrentDevice(device, sender));
+
+    return this.withGroupLock(groupId, sender.id, async () => {
+      try {
+        const addresses = devices.map(device => device.address);
+        let senderKey = await this.loadOwnSenderKey(groupId, sender.id, privateKey);
+
+        // Keys from before multi-device only tracked members, so they get replaced too
+        const removedDevices = senderKey?.deviceAddresses
+          ? senderKey.deviceAddresses.filter(address => !addresses.includes(address))
+          : [];
+        if (!senderKey?.deviceAddresses || removedDevices.length > 0) {
+          senderKey = await this.createSenderKey();
+          console.log('🔑 New sender key for group:', groupId);
+        }
+
+        const newDevices = devices.filter(device => !senderKey.deviceAddresses.includes(device.address));
+        if (newDevices.length > 0) {
+          const delivered = await this.distributeSenderKey(groupId, sender, privateKey, senderKey, newDevices);
+          senderKey.deviceAddresses = [...senderKey.deviceAddresses, ...delivered];
+        }
+
+        const [chainKey, messageKey] = DoubleRatchet.kdfChainKey(fromBase64(senderKey.chainKey));
+        const iteration = senderKey.iteration;
+        const ciphertext = CryptoService.encryptWithAEAD(
+          NetworkOptimizer.compressPayload(plaintext, WebSocketService.getCompressionLevel()),
+          Buffer.from(messageKey).toString('hex'),
+          this.buildAssociatedData(senderKey.keyId, iteration, context)
+        );
+
+        senderKey.chainKey = toBase64(chainKey);
+        senderKey.iteration = iteration + 1;
+        await this.saveSenderKey(groupId, sender.id, privateKey, senderKey);
+
+        return {
+          version: SENDER_KEY_ENVELOPE_VERSION,
+          type: SENDER_KEY_ENVELOPE_TYPE,
+          keyId: senderKey.keyId,
+          iteration,
+          ciphertext,
+          signature: toBase64(ed25519.sign(
+            this.getSignedBytes(senderKey.keyId, iteration, ciphertext),
+            fromBase64(senderKey.signingPrivateKey)
+          ))
+        };
+      } catch (error) {
+        console.error('❌ Group encryption failed:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Decrypt a group message from another member. Throws 'Missing sender key'
+  // when their key hasn't reached us yet.
+  async decryptMessage({ groupId, senderId, privateKey, envelope, context }) {
+    return this.withGroupLock(groupId, senderId, async () => {
+      if (!this.isSenderKeyEnvelope(envelope) || !Number.isInteger(envelope.iteration) || envelope.iteration < 0) {
+        throw new Error('Invalid sender key envelope');
+      }
+
+      const senderKey = await this.loadSenderKey(groupId, senderId, envelope.keyId, privateKey);
+      if (!senderKey) {
+        throw new Error('Missing sender key');
+      }
+
+      const signatureValid = ed25519.verify(
+        fromBase64(envelope.signature || ''),
+        this.getSignedBytes(envelope.keyId, envelope.iteration, envelope.ciphertext),
+        fromBase64(senderKey.signingPublicKey)
+      );
+      if (!signatureValid) {
+        throw new Error('Invalid sender signature');
+      }
+
+      const messageKey = this.takeMessageKey(senderKey, envelope.iteration);
+      const plaintext = CryptoService.decryptWithAEAD(
+        envelope.ciphertext,
+        Buffer.from(messageKey).toString('hex'),
+        this.buildAssociatedData(envelope.keyId, envelope.iteration, context)
+      );
+
+      await this.saveSenderKey(groupId, senderId, privateKey, senderKey);
+      return NetworkOptimizer.decompressPayload(plaintext);
+    });
+  }
+
+  // Handle a sender key distribution or request addressed to us
+  async handleControlMessage({ data, user, privateKey }) {
+    if (data.recipientId !== user.id) return;
+    if (data.recipientDeviceId != null && String(data.recipientDeviceId) !== String(user.deviceId)) return;
+
+    // Keys only move between members who can prove who they are
+    if (!data.senderVerified) {
+      console.warn('⚠️ Ignoring unsigned sender key message from:', data.senderId);
+      return;
+    }
+
+    try {
+      if (data.messageType === SENDER_KEY_DISTRIBUTION) {
+        await this.receiveSenderKey(data, privateKey);
+      } else if (data.messageType === SENDER_KEY_REQUEST) {
+        await this.resendSenderKey(data.chatId, user, privateKey, data.senderId, data.senderDeviceId ?? null);
+      }
+    } catch (error) {
+      console.error('❌ Sender key control message failed:', error);
+      throw error;
+    }
+  }
+
+  // Ask a member's device to send its sender key again, at most once per interval
+  requestSenderKey({ groupId, sender, privateKey, memberId, memberDeviceId = null }) {
+    const requestId = `${groupId}:${this.getDeviceAddress(memberId, memberDeviceId)}`;
+    const lastRequest = this.lastKeyRequests.get(requestId) || 0;
+    if (Date.now() - lastRequest < KEY_REQUEST_INTERVAL) return;
+
+    this.lastKeyRequests.set(requestId, Date.now());
+    const request = {
+      chatId: groupId,
+      senderId: sender.id,
+      senderUsername: sender.username,
+      recipientId: memberId,
+      encryptedContent: '',
+      messageType: SENDER_KEY_REQUEST,
+      timestamp: Date.now(),
+      senderDeviceId: sender.deviceId ?? null,
+      recipientDeviceId: memberDeviceId
+    };
+    WebSocketService.sendMessage({ ...request, signature: CryptoService.signMessage(request, privateKey) })
+      .catch(error => console.warn('⚠️ Could not queue sender key request:', error.message));
+    console.log('📨 Requested sender key from member:', memberId);
+  }
+
+  async handleMembershipChange({ groupId, removedMemberId, left }) {
+    if (left) {
+      // We're out of the group: drop every key we held for it
+      await DatabaseService.deleteSenderKeys(groupId);
+      console.log('🗑️ Cleared sender keys after leaving group:', groupId);
+      return;
+    }
+
+    // Stop accepting the removed member's key and replace ours on the next send
+    await DatabaseService.deleteSenderKeys(groupId, removedMemberId);
+    await this.rotateSenderKey(groupId);
+  }
+
+  // Forget our current key; the next message creates and distributes a new one
+  async rotateSenderKey(groupId) {
+    const userData = await Storage.getSecure('userData');
+    if (!userData) return;
+
+    await DatabaseService.deleteSenderKeys(groupId, userData.id);
+    console.log('🔄 Sender key rotated for group:', groupId);
+  }
+
+  // DISTRIBUTION
+
+  // Send our sender key to each device over its pairwise session.
+  // Returns the addresses of the devices it was sent to.
+  async distributeSenderKey(groupId, sender, privateKey, senderKey, devices) {
+    const distribution = JSON.stringify({
+      groupId,
+      keyId: senderKey.keyId,
+      chainKey: senderKey.chainKey,
+      iteration: senderKey.iteration,
+      signingPublicKey: senderKey.signingPublicKey
+    });
+
+    const delivered = [];
+    for (const device of devices) {
+      try {
+        const timestamp = Date.now();
+        const envelope = await SessionManager.encryptMessage({
+          chatId: groupId,
+          peerId: device.id,
+          peerDeviceId: device.deviceId,
+          peerPublicKey: device.deviceKey,
+          accountPublicKey: device.publicKey,
+          privateKey,
+          plaintext: distribution,
+          context: { chatId: groupId, senderId: sender.id, timestamp }
+        });
+
+        const message = {
+          chatId: groupId,
+          senderId: sender.id,
+          senderUsername: sender.username,
+          recipientId: device.id,
+          encryptedContent: JSON.stringify(envelope),
+          messageType: SENDER_KEY_DISTRIBUTION,
+          timestamp,
+          senderDeviceId: sender.deviceId ?? null,
+          recipientDeviceId: device.deviceId
+        };
+        await WebSocketService.sendMessage({ ...message, signature: CryptoService.signMessage(message, privateKey) });
+        delivered.push(device.address);
+      } catch (error) {
+        console.warn('⚠️ Could not send sender key to device:', device.address, error.message);
+      }
+    }
+
+    return delivered;
+  }
+
+  async receiveSenderKey(data, privateKey) {
+    const groupId = data.chatId;
+    const members = await this.getGroupMembers(groupId);
+    const sender = members.find(member => member.id === data.senderId);
+    if (!sender) {
+      throw new Error('Sender key from someone outside the group');
+    }
+
+    const plaintext = await SessionManager.decryptDirectMessage({
+      chatId: groupId,
+      peerId: sender.id,
+      peerPublicKey: sender.publicKey,
+      senderDeviceId: data.senderDeviceId ?? null,
+      privateKey,
+      encryptedContent: data.encryptedContent,
+      context: { chatId: groupId, senderId: sender.id, timestamp: data.timestamp }
+    });
+    const distribution = JSON.parse(plaintext);
+    if (distribution.groupId !== groupId) {
+      throw new Error('Sender key is for a different group');
+    }
+
+    await this.withGroupLock(groupId, sender.id, async () => {
+      // A repeated distribution must not wind an existing chain backwards
+      const existing = await this.loadSenderKey(groupId, sender.id, distribution.keyId, privateKey);
+      if (existing && existing.iteration >= distribution.iteration) return;
+
+      await this.saveSenderKey(groupId, sender.id, privateKey, {
+        keyId: distribution.keyId,
+        chainKey: distribution.chainKey,
+        iteration: distribution.iteration,
+        signingPublicKey: distribution.signingPublicKey,
+        skippedMessageKeys: {}
+      });
+    });
+    console.log('🔑 Received sender key from member:', sender.id);
+  }
+
+  // Devices the key was already meant for get it from the start, so messages
+  // sent while the first copy was lost become readable. Anyone else only gets
+  // the current chain position.
+  async resendSenderKey(groupId, user, privateKey, memberId, memberDeviceId = null) {
+    const members = await this.getGroupMembers(groupId);
+    const member = members.find(m => m.id === memberId);
+    if (!member) return;
+
+    const address = this.getDeviceAddress(memberId, memberDeviceId);
+    const devices = await this.getMemberDevices([member]);
+    const device = devices.find(d => d.address === address);
+    if (!device || this.isCurrentDevice(device, user)) return;
+
+    await this.withGroupLock(groupId, user.id, async () => {
+      const senderKey = await this.loadOwnSenderKey(groupId, user.id, privateKey);
+      if (!senderKey?.deviceAddresses) return;
+
+      const chain = senderKey.deviceAddresses.includes(address)
+        ? { chainKey: senderKey.initialChainKey, iteration: 0 }
+        : { chainKey: senderKey.chainKey, iteration: senderKey.iteration };
+      const delivered = await this.distributeSenderKey(groupId, user, privateKey, { ...senderKey, ...chain }, [device]);
+      senderKey.deviceAddresses = [...new Set([...senderKey.deviceAddresses, ...delivered])];
+      await this.saveSenderKey(groupId, user.id, privateKey, senderKey);
+    });
+  }
+
+  // CHAINS
+
+  async createSenderKey() {
+    const [chainKey, signingPrivateKey, keyId] = await Promise.all([
+      Crypto.getRandomBytesAsync(32),
+      Crypto.getRandomBytesAsync(32),
+      Crypto.getRandomBytesAsync(8)
+    ]);
+
+    return {
+      keyId: Buffer.from(keyId).toString('hex'),
+      chainKey: toBase64(chainKey),
+      initialChainKey: toBase64(chainKey),
+      iteration: 0,
+      signingPrivateKey: toBase64(signingPrivateKey),
+      signingPublicKey: toBase64(ed25519.getPublicKey(signingPrivateKey)),
+      deviceAddresses: []
+    };
+  }
+
+  // Advance the chain to `iteration`, keeping keys for messages still to arrive
+  takeMessageKey(senderKey, iteration) {
+    const skippedKey = senderKey.skippedMessageKeys[iteration];
+    if (skippedKey) {
+      delete senderKey.skippedMessageKeys[iteration];
+      return fromBase64(skippedKey);
+    }
+
+    if (iteration < senderKey.iteration) {
+      throw new Error('Duplicate or expired group message');
+    }
+    if (iteration - senderKey.iteration > MAX_SKIP) {
+      throw new Error('Too many skipped messages');
+    }
+
+    let chainKey = fromBase64(senderKey.chainKey);
+    while (senderKey.iteration < iteration) {
+      const [nextChainKey, messageKey] = DoubleRatchet.kdfChainKey(chainKey);
+      senderKey.skippedMessageKeys[senderKey.iteration] = toBase64(messageKey);
+      chainKey = nextChainKey;
+      senderKey.iteration += 1;
+    }
+
+    const [nextChainKey, messageKey] = DoubleRatchet.kdfChainKey(chainKey);
+    senderKey.chainKey = toBase64(nextChainKey);
+    senderKey.iteration += 1;
+
+    const skippedIterations = Object.keys(senderKey.skippedMessageKeys);
+    skippedIterations
+      .slice(0, Math.max(0, skippedIterations.length - MAX_STORED_SKIPPED_KEYS))
+      .forEach(i => delete senderKey.skippedMessageKeys[i]);
+
+    return messageKey;
+  }
+
+  buildAssociatedData(keyId, iteration, context) {
+    return `${CryptoService.buildMessageAssociatedData(context)}:sender-key:${keyId}:${iteration}`;
+  }
+
+  getSignedBytes(keyId, iteration, ciphertext) {
+    return utf8ToBytes(`securechat:sender-key:${keyId}:${iteration}:${ciphertext}`);
+  }
+
+  // MEMBERS AND STORAGE
+
+  // Current members from the server, optionally without ourselves
+  async getGroupMembers(groupId, excludeUserId = null) {
+    const response = await ApiService.getGroupDetails(groupId);
+    const members = response.group?.members || response.members || [];
+
+    return members
+      .map(member => ({
+        id: member.id ?? member.user_id,
+        username: member.username,
+        publicKey: member.public_key || member.publicKey
+      }))
+      .filter(member => member.id !== excludeUserId);
+  }
+
+  // Every device of each member that their account key vouches for
+  async getMemberDevices(members) {
+    const devices = [];
+    for (const member of members) {
+      const memberDevices = await DeviceManager.getDevices(member.id, member.publicKey);
+      memberDevices.forEach(device => devices.push({
+        ...member,
+        deviceId: device.deviceId,
+        deviceKey: device.publicKey,
+        address: this.getDeviceAddress(member.id, device.deviceId)
+      }));
+    }
+    return devices;
+  }
+
+  getDeviceAddress(userId, deviceId) {
+    return `${userId}:${deviceId ?? ''}`;
+  }
+
+  // The device we're on holds the key the vault unlocks
+  isCurrentDevice(device, user) {
+    return device.id === user.id && device.deviceKey === user.publicKey;
+  }
+
+  // Keys from our other devices are stored under our id too, but only the ones
+  // this device made carry a signing private key
+  async loadOwnSenderKey(groupId, userId, privateKey) {
+    for (const stored of await DatabaseService.getSenderKeys(groupId, userId)) {
+      const senderKey = this.decryptRecord(stored.record, groupId, userId, stored.key_id, privateKey);
+      if (senderKey.signingPrivateKey) return senderKey;
+    }
+    return null;
+  }
+
+  async loadSenderKey(groupId, senderId, keyId, privateKey) {
+    const stored = await DatabaseService.getSenderKey(groupId, senderId, keyId);
+    if (!stored) return null;
+    return this.decryptRecord(stored, groupId, senderId, keyId, privateKey);
+  }
+
+  // Sender keys are chain keys, so they are encrypted at rest like ratchet sessions
+  async saveSenderKey(groupId, senderId, privateKey, senderKey) {
+    const record = CryptoService.encryptWithAEAD(
+      JSON.stringify(senderKey),
+      this.deriveStorageKey(privateKey),
+      this.getStorageAssociatedData(groupId, senderId, senderKey.keyId)
+    );
+    await DatabaseService.saveSenderKey(groupId, senderId, senderKey.keyId, record);
+  }
+
+  decryptRecord(record, groupId, senderId, keyId, privateKey) {
+    return JSON.parse(CryptoService.decryptWithAEAD(
+      record,
+      this.deriveStorageKey(privateKey),
+      this.getStorageAssociatedData(groupId, senderId, keyId)
+    ));
+  }
+
+  // After an identity key rotation every sender key moves to the new key's storage key
+  async reencryptRecords(oldPrivateKey, newPrivateKey) {
+    const oldStorageKey = this.deriveStorageKey(oldPrivateKey);
+    const newStorageKey = this.deriveStorageKey(newPrivateKey);
+
+    for (const stored of await DatabaseService.getAllSenderKeys()) {
+      const associatedData = this.getStorageAssociatedData(stored.group_id, stored.sender_id, stored.key_id);
+      let record;
+      try {
+        record = CryptoService.decryptWithAEAD(stored.record, oldStorageKey, associatedData);
+      } catch (error) {
+        // Moved by an earlier run that was interrupted; throws if it's neither
+        CryptoService.decryptWithAEAD(stored.record, newStorageKey, associatedData);
+        continue;
+      }
+      await DatabaseService.saveSenderKey(
+        stored.group_id,
+        stored.sender_id,
+        stored.key_id,
+        CryptoService.encryptWithAEAD(record, newStorageKey, associatedData)
+      );
+    }
+  }
+
+  deriveStorageKey(privateKey) {
+    const { dh } = CryptoService.parsePrivateKey(privateKey);
+    return Buffer.from(hkdf(sha256, dh, undefined, SENDER_KEY_STORAGE_INFO, 32)).toString('hex');
+  }
+
+  getStorageAssociatedData(groupId, senderId, keyId) {
+    return `securechat:sender-key-record:${groupId}:${senderId}:${keyId}`;
+  }
+
+  async withGroupLock(groupId, senderId, task) {
+    const lockId = `${groupId}:${senderId}`;
+    const previous = this.locks.get(lockId) || Promise.resolve();
+    const current = previous.then(task);
+    const settled = current.catch(() => {});
+
+    this.locks.set(lockId, settled);
+    settled.then(() => {
+      if (this.locks.get(lockId) === settled) {
+        this.locks.delete(lockId);
+      }
+    });
+
+    return current;
+  }
+}
+
+// Export singleton
+export const GroupSessionManager = new GroupSessionManagerClass();
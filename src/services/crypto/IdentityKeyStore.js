@@ -0,0 +1,282 @@
+// src/services/crypto/IdentityKeyStore.js
+import { CryptoService } from './CryptoService';
+import { DatabaseService } from '../database/DatabaseService';
+import { ApiService } from '../network/ApiService';
+import { Storage } from '../../utils/storage';
+
+const STRICT_VERIFICATION_SETTING = 'strict_key_verification';
+
+// Trust-on-first-use store for contacts' identity keys. The first key we see is
+// trusted; any later key is held as pending until the user accepts it, and we
+// refuse to encrypt to a contact while their advertised key is not the trusted one.
+// The users table still caches whatever the server last sent; this is the record
+// of what the user actually agreed to. A new key that the trusted key signed over
+// to in a rotation statement is accepted without asking.
+export class IdentityKeyStore {
+  static TRUSTED = 'trusted';
+  static NEW = 'new';
+  static CHANGED = 'changed';
+  static keyChangeHandler = null;
+  static locks = new Map();
+
+  // Called with { contactId, publicKey, chatIds, content, timestamp, rotated, deleted }
+  // whenever a new key shows up; rotated is true when it was followed from the trusted
+  // key, deleted when the contact closed their account
+  static setKeyChangeHandler(handler) {
+    this.keyChangeHandler = handler;
+  }
+
+  static isKeyChangedError(error) {
+    return error?.message === 'Identity key changed';
+  }
+
+  // Record the key the server gave us for a contact and say whether we trust it
+  static async checkIdentity(contactId, publicKey) {
+    const ownerId = await this.getOwnerId();
+    if (!ownerId || !publicKey || contactId === ownerId) return this.TRUSTED;
+
+    return this.withLock(contactId, async () => {
+      const keys = await DatabaseService.getIdentityKeys(ownerId, contactId);
+
+      if (keys.length === 0) {
+        await DatabaseService.saveIdentityKey(ownerId, contactId, publicKey, Date.now());
+        console.log('🔑 Trusted first identity key for contact:', contactId);
+        return this.NEW;
+      }
+
+      const trusted = this.getTrustedEntry(keys);
+      if (trusted?.public_key === publicKey) return this.TRUSTED;
+
+      const existing = keys.find(key => key.public_key === publicKey);
+      if (!existing && trusted && await this.followRotations(ownerId, contactId, trusted.public_key, publicKey)) {
+        return this.TRUSTED;
+      }
+
+      if (!existing) {
+        await DatabaseService.saveIdentityKey(ownerId, contactId, publicKey);
+        await this.handleKeyChange(contactId, publicKey);
+      } else if (existing.acknowledged_at) {
+        // An older key came back; switching back needs the user's say-so too
+        await DatabaseService.setIdentityKeyAcknowledged(ownerId, contactId, publicKey, 0);
+        await this.handleKeyChange(contactId, publicKey);
+      }
+
+      return this.CHANGED;
+    });
+  }
+
+  // A contact told us they rotated their key. Returns true if the statements lead
+  // from the key we trust to a new one, which is then trusted in its place.
+  static async applyKeyRotation(contactId, rotations) {
+    const ownerId = await this.getOwnerId();
+    if (!ownerId || contactId === ownerId) return false;
+
+    return this.withLock(contactId, async () => {
+      const trusted = this.getTrustedEntry(await DatabaseService.getIdentityKeys(ownerId, contactId));
+      if (!trusted) return false;
+
+      const list = Array.isArray(rotations) ? rotations : [rotations];
+      return this.acceptRotations(ownerId, contactId, trusted.public_key, list);
+    });
+  }
+
+  // Ask the server for the contact's rotation statements before calling a new key
+  // a change. The server can only withhold them, not forge them.
+  static async followRotations(ownerId, contactId, trustedKey, publicKey) {
+    let rotations;
+    try {
+      rotations = (await ApiService.getKeyRotations(contactId)).rotations || [];
+    } catch (error) {
+      console.warn('⚠️ No key rotations for contact:', contactId, error.message);
+      return false;
+    }
+
+    return this.acceptRotations(ownerId, contactId, trustedKey, rotations, publicKey);
+  }
+
+  // Trust the end of the chain of rotations starting at trustedKey. With
+  // expectedKey, only a chain ending at that key is accepted.
+  static async acceptRotations(ownerId, contactId, trustedKey, rotations, expectedKey = null) {
+    const chain = CryptoService.followKeyRotations(contactId, trustedKey, rotations);
+    if (chain.length === 0) return false;
+
+    const newKey = chain[chain.length - 1].publicKey;
+    if (expectedKey && newKey !== expectedKey) return false;
+
+    await DatabaseService.saveIdentityKey(ownerId, contactId, newKey);
+    await DatabaseService.setIdentityKeyAcknowledged(ownerId, contactId, newKey, Date.now());
+    await DatabaseService.updateUserPublicKey(contactId, newKey);
+
+    // Verification carries over: the key the user compared signed this one
+    const contact = await DatabaseService.getContact(ownerId, contactId);
+    if (contact?.verified && contact.verified_key === trustedKey) {
+      await DatabaseService.setContactVerification(ownerId, contactId, newKey);
+    }
+
+    console.log('🔄 Followed identity key rotation for contact:', contactId);
+    const user = await DatabaseService.getUserById(contactId);
+    await this.postNotice(
+      contactId,
+      newKey,
+      `${user?.username || 'This contact'} renewed their encryption keys. No action is needed.`,
+      { rotated: true }
+    );
+    return true;
+  }
+
+  // A contact deleted their account. Only a notice signed by the key we trust
+  // counts; their sessions and sender keys go, the chats stay for the record.
+  static async applyAccountDeletion(contactId, notice) {
+    const ownerId = await this.getOwnerId();
+    if (!ownerId || contactId === ownerId || String(notice?.userId) !== String(contactId)) return false;
+
+    return this.withLock(contactId, async () => {
+      const trusted = this.getTrustedEntry(await DatabaseService.getIdentityKeys(ownerId, contactId));
+      if (!trusted || trusted.public_key !== notice.publicKey || !CryptoService.verifyAccountDeletion(notice)) {
+        return false;
+      }
+
+      await DatabaseService.deleteRatchetSessions(contactId);
+      for (const chatId of await DatabaseService.getChatIdsWithUser(contactId)) {
+        await DatabaseService.deleteSenderKeys(chatId, contactId);
+      }
+
+      console.log('🗑️ Contact deleted their account:', contactId);
+      const user = await DatabaseService.getUserById(contactId);
+      await this.postNotice(
+        contactId,
+        notice.publicKey,
+        `${user?.username || 'This contact'} deleted their account.`,
+        { deleted: true }
+      );
+      return true;
+    });
+  }
+
+  // Throws if we shouldn't encrypt to this key yet
+  static async assertTrusted(contactId, publicKey) {
+    const status = await this.checkIdentity(contactId, publicKey);
+    if (status === this.CHANGED) {
+      const error = new Error('Identity key changed');
+      error.contactId = contactId;
+      throw error;
+    }
+  }
+
+  // Accept a contact's new key. In strict mode a contact we had verified has to be
+  // verified again (verified: true) rather than just acknowledged.
+  static async acknowledgeKeyChange(contactId, publicKey, { verified = false } = {}) {
+    const ownerId = await this.getOwnerId();
+    if (!ownerId) throw new Error('Not signed in');
+
+    if (!verified && await this.requiresVerification(contactId, publicKey)) {
+      throw new Error('This contact was verified. Compare safety numbers again to accept the new key.');
+    }
+
+    await DatabaseService.saveIdentityKey(ownerId, contactId, publicKey);
+    await DatabaseService.setIdentityKeyAcknowledged(ownerId, contactId, publicKey, Date.now());
+    console.log('✅ Identity key accepted for contact:', contactId);
+  }
+
+  // True when a key change for this contact can only be cleared by re-verifying
+  static async requiresVerification(contactId, publicKey) {
+    const ownerId = await this.getOwnerId();
+    if (!ownerId || !(await this.isStrictMode())) return false;
+
+    const contact = await DatabaseService.getContact(ownerId, contactId);
+    return !!contact?.verified && contact.verified_key !== publicKey;
+  }
+
+  static async getTrustedKey(contactId) {
+    const ownerId = await this.getOwnerId();
+    if (!ownerId) return null;
+
+    const trusted = this.getTrustedEntry(await DatabaseService.getIdentityKeys(ownerId, contactId));
+    return trusted ? trusted.public_key : null;
+  }
+
+  // Every key we've seen for the contact, oldest first
+  static async getKeyHistory(contactId) {
+    const ownerId = await this.getOwnerId();
+    if (!ownerId) return [];
+
+    return (await DatabaseService.getIdentityKeys(ownerId, contactId)).map(key => ({
+      publicKey: key.public_key,
+      firstSeenAt: key.first_seen_at,
+      acknowledgedAt: key.acknowledged_at
+    }));
+  }
+
+  // Strict mode is on unless the user turns it off
+  static async isStrictMode() {
+    return (await Storage.getSecure(STRICT_VERIFICATION_SETTING)) !== false;
+  }
+
+  static async setStrictMode(enabled) {
+    await Storage.setSecure(STRICT_VERIFICATION_SETTING, !!enabled);
+  }
+
+  static async handleKeyChange(contactId, publicKey) {
+    console.warn('⚠️ Identity key changed for contact:', contactId);
+
+    const contact = await DatabaseService.getUserById(contactId);
+    await this.postNotice(
+      contactId,
+      publicKey,
+      `${contact?.username || 'This contact'}'s safety number has changed. ` +
+        'Messages will not be sent until you review the change.'
+    );
+  }
+
+  // Leave a note in every chat we share with the contact
+  static async postNotice(contactId, publicKey, content, { rotated = false, deleted = false } = {}) {
+    const timestamp = Date.now();
+    const chatIds = await DatabaseService.getChatIdsWithUser(contactId);
+
+    for (const chatId of chatIds) {
+      await DatabaseService.saveMessage({
+        chatId,
+        senderId: contactId,
+        encryptedContent: content,
+        messageType: 'system',
+        timestamp
+      });
+    }
+
+    try {
+      if (this.keyChangeHandler) {
+        await this.keyChangeHandler({ contactId, publicKey, chatIds, content, timestamp, rotated, deleted });
+      }
+    } catch (error) {
+      console.error('Key change handler failed:', error);
+    }
+  }
+
+  // The most recently accepted key
+  static getTrustedEntry(keys) {
+    return keys
+      .filter(key => key.acknowledged_at)
+      .reduce((latest, key) => (!latest || key.acknowledged_at >= latest.acknowledged_at ? key : latest), null);
+  }
+
+  static async getOwnerId() {
+    const userData = await Storage.getSecure('userData');
+    return userData ? userData.id : null;
+  }
+
+  // One check per contact at a time, so a change is only announced once
+  static async withLock(contactId, task) {
+    const previous = this.locks.get(contactId) || Promise.resolve();
+    const current = previous.then(task);
+    const settled = current.catch(() => {});
+
+    this.locks.set(contactId, settled);
+    settled.then(() => {
+      if (this.locks.get(contactId) === settled) {
+        this.locks.delete(contactId);
+      }
+    });
+
+    return current;
+  }
+}
@@ -0,0 +1,134 @@
+// src/services/crypto/KdfService.js
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { argon2idAsync } from '@noble/hashes/argon2';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { CRYPTO_CONFIG } from '../../utils/constants';
+
+const KEY_LENGTH = 32;
+
+// Caps on what one derivation may cost, whatever the individual fields say.
+// The memory cap matches Argon2id's largest m; work is ~16x our scrypt default.
+const MAX_MEMORY_BYTES = 256 * 1024 * 1024;
+const MAX_SCRYPT_WORK = 2 ** 22; // N·r·p
+
+// Password KDFs. Every record carries its own algorithm and cost in a PHC-style
+// string ("$scrypt$ln=15,r=8,p=1$<salt>") that lives wherever a bare salt used to,
+// so records made with old settings keep working after the defaults change.
+// A bare hex salt is a record from before this, derived with PBKDF2.
+const ALGORITHMS = {
+  'pbkdf2-sha256': {
+    defaults: () => ({ i: CRYPTO_CONFIG.PBKDF2_ITERATIONS }),
+    // With a 32-byte key PBKDF2 runs a single block, so i is the whole cost
+    limits: { i: [1000, 2000000] },
+    derive: (password, salt, { i }) =>
+      pbkdf2Async(sha256, password, salt, { c: i, dkLen: KEY_LENGTH })
+  },
+  scrypt: {
+    defaults: () => ({
+      ln: CRYPTO_CONFIG.SCRYPT.LOG_N,
+      r: CRYPTO_CONFIG.SCRYPT.R,
+      p: CRYPTO_CONFIG.SCRYPT.P
+    }),
+    limits: { ln: [10, 20], r: [1, 32], p: [1, 16] },
+    // ROMix holds 128·N·r bytes and each of the p lanes walks them
+    withinBudget: ({ ln, r, p }) =>
+      128 * 2 ** ln * r <= MAX_MEMORY_BYTES && 2 ** ln * r * p <= MAX_SCRYPT_WORK,
+    derive: (password, salt, { ln, r, p }) =>
+      scryptAsync(password, salt, { N: 2 ** ln, r, p, dkLen: KEY_LENGTH })
+  },
+  argon2id: {
+    defaults: () => ({
+      m: CRYPTO_CONFIG.ARGON2ID.MEMORY_KIB,
+      t: CRYPTO_CONFIG.ARGON2ID.ITERATIONS,
+      p: CRYPTO_CONFIG.ARGON2ID.PARALLELISM
+    }),
+    limits: { m: [8192, 262144], t: [1, 10], p: [1, 4] },
+    derive: (password, salt, { m, t, p }) =>
+      argon2idAsync(password, salt, { m, t, p, dkLen: KEY_LENGTH })
+  }
+};
+
+export class KdfService {
+  static isSupported(algorithm) {
+    return Object.prototype.hasOwnProperty.call(ALGORITHMS, algorithm);
+  }
+
+  // Fresh parameters for a new record, with a new random salt
+  static async generateParams(algorithm = CRYPTO_CONFIG.KDF_ALGORITHM) {
+    if (!this.isSupported(algorithm)) {
+      throw new Error(`Unsupported KDF: ${algorithm}`);
+    }
+
+    const salt = Buffer.from(await Crypto.getRandomBytesAsync(32)).toString('hex');
+    return this.formatParams({ algorithm, salt, ...ALGORITHMS[algorithm].defaults() });
+  }
+
+  static formatParams({ algorithm, salt, ...costs }) {
+    const encodedCosts = Object.entries(costs).map(([name, value]) => `${name}=${value}`).join(',');
+    return `$${algorithm}$${encodedCosts}$${salt}`;
+  }
+
+  // Parameters may come from the server, so each cost and their combined memory
+  // and work are bounds-checked before we spend anything on them
+  static parseParams(kdfParams) {
+    if (!kdfParams || typeof kdfParams !== 'string') {
+      throw new Error('Missing KDF parameters');
+    }
+
+    if (!kdfParams.startsWith('$')) {
+      return {
+        algorithm: 'pbkdf2-sha256',
+        salt: kdfParams,
+        i: CRYPTO_CONFIG.PBKDF2_ITERATIONS,
+        legacy: true
+      };
+    }
+
+    const [, algorithm, encodedCosts, salt] = kdfParams.split('$');
+    if (!this.isSupported(algorithm) || !salt) {
+      throw new Error('Unsupported KDF parameters');
+    }
+
+    const { limits, withinBudget } = ALGORITHMS[algorithm];
+    const costs = {};
+    for (const pair of (encodedCosts || '').split(',')) {
+      const [name, value] = pair.split('=');
+      costs[name] = Number(value);
+    }
+
+    for (const [name, [min, max]] of Object.entries(limits)) {
+      const value = costs[name];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error('Unsupported KDF parameters');
+      }
+    }
+    if (withinBudget && !withinBudget(costs)) {
+      throw new Error('Unsupported KDF parameters');
+    }
+
+    return { algorithm, salt, ...costs };
+  }
+
+  // Hex-encoded 256-bit key
+  static async deriveKey(password, kdfParams) {
+    const { algorithm, salt, legacy, ...costs } = this.parseParams(kdfParams);
+    const key = await ALGORITHMS[algorithm].derive(password, salt, costs);
+    return Buffer.from(key).toString('hex');
+  }
+
+  // True when the record should be re-derived with the current defaults
+  static needsUpgrade(kdfParams) {
+    try {
+      const { algorithm, legacy, ...costs } = this.parseParams(kdfParams);
+      if (legacy || algorithm !== CRYPTO_CONFIG.KDF_ALGORITHM) return true;
+
+      const defaults = ALGORITHMS[algorithm].defaults();
+      return Object.keys(defaults).some(name => costs[name] < defaults[name]);
+    } catch (error) {
+      return false;
+    }
+  }
+}
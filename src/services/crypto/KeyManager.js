@@ -1,18 +1,24 @@
 import * as SecureStore from 'expo-secure-store';
 import { CryptoService } from './CryptoService';
-import { Storage } from '../../utils/storage';
+import { IdentityKeyStore } from './IdentityKeyStore';
+import { DatabaseService } from '../database/DatabaseService';
 
 export class KeyManager {
   static KEY_PREFIX = 'key_';
   static USER_KEYS = 'user_keys';
+  static EXPORT_VERSION = '3.0';
+  static EXPORT_FORMAT = 'securechat-backup';
+  static EXPORT_AD = 'securechat:key-export';
 
-  // Store user's key pair securely
-  static async storeUserKeys(userId, publicKey, encryptedPrivateKey, derivedKey) {
+  // Store user's key pair securely. Only the wrapped private key and the salt
+  // are kept; the wrapping key has to be derived from the password each time.
+  static async storeUserKeys(userId, publicKey, encryptedPrivateKey, salt) {
     try {
       const keyData = {
         userId,
         publicKey,
         encryptedPrivateKey,
+        salt,
         createdAt: Date.now()
       };
 
@@ -21,10 +27,8 @@ export class KeyManager {
         JSON.stringify(keyData)
       );
 
-      await SecureStore.setItemAsync(
-        `derived_key_${userId}`,
-        derivedKey
-      );
+      // Older versions stored the derived key next to the ciphertext
+      await SecureStore.deleteItemAsync(`derived_key_${userId}`);
 
       return true;
     } catch (error) {
@@ -46,73 +50,45 @@ export class KeyManager {
     }
   }
 
-  // Get derived key for decryption
-  static async getDerivedKey(userId) {
-    try {
-      return await SecureStore.getItemAsync(`derived_key_${userId}`);
-    } catch (error) {
-      console.error('Failed to retrieve derived key:', error);
-      return null;
-    }
-  }
-
-  // Store contact's public key
+  // Record a contact's public key. Keys are trusted on first use; a different key
+  // later is held for the user to review instead of replacing the old one.
   static async storeContactPublicKey(contactId, publicKey) {
     try {
-      const contacts = await this.getStoredContacts();
-      contacts[contactId] = {
-        publicKey,
-        storedAt: Date.now()
-      };
-
-      await Storage.set('contact_keys', contacts);
-      return true;
+      return await IdentityKeyStore.checkIdentity(contactId, publicKey);
     } catch (error) {
       console.error('Failed to store contact key:', error);
-      return false;
+      return null;
     }
   }
 
-  // Get contact's public key
+  // Get the contact's trusted public key
   static async getContactPublicKey(contactId) {
     try {
-      const contacts = await this.getStoredContacts();
-      return contacts[contactId]?.publicKey || null;
+      return await IdentityKeyStore.getTrustedKey(contactId);
     } catch (error) {
       console.error('Failed to get contact key:', error);
       return null;
     }
   }
 
-  // Get all stored contacts
-  static async getStoredContacts() {
-    try {
-      const contacts = await Storage.get('contact_keys');
-      return contacts || {};
-    } catch (error) {
-      console.error('Failed to get stored contacts:', error);
-      return {};
-    }
-  }
-
   // Generate and store new key pair for user
   static async generateAndStoreKeyPair(userId, password) {
     try {
       // Generate new key pair
       const keyPair = await CryptoService.generateKeyPair();
       
-      // Generate salt and derive key from password
-      const salt = await CryptoService.generateSalt();
+      // Generate KDF parameters and derive key from password
+      const salt = await CryptoService.generateKdfParams();
       const derivedKey = await CryptoService.deriveKeyFromPassword(password, salt);
       
       // Encrypt private key with derived key
-      const encryptedPrivateKey = await CryptoService.encryptWithAES(
+      const encryptedPrivateKey = CryptoService.wrapPrivateKey(
         keyPair.privateKey,
         derivedKey
       );
 
       // Store keys securely
-      await this.storeUserKeys(userId, keyPair.publicKey, encryptedPrivateKey, derivedKey);
+      await this.storeUserKeys(userId, keyPair.publicKey, encryptedPrivateKey, salt);
       
       return {
         publicKey: keyPair.publicKey,
@@ -124,20 +100,34 @@ export class KeyManager {
     }
   }
 
-  // Decrypt user's private key
-  static async decryptPrivateKey(userId, password) {
+  // Decrypt user's private key. Records from older versions have no salt
+  // stored, so the caller has to supply the account salt once to migrate them.
+  static async decryptPrivateKey(userId, password, salt = null) {
     try {
       const keyData = await this.getUserKeys(userId);
       if (!keyData) throw new Error('User keys not found');
 
-      const derivedKey = await this.getDerivedKey(userId);
-      if (!derivedKey) throw new Error('Derived key not found');
+      const keySalt = keyData.salt || salt;
+      if (!keySalt) throw new Error('Key salt not found');
 
-      // Decrypt private key
-      const privateKey = await CryptoService.decryptWithAES(
-        keyData.encryptedPrivateKey,
-        derivedKey
-      );
+      const derivedKey = await CryptoService.deriveKeyFromPassword(password, keySalt);
+
+      let privateKey;
+      try {
+        privateKey = CryptoService.unwrapPrivateKey(keyData.encryptedPrivateKey, derivedKey);
+      } catch (unwrapError) {
+        throw new Error('Incorrect password');
+      }
+
+      if (!keyData.salt) {
+        await this.storeUserKeys(
+          userId,
+          keyData.publicKey,
+          CryptoService.wrapPrivateKey(privateKey, derivedKey),
+          keySalt
+        );
+        console.log('🔐 Migrated stored keys to password-derived unwrapping');
+      }
 
       return privateKey;
     } catch (error) {
@@ -146,40 +136,93 @@ export class KeyManager {
     }
   }
 
-  // Update password (re-encrypt private key)
-  static async updatePassword(userId, oldPassword, newPassword) {
+  // Update password (re-encrypt private key). The private key normally lives in
+  // the local users table; records made by KeyManager itself are updated too.
+  // onBeforeSave runs with the new key material before anything is written, so a
+  // failed server update leaves the old password working.
+  static async updatePassword(userId, oldPassword, newPassword, { onBeforeSave } = {}) {
     try {
+      const localUser = await DatabaseService.getUserById(userId);
+      const keyData = await this.getUserKeys(userId);
+
+      const record = localUser?.encrypted_private_key
+        ? { encryptedPrivateKey: localUser.encrypted_private_key, kdfParams: localUser.salt }
+        : keyData && { encryptedPrivateKey: keyData.encryptedPrivateKey, kdfParams: keyData.salt };
+      if (!record?.kdfParams) throw new Error('User keys not found');
+
       // Decrypt private key with old password
-      const privateKey = await this.decryptPrivateKey(userId, oldPassword);
+      const oldDerivedKey = await CryptoService.deriveKeyFromPassword(oldPassword, record.kdfParams);
+      let privateKey;
+      try {
+        privateKey = CryptoService.unwrapPrivateKey(record.encryptedPrivateKey, oldDerivedKey);
+      } catch (unwrapError) {
+        throw new Error('Incorrect password');
+      }
       
       // Generate new derived key with new password
-      const salt = await CryptoService.generateSalt();
+      const salt = await CryptoService.generateKdfParams();
       const newDerivedKey = await CryptoService.deriveKeyFromPassword(newPassword, salt);
       
       // Re-encrypt private key with new derived key
-      const newEncryptedPrivateKey = await CryptoService.encryptWithAES(
+      const newEncryptedPrivateKey = CryptoService.wrapPrivateKey(
         privateKey,
         newDerivedKey
       );
 
-      // Get existing key data
-      const keyData = await this.getUserKeys(userId);
-      
+      const result = {
+        privateKey,
+        derivedKey: newDerivedKey,
+        oldDerivedKey,
+        oldKdfParams: record.kdfParams,
+        kdfParams: salt
+      };
+
+      if (onBeforeSave) {
+        await onBeforeSave(result);
+      }
+
+      if (localUser?.encrypted_private_key) {
+        await DatabaseService.updateEncryptedPrivateKey(userId, newEncryptedPrivateKey, salt);
+      }
+
       // Update with new encrypted private key
-      await this.storeUserKeys(
-        userId,
-        keyData.publicKey,
-        newEncryptedPrivateKey,
-        newDerivedKey
-      );
+      if (keyData) {
+        await this.storeUserKeys(
+          userId,
+          keyData.publicKey,
+          newEncryptedPrivateKey,
+          salt
+        );
+      }
 
-      return true;
+      return result;
     } catch (error) {
       console.error('Failed to update password:', error);
       throw error;
     }
   }
 
+  // Swap in a rotated identity key pair, wrapped under the same password-derived
+  // key as the one it replaces, wherever the old one was stored
+  static async replaceKeyPair(userId, keyPair, derivedKey) {
+    try {
+      const encryptedPrivateKey = CryptoService.wrapPrivateKey(keyPair.privateKey, derivedKey);
+      const localUser = await DatabaseService.getUserById(userId);
+      const keyData = await this.getUserKeys(userId);
+
+      if (localUser) {
+        await DatabaseService.updateUserPublicKey(userId, keyPair.publicKey);
+        await DatabaseService.updateEncryptedPrivateKey(userId, encryptedPrivateKey);
+      }
+      if (keyData) {
+        await this.storeUserKeys(userId, keyPair.publicKey, encryptedPrivateKey, keyData.salt);
+      }
+    } catch (error) {
+      console.error('Failed to replace key pair:', error);
+      throw error;
+    }
+  }
+
   // Clear all user keys (for logout/account deletion)
   static async clearUserKeys(userId) {
     try {
@@ -192,33 +235,41 @@ export class KeyManager {
     }
   }
 
-  // Export keys for backup (encrypted)
-  static async exportUserKeys(userId, password) {
+  // Export keys for backup (encrypted). The backup holds the identity private key
+  // itself, sealed under a key derived from the backup password, so it can be
+  // restored on a phone that has never seen the account. extraData is stored
+  // alongside it (contacts, trust state, history).
+  static async exportUserKeys(user, privateKey, password, extraData = {}) {
     try {
-      const keyData = await this.getUserKeys(userId);
-      if (!keyData) throw new Error('User keys not found');
+      if (!privateKey) throw new Error('Private key not available');
 
       // Create export data
       const exportData = {
-        userId,
-        publicKey: keyData.publicKey,
-        encryptedPrivateKey: keyData.encryptedPrivateKey,
+        ...extraData,
+        user: {
+          id: user.id,
+          username: user.username,
+          publicKey: user.publicKey
+        },
+        privateKey,
         exportedAt: Date.now(),
-        version: '1.0'
+        version: this.EXPORT_VERSION
       };
 
       // Encrypt export data with password
-      const salt = await CryptoService.generateSalt();
+      const salt = await CryptoService.generateKdfParams();
       const exportKey = await CryptoService.deriveKeyFromPassword(password, salt);
-      const encryptedExport = await CryptoService.encryptWithAES(
+      const encryptedExport = CryptoService.encryptWithAEAD(
         JSON.stringify(exportData),
-        exportKey
+        exportKey,
+        this.EXPORT_AD
       );
 
       return {
-        encryptedData: encryptedExport,
+        format: this.EXPORT_FORMAT,
+        version: this.EXPORT_VERSION,
         salt,
-        version: '1.0'
+        encryptedData: encryptedExport
       };
     } catch (error) {
       console.error('Failed to export user keys:', error);
@@ -226,31 +277,37 @@ export class KeyManager {
     }
   }
 
-  // Import keys from backup
+  // Decrypt a backup made by exportUserKeys and return its contents
   static async importUserKeys(encryptedBackup, password) {
     try {
-      const { encryptedData, salt } = encryptedBackup;
+      const { encryptedData, salt, version } = encryptedBackup || {};
+      if (!encryptedData || !salt) {
+        throw new Error('This is not a SecureChat backup');
+      }
       
       // Derive key from password
       const importKey = await CryptoService.deriveKeyFromPassword(password, salt);
       
-      // Decrypt backup data
-      const decryptedData = await CryptoService.decryptWithAES(encryptedData, importKey);
-      const exportData = JSON.parse(decryptedData);
-      
-      // Store imported keys
-      const derivedKey = await this.getDerivedKey(exportData.userId);
-      await this.storeUserKeys(
-        exportData.userId,
-        exportData.publicKey,
-        exportData.encryptedPrivateKey,
-        derivedKey
-      );
+      // Decrypt backup data (1.0 backups predate authenticated encryption)
+      let exportData;
+      try {
+        const decryptedData = version === '1.0'
+          ? CryptoService.decryptLegacyAES(encryptedData, importKey)
+          : CryptoService.decryptWithAEAD(encryptedData, importKey, this.EXPORT_AD);
+        exportData = JSON.parse(decryptedData);
+      } catch (decryptError) {
+        throw new Error('Incorrect backup password');
+      }
+
+      // Older exports only had the private key wrapped with the device's own key
+      if (!exportData.privateKey || !exportData.user) {
+        throw new Error('This backup was made by an older version and cannot be restored');
+      }
 
-      return exportData.userId;
+      return exportData;
     } catch (error) {
       console.error('Failed to import user keys:', error);
       throw error;
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,387 @@
+// src/services/crypto/KeyRotationService.js
+import { Buffer } from 'buffer';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { CryptoService } from './CryptoService';
+import { KeyManager } from './KeyManager';
+import { PreKeyManager } from './PreKeyManager';
+import { SessionManager } from './SessionManager';
+import { GroupSessionManager } from './GroupSessionManager';
+import { DeviceManager } from './DeviceManager';
+import { IdentityKeyStore } from './IdentityKeyStore';
+import { DatabaseService } from '../database/DatabaseService';
+import { ApiService } from '../network/ApiService';
+import { WebSocketService } from '../network/WebSocketService';
+import { Storage } from '../../utils/storage';
+import { KEY_ROTATION_CONFIG } from '../../utils/constants';
+
+export const KEY_ROTATION = 'key_rotation';
+
+// How far a rotation got, so an interrupted one can carry on
+const ROTATION_STAGES = {
+  CREATED: 'created',
+  RETIRED: 'retired',
+  PUBLISHED: 'published',
+  MIGRATED: 'migrated'
+};
+
+const AUTO_ROTATION_SETTING = 'identity_key_rotation';
+const PENDING_ROTATION_KEY = 'identity_rotation_pending';
+const RETIRED_KEY_STORAGE_INFO = 'SecureChat retired identity key storage v1';
+
+// Scheduled replacement of the account identity key. The old key signs a statement
+// naming the new one, which contacts follow without a safety number warning, and
+// is kept for a grace period so messages already on their way to it still open.
+// Everything stored locally under the old key is moved over to the new one.
+export class KeyRotationService {
+  static pendingRotation = null;
+
+  // Off unless the user turns it on
+  static async isAutoRotationEnabled() {
+    return (await Storage.getSecure(AUTO_ROTATION_SETTING)) === true;
+  }
+
+  static async setAutoRotationEnabled(enabled) {
+    await Storage.setSecure(AUTO_ROTATION_SETTING, !!enabled);
+    console.log(`🔄 Automatic key rotation ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  // Only the device holding the account key can rotate it. The first check
+  // starts the clock for accounts that have never rotated.
+  static async isRotationDue(user) {
+    if (!user || DeviceManager.isLinkedDevice(user) || !(await this.isAutoRotationEnabled())) return false;
+
+    const rotatedAt = await Storage.getSecure(`identity_rotated_at_${user.id}`);
+    if (!rotatedAt) {
+      await Storage.setSecure(`identity_rotated_at_${user.id}`, Date.now());
+      return false;
+    }
+    return Date.now() - rotatedAt >= KEY_ROTATION_CONFIG.IDENTITY_KEY_INTERVAL;
+  }
+
+  // Returns the new key pair. Concurrent callers share one run.
+  static async rotateIdentityKey({ user, privateKey, derivedKey }) {
+    if (!this.pendingRotation) {
+      this.pendingRotation = this.performRotation({ user, privateKey, derivedKey }).finally(() => {
+        this.pendingRotation = null;
+      });
+    }
+    return this.pendingRotation;
+  }
+
+  // The new key is stored locally, with the old one retired under it, before the
+  // server hears about it, and each stage is recorded as it completes. A run that
+  // fails or is interrupted picks up where it stopped, with the same key.
+  static async performRotation({ user, privateKey, derivedKey }) {
+    try {
+      if (DeviceManager.isLinkedDevice(user)) {
+        throw new Error('Only the primary device can rotate the account key');
+      }
+      if (!derivedKey) {
+        throw new Error('Unlock with your password first');
+      }
+
+      const { pending, oldPrivateKey, keyPair } = await this.preparePendingRotation(user, privateKey);
+
+      if (pending.stage === ROTATION_STAGES.CREATED) {
+        await this.retireKey(oldPrivateKey, keyPair.privateKey);
+        await this.savePendingRotation(user.id, pending, ROTATION_STAGES.RETIRED);
+      }
+
+      if (pending.stage === ROTATION_STAGES.RETIRED) {
+        if (!(await this.isRotationPublished(user, pending.rotation))) {
+          await ApiService.rotateIdentityKey({
+            publicKey: keyPair.publicKey,
+            rotation: pending.rotation,
+            deviceCertificates: await this.recertifyDevices(user, keyPair.privateKey)
+          });
+        }
+        console.log('🔄 Identity key rotated on the server');
+        await this.savePendingRotation(user.id, pending, ROTATION_STAGES.PUBLISHED);
+      }
+
+      // From here on the server hands out the new key, so move everything over.
+      // Each step can run again over records an earlier attempt already moved.
+      if (pending.stage === ROTATION_STAGES.PUBLISHED) {
+        await KeyManager.replaceKeyPair(user.id, keyPair, derivedKey);
+        await SessionManager.reencryptRecords(oldPrivateKey, keyPair.privateKey);
+        await GroupSessionManager.reencryptRecords(oldPrivateKey, keyPair.privateKey);
+        await this.resealHistory(oldPrivateKey, keyPair.privateKey);
+        await Storage.setSecure(`identity_rotated_at_${user.id}`, Date.now());
+        DeviceManager.clearDeviceCache(user.id);
+        await this.savePendingRotation(user.id, pending, ROTATION_STAGES.MIGRATED);
+      }
+
+      await PreKeyManager.ensurePreKeys(keyPair.privateKey);
+      await this.announceRotation(user, oldPrivateKey, pending.rotation);
+      await this.clearPendingRotation(user.id);
+
+      console.log('✅ Identity key rotation complete');
+      return keyPair;
+    } catch (error) {
+      console.error('❌ Identity key rotation failed:', error);
+      throw error;
+    }
+  }
+
+  // PENDING ROTATION
+
+  static async hasPendingRotation(user) {
+    return !!user && !!(await Storage.getSecure(`${PENDING_ROTATION_KEY}_${user.id}`));
+  }
+
+  // Start a rotation, or reopen the one in progress. privateKey is whichever key
+  // the vault holds: the old one, or the new one if the key pair was already replaced.
+  static async preparePendingRotation(user, privateKey) {
+    const currentPublicKey = CryptoService.getPublicKeyFromPrivate(privateKey);
+    const pending = await Storage.getSecure(`${PENDING_ROTATION_KEY}_${user.id}`);
+
+    if (pending?.rotation?.previousPublicKey === currentPublicKey) {
+      const newPrivateKey = CryptoService.decryptWithAEAD(
+        pending.encryptedPrivateKey,
+        this.deriveStorageKey(privateKey),
+        this.getStorageAssociatedData(pending.rotation.publicKey)
+      );
+      console.log('🔄 Resuming identity key rotation:', pending.stage);
+      return {
+        pending,
+        oldPrivateKey: privateKey,
+        keyPair: { publicKey: pending.rotation.publicKey, privateKey: newPrivateKey }
+      };
+    }
+
+    if (pending?.rotation?.publicKey === currentPublicKey) {
+      const retired = (await this.getRetiredKeys(privateKey))
+        .find(key => key.publicKey === pending.rotation.previousPublicKey);
+      if (!retired) {
+        throw new Error('The previous identity key for this rotation is missing');
+      }
+      console.log('🔄 Resuming identity key rotation:', pending.stage);
+      return {
+        pending,
+        oldPrivateKey: retired.privateKey,
+        keyPair: { publicKey: currentPublicKey, privateKey }
+      };
+    }
+
+    if (pending) {
+      console.warn('⚠️ Discarding a pending rotation for a key this device no longer holds');
+    }
+
+    const keyPair = await CryptoService.generateKeyPair();
+    const rotation = CryptoService.signKeyRotation(privateKey, {
+      userId: user.id,
+      publicKey: keyPair.publicKey,
+      timestamp: Date.now()
+    });
+    const created = {
+      rotation,
+      // Under the old key, which is the one the vault hands back if we stop before switching
+      encryptedPrivateKey: CryptoService.encryptWithAEAD(
+        keyPair.privateKey,
+        this.deriveStorageKey(privateKey),
+        this.getStorageAssociatedData(keyPair.publicKey)
+      )
+    };
+    await this.savePendingRotation(user.id, created, ROTATION_STAGES.CREATED);
+    return { pending: created, oldPrivateKey: privateKey, keyPair };
+  }
+
+  static async savePendingRotation(userId, pending, stage) {
+    pending.stage = stage;
+    await Storage.setSecure(`${PENDING_ROTATION_KEY}_${userId}`, pending);
+  }
+
+  static async clearPendingRotation(userId) {
+    await Storage.removeSecure(`${PENDING_ROTATION_KEY}_${userId}`);
+  }
+
+  // An earlier attempt may have got through even though we never saw the reply
+  static async isRotationPublished(user, rotation) {
+    const { rotations = [] } = await ApiService.getKeyRotations(user.id);
+    return rotations.some(published => published.publicKey === rotation.publicKey);
+  }
+
+  // Linked devices stay linked: the new key signs a certificate for each device
+  // the old key had vouched for
+  static async recertifyDevices(user, newPrivateKey) {
+    const response = await ApiService.getUserDevices(user.id);
+
+    return (response.devices || [])
+      .filter(device => device.publicKey !== user.publicKey &&
+        DeviceManager.verifyDeviceCertificate(user.publicKey, { userId: user.id, ...device }))
+      .map(({ deviceId, publicKey }) => ({
+        deviceId,
+        certificate: DeviceManager.signDeviceCertificate(newPrivateKey, { userId: user.id, deviceId, publicKey })
+      }));
+  }
+
+  // Tell each contact directly; they can also find the statement on the server.
+  // Signed with the old key, which is the one they still have for us.
+  static async announceRotation(user, oldPrivateKey, rotation) {
+    const contacts = new Map();
+    for (const chat of await DatabaseService.getUserChats(user.id)) {
+      for (const participant of await DatabaseService.getChatParticipants(chat.id)) {
+        if (participant.id !== user.id && !contacts.has(participant.id)) {
+          contacts.set(participant.id, chat.id);
+        }
+      }
+    }
+
+    for (const [contactId, chatId] of contacts) {
+      const message = {
+        chatId,
+        senderId: user.id,
+        senderUsername: user.username,
+        recipientId: contactId,
+        encryptedContent: JSON.stringify(rotation),
+        messageType: KEY_ROTATION,
+        timestamp: Date.now(),
+        senderDeviceId: user.deviceId ?? null,
+        recipientDeviceId: null
+      };
+      await WebSocketService.sendMessage({ ...message, signature: CryptoService.signMessage(message, oldPrivateKey) });
+    }
+    console.log(`📨 Announced key rotation to ${contacts.size} contacts`);
+  }
+
+  static isRotationMessage(data) {
+    return data?.messageType === KEY_ROTATION;
+  }
+
+  // A contact's announcement. The statement carries its own signature, so it
+  // doesn't matter which key the relayed message was signed with.
+  static async handleRotationMessage(data) {
+    try {
+      const rotation = JSON.parse(data.encryptedContent);
+      const followed = await IdentityKeyStore.applyKeyRotation(data.senderId, rotation);
+      if (!followed) {
+        console.warn('⚠️ Ignoring key rotation that does not follow from the trusted key:', data.senderId);
+      }
+      return followed;
+    } catch (error) {
+      console.error('❌ Key rotation message failed:', error);
+      return false;
+    }
+  }
+
+  // RETIRED KEYS
+
+  // Keep the old key for the grace period, encrypted under the new one, and
+  // carry over older retired keys that haven't expired yet
+  static async retireKey(oldPrivateKey, newPrivateKey) {
+    const stillValid = await this.getRetiredKeys(oldPrivateKey);
+    const storageKey = this.deriveStorageKey(newPrivateKey);
+    const oldPublicKey = CryptoService.getPublicKeyFromPrivate(oldPrivateKey);
+
+    const retired = [...stillValid, { publicKey: oldPublicKey, privateKey: oldPrivateKey, retiredAt: Date.now() }];
+    for (const key of retired) {
+      await DatabaseService.saveRetiredIdentityKey(
+        key.publicKey,
+        CryptoService.encryptWithAEAD(key.privateKey, storageKey, this.getStorageAssociatedData(key.publicKey)),
+        key.retiredAt
+      );
+    }
+
+    await this.pruneRetiredKeys();
+  }
+
+  // Retired keys still within the grace period, as { publicKey, privateKey, retiredAt }
+  static async getRetiredKeys(privateKey) {
+    const storageKey = this.deriveStorageKey(privateKey);
+    const keys = [];
+
+    for (const row of await DatabaseService.getRetiredIdentityKeys()) {
+      if (this.isExpired(row.retired_at)) continue;
+      try {
+        keys.push({
+          publicKey: row.public_key,
+          privateKey: CryptoService.decryptWithAEAD(
+            row.encrypted_private_key,
+            storageKey,
+            this.getStorageAssociatedData(row.public_key)
+          ),
+          retiredAt: row.retired_at
+        });
+      } catch (error) {
+        console.warn('⚠️ Could not open retired identity key:', error.message);
+      }
+    }
+    return keys;
+  }
+
+  // Once the grace period is over the old key goes, along with its prekeys
+  static async pruneRetiredKeys() {
+    for (const row of await DatabaseService.getRetiredIdentityKeys()) {
+      if (!this.isExpired(row.retired_at)) continue;
+
+      const { dh } = CryptoService.parsePublicKey(row.public_key);
+      await DatabaseService.deleteAllPreKeys(CryptoService.getKeyId(dh));
+      await DatabaseService.deleteRetiredIdentityKey(row.public_key);
+      console.log('🗑️ Dropped retired identity key');
+    }
+  }
+
+  // Account deletion doesn't wait for the grace period
+  static async deleteRetiredKeys(privateKey) {
+    for (const key of await this.getRetiredKeys(privateKey)) {
+      await PreKeyManager.deleteLocalPreKeys(key.privateKey);
+      await DatabaseService.deleteRetiredIdentityKey(key.publicKey);
+    }
+    await this.pruneRetiredKeys();
+  }
+
+  static isExpired(retiredAt) {
+    return Date.now() - retiredAt >= KEY_ROTATION_CONFIG.RETIRED_KEY_GRACE_PERIOD;
+  }
+
+  // HISTORY
+
+  // Our copies of past messages are sealed to our own key. Current envelopes just
+  // get their content key re-wrapped; older ones are decrypted and sealed again.
+  // Messages an earlier, interrupted run already moved are left as they are.
+  static async resealHistory(oldPrivateKey, newPrivateKey) {
+    const newPublicKey = CryptoService.getPublicKeyFromPrivate(newPrivateKey);
+    let failed = 0;
+
+    for (const message of await DatabaseService.getSealedMessages()) {
+      let encryptedData;
+      try {
+        encryptedData = JSON.parse(message.encrypted_content);
+      } catch {
+        continue; // Plain text from before group encryption
+      }
+
+      const context = { chatId: message.chat_id, senderId: message.sender_id, timestamp: message.timestamp };
+      try {
+        const sealedData = (encryptedData.version || 1) >= 3
+          ? await CryptoService.rewrapMessage(encryptedData, oldPrivateKey, newPublicKey)
+          : await CryptoService.encryptMessage(
+            await CryptoService.decryptMessage(encryptedData, oldPrivateKey, context, { allowLegacy: true }),
+            [newPublicKey],
+            context
+          );
+        await DatabaseService.updateMessageContent(message.id, JSON.stringify(sealedData));
+      } catch (error) {
+        try {
+          await CryptoService.decryptMessage(encryptedData, newPrivateKey, context, { allowLegacy: true });
+        } catch {
+          failed++;
+        }
+      }
+    }
+
+    if (failed > 0) {
+      console.warn(`⚠️ ${failed} stored messages could not be moved to the new key`);
+    }
+  }
+
+  static deriveStorageKey(privateKey) {
+    const { dh } = CryptoService.parsePrivateKey(privateKey);
+    return Buffer.from(hkdf(sha256, dh, undefined, RETIRED_KEY_STORAGE_INFO, 32)).toString('hex');
+  }
+
+  static getStorageAssociatedData(publicKey) {
+    return `securechat:retired-identity-key:${publicKey}`;
+  }
+}
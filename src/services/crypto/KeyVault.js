@@ -0,0 +1,153 @@
+// src/services/crypto/KeyVault.js
+import { CryptoService } from './CryptoService';
+import { KdfService } from './KdfService';
+import { DatabaseService } from '../database/DatabaseService';
+
+const IDLE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+// Holds the unlocked private key in memory only. Nothing here is ever written to
+// storage: the key is unwrapped from the local database with a key derived from the
+// password (or released by a biometric-gated store) and dropped again after the app
+// has been idle for a while.
+class KeyVaultClass {
+  constructor() {
+    this.privateKey = null;
+    this.derivedKey = null;
+    this.unlocked = false;
+    this.lastActivity = 0;
+    this.idleTimer = null;
+    this.lockHandler = null;
+  }
+
+  // Called with no arguments whenever the vault locks itself
+  setLockHandler(handler) {
+    this.lockHandler = handler;
+  }
+
+  isUnlocked() {
+    return this.unlocked;
+  }
+
+  // Unlock with a key pair we already have in hand (fresh registration)
+  unlock(privateKey, derivedKey) {
+    this.privateKey = privateKey || null;
+    this.derivedKey = derivedKey || null;
+    this.unlocked = true;
+    this.touch();
+    console.log('🔓 Key vault unlocked');
+    return this.privateKey;
+  }
+
+  async unlockWithPassword(username, password, salt = null) {
+    const localUser = await DatabaseService.getUserByUsername(username);
+    const keySalt = localUser?.salt || salt;
+    if (!keySalt) {
+      throw new Error('No key salt available for this account');
+    }
+
+    const derivedKey = await CryptoService.deriveKeyFromPassword(password, keySalt);
+    return this.unlockWithDerivedKey(username, derivedKey);
+  }
+
+  // Throws if the key doesn't open the stored private key, so a wrong
+  // password never gets as far as an unlocked state
+  async unlockWithDerivedKey(username, derivedKey) {
+    const localUser = await DatabaseService.getUserByUsername(username);
+
+    if (!localUser || !localUser.encrypted_private_key) {
+      // New device: there's nothing to unwrap yet
+      console.log('No local private key found for this device');
+      return this.unlock(null, derivedKey);
+    }
+
+    let privateKey;
+    try {
+      privateKey = CryptoService.unwrapPrivateKey(localUser.encrypted_private_key, derivedKey);
+    } catch (error) {
+      throw new Error('Incorrect password');
+    }
+
+    // Re-wrap keys stored by older versions with authenticated encryption
+    if (CryptoService.isLegacyCiphertext(localUser.encrypted_private_key)) {
+      await DatabaseService.updateEncryptedPrivateKey(
+        localUser.id,
+        CryptoService.wrapPrivateKey(privateKey, derivedKey)
+      );
+      console.log('🔐 Migrated private key to authenticated encryption');
+    }
+
+    return this.unlock(privateKey, derivedKey);
+  }
+
+  // Re-wrap the unlocked private key under the current KDF defaults if the stored
+  // parameters are out of date. Returns the new parameters, or null if nothing changed.
+  async upgradeKdf(username, password) {
+    const localUser = await DatabaseService.getUserByUsername(username);
+    if (!this.unlocked || !this.privateKey || !localUser?.encrypted_private_key) return null;
+    if (!KdfService.needsUpgrade(localUser.salt)) return null;
+
+    const kdfParams = await CryptoService.generateKdfParams();
+    const derivedKey = await CryptoService.deriveKeyFromPassword(password, kdfParams);
+    await DatabaseService.updateEncryptedPrivateKey(
+      localUser.id,
+      CryptoService.wrapPrivateKey(this.privateKey, derivedKey),
+      kdfParams
+    );
+
+    this.derivedKey = derivedKey;
+    console.log('🔐 Upgraded password KDF to', KdfService.parseParams(kdfParams).algorithm);
+    return kdfParams;
+  }
+
+  // Null while locked. Every read counts as activity.
+  getPrivateKey() {
+    if (!this.unlocked) return null;
+    this.touch();
+    return this.privateKey;
+  }
+
+  // Only needed to enrol biometrics while unlocked
+  getDerivedKey() {
+    if (!this.unlocked) return null;
+    this.touch();
+    return this.derivedKey;
+  }
+
+  touch() {
+    if (!this.unlocked) return;
+    this.lastActivity = Date.now();
+
+    if (this.idleTimer) clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.lock(), IDLE_TIMEOUT);
+  }
+
+  // Timers don't run while the app is suspended, so check again on resume
+  checkIdle() {
+    if (this.unlocked && Date.now() - this.lastActivity >= IDLE_TIMEOUT) {
+      this.lock();
+    }
+  }
+
+  lock() {
+    const wasUnlocked = this.unlocked;
+
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+    this.privateKey = null;
+    this.derivedKey = null;
+    this.unlocked = false;
+
+    if (!wasUnlocked) return;
+    console.log('🔒 Key vault locked');
+
+    try {
+      if (this.lockHandler) this.lockHandler();
+    } catch (error) {
+      console.error('Lock handler failed:', error);
+    }
+  }
+}
+
+export const KeyVault = new KeyVaultClass();
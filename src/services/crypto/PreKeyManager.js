@@ -0,0 +1,210 @@
+// src/services/crypto/PreKeyManager.js
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import { x25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { CryptoService } from './CryptoService';
+import { X3DH } from './X3DH';
+import { DatabaseService } from '../database/DatabaseService';
+import { ApiService } from '../network/ApiService';
+import { KEY_ROTATION_CONFIG } from '../../utils/constants';
+
+const PREKEY_STORAGE_INFO = 'SecureChat prekey storage v1';
+
+// Publishes and looks after our X3DH prekeys: one signed prekey plus a pool of
+// one-time prekeys on the server, with the private halves kept locally
+export class PreKeyManager {
+  static SIGNED = 'signed';
+  static ONE_TIME = 'one_time';
+  static ONE_TIME_PREKEY_BATCH = 100;
+  static MIN_ONE_TIME_PREKEYS = 20;
+  static pendingUpdate = null;
+
+  // Publish a bundle if this identity has none yet, otherwise rotate the signed
+  // prekey when it is due and top up the pool. Concurrent callers share one run.
+  static async ensurePreKeys(privateKey) {
+    if (!this.pendingUpdate) {
+      this.pendingUpdate = (async () => {
+        const signedPreKey = await DatabaseService.getLatestPreKey(this.getOwnerKeyId(privateKey), this.SIGNED);
+        if (!signedPreKey) {
+          await this.publishPreKeyBundle(privateKey);
+          return;
+        }
+
+        if (Date.now() - signedPreKey.created_at >= KEY_ROTATION_CONFIG.SIGNED_PREKEY_INTERVAL) {
+          await this.rotateSignedPreKey(privateKey);
+        } else {
+          await this.pruneSignedPreKeys(privateKey, signedPreKey);
+        }
+        await this.replenishOneTimePreKeys(privateKey);
+      })().finally(() => {
+        this.pendingUpdate = null;
+      });
+    }
+    return this.pendingUpdate;
+  }
+
+  static async publishPreKeyBundle(privateKey) {
+    const ownerKeyId = this.getOwnerKeyId(privateKey);
+    const signedPreKey = await this.generatePreKeys(privateKey, this.SIGNED, 1);
+    const oneTimePreKeys = await this.generatePreKeys(privateKey, this.ONE_TIME, this.ONE_TIME_PREKEY_BATCH);
+
+    try {
+      await ApiService.uploadPreKeyBundle({
+        identityKey: CryptoService.getPublicKeyFromPrivate(privateKey),
+        signedPreKey: {
+          keyId: signedPreKey[0].keyId,
+          publicKey: signedPreKey[0].publicKey,
+          signature: X3DH.signPreKey(privateKey, Buffer.from(signedPreKey[0].publicKey, 'base64'))
+        },
+        oneTimePreKeys: oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey }))
+      });
+      console.log('🔑 Prekey bundle published');
+    } catch (error) {
+      // Forget keys the server never got so the next run publishes again
+      await DatabaseService.deletePreKeys(ownerKeyId, this.SIGNED, signedPreKey.map(k => k.keyId));
+      await DatabaseService.deletePreKeys(ownerKeyId, this.ONE_TIME, oneTimePreKeys.map(k => k.keyId));
+      console.error('❌ Prekey bundle upload failed:', error);
+      throw error;
+    }
+  }
+
+  // Sessions started just before the switch may still name the old signed
+  // prekey, so it is kept until pruneSignedPreKeys drops it
+  static async rotateSignedPreKey(privateKey) {
+    const ownerKeyId = this.getOwnerKeyId(privateKey);
+    const [signedPreKey] = await this.generatePreKeys(privateKey, this.SIGNED, 1);
+
+    try {
+      await ApiService.uploadSignedPreKey({
+        keyId: signedPreKey.keyId,
+        publicKey: signedPreKey.publicKey,
+        signature: X3DH.signPreKey(privateKey, Buffer.from(signedPreKey.publicKey, 'base64'))
+      });
+      console.log('🔑 Signed prekey rotated:', signedPreKey.keyId);
+    } catch (error) {
+      await DatabaseService.deletePreKeys(ownerKeyId, this.SIGNED, [signedPreKey.keyId]);
+      console.error('❌ Signed prekey rotation failed:', error);
+      throw error;
+    }
+  }
+
+  // Older signed prekeys go once the current one has been published for the grace period
+  static async pruneSignedPreKeys(privateKey, latest) {
+    if (Date.now() - latest.created_at < KEY_ROTATION_CONFIG.RETIRED_KEY_GRACE_PERIOD) return;
+    await DatabaseService.deleteOlderPreKeys(this.getOwnerKeyId(privateKey), this.SIGNED, latest.key_id);
+  }
+
+  static async replenishOneTimePreKeys(privateKey) {
+    const response = await ApiService.getPreKeyCount();
+    const count = response.count || 0;
+    if (count >= this.MIN_ONE_TIME_PREKEYS) return;
+
+    const ownerKeyId = this.getOwnerKeyId(privateKey);
+    const preKeys = await this.generatePreKeys(privateKey, this.ONE_TIME, this.ONE_TIME_PREKEY_BATCH - count);
+
+    try {
+      await ApiService.uploadOneTimePreKeys(preKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey })));
+      console.log(`🔑 Uploaded ${preKeys.length} one-time prekeys`);
+    } catch (error) {
+      await DatabaseService.deletePreKeys(ownerKeyId, this.ONE_TIME, preKeys.map(k => k.keyId));
+      console.error('❌ One-time prekey upload failed:', error);
+      throw error;
+    }
+  }
+
+  // Returns null only when the server says the peer hasn't published a bundle
+  // (older clients). Anything else is thrown: falling back to a session without
+  // prekeys because a request failed would give up forward secrecy.
+  // Each of a user's devices publishes its own bundle.
+  static async fetchPreKeyBundle(userId, deviceId = null) {
+    let response;
+    try {
+      response = await ApiService.getPreKeyBundle(userId, deviceId);
+    } catch (error) {
+      if (error.status === 404) {
+        console.warn('⚠️ No prekey bundle available for user:', userId);
+        return null;
+      }
+      console.error('❌ Prekey bundle fetch failed:', error);
+      throw error;
+    }
+    if (!response.success) return null;
+    if (!response.bundle) {
+      throw new Error('Prekey bundle response is missing the bundle');
+    }
+
+    // A bundle that is present but badly signed is an error, not a fallback
+    X3DH.verifyBundle(response.bundle);
+    return response.bundle;
+  }
+
+  // Raw private key for one of our prekeys, or null if we don't have it
+  static async getPreKeyPrivate(privateKey, keyType, keyId) {
+    const preKey = await DatabaseService.getPreKey(this.getOwnerKeyId(privateKey), keyType, keyId);
+    if (!preKey) return null;
+
+    const privateHex = CryptoService.decryptWithAEAD(
+      preKey.encrypted_private_key,
+      this.deriveStorageKey(privateKey),
+      this.getStorageAssociatedData(keyType, keyId)
+    );
+    return new Uint8Array(Buffer.from(privateHex, 'hex'));
+  }
+
+  // One-time prekeys are deleted as soon as a session has been built from them.
+  // preKeyOwner is the retired identity key the prekey was published under, if any.
+  static async consumeOneTimePreKey(privateKey, keyId, preKeyOwner = privateKey) {
+    await DatabaseService.deletePreKeys(this.getOwnerKeyId(preKeyOwner), this.ONE_TIME, [keyId]);
+
+    this.ensurePreKeys(privateKey).catch(error =>
+      console.log('Prekey replenish warning:', error.message)
+    );
+  }
+
+  // Every prekey stored for the identity key, e.g. when the account is deleted
+  static async deleteLocalPreKeys(privateKey) {
+    await DatabaseService.deleteAllPreKeys(this.getOwnerKeyId(privateKey));
+  }
+
+  // Generate prekeys and store their private halves, encrypted under our identity key
+  static async generatePreKeys(privateKey, keyType, count) {
+    const ownerKeyId = this.getOwnerKeyId(privateKey);
+    const storageKey = this.deriveStorageKey(privateKey);
+    const firstKeyId = await DatabaseService.reservePreKeyIds(ownerKeyId, keyType, count);
+
+    const preKeys = [];
+    for (let i = 0; i < count; i++) {
+      const keyId = firstKeyId + i;
+      const preKeyPrivate = await Crypto.getRandomBytesAsync(32);
+      preKeys.push({
+        keyId,
+        publicKey: Buffer.from(x25519.getPublicKey(preKeyPrivate)).toString('base64'),
+        encryptedPrivateKey: CryptoService.encryptWithAEAD(
+          Buffer.from(preKeyPrivate).toString('hex'),
+          storageKey,
+          this.getStorageAssociatedData(keyType, keyId)
+        )
+      });
+    }
+
+    await DatabaseService.savePreKeys(ownerKeyId, keyType, preKeys);
+    return preKeys;
+  }
+
+  // Prekeys belong to an identity key rather than a user id, so re-keying starts fresh
+  static getOwnerKeyId(privateKey) {
+    const { dh } = CryptoService.parsePrivateKey(privateKey);
+    return CryptoService.getKeyId(x25519.getPublicKey(dh));
+  }
+
+  static deriveStorageKey(privateKey) {
+    const { dh } = CryptoService.parsePrivateKey(privateKey);
+    return Buffer.from(hkdf(sha256, dh, undefined, PREKEY_STORAGE_INFO, 32)).toString('hex');
+  }
+
+  static getStorageAssociatedData(keyType, keyId) {
+    return `securechat:prekey:${keyType}:${keyId}`;
+  }
+}
@@ -0,0 +1,89 @@
+// src/services/crypto/RecoveryService.js
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import { entropyToMnemonic, mnemonicToEntropy, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { CryptoService } from './CryptoService';
+import { ApiService } from '../network/ApiService';
+
+const PHRASE_ENTROPY_BYTES = 16; // 12 words
+const RECOVERY_KEY_INFO = 'SecureChat recovery key v1';
+const RECOVERY_AUTH_KEY_INFO = 'SecureChat recovery auth key v2';
+const RECOVERY_KEY_AD = 'securechat:recovery-key';
+
+// Recovery phrases: 12 BIP39 words that wrap a second copy of the private key.
+// The server keeps the wrapped copy and the public half of a signing key derived from
+// the phrase, so it can tell who may fetch the copy without ever being able to open
+// it, or to answer for the phrase itself. The phrase is
+// already 128 random bits, so unlike a password it doesn't need a slow KDF.
+export class RecoveryService {
+  static async generatePhrase() {
+    const entropy = await Crypto.getRandomBytesAsync(PHRASE_ENTROPY_BYTES);
+    return entropyToMnemonic(new Uint8Array(entropy), wordlist);
+  }
+
+  // Tolerate stray spaces, line breaks and capitals when typed back in
+  static normalizePhrase(phrase) {
+    return (phrase || '').trim().toLowerCase().split(/\s+/).join(' ');
+  }
+
+  static isValidPhrase(phrase) {
+    return validateMnemonic(this.normalizePhrase(phrase), wordlist);
+  }
+
+  static getWords(phrase) {
+    return this.normalizePhrase(phrase).split(' ');
+  }
+
+  // Distinct word positions (0-based, ascending) to quiz the user on
+  static pickWordsToConfirm(phrase, count = 3) {
+    const positions = this.getWords(phrase).map((_, index) => index);
+    for (let i = positions.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [positions[i], positions[j]] = [positions[j], positions[i]];
+    }
+    return positions.slice(0, count).sort((a, b) => a - b);
+  }
+
+  static deriveRecoveryKeys(phrase) {
+    if (!this.isValidPhrase(phrase)) {
+      throw new Error('Invalid recovery phrase');
+    }
+
+    const entropy = mnemonicToEntropy(this.normalizePhrase(phrase), wordlist);
+    return {
+      wrappingKey: Buffer.from(hkdf(sha256, entropy, undefined, RECOVERY_KEY_INFO, 32)).toString('hex'),
+      authKey: CryptoService.deriveAuthKey(Buffer.from(entropy).toString('hex'), RECOVERY_AUTH_KEY_INFO)
+    };
+  }
+
+  // What the server stores for this phrase
+  static createRecoveryKey(privateKey, phrase) {
+    const { wrappingKey, authKey } = this.deriveRecoveryKeys(phrase);
+    return {
+      encryptedPrivateKey: CryptoService.encryptWithAEAD(privateKey, wrappingKey, RECOVERY_KEY_AD),
+      authKey: CryptoService.getAuthPublicKey(authKey)
+    };
+  }
+
+  // Signs a fresh server challenge to show we hold the phrase
+  static async createRecoveryProof(username, phrase) {
+    const { authKey } = this.deriveRecoveryKeys(phrase);
+    const { challengeId, challenge } = await ApiService.getLoginChallenge(username);
+    return {
+      challengeId,
+      recoverySignature: CryptoService.signAuthChallenge(authKey, { username, challengeId, challenge })
+    };
+  }
+
+  static openRecoveryKey(encryptedPrivateKey, phrase) {
+    const { wrappingKey } = this.deriveRecoveryKeys(phrase);
+    try {
+      return CryptoService.decryptWithAEAD(encryptedPrivateKey, wrappingKey, RECOVERY_KEY_AD);
+    } catch (error) {
+      throw new Error('Incorrect recovery phrase');
+    }
+  }
+}
@@ -0,0 +1,83 @@
+// src/services/crypto/SafetyNumber.js
+import { Buffer } from 'buffer';
+import { sha512 } from '@noble/hashes/sha2';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { CryptoService } from './CryptoService';
+
+const FINGERPRINT_VERSION = new Uint8Array([0, 0]);
+const FINGERPRINT_ITERATIONS = 5200;
+const QR_PAYLOAD_TYPE = 'securechat-safety-number';
+const QR_PAYLOAD_VERSION = 1;
+
+// Signal-style safety numbers: each side's identity key is hashed into 30 digits,
+// and the two halves are put in a fixed order so both users see the same 60 digits
+export class SafetyNumber {
+  // 30-digit fingerprint of one user's identity key
+  static getFingerprint(userId, publicKey) {
+    const { dh, sign } = CryptoService.parsePublicKey(publicKey);
+    const keyBytes = Buffer.concat([dh, sign]);
+
+    let hash = sha512(Buffer.concat([FINGERPRINT_VERSION, keyBytes, utf8ToBytes(String(userId))]));
+    for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+      hash = sha512(Buffer.concat([hash, keyBytes]));
+    }
+
+    // Six 5-digit groups, each from 5 bytes of the hash
+    let digits = '';
+    for (let i = 0; i < 6; i++) {
+      const chunk = hash.slice(i * 5, i * 5 + 5);
+      const value = chunk.reduce((acc, byte) => acc * 256 + byte, 0);
+      digits += String(value % 100000).padStart(5, '0');
+    }
+    return digits;
+  }
+
+  static getSafetyNumber(localUserId, localPublicKey, remoteUserId, remotePublicKey) {
+    return [
+      this.getFingerprint(localUserId, localPublicKey),
+      this.getFingerprint(remoteUserId, remotePublicKey)
+    ].sort().join('');
+  }
+
+  // "12345 67890 ..." for display
+  static formatSafetyNumber(safetyNumber) {
+    return safetyNumber.match(/.{1,5}/g).join(' ');
+  }
+
+  static getQrPayload(localUserId, localPublicKey, remoteUserId, remotePublicKey) {
+    return JSON.stringify({
+      type: QR_PAYLOAD_TYPE,
+      version: QR_PAYLOAD_VERSION,
+      userId: localUserId,
+      fingerprint: this.getFingerprint(localUserId, localPublicKey),
+      peerFingerprint: this.getFingerprint(remoteUserId, remotePublicKey)
+    });
+  }
+
+  // Check a code scanned from the contact's screen against the keys we hold.
+  // Their payload lists their own fingerprint first, so the sides are swapped.
+  static verifyQrPayload(payload, localUserId, localPublicKey, remoteUserId, remotePublicKey) {
+    let scanned;
+    try {
+      scanned = JSON.parse(payload);
+    } catch {
+      return { valid: false, reason: 'This is not a SecureChat verification code' };
+    }
+
+    if (scanned?.type !== QR_PAYLOAD_TYPE || scanned.version !== QR_PAYLOAD_VERSION) {
+      return { valid: false, reason: 'This is not a SecureChat verification code' };
+    }
+
+    if (String(scanned.userId) !== String(remoteUserId)) {
+      return { valid: false, reason: 'This code belongs to a different contact' };
+    }
+
+    const matches =
+      scanned.fingerprint === this.getFingerprint(remoteUserId, remotePublicKey) &&
+      scanned.peerFingerprint === this.getFingerprint(localUserId, localPublicKey);
+
+    return matches
+      ? { valid: true }
+      : { valid: false, reason: 'Safety numbers do not match. The keys may have been changed.' };
+  }
+}
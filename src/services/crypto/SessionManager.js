@@ -0,0 +1,447 @@
+// src/services/crypto/SessionManager.js
+import { Buffer } from 'buffer';
+import { x25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { CryptoService } from './CryptoService';
+import { DoubleRatchet } from './DoubleRatchet';
+import { IdentityKeyStore } from './IdentityKeyStore';
+import { PreKeyManager } from './PreKeyManager';
+import { DeviceManager } from './DeviceManager';
+import { X3DH } from './X3DH';
+import { DatabaseService } from '../database/DatabaseService';
+import { NetworkOptimizer } from '../network/NetworkOptimizer';
+import { WebSocketService } from '../network/WebSocketService';
+
+// Envelope version 4: Double Ratchet message inside a per-(chat, peer) session
+const RATCHET_ENVELOPE_VERSION = 4;
+const RATCHET_ENVELOPE_TYPE = 'ratchet';
+
+// Envelope version 6: one ratchet envelope per device on the recipient's account,
+// plus one per other device on the sender's (senderDevices) so they see it too
+const DEVICE_FANOUT_ENVELOPE_VERSION = 6;
+const DEVICE_FANOUT_ENVELOPE_TYPE = 'device_fanout';
+
+const SESSION_SECRET_INFO = 'SecureChat ratchet session v1';
+const SESSION_STORAGE_INFO = 'SecureChat ratchet storage v1';
+
+// Both sides may start a session at the same time, so keep a few per peer device
+const MAX_SESSIONS_PER_DEVICE = 5;
+const MAX_RETIRED_SESSION_IDS = 50;
+
+class SessionManagerClass {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  isRatchetEnvelope(envelope) {
+    return envelope?.version === RATCHET_ENVELOPE_VERSION && envelope?.type === RATCHET_ENVELOPE_TYPE;
+  }
+
+  isDeviceFanoutEnvelope(envelope) {
+    return envelope?.version === DEVICE_FANOUT_ENVELOPE_VERSION && envelope?.type === DEVICE_FANOUT_ENVELOPE_TYPE;
+  }
+
+  // Encrypt a direct message for every device on the peer's account and every other
+  // device on ours. A peer whose only device holds the account key gets a plain
+  // ratchet envelope when we have no other devices.
+  async encryptForUser({ chatId, peerId, peerPublicKey, sender, privateKey, plaintext, context }) {
+    await IdentityKeyStore.assertTrusted(peerId, peerPublicKey);
+    const devices = await DeviceManager.getDevices(peerId, peerPublicKey);
+    const ownAccountKey = DeviceManager.getAccountPublicKey(sender);
+    const ownDevices = (await DeviceManager.getDevices(sender.id, ownAccountKey))
+      .filter(device => device.publicKey !== sender.publicKey);
+    plaintext = NetworkOptimizer.compressPayload(plaintext, WebSocketService.getCompressionLevel());
+
+    if (ownDevices.length === 0 && devices.length === 1 && devices[0].publicKey === peerPublicKey) {
+      return this.encryptMessage({
+        chatId, peerId, peerDeviceId: devices[0].deviceId, peerPublicKey, privateKey, plaintext, context
+      });
+    }
+
+    const { messages, lastError } = await this.encryptForDevices({
+      chatId, userId: peerId, accountPublicKey: peerPublicKey, devices, privateKey, plaintext, context
+    });
+    if (Object.keys(messages).length === 0) throw lastError;
+
+    // The message still goes if none of our other devices can be reached
+    const { messages: senderDevices } = await this.encryptForDevices({
+      chatId, userId: sender.id, accountPublicKey: ownAccountKey, devices: ownDevices, privateKey, plaintext, context
+    });
+    return {
+      version: DEVICE_FANOUT_ENVELOPE_VERSION,
+      type: DEVICE_FANOUT_ENVELOPE_TYPE,
+      messages,
+      ...(Object.keys(senderDevices).length > 0 ? { senderDevices } : {})
+    };
+  }
+
+  // One envelope per device, keyed by device id. Devices that can't be reached are
+  // left out, with the last error kept for when none could be.
+  async encryptForDevices({ chatId, userId, accountPublicKey, devices, privateKey, plaintext, context }) {
+    const messages = {};
+    let lastError = null;
+    for (const device of devices) {
+      try {
+        messages[device.deviceId] = await this.encryptMessage({
+          chatId,
+          peerId: userId,
+          peerDeviceId: device.deviceId,
+          peerPublicKey: device.publicKey,
+          accountPublicKey,
+          privateKey,
+          plaintext,
+          context
+        });
+      } catch (error) {
+        // One unreachable device shouldn't stop the others getting the message
+        console.warn('⚠️ Could not encrypt for device:', device.deviceId, error.message);
+        lastError = error;
+      }
+    }
+    return { messages, lastError };
+  }
+
+  // Encrypt a direct message through the session with one of the peer's devices,
+  // starting one if needed. peerPublicKey is that device's identity key; trust is
+  // checked against the account key. Returns the envelope to send over the wire.
+  async encryptMessage({ chatId, peerId, peerDeviceId = null, peerPublicKey, accountPublicKey = peerPublicKey, privateKey, plaintext, context }) {
+    return this.withSessionLock(chatId, peerId, async () => {
+      try {
+        await IdentityKeyStore.assertTrusted(peerId, accountPublicKey);
+        const record = await this.loadRecord(chatId, peerId, privateKey);
+
+        // Sessions belong to a device key, so a re-keyed peer gets a new one
+        let session = record.sessions[record.activeSessionIds[peerPublicKey]];
+        if (!session) {
+          session = await this.createInitiatorSession(peerId, peerPublicKey, privateKey, peerDeviceId);
+          console.log('🔐 Started ratchet session with peer:', peerId, peerDeviceId ?? '');
+        }
+
+        const { state, header, ciphertext } = await DoubleRatchet.encrypt(
+          session.state,
+          plaintext,
+          this.buildAssociatedData(session.id, context)
+        );
+
+        this.storeSession(record, { ...session, state, updatedAt: Date.now() });
+        await this.saveRecord(chatId, peerId, privateKey, record);
+
+        return {
+          version: RATCHET_ENVELOPE_VERSION,
+          type: RATCHET_ENVELOPE_TYPE,
+          sessionId: session.id,
+          ...(session.awaitingReply ? { init: session.preKeyMessage || true } : {}),
+          header,
+          ciphertext
+        };
+      } catch (error) {
+        console.error('❌ Ratchet encryption failed:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Decrypt a ratchet envelope. Session state is only saved once the message
+  // authenticates, so forged or corrupted messages leave the session untouched.
+  async decryptMessage({ chatId, peerId, peerPublicKey, privateKey, envelope, context }) {
+    return this.withSessionLock(chatId, peerId, async () => {
+      try {
+        if (!this.isRatchetEnvelope(envelope) || typeof envelope.sessionId !== 'string') {
+          throw new Error('Invalid ratchet envelope');
+        }
+
+        const record = await this.loadRecord(chatId, peerId, privateKey);
+        let session = record.sessions[envelope.sessionId];
+        const isNewSession = !session;
+
+        if (isNewSession) {
+          if (!envelope.init || record.retiredSessionIds.includes(envelope.sessionId)) {
+            throw new Error('No session for this message');
+          }
+          session = await this.createResponderSession(envelope, peerPublicKey, privateKey);
+        }
+
+        const { state, plaintext } = await DoubleRatchet.decrypt(
+          session.state,
+          envelope.header,
+          envelope.ciphertext,
+          this.buildAssociatedData(session.id, context)
+        );
+
+        // A reply means the peer has the session, so it becomes the one we send on
+        this.storeSession(record, { ...session, state, awaitingReply: false, updatedAt: Date.now() });
+        await this.saveRecord(chatId, peerId, privateKey, record);
+
+        const oneTimePreKeyId = envelope.init?.oneTimePreKeyId;
+        if (isNewSession && oneTimePreKeyId != null) {
+          const preKeyOwner = await this.getAddressedIdentityKey(privateKey, envelope.init.recipientIdentityKey);
+          await PreKeyManager.consumeOneTimePreKey(privateKey, oneTimePreKeyId, preKeyOwner);
+        }
+
+        return plaintext;
+      } catch (error) {
+        console.error('❌ Ratchet decryption failed:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Direct-chat payloads are ratchet envelopes (possibly one per device), or sealed
+  // envelopes from older clients. peerPublicKey is the sender's account key;
+  // senderDeviceId says which of their devices sent it and deviceId is ours.
+  async decryptDirectMessage({ chatId, peerId, peerPublicKey, senderDeviceId = null, deviceId = null, privateKey, encryptedContent, context }) {
+    let envelope = JSON.parse(encryptedContent);
+
+    // Incoming messages still decrypt, but a new sender key gets flagged to the user
+    await IdentityKeyStore.checkIdentity(peerId, peerPublicKey);
+
+    if (this.isDeviceFanoutEnvelope(envelope)) {
+      // Sent from another of our own devices
+      const isOwnMessage = String(peerId) === String(await IdentityKeyStore.getOwnerId());
+      envelope = (isOwnMessage ? envelope.senderDevices : envelope.messages)?.[String(deviceId)];
+      if (!envelope) {
+        throw new Error('Message was not encrypted for this device');
+      }
+    }
+
+    if (this.isRatchetEnvelope(envelope)) {
+      const deviceKey = await DeviceManager.getDeviceKey(peerId, senderDeviceId, peerPublicKey);
+      if (!deviceKey) {
+        throw new Error('Message from a device the sender\'s account key does not vouch for');
+      }
+      const plaintext = await this.decryptMessage({ chatId, peerId, peerPublicKey: deviceKey, privateKey, envelope, context });
+      return NetworkOptimizer.decompressPayload(plaintext);
+    }
+
+    return CryptoService.decryptMessage(envelope, privateKey, context);
+  }
+
+  async resetSessions(peerId) {
+    await DatabaseService.deleteRatchetSessions(peerId);
+    console.log('🗑️ Ratchet sessions reset for peer:', peerId);
+  }
+
+  // SESSION SETUP
+
+  // Start a session from the peer's prekey bundle, so they don't need to be online.
+  // Peers that never published a bundle get a session seeded from identity keys.
+  // The session id is the initiator's first ratchet public key.
+  async createInitiatorSession(peerId, peerPublicKey, privateKey, deviceId = null) {
+    const bundle = await PreKeyManager.fetchPreKeyBundle(peerId, deviceId);
+    let state;
+    let preKeyMessage = null;
+
+    if (bundle) {
+      if (bundle.identityKey !== peerPublicKey) {
+        throw new Error('Prekey bundle does not match the contact\'s identity key');
+      }
+
+      const { sharedSecret, signedPreKey, message } = await X3DH.initiate(privateKey, bundle);
+      state = await DoubleRatchet.initializeSender(sharedSecret, signedPreKey);
+      preKeyMessage = message;
+    } else {
+      const { dh: peerDhKey } = CryptoService.parsePublicKey(peerPublicKey);
+      state = await DoubleRatchet.initializeSender(
+        this.deriveSessionSecret(privateKey, peerPublicKey),
+        peerDhKey
+      );
+    }
+
+    return {
+      id: state.sendingRatchetKey.publicKey,
+      peerIdentityKey: peerPublicKey,
+      awaitingReply: true,
+      preKeyMessage,
+      state,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+  }
+
+  // The initiator ratcheted against our signed prekey (or our identity key for
+  // sessions without a bundle), so that key pair seeds our side
+  async createResponderSession(envelope, peerPublicKey, privateKey) {
+    let state;
+
+    if (envelope.init === true) {
+      const { dh: ownDhKey } = CryptoService.parsePrivateKey(privateKey);
+      state = DoubleRatchet.initializeReceiver(
+        this.deriveSessionSecret(privateKey, peerPublicKey),
+        { publicKey: x25519.getPublicKey(ownDhKey), privateKey: ownDhKey }
+      );
+    } else {
+      const preKeyMessage = envelope.init;
+      if (preKeyMessage.identityKey !== peerPublicKey) {
+        throw new Error('Prekey message does not match the sender\'s identity key');
+      }
+      const ownPrivateKey = await this.getAddressedIdentityKey(privateKey, preKeyMessage.recipientIdentityKey);
+
+      const signedPreKey = await PreKeyManager.getPreKeyPrivate(
+        ownPrivateKey, PreKeyManager.SIGNED, preKeyMessage.signedPreKeyId
+      );
+      if (!signedPreKey) {
+        throw new Error('Unknown signed prekey');
+      }
+
+      let oneTimePreKey = null;
+      if (preKeyMessage.oneTimePreKeyId != null) {
+        oneTimePreKey = await PreKeyManager.getPreKeyPrivate(
+          ownPrivateKey, PreKeyManager.ONE_TIME, preKeyMessage.oneTimePreKeyId
+        );
+        if (!oneTimePreKey) {
+          throw new Error('One-time prekey already used');
+        }
+      }
+
+      state = DoubleRatchet.initializeReceiver(
+        X3DH.respond(ownPrivateKey, preKeyMessage, signedPreKey, oneTimePreKey),
+        { publicKey: x25519.getPublicKey(signedPreKey), privateKey: signedPreKey }
+      );
+    }
+
+    return {
+      id: envelope.sessionId,
+      peerIdentityKey: peerPublicKey,
+      awaitingReply: false,
+      preKeyMessage: null,
+      state,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+  }
+
+  // A prekey message sent just before we rotated our identity key was built
+  // against the old key, which we keep for a while after the rotation
+  async getAddressedIdentityKey(privateKey, recipientIdentityKey) {
+    if (!recipientIdentityKey || recipientIdentityKey === CryptoService.getPublicKeyFromPrivate(privateKey)) {
+      return privateKey;
+    }
+
+    // Imported here because the rotation service re-encrypts our session records
+    const { KeyRotationService } = await import('./KeyRotationService');
+    const retired = (await KeyRotationService.getRetiredKeys(privateKey))
+      .find(key => key.publicKey === recipientIdentityKey);
+    if (!retired) {
+      throw new Error('Prekey message is for an identity key we no longer hold');
+    }
+    return retired.privateKey;
+  }
+
+  // Shared root secret from both identity keys; the salt orders the public keys
+  // the same way on both sides
+  deriveSessionSecret(privateKey, peerPublicKey) {
+    const { dh: ownDhKey } = CryptoService.parsePrivateKey(privateKey);
+    const { dh: peerDhKey } = CryptoService.parsePublicKey(peerPublicKey);
+    const publicKeys = [Buffer.from(x25519.getPublicKey(ownDhKey)), Buffer.from(peerDhKey)].sort(Buffer.compare);
+    const salt = new Uint8Array(Buffer.concat(publicKeys));
+
+    return hkdf(sha256, x25519.getSharedSecret(ownDhKey, peerDhKey), salt, SESSION_SECRET_INFO, 32);
+  }
+
+  buildAssociatedData(sessionId, context) {
+    return `${CryptoService.buildMessageAssociatedData(context)}:session:${sessionId}`;
+  }
+
+  // SESSION STORAGE
+
+  // One record per (chat, peer) holds the sessions with all of the peer's devices,
+  // with the one we send on tracked per device key
+  storeSession(record, session) {
+    record.sessions[session.id] = session;
+    record.activeSessionIds[session.peerIdentityKey] = session.id;
+
+    // Retire the least recently used sessions over the limit for this device
+    const sessions = Object.values(record.sessions)
+      .filter(s => s.peerIdentityKey === session.peerIdentityKey)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    sessions.slice(MAX_SESSIONS_PER_DEVICE).forEach(stale => {
+      delete record.sessions[stale.id];
+      record.retiredSessionIds.push(stale.id);
+    });
+    record.retiredSessionIds = record.retiredSessionIds.slice(-MAX_RETIRED_SESSION_IDS);
+  }
+
+  async loadRecord(chatId, peerId, privateKey) {
+    const stored = await DatabaseService.getRatchetSession(chatId, peerId);
+    if (!stored) {
+      return { activeSessionIds: {}, sessions: {}, retiredSessionIds: [] };
+    }
+
+    const record = JSON.parse(CryptoService.decryptWithAEAD(
+      stored,
+      this.deriveStorageKey(privateKey),
+      this.getStorageAssociatedData(chatId, peerId)
+    ));
+
+    // Records from before multi-device had a single active session
+    if (!record.activeSessionIds) {
+      const active = record.sessions[record.activeSessionId];
+      record.activeSessionIds = active ? { [active.peerIdentityKey]: active.id } : {};
+      delete record.activeSessionId;
+    }
+    return record;
+  }
+
+  // Session records hold chain keys, so they are encrypted at rest
+  async saveRecord(chatId, peerId, privateKey, record) {
+    const encryptedRecord = CryptoService.encryptWithAEAD(
+      JSON.stringify(record),
+      this.deriveStorageKey(privateKey),
+      this.getStorageAssociatedData(chatId, peerId)
+    );
+    await DatabaseService.saveRatchetSession(chatId, peerId, encryptedRecord);
+  }
+
+  // After an identity key rotation every record moves to the new key's storage key
+  async reencryptRecords(oldPrivateKey, newPrivateKey) {
+    const oldStorageKey = this.deriveStorageKey(oldPrivateKey);
+    const newStorageKey = this.deriveStorageKey(newPrivateKey);
+
+    for (const stored of await DatabaseService.getAllRatchetSessions()) {
+      const associatedData = this.getStorageAssociatedData(stored.chat_id, stored.peer_id);
+      let record;
+      try {
+        record = CryptoService.decryptWithAEAD(stored.record, oldStorageKey, associatedData);
+      } catch (error) {
+        // Moved by an earlier run that was interrupted; throws if it's neither
+        CryptoService.decryptWithAEAD(stored.record, newStorageKey, associatedData);
+        continue;
+      }
+      await DatabaseService.saveRatchetSession(
+        stored.chat_id,
+        stored.peer_id,
+        CryptoService.encryptWithAEAD(record, newStorageKey, associatedData)
+      );
+    }
+  }
+
+  deriveStorageKey(privateKey) {
+    const { dh } = CryptoService.parsePrivateKey(privateKey);
+    return Buffer.from(hkdf(sha256, dh, undefined, SESSION_STORAGE_INFO, 32)).toString('hex');
+  }
+
+  getStorageAssociatedData(chatId, peerId) {
+    return `securechat:ratchet-session:${chatId}:${peerId}`;
+  }
+
+  // Messages for one session must be processed one at a time
+  async withSessionLock(chatId, peerId, task) {
+    const lockId = `${chatId}:${peerId}`;
+    const previous = this.locks.get(lockId) || Promise.resolve();
+    const current = previous.then(task);
+    const settled = current.catch(() => {});
+
+    this.locks.set(lockId, settled);
+    settled.then(() => {
+      if (this.locks.get(lockId) === settled) {
+        this.locks.delete(lockId);
+      }
+    });
+
+    return current;
+  }
+}
+
+// Export singleton
+export const SessionManager = new SessionManagerClass();
@@ -0,0 +1,100 @@
+// src/services/crypto/X3DH.js
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import { x25519, ed25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { CryptoService } from './CryptoService';
+
+const X3DH_INFO = 'SecureChat X3DH v1';
+
+// X3DH prefixes the key material with 32 0xFF bytes for X25519
+const KDF_PREFIX = new Uint8Array(32).fill(0xff);
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+const fromBase64 = (value) => new Uint8Array(Buffer.from(value, 'base64'));
+
+// Extended Triple Diffie-Hellman: lets us agree on a session secret with a peer
+// who is offline, using the prekey bundle they published to the server
+export class X3DH {
+  // Initiator side. Returns the shared secret, the peer's signed prekey (the
+  // first ratchet key) and the prekey message the responder needs.
+  static async initiate(privateKey, bundle) {
+    this.verifyBundle(bundle);
+
+    const { dh: identityPrivateKey } = CryptoService.parsePrivateKey(privateKey);
+    const { dh: peerIdentityKey } = CryptoService.parsePublicKey(bundle.identityKey);
+    const signedPreKey = fromBase64(bundle.signedPreKey.publicKey);
+    const ephemeralPrivateKey = await Crypto.getRandomBytesAsync(32);
+
+    const dhOutputs = [
+      x25519.getSharedSecret(identityPrivateKey, signedPreKey),
+      x25519.getSharedSecret(ephemeralPrivateKey, peerIdentityKey),
+      x25519.getSharedSecret(ephemeralPrivateKey, signedPreKey)
+    ];
+    if (bundle.oneTimePreKey) {
+      dhOutputs.push(x25519.getSharedSecret(ephemeralPrivateKey, fromBase64(bundle.oneTimePreKey.publicKey)));
+    }
+
+    return {
+      sharedSecret: this.deriveSharedSecret(dhOutputs, x25519.getPublicKey(identityPrivateKey), peerIdentityKey),
+      signedPreKey,
+      message: {
+        identityKey: CryptoService.getPublicKeyFromPrivate(privateKey),
+        // Which of the responder's identity keys this was built against, in case they rotate it
+        recipientIdentityKey: bundle.identityKey,
+        ephemeralKey: toBase64(x25519.getPublicKey(ephemeralPrivateKey)),
+        signedPreKeyId: bundle.signedPreKey.keyId,
+        oneTimePreKeyId: bundle.oneTimePreKey ? bundle.oneTimePreKey.keyId : null
+      }
+    };
+  }
+
+  // Responder side: mirror the initiator's DH operations with our prekeys
+  static respond(privateKey, message, signedPreKeyPrivate, oneTimePreKeyPrivate = null) {
+    const { dh: identityPrivateKey } = CryptoService.parsePrivateKey(privateKey);
+    const { dh: peerIdentityKey } = CryptoService.parsePublicKey(message.identityKey);
+    const ephemeralKey = fromBase64(message.ephemeralKey);
+    if (ephemeralKey.length !== 32) {
+      throw new Error('Invalid ephemeral key');
+    }
+
+    const dhOutputs = [
+      x25519.getSharedSecret(signedPreKeyPrivate, peerIdentityKey),
+      x25519.getSharedSecret(identityPrivateKey, ephemeralKey),
+      x25519.getSharedSecret(signedPreKeyPrivate, ephemeralKey)
+    ];
+    if (oneTimePreKeyPrivate) {
+      dhOutputs.push(x25519.getSharedSecret(oneTimePreKeyPrivate, ephemeralKey));
+    }
+
+    return this.deriveSharedSecret(dhOutputs, peerIdentityKey, x25519.getPublicKey(identityPrivateKey));
+  }
+
+  // The signed prekey must be signed by the bundle's identity key
+  static verifyBundle(bundle) {
+    if (!bundle || !bundle.identityKey || !bundle.signedPreKey) {
+      throw new Error('Incomplete prekey bundle');
+    }
+
+    const { sign: identitySigningKey } = CryptoService.parsePublicKey(bundle.identityKey);
+    const signedPreKey = fromBase64(bundle.signedPreKey.publicKey);
+    const signature = fromBase64(bundle.signedPreKey.signature || '');
+
+    if (signedPreKey.length !== 32 || !ed25519.verify(signature, signedPreKey, identitySigningKey)) {
+      throw new Error('Invalid signed prekey signature');
+    }
+  }
+
+  static signPreKey(privateKey, preKeyPublic) {
+    const { sign } = CryptoService.parsePrivateKey(privateKey);
+    return toBase64(ed25519.sign(preKeyPublic, sign));
+  }
+
+  // Both identity keys go into the salt so the secret is bound to who agreed on it
+  static deriveSharedSecret(dhOutputs, initiatorIdentityKey, responderIdentityKey) {
+    const keyMaterial = new Uint8Array(Buffer.concat([KDF_PREFIX, ...dhOutputs]));
+    const salt = new Uint8Array(Buffer.concat([initiatorIdentityKey, responderIdentityKey]));
+    return hkdf(sha256, keyMaterial, salt, X3DH_INFO, 32);
+  }
+}
@@ -6,7 +6,7 @@ class DatabaseServiceClass {
     this.db = null;
     this.isInitialized = false;
     this.initPromise = null;
-    this.currentVersion = 2;
+    this.currentVersion = 3;
   }
 
   async init() {
@@ -43,6 +43,7 @@ class DatabaseServiceClass {
       // Step 3: Create tables efficiently
       console.log('🔧 Creating database tables...');
       await this.createTablesEfficiently();
+      await this.runMigrations();
       console.log('✅ Tables created');
       
       // Step 4: Set version (quick)
@@ -105,7 +106,59 @@ class DatabaseServiceClass {
           encrypted_content TEXT NOT NULL,
           message_type TEXT DEFAULT 'text',
           timestamp INTEGER NOT NULL,
-          created_at INTEGER NOT NULL
+          created_at INTEGER NOT NULL,
+          sender_verified INTEGER DEFAULT 1,
+          server_id TEXT DEFAULT NULL
+        );
+
+        -- Ratchet sessions table (one encrypted session record per chat and peer)
+        CREATE TABLE IF NOT EXISTS ratchet_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          chat_id INTEGER NOT NULL,
+          peer_id INTEGER NOT NULL,
+          record TEXT NOT NULL,
+          updated_at INTEGER NOT NULL,
+          UNIQUE(chat_id, peer_id)
+        );
+
+        -- Sender keys table (group chain keys, ours and other members')
+        CREATE TABLE IF NOT EXISTS sender_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          group_id INTEGER NOT NULL,
+          sender_id INTEGER NOT NULL,
+          key_id TEXT NOT NULL,
+          record TEXT NOT NULL,
+          updated_at INTEGER NOT NULL,
+          UNIQUE(group_id, sender_id, key_id)
+        );
+
+        -- Prekeys table (private halves of our published prekeys)
+        CREATE TABLE IF NOT EXISTS prekeys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner_key_id TEXT NOT NULL,
+          key_type TEXT NOT NULL,
+          key_id INTEGER NOT NULL,
+          public_key TEXT NOT NULL,
+          encrypted_private_key TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          UNIQUE(owner_key_id, key_type, key_id)
+        );
+
+        -- Highest prekey id handed out per identity key and type, so ids are never reused
+        CREATE TABLE IF NOT EXISTS prekey_counters (
+          owner_key_id TEXT NOT NULL,
+          key_type TEXT NOT NULL,
+          last_key_id INTEGER NOT NULL,
+          PRIMARY KEY(owner_key_id, key_type)
+        );
+
+        -- Our previous identity keys, kept for a while after a rotation, encrypted
+        -- under a key derived from the current identity key
+        CREATE TABLE IF NOT EXISTS retired_identity_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          public_key TEXT UNIQUE NOT NULL,
+          encrypted_private_key TEXT NOT NULL,
+          retired_at INTEGER NOT NULL
         );
 
         -- Key pairs table
@@ -135,9 +188,23 @@ class DatabaseServiceClass {
           contact_username TEXT NOT NULL,
           contact_public_key TEXT NOT NULL,
           added_at INTEGER NOT NULL,
+          verified INTEGER DEFAULT 0,
+          verified_key TEXT DEFAULT '',
+          verified_at INTEGER DEFAULT 0,
           UNIQUE(user_id, contact_user_id)
         );
 
+        -- Identity keys seen for each contact, oldest first (trust on first use)
+        CREATE TABLE IF NOT EXISTS identity_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          contact_user_id INTEGER NOT NULL,
+          public_key TEXT NOT NULL,
+          first_seen_at INTEGER NOT NULL,
+          acknowledged_at INTEGER DEFAULT 0,
+          UNIQUE(user_id, contact_user_id, public_key)
+        );
+
         -- Chat invitations table
         CREATE TABLE IF NOT EXISTS chat_invitations (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -149,9 +216,50 @@ class DatabaseServiceClass {
           responded_at INTEGER DEFAULT 0
         );
 
+        -- Outbox table (wire messages waiting for, or tracked after, the server)
+        CREATE TABLE IF NOT EXISTS outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          message_id TEXT NOT NULL,
+          local_message_id INTEGER DEFAULT NULL,
+          chat_id INTEGER NOT NULL,
+          sender_id INTEGER NOT NULL,
+          payload TEXT NOT NULL,
+          state TEXT DEFAULT 'queued',
+          attempts INTEGER DEFAULT 0,
+          next_attempt_at INTEGER DEFAULT 0,
+          last_error TEXT DEFAULT NULL,
+          server_message_id TEXT DEFAULT NULL,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+
+        -- Sync cursors table (the last server sequence number we've handled per chat)
+        CREATE TABLE IF NOT EXISTS sync_cursors (
+          user_id INTEGER NOT NULL,
+          chat_id INTEGER NOT NULL,
+          last_seq INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY(user_id, chat_id)
+        );
+
+        -- Receipts table (who has received or read a message, including us)
+        CREATE TABLE IF NOT EXISTS receipts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          message_id INTEGER NOT NULL,
+          chat_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          state TEXT NOT NULL,
+          updated_at INTEGER NOT NULL,
+          UNIQUE(message_id, user_id)
+        );
+
         -- Create essential indexes
         CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id);
         CREATE INDEX IF NOT EXISTS idx_chat_participants_user ON chat_participants(user_id);
+        CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id);
+        CREATE INDEX IF NOT EXISTS idx_outbox_sender_state ON outbox(sender_id, state);
+        CREATE INDEX IF NOT EXISTS idx_outbox_local_message ON outbox(local_message_id);
+        CREATE INDEX IF NOT EXISTS idx_receipts_chat ON receipts(chat_id);
       `;
 
       // Execute all at once for maximum speed
@@ -163,6 +271,27 @@ class DatabaseServiceClass {
     }
   }
 
+  // Columns added after a table first shipped; CREATE TABLE IF NOT EXISTS won't add them
+  async runMigrations() {
+    await this.addColumnIfMissing('contacts', 'verified', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('contacts', 'verified_key', "TEXT DEFAULT ''");
+    await this.addColumnIfMissing('contacts', 'verified_at', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('messages', 'sender_verified', 'INTEGER DEFAULT 1');
+    await this.addColumnIfMissing('messages', 'server_id', 'TEXT DEFAULT NULL');
+    await this.addColumnIfMissing('outbox', 'server_message_id', 'TEXT DEFAULT NULL');
+
+    // Needs server_id to exist first, so it can't live with the other indexes
+    await this.db.execAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_server_id ON messages(server_id)');
+  }
+
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.db.getAllAsync(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      await this.db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`✅ Added column ${table}.${column}`);
+    }
+  }
+
   async ensureInitialized() {
     if (!this.isInitialized || !this.db) {
       await this.init();
@@ -190,9 +319,15 @@ class DatabaseServiceClass {
       await this.ensureInitialized();
       
       if (id) {
-        // User from backend with specific ID
+        // User from backend with specific ID - keep any locally wrapped private key
         await this.db.runAsync(
-          'INSERT OR REPLACE INTO users (id, username, public_key, encrypted_private_key, salt, created_at, is_online, last_seen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          `INSERT INTO users (id, username, public_key, encrypted_private_key, salt, created_at, is_online, last_seen)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT(id) DO UPDATE SET
+             username = excluded.username,
+             public_key = excluded.public_key,
+             encrypted_private_key = CASE WHEN excluded.encrypted_private_key != '' THEN excluded.encrypted_private_key ELSE users.encrypted_private_key END,
+             salt = CASE WHEN excluded.salt != '' THEN excluded.salt ELSE users.salt END`,
           [id, username, publicKey, encryptedPrivateKey || '', salt || '', Date.now(), 0, 0]
         );
         console.log(`✅ User created with ID ${id}: ${username}`);
@@ -212,6 +347,42 @@ class DatabaseServiceClass {
     }
   }
 
+  // The cached key for a user, e.g. after they rotated it. Contact rows follow.
+  async updateUserPublicKey(userId, publicKey) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync('UPDATE users SET public_key = ? WHERE id = ?', [publicKey, userId]);
+      await this.db.runAsync(
+        'UPDATE contacts SET contact_public_key = ? WHERE contact_user_id = ?',
+        [publicKey, userId]
+      );
+    } catch (error) {
+      console.error('❌ Update public key failed:', error);
+      throw error;
+    }
+  }
+
+  // Pass kdfParams when the key was re-wrapped under new password KDF parameters
+  async updateEncryptedPrivateKey(userId, encryptedPrivateKey, kdfParams = null) {
+    try {
+      await this.ensureInitialized();
+      if (kdfParams) {
+        await this.db.runAsync(
+          'UPDATE users SET encrypted_private_key = ?, salt = ? WHERE id = ?',
+          [encryptedPrivateKey, kdfParams, userId]
+        );
+      } else {
+        await this.db.runAsync(
+          'UPDATE users SET encrypted_private_key = ? WHERE id = ?',
+          [encryptedPrivateKey, userId]
+        );
+      }
+    } catch (error) {
+      console.error('❌ Update private key failed:', error);
+      throw error;
+    }
+  }
+
   async getUserByUsername(username) {
     try {
       await this.ensureInitialized();
@@ -249,6 +420,7 @@ class DatabaseServiceClass {
         'INSERT INTO chats (name, type, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
         [name, type, createdBy, Date.now(), Date.now()]
       );
+      await this.seedSyncCursor(createdBy, result.lastInsertRowId);
       
       return result.lastInsertRowId;
     } catch (error) {
@@ -277,13 +449,29 @@ class DatabaseServiceClass {
   // MESSAGE OPERATIONS
 
   async saveMessage(messageData) {
-    const { chatId, senderId, encryptedContent, messageType, timestamp } = messageData;
+    const { chatId, senderId, encryptedContent, messageType, timestamp, senderVerified = true, serverId = null } = messageData;
     
     try {
       await this.ensureInitialized();
+
+      // A message we couldn't open when it arrived is replaced once we can
+      if (serverId != null) {
+        const placeholder = await this.db.getFirstAsync(
+          "SELECT id FROM messages WHERE server_id = ? AND message_type = 'undecryptable'",
+          [String(serverId)]
+        );
+        if (placeholder) {
+          await this.db.runAsync(
+            'UPDATE messages SET encrypted_content = ?, message_type = ?, sender_verified = ? WHERE id = ?',
+            [encryptedContent, messageType, senderVerified ? 1 : 0, placeholder.id]
+          );
+          return placeholder.id;
+        }
+      }
+
       const result = await this.db.runAsync(
-        'INSERT INTO messages (chat_id, sender_id, encrypted_content, message_type, timestamp, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-        [chatId, senderId, encryptedContent, messageType, timestamp, Date.now()]
+        'INSERT INTO messages (chat_id, sender_id, encrypted_content, message_type, timestamp, created_at, sender_verified, server_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [chatId, senderId, encryptedContent, messageType, timestamp, Date.now(), senderVerified ? 1 : 0, serverId == null ? null : String(serverId)]
       );
       
       // Update chat timestamp
@@ -299,13 +487,101 @@ class DatabaseServiceClass {
     }
   }
 
+  // Kept in place of a message that failed to decrypt or is waiting for a sender key,
+  // so sync counts it as handled instead of fetching it on every reconnect
+  async saveUndecryptableMessage(messageData) {
+    const { chatId, senderId, encryptedContent, timestamp, senderVerified = false, serverId } = messageData;
+
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        `INSERT OR IGNORE INTO messages (chat_id, sender_id, encrypted_content, message_type, timestamp, created_at, sender_verified, server_id)
+         VALUES (?, ?, ?, 'undecryptable', ?, ?, ?, ?)`,
+        [chatId, senderId, encryptedContent || '', timestamp, Date.now(), senderVerified ? 1 : 0, serverId == null ? null : String(serverId)]
+      );
+    } catch (error) {
+      console.error('❌ Save undecryptable message failed:', error);
+      throw error;
+    }
+  }
+
+  // Stored messages that are sealed to our own key (everything but system notes
+  // and messages we never managed to open)
+  async getSealedMessages() {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync(
+        "SELECT id, chat_id, sender_id, encrypted_content, timestamp FROM messages WHERE message_type NOT IN ('system', 'undecryptable')"
+      );
+    } catch (error) {
+      console.error('❌ Get sealed messages failed:', error);
+      throw error;
+    }
+  }
+
+  async updateMessageContent(messageId, encryptedContent) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        'UPDATE messages SET encrypted_content = ? WHERE id = ?',
+        [encryptedContent, messageId]
+      );
+    } catch (error) {
+      console.error('❌ Update message content failed:', error);
+      throw error;
+    }
+  }
+
+  // Messages arrive live and again from sync, so the server's ID says whether we have one
+  async hasMessageWithServerId(serverId) {
+    try {
+      await this.ensureInitialized();
+      const row = await this.db.getFirstAsync('SELECT id FROM messages WHERE server_id = ?', [String(serverId)]);
+      return !!row;
+    } catch (error) {
+      console.error('❌ Check message server ID failed:', error);
+      return false;
+    }
+  }
+
+  // Messages saved before server IDs were kept (or restored from a backup) have none;
+  // claim the matching one so catching up doesn't store it twice
+  async adoptMessageServerId({ chatId, senderId, timestamp, serverId }) {
+    try {
+      await this.ensureInitialized();
+      const result = await this.db.runAsync(
+        `UPDATE messages SET server_id = ? WHERE id = (
+           SELECT id FROM messages
+           WHERE chat_id = ? AND sender_id = ? AND timestamp = ? AND server_id IS NULL AND message_type != 'system'
+           LIMIT 1
+         )`,
+        [String(serverId), chatId, senderId, timestamp]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('❌ Adopt message server ID failed:', error);
+      return false;
+    }
+  }
+
+  async setMessageServerId(messageId, serverId) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync('UPDATE messages SET server_id = ? WHERE id = ?', [String(serverId), messageId]);
+    } catch (error) {
+      console.error('❌ Set message server ID failed:', error);
+      throw error;
+    }
+  }
+
   async getChatMessages(chatId, limit = 50, offset = 0) {
     try {
       await this.ensureInitialized();
       return await this.db.getAllAsync(
-        `SELECT m.*, u.username as sender_username 
+        `SELECT m.*, u.username as sender_username, o.id as outbox_id, o.state as send_state
          FROM messages m 
          LEFT JOIN users u ON m.sender_id = u.id 
+         LEFT JOIN outbox o ON o.local_message_id = m.id
          WHERE m.chat_id = ? 
          ORDER BY m.timestamp ASC 
          LIMIT ? OFFSET ?`,
@@ -317,194 +593,980 @@ class DatabaseServiceClass {
     }
   }
 
-  // KEY OPERATIONS
+  // OUTBOX OPERATIONS
 
-  async saveKeyPair(userId, publicKey, encryptedPrivateKey) {
+  async enqueueOutboxMessage({ messageId, localMessageId = null, chatId, senderId, payload }) {
     try {
       await this.ensureInitialized();
-      await this.db.runAsync(
-        'INSERT OR REPLACE INTO key_pairs (user_id, public_key, encrypted_private_key, created_at) VALUES (?, ?, ?, ?)',
-        [userId, publicKey, encryptedPrivateKey, Date.now()]
+      const now = Date.now();
+      const result = await this.db.runAsync(
+        `INSERT INTO outbox (message_id, local_message_id, chat_id, sender_id, payload, state, attempts, next_attempt_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, 'queued', 0, ?, ?, ?)`,
+        [String(messageId), localMessageId, chatId, senderId, JSON.stringify(payload), now, now, now]
       );
+      return result.lastInsertRowId;
     } catch (error) {
-      console.error('❌ Save key pair failed:', error);
+      console.error('❌ Enqueue outbox message failed:', error);
       throw error;
     }
   }
 
-  async getUserKeyPair(userId) {
+  async getOutboxMessage(id) {
     try {
       await this.ensureInitialized();
-      return await this.db.getFirstAsync(
-        'SELECT * FROM key_pairs WHERE user_id = ?',
-        [userId]
-      );
+      return await this.db.getFirstAsync('SELECT * FROM outbox WHERE id = ?', [id]);
     } catch (error) {
-      console.error('❌ Get key pair failed:', error);
-      return null;
+      console.error('❌ Get outbox message failed:', error);
+      throw error;
     }
   }
 
-  // CONTACT OPERATIONS
-
-  async addContact(userId, contactUserId, contactData = null) {
+  async getOutboxMessageByMessageId(senderId, messageId) {
     try {
       await this.ensureInitialized();
-      
-      let contactUser;
-      
-      if (contactData && contactData.username && contactData.public_key) {
-        contactUser = contactData;
-      } else {
-        contactUser = await this.getUserById(contactUserId);
-        if (!contactUser) {
-          throw new Error('User not found in local database');
-        }
-      }
-
-      await this.db.runAsync(
-        `INSERT OR REPLACE INTO contacts 
-         (user_id, contact_user_id, contact_username, contact_public_key, added_at) 
-         VALUES (?, ?, ?, ?, ?)`,
-        [userId, contactUserId, contactUser.username, contactUser.public_key, Date.now()]
+      return await this.db.getFirstAsync(
+        'SELECT * FROM outbox WHERE sender_id = ? AND message_id = ? ORDER BY id DESC LIMIT 1',
+        [senderId, String(messageId)]
       );
-      
-      console.log(`✅ Contact added: ${contactUser.username}`);
-      return true;
     } catch (error) {
-      console.error('❌ Add contact failed:', error);
+      console.error('❌ Get outbox message failed:', error);
       throw error;
     }
   }
 
-  async getUserContacts(userId) {
+  // Queued messages whose next attempt is due, oldest first so chats keep their order
+  async getDueOutboxMessages(senderId, now = Date.now()) {
     try {
       await this.ensureInitialized();
       return await this.db.getAllAsync(
-        `SELECT c.*, 
-                COALESCE(u.is_online, 0) as is_online, 
-                COALESCE(u.last_seen, 0) as last_seen 
-         FROM contacts c
-         LEFT JOIN users u ON c.contact_user_id = u.id
-         WHERE c.user_id = ?
-         ORDER BY c.contact_username ASC`,
-        [userId]
+        "SELECT * FROM outbox WHERE sender_id = ? AND state = 'queued' AND next_attempt_at <= ? ORDER BY id ASC",
+        [senderId, now]
       );
     } catch (error) {
-      console.error('❌ Get contacts failed:', error);
+      console.error('❌ Get due outbox messages failed:', error);
       return [];
     }
   }
 
-  // SEARCH OPERATIONS
-
-  async searchUsers(query, currentUserId) {
+  async getNextOutboxAttempt(senderId) {
     try {
       await this.ensureInitialized();
-      return await this.db.getAllAsync(
-        `SELECT id, username, public_key, 
-                COALESCE(is_online, 0) as is_online, 
-                COALESCE(last_seen, 0) as last_seen 
-         FROM users 
-         WHERE username LIKE ? AND id != ? 
-         LIMIT 20`,
-        [`%${query}%`, currentUserId]
+      const row = await this.db.getFirstAsync(
+        "SELECT MIN(next_attempt_at) as next_attempt_at FROM outbox WHERE sender_id = ? AND state = 'queued'",
+        [senderId]
       );
+      return row?.next_attempt_at ?? null;
     } catch (error) {
-      console.error('❌ Search users failed:', error);
-      return [];
+      console.error('❌ Get next outbox attempt failed:', error);
+      return null;
     }
   }
 
-  // CHAT CREATION
-
-  async createDirectChat(userId1, userId2) {
+  // Only moves on from expectedState when given, so a late update can't undo a newer one.
+  // Returns whether the row changed.
+  async updateOutboxMessage(id, { state, attempts, nextAttemptAt, lastError }, expectedState = null) {
     try {
       await this.ensureInitialized();
-      
-      // Check existing chat
-      const existingChat = await this.db.getFirstAsync(
-        `SELECT c.id FROM chats c
-         JOIN chat_participants cp1 ON c.id = cp1.chat_id AND cp1.user_id = ?
-         JOIN chat_participants cp2 ON c.id = cp2.chat_id AND cp2.user_id = ?
-         WHERE c.type = 'direct'`,
-        [userId1, userId2]
-      );
-
-      if (existingChat) {
-        return existingChat.id;
+      const fields = ['state = ?', 'updated_at = ?'];
+      const values = [state, Date.now()];
+      if (attempts !== undefined) {
+        fields.push('attempts = ?');
+        values.push(attempts);
+      }
+      if (nextAttemptAt !== undefined) {
+        fields.push('next_attempt_at = ?');
+        values.push(nextAttemptAt);
+      }
+      if (lastError !== undefined) {
+        fields.push('last_error = ?');
+        values.push(lastError);
       }
 
-      // Get usernames
-      const user1 = await this.getUserById(userId1);
-      const user2 = await this.getUserById(userId2);
-      
-      if (!user1 || !user2) {
-        throw new Error('One or both users not found');
+      let where = 'id = ?';
+      values.push(id);
+      if (expectedState) {
+        where += ' AND state = ?';
+        values.push(expectedState);
       }
-      
-      const chatName = `${user1.username}, ${user2.username}`;
-      
-      // Create chat
-      const chatResult = await this.db.runAsync(
-        'INSERT INTO chats (name, type, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
-        [chatName, 'direct', userId1, Date.now(), Date.now()]
-      );
 
-      const chatId = chatResult.lastInsertRowId;
+      const result = await this.db.runAsync(`UPDATE outbox SET ${fields.join(', ')} WHERE ${where}`, values);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('❌ Update outbox message failed:', error);
+      throw error;
+    }
+  }
 
-      // Add participants
-      await this.db.runAsync(
-        'INSERT INTO chat_participants (chat_id, user_id, joined_at, role) VALUES (?, ?, ?, ?)',
-        [chatId, userId1, Date.now(), 'member']
-      );
-      
+  async setOutboxServerId(id, serverId) {
+    try {
+      await this.ensureInitialized();
       await this.db.runAsync(
-        'INSERT INTO chat_participants (chat_id, user_id, joined_at, role) VALUES (?, ?, ?, ?)',
-        [chatId, userId2, Date.now(), 'member']
+        'UPDATE outbox SET server_message_id = ?, updated_at = ? WHERE id = ?',
+        [String(serverId), Date.now(), id]
       );
-
-      return chatId;
     } catch (error) {
-      console.error('❌ Create direct chat failed:', error);
+      console.error('❌ Set outbox server ID failed:', error);
       throw error;
     }
   }
 
-  async getChatParticipants(chatId) {
+  async getOutboxMessageByServerId(senderId, serverId) {
     try {
       await this.ensureInitialized();
-      return await this.db.getAllAsync(
-        `SELECT u.id, u.username, u.public_key, 
-                COALESCE(cp.role, 'member') as role, 
-                cp.joined_at
-         FROM chat_participants cp
-         JOIN users u ON cp.user_id = u.id
-         WHERE cp.chat_id = ?`,
-        [chatId]
+      return await this.db.getFirstAsync(
+        'SELECT * FROM outbox WHERE sender_id = ? AND server_message_id = ?',
+        [senderId, String(serverId)]
       );
     } catch (error) {
-      console.error('❌ Get participants failed:', error);
-      return [];
+      console.error('❌ Get outbox message failed:', error);
+      throw error;
     }
   }
 
-  async getChatRecipientKey(chatId, currentUserId) {
+  // Sends cut short by the app closing never got an answer, so they go out again
+  async requeueInterruptedOutboxMessages(senderId) {
     try {
-      const participants = await this.getChatParticipants(chatId);
-      const recipient = participants.find(p => p.id !== currentUserId);
-      return recipient ? recipient.public_key : null;
-    } catch (error) {
-      console.error('❌ Get recipient key failed:', error);
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        "UPDATE outbox SET state = 'queued', updated_at = ? WHERE sender_id = ? AND state = 'sending'",
+        [Date.now(), senderId]
+      );
+    } catch (error) {
+      console.error('❌ Requeue outbox messages failed:', error);
+      throw error;
+    }
+  }
+
+  // SYNC OPERATIONS
+
+  async getSyncCursor(userId, chatId) {
+    try {
+      await this.ensureInitialized();
+      const row = await this.db.getFirstAsync(
+        'SELECT last_seq FROM sync_cursors WHERE user_id = ? AND chat_id = ?',
+        [userId, chatId]
+      );
+      return row ? row.last_seq : null;
+    } catch (error) {
+      console.error('❌ Get sync cursor failed:', error);
+      return null;
+    }
+  }
+
+  // A chat starts from the beginning of its server history; an existing cursor is kept
+  async seedSyncCursor(userId, chatId, seq = 0) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        'INSERT OR IGNORE INTO sync_cursors (user_id, chat_id, last_seq, updated_at) VALUES (?, ?, ?, ?)',
+        [userId, chatId, seq, Date.now()]
+      );
+    } catch (error) {
+      console.error('❌ Seed sync cursor failed:', error);
+      throw error;
+    }
+  }
+
+  // Cursors never move backwards, whatever order messages are handled in
+  async advanceSyncCursor(userId, chatId, seq) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        `INSERT INTO sync_cursors (user_id, chat_id, last_seq, updated_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(user_id, chat_id) DO UPDATE SET last_seq = excluded.last_seq, updated_at = excluded.updated_at
+         WHERE excluded.last_seq > sync_cursors.last_seq`,
+        [userId, chatId, seq, Date.now()]
+      );
+    } catch (error) {
+      console.error('❌ Advance sync cursor failed:', error);
+      throw error;
+    }
+  }
+
+  // RECEIPT OPERATIONS
+
+  // Receipts only move forward, delivered to read. Returns whether anything changed.
+  async saveReceipt({ messageId, chatId, userId, state, timestamp = Date.now() }) {
+    try {
+      await this.ensureInitialized();
+      const result = await this.db.runAsync(
+        `INSERT INTO receipts (message_id, chat_id, user_id, state, updated_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(message_id, user_id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+         WHERE receipts.state = 'delivered' AND excluded.state = 'read'`,
+        [messageId, chatId, userId, state, timestamp]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('❌ Save receipt failed:', error);
+      throw error;
+    }
+  }
+
+  async getChatReceipts(chatId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync(
+        `SELECT r.message_id, r.user_id, r.state, r.updated_at, u.username
+         FROM receipts r
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.chat_id = ?`,
+        [chatId]
+      );
+    } catch (error) {
+      console.error('❌ Get receipts failed:', error);
+      return [];
+    }
+  }
+
+  // Messages from others we haven't told the sender we've read yet
+  async getUnreadMessages(chatId, userId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync(
+        `SELECT m.id, m.server_id FROM messages m
+         LEFT JOIN receipts r ON r.message_id = m.id AND r.user_id = ?
+         WHERE m.chat_id = ? AND m.sender_id != ? AND m.server_id IS NOT NULL
+           AND m.message_type != 'system' AND r.id IS NULL`,
+        [userId, chatId, userId]
+      );
+    } catch (error) {
+      console.error('❌ Get unread messages failed:', error);
+      return [];
+    }
+  }
+
+  async getMessageIdsByServerId(chatId, serverIds) {
+    if (serverIds.length === 0) return [];
+    try {
+      await this.ensureInitialized();
+      const placeholders = serverIds.map(() => '?').join(', ');
+      return await this.db.getAllAsync(
+        `SELECT id, server_id FROM messages WHERE chat_id = ? AND server_id IN (${placeholders})`,
+        [chatId, ...serverIds.map(String)]
+      );
+    } catch (error) {
+      console.error('❌ Get messages by server ID failed:', error);
+      return [];
+    }
+  }
+
+  // SESSION OPERATIONS
+
+  async getRatchetSession(chatId, peerId) {
+    try {
+      await this.ensureInitialized();
+      const row = await this.db.getFirstAsync(
+        'SELECT record FROM ratchet_sessions WHERE chat_id = ? AND peer_id = ?',
+        [chatId, peerId]
+      );
+      return row ? row.record : null;
+    } catch (error) {
+      console.error('❌ Get ratchet session failed:', error);
+      throw error;
+    }
+  }
+
+  async saveRatchetSession(chatId, peerId, record) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        `INSERT INTO ratchet_sessions (chat_id, peer_id, record, updated_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(chat_id, peer_id) DO UPDATE SET record = excluded.record, updated_at = excluded.updated_at`,
+        [chatId, peerId, record, Date.now()]
+      );
+    } catch (error) {
+      console.error('❌ Save ratchet session failed:', error);
+      throw error;
+    }
+  }
+
+  async getAllRatchetSessions() {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync('SELECT chat_id, peer_id, record FROM ratchet_sessions');
+    } catch (error) {
+      console.error('❌ Get ratchet sessions failed:', error);
+      throw error;
+    }
+  }
+
+  async deleteRatchetSessions(peerId) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync('DELETE FROM ratchet_sessions WHERE peer_id = ?', [peerId]);
+    } catch (error) {
+      console.error('❌ Delete ratchet sessions failed:', error);
+      throw error;
+    }
+  }
+
+  // IDENTITY KEY OPERATIONS
+
+  async getIdentityKeys(userId, contactUserId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync(
+        'SELECT * FROM identity_keys WHERE user_id = ? AND contact_user_id = ? ORDER BY first_seen_at ASC, id ASC',
+        [userId, contactUserId]
+      );
+    } catch (error) {
+      console.error('❌ Get identity keys failed:', error);
+      throw error;
+    }
+  }
+
+  async saveIdentityKey(userId, contactUserId, publicKey, acknowledgedAt = 0) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        `INSERT OR IGNORE INTO identity_keys (user_id, contact_user_id, public_key, first_seen_at, acknowledged_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [userId, contactUserId, publicKey, Date.now(), acknowledgedAt]
+      );
+    } catch (error) {
+      console.error('❌ Save identity key failed:', error);
+      throw error;
+    }
+  }
+
+  // acknowledgedAt = 0 puts a key back into the pending state
+  async setIdentityKeyAcknowledged(userId, contactUserId, publicKey, acknowledgedAt) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        'UPDATE identity_keys SET acknowledged_at = ? WHERE user_id = ? AND contact_user_id = ? AND public_key = ?',
+        [acknowledgedAt, userId, contactUserId, publicKey]
+      );
+    } catch (error) {
+      console.error('❌ Acknowledge identity key failed:', error);
+      throw error;
+    }
+  }
+
+  // Chats a user takes part in, including ones we only know about from their messages
+  async getChatIdsWithUser(userId) {
+    try {
+      await this.ensureInitialized();
+      const rows = await this.db.getAllAsync(
+        `SELECT chat_id FROM chat_participants WHERE user_id = ?
+         UNION
+         SELECT DISTINCT chat_id FROM messages WHERE sender_id = ?`,
+        [userId, userId]
+      );
+      return rows.map(row => row.chat_id);
+    } catch (error) {
+      console.error('❌ Get chats with user failed:', error);
+      return [];
+    }
+  }
+
+  // SENDER KEY OPERATIONS
+
+  async getSenderKey(groupId, senderId, keyId) {
+    try {
+      await this.ensureInitialized();
+      const row = await this.db.getFirstAsync(
+        'SELECT record FROM sender_keys WHERE group_id = ? AND sender_id = ? AND key_id = ?',
+        [groupId, senderId, keyId]
+      );
+      return row ? row.record : null;
+    } catch (error) {
+      console.error('❌ Get sender key failed:', error);
+      throw error;
+    }
+  }
+
+  // Newest first
+  async getSenderKeys(groupId, senderId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync(
+        'SELECT key_id, record FROM sender_keys WHERE group_id = ? AND sender_id = ? ORDER BY updated_at DESC',
+        [groupId, senderId]
+      );
+    } catch (error) {
+      console.error('❌ Get sender keys for member failed:', error);
+      throw error;
+    }
+  }
+
+  async saveSenderKey(groupId, senderId, keyId, record) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        `INSERT INTO sender_keys (group_id, sender_id, key_id, record, updated_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(group_id, sender_id, key_id) DO UPDATE SET record = excluded.record, updated_at = excluded.updated_at`,
+        [groupId, senderId, keyId, record, Date.now()]
+      );
+    } catch (error) {
+      console.error('❌ Save sender key failed:', error);
+      throw error;
+    }
+  }
+
+  async getAllSenderKeys() {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync('SELECT group_id, sender_id, key_id, record FROM sender_keys');
+    } catch (error) {
+      console.error('❌ Get sender keys failed:', error);
+      throw error;
+    }
+  }
+
+  // Without a sender id, every sender key for the group is removed
+  async deleteSenderKeys(groupId, senderId = null) {
+    try {
+      await this.ensureInitialized();
+      if (senderId == null) {
+        await this.db.runAsync('DELETE FROM sender_keys WHERE group_id = ?', [groupId]);
+      } else {
+        await this.db.runAsync(
+          'DELETE FROM sender_keys WHERE group_id = ? AND sender_id = ?',
+          [groupId, senderId]
+        );
+      }
+    } catch (error) {
+      console.error('❌ Delete sender keys failed:', error);
+      throw error;
+    }
+  }
+
+  // PREKEY OPERATIONS
+
+  async savePreKeys(ownerKeyId, keyType, preKeys) {
+    try {
+      await this.ensureInitialized();
+      const createdAt = Date.now();
+      for (const preKey of preKeys) {
+        await this.db.runAsync(
+          'INSERT INTO prekeys (owner_key_id, key_type, key_id, public_key, encrypted_private_key, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+          [ownerKeyId, keyType, preKey.keyId, preKey.publicKey, preKey.encryptedPrivateKey, createdAt]
+        );
+      }
+    } catch (error) {
+      console.error('❌ Save prekeys failed:', error);
+      throw error;
+    }
+  }
+
+  async getPreKey(ownerKeyId, keyType, keyId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getFirstAsync(
+        'SELECT * FROM prekeys WHERE owner_key_id = ? AND key_type = ? AND key_id = ?',
+        [ownerKeyId, keyType, keyId]
+      );
+    } catch (error) {
+      console.error('❌ Get prekey failed:', error);
+      throw error;
+    }
+  }
+
+  // Ids only ever go up, even after the newest key is consumed or deleted, so a peer
+  // never gets an id we already used. Returns the first of count fresh ids.
+  async reservePreKeyIds(ownerKeyId, keyType, count) {
+    try {
+      await this.ensureInitialized();
+      // Identities from before the counter carry on after the highest key still stored
+      await this.db.runAsync(
+        `INSERT OR IGNORE INTO prekey_counters (owner_key_id, key_type, last_key_id)
+         SELECT ?, ?, COALESCE(MAX(key_id), 0) FROM prekeys WHERE owner_key_id = ? AND key_type = ?`,
+        [ownerKeyId, keyType, ownerKeyId, keyType]
+      );
+      const row = await this.db.getFirstAsync(
+        `UPDATE prekey_counters SET last_key_id = last_key_id + ?
+         WHERE owner_key_id = ? AND key_type = ?
+         RETURNING last_key_id`,
+        [count, ownerKeyId, keyType]
+      );
+      return row.last_key_id - count + 1;
+    } catch (error) {
+      console.error('❌ Reserve prekey ids failed:', error);
+      throw error;
+    }
+  }
+
+  async getLatestPreKey(ownerKeyId, keyType) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getFirstAsync(
+        'SELECT * FROM prekeys WHERE owner_key_id = ? AND key_type = ? ORDER BY key_id DESC LIMIT 1',
+        [ownerKeyId, keyType]
+      );
+    } catch (error) {
+      console.error('❌ Get latest prekey failed:', error);
+      throw error;
+    }
+  }
+
+  async deletePreKeys(ownerKeyId, keyType, keyIds) {
+    try {
+      await this.ensureInitialized();
+      for (const keyId of keyIds) {
+        await this.db.runAsync(
+          'DELETE FROM prekeys WHERE owner_key_id = ? AND key_type = ? AND key_id = ?',
+          [ownerKeyId, keyType, keyId]
+        );
+      }
+    } catch (error) {
+      console.error('❌ Delete prekeys failed:', error);
+      throw error;
+    }
+  }
+
+  // Prekeys of one type older than the given key id
+  async deleteOlderPreKeys(ownerKeyId, keyType, keyId) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        'DELETE FROM prekeys WHERE owner_key_id = ? AND key_type = ? AND key_id < ?',
+        [ownerKeyId, keyType, keyId]
+      );
+    } catch (error) {
+      console.error('❌ Delete older prekeys failed:', error);
+      throw error;
+    }
+  }
+
+  // Every prekey that belonged to an identity key we no longer hold
+  async deleteAllPreKeys(ownerKeyId) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync('DELETE FROM prekeys WHERE owner_key_id = ?', [ownerKeyId]);
+      await this.db.runAsync('DELETE FROM prekey_counters WHERE owner_key_id = ?', [ownerKeyId]);
+    } catch (error) {
+      console.error('❌ Delete all prekeys failed:', error);
+      throw error;
+    }
+  }
+
+  // KEY OPERATIONS
+
+  async getRetiredIdentityKeys() {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync('SELECT * FROM retired_identity_keys ORDER BY retired_at ASC');
+    } catch (error) {
+      console.error('❌ Get retired identity keys failed:', error);
+      throw error;
+    }
+  }
+
+  async saveRetiredIdentityKey(publicKey, encryptedPrivateKey, retiredAt) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        'INSERT OR REPLACE INTO retired_identity_keys (public_key, encrypted_private_key, retired_at) VALUES (?, ?, ?)',
+        [publicKey, encryptedPrivateKey, retiredAt]
+      );
+    } catch (error) {
+      console.error('❌ Save retired identity key failed:', error);
+      throw error;
+    }
+  }
+
+  async deleteRetiredIdentityKey(publicKey) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync('DELETE FROM retired_identity_keys WHERE public_key = ?', [publicKey]);
+    } catch (error) {
+      console.error('❌ Delete retired identity key failed:', error);
+      throw error;
+    }
+  }
+
+  async saveKeyPair(userId, publicKey, encryptedPrivateKey) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        'INSERT OR REPLACE INTO key_pairs (user_id, public_key, encrypted_private_key, created_at) VALUES (?, ?, ?, ?)',
+        [userId, publicKey, encryptedPrivateKey, Date.now()]
+      );
+    } catch (error) {
+      console.error('❌ Save key pair failed:', error);
+      throw error;
+    }
+  }
+
+  async getUserKeyPair(userId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getFirstAsync(
+        'SELECT * FROM key_pairs WHERE user_id = ?',
+        [userId]
+      );
+    } catch (error) {
+      console.error('❌ Get key pair failed:', error);
+      return null;
+    }
+  }
+
+  // CONTACT OPERATIONS
+
+  async addContact(userId, contactUserId, contactData = null) {
+    try {
+      await this.ensureInitialized();
+      
+      let contactUser;
+      
+      if (contactData && contactData.username && contactData.public_key) {
+        contactUser = contactData;
+      } else {
+        contactUser = await this.getUserById(contactUserId);
+        if (!contactUser) {
+          throw new Error('User not found in local database');
+        }
+      }
+
+      // Keep verification state; it's tied to verified_key, so a new key voids it
+      await this.db.runAsync(
+        `INSERT INTO contacts 
+         (user_id, contact_user_id, contact_username, contact_public_key, added_at) 
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(user_id, contact_user_id) DO UPDATE SET
+           contact_username = excluded.contact_username,
+           contact_public_key = excluded.contact_public_key`,
+        [userId, contactUserId, contactUser.username, contactUser.public_key, Date.now()]
+      );
+      
+      console.log(`✅ Contact added: ${contactUser.username}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Add contact failed:', error);
+      throw error;
+    }
+  }
+
+  async getContact(userId, contactUserId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getFirstAsync(
+        'SELECT * FROM contacts WHERE user_id = ? AND contact_user_id = ?',
+        [userId, contactUserId]
+      );
+    } catch (error) {
+      console.error('❌ Get contact failed:', error);
+      return null;
+    }
+  }
+
+  // Mark the contact verified for this exact key, or clear it with verifiedKey = null
+  async setContactVerification(userId, contactUserId, verifiedKey) {
+    try {
+      await this.ensureInitialized();
+      await this.db.runAsync(
+        'UPDATE contacts SET verified = ?, verified_key = ?, verified_at = ? WHERE user_id = ? AND contact_user_id = ?',
+        [verifiedKey ? 1 : 0, verifiedKey || '', verifiedKey ? Date.now() : 0, userId, contactUserId]
+      );
+    } catch (error) {
+      console.error('❌ Set contact verification failed:', error);
+      throw error;
+    }
+  }
+
+  async getUserContacts(userId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync(
+        `SELECT c.*, 
+                COALESCE(u.is_online, 0) as is_online, 
+                COALESCE(u.last_seen, 0) as last_seen 
+         FROM contacts c
+         LEFT JOIN users u ON c.contact_user_id = u.id
+         WHERE c.user_id = ?
+         ORDER BY c.contact_username ASC`,
+        [userId]
+      );
+    } catch (error) {
+      console.error('❌ Get contacts failed:', error);
+      return [];
+    }
+  }
+
+  // SEARCH OPERATIONS
+
+  async searchUsers(query, currentUserId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync(
+        `SELECT id, username, public_key, 
+                COALESCE(is_online, 0) as is_online, 
+                COALESCE(last_seen, 0) as last_seen 
+         FROM users 
+         WHERE username LIKE ? AND id != ? 
+         LIMIT 20`,
+        [`%${query}%`, currentUserId]
+      );
+    } catch (error) {
+      console.error('❌ Search users failed:', error);
+      return [];
+    }
+  }
+
+  // CHAT CREATION
+
+  async createDirectChat(userId1, userId2) {
+    try {
+      await this.ensureInitialized();
+      
+      // Check existing chat
+      const existingChat = await this.db.getFirstAsync(
+        `SELECT c.id FROM chats c
+         JOIN chat_participants cp1 ON c.id = cp1.chat_id AND cp1.user_id = ?
+         JOIN chat_participants cp2 ON c.id = cp2.chat_id AND cp2.user_id = ?
+         WHERE c.type = 'direct'`,
+        [userId1, userId2]
+      );
+
+      if (existingChat) {
+        return existingChat.id;
+      }
+
+      // Get usernames
+      const user1 = await this.getUserById(userId1);
+      const user2 = await this.getUserById(userId2);
+      
+      if (!user1 || !user2) {
+        throw new Error('One or both users not found');
+      }
+      
+      const chatName = `${user1.username}, ${user2.username}`;
+      
+      // Create chat
+      const chatResult = await this.db.runAsync(
+        'INSERT INTO chats (name, type, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+        [chatName, 'direct', userId1, Date.now(), Date.now()]
+      );
+
+      const chatId = chatResult.lastInsertRowId;
+      await this.seedSyncCursor(userId1, chatId);
+
+      // Add participants
+      await this.db.runAsync(
+        'INSERT INTO chat_participants (chat_id, user_id, joined_at, role) VALUES (?, ?, ?, ?)',
+        [chatId, userId1, Date.now(), 'member']
+      );
+      
+      await this.db.runAsync(
+        'INSERT INTO chat_participants (chat_id, user_id, joined_at, role) VALUES (?, ?, ?, ?)',
+        [chatId, userId2, Date.now(), 'member']
+      );
+
+      return chatId;
+    } catch (error) {
+      console.error('❌ Create direct chat failed:', error);
+      throw error;
+    }
+  }
+
+  async getChatParticipants(chatId) {
+    try {
+      await this.ensureInitialized();
+      return await this.db.getAllAsync(
+        `SELECT u.id, u.username, u.public_key, 
+                COALESCE(cp.role, 'member') as role, 
+                cp.joined_at
+         FROM chat_participants cp
+         JOIN users u ON cp.user_id = u.id
+         WHERE cp.chat_id = ?`,
+        [chatId]
+      );
+    } catch (error) {
+      console.error('❌ Get participants failed:', error);
+      return [];
+    }
+  }
+
+  async getChatRecipient(chatId, currentUserId) {
+    try {
+      const participants = await this.getChatParticipants(chatId);
+      return participants.find(p => p.id !== currentUserId) || null;
+    } catch (error) {
+      console.error('❌ Get recipient failed:', error);
       return null;
     }
   }
 
+  async getChatRecipientKey(chatId, currentUserId) {
+    const recipient = await this.getChatRecipient(chatId, currentUserId);
+    return recipient ? recipient.public_key : null;
+  }
+
   // UTILITY METHODS
 
+  // BACKUP OPERATIONS
+
+  // Everything a backup carries besides the identity key itself. Ratchet sessions
+  // and sender keys are left out on purpose: cloned session state can't be used on
+  // two phones, so peers start fresh sessions with the restored device instead.
+  async getBackupData(userId, { includeMessages = false } = {}) {
+    try {
+      await this.ensureInitialized();
+      const data = {
+        users: await this.db.getAllAsync(
+          'SELECT id, username, public_key, created_at FROM users WHERE id != ?',
+          [userId]
+        ),
+        contacts: await this.db.getAllAsync(
+          `SELECT contact_user_id, contact_username, contact_public_key, added_at, verified, verified_key, verified_at
+           FROM contacts WHERE user_id = ?`,
+          [userId]
+        ),
+        identityKeys: await this.db.getAllAsync(
+          'SELECT contact_user_id, public_key, first_seen_at, acknowledged_at FROM identity_keys WHERE user_id = ?',
+          [userId]
+        ),
+        preKeys: await this.db.getAllAsync(
+          'SELECT owner_key_id, key_type, key_id, public_key, encrypted_private_key, created_at FROM prekeys'
+        ),
+        preKeyCounters: await this.db.getAllAsync(
+          'SELECT owner_key_id, key_type, last_key_id FROM prekey_counters'
+        )
+      };
+
+      if (includeMessages) {
+        data.chats = await this.db.getAllAsync('SELECT id, name, type, created_by, created_at, updated_at FROM chats');
+        data.chatParticipants = await this.db.getAllAsync(
+          'SELECT chat_id, user_id, joined_at, role FROM chat_participants'
+        );
+        data.messages = await this.db.getAllAsync(
+          `SELECT chat_id, sender_id, encrypted_content, message_type, timestamp, created_at, sender_verified
+           FROM messages ORDER BY timestamp ASC`
+        );
+      }
+
+      return data;
+    } catch (error) {
+      console.error('❌ Get backup data failed:', error);
+      throw error;
+    }
+  }
+
+  // Merge a backup into this device's database without overwriting what's already here
+  async restoreBackupData(userId, data) {
+    try {
+      await this.ensureInitialized();
+
+      for (const user of data.users || []) {
+        await this.db.runAsync(
+          `INSERT OR IGNORE INTO users (id, username, public_key, encrypted_private_key, salt, created_at, is_online, last_seen)
+           VALUES (?, ?, ?, '', '', ?, 0, 0)`,
+          [user.id, user.username, user.public_key, user.created_at || Date.now()]
+        );
+      }
+
+      for (const contact of data.contacts || []) {
+        await this.db.runAsync(
+          `INSERT OR IGNORE INTO contacts
+           (user_id, contact_user_id, contact_username, contact_public_key, added_at, verified, verified_key, verified_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [userId, contact.contact_user_id, contact.contact_username, contact.contact_public_key,
+            contact.added_at, contact.verified || 0, contact.verified_key || '', contact.verified_at || 0]
+        );
+      }
+
+      for (const key of data.identityKeys || []) {
+        await this.db.runAsync(
+          `INSERT OR IGNORE INTO identity_keys (user_id, contact_user_id, public_key, first_seen_at, acknowledged_at)
+           VALUES (?, ?, ?, ?, ?)`,
+          [userId, key.contact_user_id, key.public_key, key.first_seen_at, key.acknowledged_at || 0]
+        );
+      }
+
+      for (const preKey of data.preKeys || []) {
+        await this.db.runAsync(
+          `INSERT OR IGNORE INTO prekeys (owner_key_id, key_type, key_id, public_key, encrypted_private_key, created_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [preKey.owner_key_id, preKey.key_type, preKey.key_id, preKey.public_key, preKey.encrypted_private_key, preKey.created_at]
+        );
+      }
+
+      // Whichever side has handed out more ids wins
+      for (const counter of data.preKeyCounters || []) {
+        await this.db.runAsync(
+          `INSERT INTO prekey_counters (owner_key_id, key_type, last_key_id) VALUES (?, ?, ?)
+           ON CONFLICT(owner_key_id, key_type) DO UPDATE SET last_key_id = MAX(last_key_id, excluded.last_key_id)`,
+          [counter.owner_key_id, counter.key_type, counter.last_key_id]
+        );
+      }
+
+      for (const chat of data.chats || []) {
+        await this.db.runAsync(
+          'INSERT OR IGNORE INTO chats (id, name, type, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+          [chat.id, chat.name, chat.type, chat.created_by, chat.created_at, chat.updated_at || 0]
+        );
+      }
+
+      for (const participant of data.chatParticipants || []) {
+        await this.db.runAsync(
+          'INSERT OR IGNORE INTO chat_participants (chat_id, user_id, joined_at, role) VALUES (?, ?, ?, ?)',
+          [participant.chat_id, participant.user_id, participant.joined_at, participant.role || 'member']
+        );
+      }
+
+      // Messages have no stable id across devices, so skip any we already hold
+      for (const message of data.messages || []) {
+        await this.db.runAsync(
+          `INSERT INTO messages (chat_id, sender_id, encrypted_content, message_type, timestamp, created_at, sender_verified)
+           SELECT ?, ?, ?, ?, ?, ?, ?
+           WHERE NOT EXISTS (
+             SELECT 1 FROM messages WHERE chat_id = ? AND sender_id = ? AND timestamp = ? AND encrypted_content = ?
+           )`,
+          [message.chat_id, message.sender_id, message.encrypted_content, message.message_type, message.timestamp,
+            message.created_at, message.sender_verified ?? 1,
+            message.chat_id, message.sender_id, message.timestamp, message.encrypted_content]
+        );
+      }
+
+      console.log('✅ Backup data restored');
+    } catch (error) {
+      console.error('❌ Restore backup data failed:', error);
+      throw error;
+    }
+  }
+
+  // Everything stored for one account: its chats and their messages and sessions,
+  // contacts, trust records and the user row. Other accounts on the phone stay.
+  async deleteUserData(userId) {
+    try {
+      await this.ensureInitialized();
+      const chatIds = (await this.db.getAllAsync(
+        'SELECT chat_id FROM chat_participants WHERE user_id = ?',
+        [userId]
+      )).map(row => row.chat_id);
+
+      for (const chatId of chatIds) {
+        await this.db.runAsync('DELETE FROM messages WHERE chat_id = ?', [chatId]);
+        await this.db.runAsync('DELETE FROM outbox WHERE chat_id = ?', [chatId]);
+        await this.db.runAsync('DELETE FROM receipts WHERE chat_id = ?', [chatId]);
+        await this.db.runAsync('DELETE FROM sync_cursors WHERE chat_id = ?', [chatId]);
+        await this.db.runAsync('DELETE FROM ratchet_sessions WHERE chat_id = ?', [chatId]);
+        await this.db.runAsync('DELETE FROM sender_keys WHERE group_id = ?', [chatId]);
+        await this.db.runAsync('DELETE FROM chat_participants WHERE chat_id = ?', [chatId]);
+        await this.db.runAsync('DELETE FROM chats WHERE id = ?', [chatId]);
+      }
+
+      await this.db.runAsync('DELETE FROM outbox WHERE sender_id = ?', [userId]);
+      await this.db.runAsync('DELETE FROM contacts WHERE user_id = ?', [userId]);
+      await this.db.runAsync('DELETE FROM identity_keys WHERE user_id = ?', [userId]);
+      await this.db.runAsync('DELETE FROM key_pairs WHERE user_id = ?', [userId]);
+      await this.db.runAsync(
+        'DELETE FROM chat_invitations WHERE from_user_id = ? OR to_user_id = ?',
+        [userId, userId]
+      );
+      await this.db.runAsync('DELETE FROM users WHERE id = ?', [userId]);
+
+      console.log(`🗑️ Deleted local data for user ${userId} (${chatIds.length} chats)`);
+    } catch (error) {
+      console.error('❌ Delete user data failed:', error);
+      throw error;
+    }
+  }
+
   async resetDatabase() {
     try {
-      const tables = ['users', 'chats', 'messages', 'key_pairs', 'chat_participants', 'contacts', 'chat_invitations', 'database_version'];
+      const tables = ['users', 'chats', 'messages', 'ratchet_sessions', 'sender_keys', 'prekeys', 'prekey_counters', 'retired_identity_keys', 'identity_keys', 'key_pairs', 'chat_participants', 'contacts', 'chat_invitations', 'outbox', 'receipts', 'sync_cursors', 'database_version'];
       
       for (const table of tables) {
         await this.db.execAsync(`DROP TABLE IF EXISTS ${table}`);
@@ -1,4 +1,5 @@
 // src/services/network/ApiService.js - Fixed with better error handling
+import * as Device from 'expo-device';
 import { API_CONFIG } from '../../utils/constants';
 import { Storage } from '../../utils/storage';
 
@@ -7,6 +8,77 @@ export class ApiService {
   static timeout = API_CONFIG.TIMEOUT;
   static requestCache = new Map();
   static cacheExpiry = 5 * 60 * 1000; // 5 minutes
+  static groupMembershipHandler = null;
+  static tokenRefreshHandler = null;
+  static sessionExpiredHandler = null;
+  static pendingRefresh = null;
+
+  // Called after we remove a member or leave a group, so group keys can rotate
+  static setGroupMembershipHandler(handler) {
+    this.groupMembershipHandler = handler;
+  }
+
+  static async notifyGroupMembershipChange(change) {
+    try {
+      if (this.groupMembershipHandler) {
+        await this.groupMembershipHandler(change);
+      }
+    } catch (error) {
+      console.error('Group membership handler failed:', error);
+    }
+  }
+
+  // Called with no arguments when a request comes back 401; resolves to a new
+  // access token, or rejects with a `status` if the server refused the refresh
+  static setTokenRefreshHandler(handler) {
+    this.tokenRefreshHandler = handler;
+  }
+
+  // Called once the refresh token itself has been refused
+  static setSessionExpiredHandler(handler) {
+    this.sessionExpiredHandler = handler;
+  }
+
+  // The server turned the credentials down, as opposed to being busy, down or
+  // unreachable, which is worth trying again later
+  static isAuthRejection(error) {
+    return error?.status === 401 || error?.status === 403;
+  }
+
+  // Everything that hits a 401 at the same time waits on one refresh
+  static async refreshAuthToken() {
+    if (!this.tokenRefreshHandler) {
+      throw new Error('Authentication failed');
+    }
+
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = (async () => {
+        try {
+          return await this.tokenRefreshHandler();
+        } catch (error) {
+          if (this.isAuthRejection(error)) {
+            console.log('Refresh token rejected, ending session');
+            if (this.sessionExpiredHandler) {
+              await this.sessionExpiredHandler();
+            }
+          }
+          throw error;
+        }
+      })().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+    return this.pendingRefresh;
+  }
+
+  // Sent whenever the server issues tokens, so the session list can say which
+  // phone a session belongs to
+  static getClientHeaders() {
+    return {
+      'X-Client-Name': Device.deviceName || Device.modelName || 'Unknown device',
+      'X-Client-Platform': [Device.osName, Device.osVersion].filter(Boolean).join(' ') || 'Unknown'
+    };
+  }
 
   static async cachedRequest(endpoint, options = {}) {
     const cacheKey = `${endpoint}_${JSON.stringify(options)}`;
@@ -26,21 +98,30 @@ export class ApiService {
     return data;
   }
 
-  // Generic request method with auth token and better error handling
+  // Generic request method with auth token and better error handling.
+  // A 401 refreshes the access token and replays the request once;
+  // skipAuthRefresh is for the auth endpoints themselves.
   static async request(endpoint, options = {}) {
+    const { skipAuthRefresh = false, ...requestOptions } = options;
     const url = `${this.baseURL}${endpoint}`;
+
+    // Don't start out with a token that is being replaced
+    if (this.pendingRefresh && !skipAuthRefresh) {
+      await this.pendingRefresh.catch(() => {});
+    }
     
     // Get auth token
     const token = await Storage.getSecureString('authToken');
     
+    // Caller headers are added to the defaults, not swapped in for them
     const config = {
       timeout: this.timeout,
+      ...requestOptions,
       headers: {
         'Content-Type': 'application/json',
         ...(token && { 'Authorization': `Bearer ${token}` }),
-        ...options.headers
-      },
-      ...options
+        ...requestOptions.headers
+      }
     };
 
     try {
@@ -81,14 +162,19 @@ export class ApiService {
 
       if (!response.ok) {
         // Handle specific error cases
-        if (response.status === 401) {
-          // Token expired or invalid
-          console.log('Authentication failed, clearing token');
-          await Storage.removeSecure('authToken');
-          throw new Error(data.error || 'Authentication failed');
+        if (response.status === 401 && token && !skipAuthRefresh) {
+          // Access token expired: get a new one unless another request already did
+          console.log('Access token rejected, refreshing');
+          const currentToken = await Storage.getSecureString('authToken');
+          if (currentToken === token) {
+            await this.refreshAuthToken();
+          }
+          return this.request(endpoint, { ...requestOptions, skipAuthRefresh: true });
         }
         
-        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        const requestError = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        requestError.status = response.status;
+        throw requestError;
       }
 
       return data;
@@ -134,22 +220,130 @@ export class ApiService {
   static async register(userData) {
     return this.request('/auth/register', {
       method: 'POST',
-      body: JSON.stringify(userData)
+      headers: this.getClientHeaders(),
+      body: JSON.stringify(userData),
+      skipAuthRefresh: true
     });
   }
 
+  // One-time challenge for the login proof, along with the account's KDF parameters.
+  // Password changes, account deletion and recovery each sign a fresh one too.
+  static async getLoginChallenge(username) {
+    return this.request('/auth/login/challenge', {
+      method: 'POST',
+      body: JSON.stringify({ username }),
+      skipAuthRefresh: true
+    });
+  }
+
+  // { username, challengeId, passwordSignature } checked against the account's auth
+  // key, or { username, challengeId, signature } signed with a key the server knows
+  // for the account: a linked device's key (with its
+  // deviceId) or the account key itself. Accounts with two-factor enabled get
+  // { twoFactorRequired, twoFactorToken } instead of tokens.
   static async login(credentials) {
     return this.request('/auth/login', {
       method: 'POST',
-      body: JSON.stringify(credentials)
+      headers: this.getClientHeaders(),
+      body: JSON.stringify(credentials),
+      skipAuthRefresh: true
+    });
+  }
+
+  // Second step: trades the two-factor token and a TOTP or backup code for the
+  // same response a login without two-factor gets
+  static async verifyTwoFactorLogin({ twoFactorToken, code }) {
+    return this.request('/auth/login/2fa', {
+      method: 'POST',
+      headers: this.getClientHeaders(),
+      body: JSON.stringify({ twoFactorToken, code }),
+      skipAuthRefresh: true
+    });
+  }
+
+  // { enabled, backupCodesRemaining }
+  static async getTwoFactorStatus() {
+    return this.request('/auth/2fa');
+  }
+
+  // Starts enrolment: { secret, otpauthUrl }. Nothing changes until it's confirmed.
+  static async startTwoFactorSetup() {
+    return this.request('/auth/2fa/setup', {
+      method: 'POST'
+    });
+  }
+
+  // Turns two-factor on once a code from the new secret checks out; returns { backupCodes }
+  static async confirmTwoFactorSetup(code) {
+    return this.request('/auth/2fa/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+  }
+
+  static async disableTwoFactor(code) {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+  }
+
+  // Replaces any unused backup codes; returns { backupCodes }
+  static async regenerateBackupCodes(code) {
+    return this.request('/auth/2fa/backup-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+  }
+
+  // Trades the refresh token for a new access token. The server rotates the
+  // refresh token too, so the one sent here stops working.
+  static async refreshToken(refreshToken) {
+    return this.request('/auth/refresh', {
+      method: 'POST',
+      headers: this.getClientHeaders(),
+      body: JSON.stringify({ refreshToken }),
+      skipAuthRefresh: true
+    });
+  }
+
+  // Returns a fresh token; the server revokes the old ones
+  static async changePassword({ challengeId, passwordSignature, authKey, salt }) {
+    return this.request('/auth/change-password', {
+      method: 'POST',
+      body: JSON.stringify({ challengeId, passwordSignature, authKey, salt })
+    });
+  }
+
+  // The server only hands out the wrapped recovery key for a challenge signed with
+  // the phrase's auth key
+  static async getRecoveryKey({ username, challengeId, recoverySignature }) {
+    return this.request('/auth/recovery/key', {
+      method: 'POST',
+      body: JSON.stringify({ username, challengeId, recoverySignature }),
+      skipAuthRefresh: true
+    });
+  }
+
+  // Sets a new password without the old one; the server revokes existing tokens
+  static async recoverAccount({ username, challengeId, recoverySignature, authKey, salt }) {
+    return this.request('/auth/recovery', {
+      method: 'POST',
+      headers: this.getClientHeaders(),
+      body: JSON.stringify({ username, challengeId, recoverySignature, authKey, salt }),
+      skipAuthRefresh: true
     });
   }
 
-  static async logout(userId) {
+  // Local auth data may already be gone, so the tokens are passed in. The server
+  // revokes the session they belong to.
+  static async logout(userId, { token = null, refreshToken = null } = {}) {
     try {
       return await this.request('/auth/logout', {
         method: 'POST',
-        body: JSON.stringify({ userId })
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+        body: JSON.stringify({ userId, refreshToken }),
+        skipAuthRefresh: true
       });
     } catch (error) {
       // Logout errors are non-critical
@@ -158,6 +352,153 @@ export class ApiService {
     }
   }
 
+  // Every signed-in session on the account; the one making the request has current: true
+  static async getSessions() {
+    return this.request('/auth/sessions');
+  }
+
+  // Revokes the session's access and refresh tokens, wherever it is
+  static async revokeSession(sessionId) {
+    return this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Revokes every session on the account, this one included
+  static async logoutAllSessions() {
+    return this.request('/auth/logout-all', {
+      method: 'POST'
+    });
+  }
+
+  // Deletes the account, its devices, sessions and published prekeys. The server
+  // checks the password proof and passes the signed notice on to contacts.
+  static async deleteAccount({ challengeId, passwordSignature, notice }) {
+    return this.request('/users/me', {
+      method: 'DELETE',
+      body: JSON.stringify({ challengeId, passwordSignature, notice })
+    });
+  }
+
+  // Replace the account's public key (used when upgrading legacy keys)
+  static async updatePublicKey(publicKey) {
+    return this.request('/users/me/public-key', {
+      method: 'PUT',
+      body: JSON.stringify({ publicKey })
+    });
+  }
+
+  // Scheduled identity rotation. The rotation statement is signed with the previous
+  // key so contacts can tell it from a key swapped in by someone else, and linked
+  // devices come with certificates signed by the new key.
+  static async rotateIdentityKey({ publicKey, rotation, deviceCertificates = [] }) {
+    return this.request('/users/me/identity-key', {
+      method: 'POST',
+      body: JSON.stringify({ publicKey, rotation, deviceCertificates })
+    });
+  }
+
+  // Every rotation statement the user has published, oldest first
+  static async getKeyRotations(userId) {
+    return this.request(`/users/${userId}/key-rotations`);
+  }
+
+  // The server keeps KDF parameters in the account's salt field without reading them
+  // The auth key has to change with the parameters or the next login proof fails
+  static async updateKdfParams(kdfParams, authKey) {
+    return this.request('/users/me/kdf-params', {
+      method: 'PUT',
+      body: JSON.stringify({ salt: kdfParams, authKey })
+    });
+  }
+
+  // Store (or replace) the recovery copy of our private key
+  static async setRecoveryKey({ encryptedPrivateKey, authKey }) {
+    return this.request('/users/me/recovery-key', {
+      method: 'PUT',
+      body: JSON.stringify({ encryptedPrivateKey, recoveryAuthKey: authKey })
+    });
+  }
+
+  // Device endpoints
+
+  // Every device on a user's account, with the certificates their account key signed
+  static async getUserDevices(userId) {
+    return this.request(`/users/${userId}/devices`);
+  }
+
+  // Our own devices, with names and last-seen times
+  static async getDevices() {
+    return this.request('/devices');
+  }
+
+  // The server also revokes the device's tokens
+  static async revokeDevice(deviceId) {
+    return this.request(`/devices/${deviceId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  static async createDeviceLink() {
+    return this.request('/devices/links', {
+      method: 'POST'
+    });
+  }
+
+  // Sent by the new device, which isn't signed in yet
+  static async requestDeviceLink(linkId, { publicKey, ephemeralKey, name }) {
+    return this.request(`/devices/links/${linkId}/request`, {
+      method: 'POST',
+      headers: this.getClientHeaders(),
+      body: JSON.stringify({ publicKey, ephemeralKey, name })
+    });
+  }
+
+  static async getDeviceLink(linkId) {
+    return this.request(`/devices/links/${linkId}`);
+  }
+
+  // Once approved, the new device's status check returns the payload and its token
+  static async approveDeviceLink(linkId, { deviceId, certificate, payload }) {
+    return this.request(`/devices/links/${linkId}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ deviceId, certificate, payload })
+    });
+  }
+
+  // Prekey endpoints
+  static async uploadPreKeyBundle(bundle) {
+    return this.request('/keys/bundle', {
+      method: 'PUT',
+      body: JSON.stringify(bundle)
+    });
+  }
+
+  // Fetching a bundle claims one of the user's one-time prekeys on the server
+  static async getPreKeyBundle(userId, deviceId = null) {
+    const query = deviceId != null ? `?deviceId=${encodeURIComponent(deviceId)}` : '';
+    return this.request(`/keys/bundle/${userId}${query}`);
+  }
+
+  // Replaces the signed prekey in our bundle; one-time prekeys are left alone
+  static async uploadSignedPreKey(signedPreKey) {
+    return this.request('/keys/signed', {
+      method: 'PUT',
+      body: JSON.stringify({ signedPreKey })
+    });
+  }
+
+  static async getPreKeyCount() {
+    return this.request('/keys/count');
+  }
+
+  static async uploadOneTimePreKeys(preKeys) {
+    return this.request('/keys/one-time', {
+      method: 'POST',
+      body: JSON.stringify({ preKeys })
+    });
+  }
+
   // User endpoints with fallback
   static async searchUsers(query) {
     try {
@@ -210,6 +551,12 @@ export class ApiService {
     }
   }
 
+  // Messages the server numbered after afterSeq, oldest first, in the same shape as
+  // new_message events. Returns { messages, hasMore }.
+  static async getMessagesSince(chatId, afterSeq, limit = 100) {
+    return this.request(`/messages/chat/${chatId}/sync?after=${afterSeq}&limit=${limit}`);
+  }
+
   static async sendMessage(messageData) {
     return this.request('/messages', {
       method: 'POST',
@@ -280,15 +627,19 @@ static async addGroupMembers(groupId, memberIds) {
 }
 
 static async removeGroupMember(groupId, memberId) {
-  return this.request(`/groups/${groupId}/members/${memberId}`, {
+  const response = await this.request(`/groups/${groupId}/members/${memberId}`, {
     method: 'DELETE'
   });
+  await this.notifyGroupMembershipChange({ groupId, removedMemberId: memberId });
+  return response;
 }
 
 static async leaveGroup(groupId) {
-  return this.request(`/groups/${groupId}/leave`, {
+  const response = await this.request(`/groups/${groupId}/leave`, {
     method: 'POST'
   });
+  await this.notifyGroupMembershipChange({ groupId, left: true });
+  return response;
 }
 
 static async updateGroupInfo(groupId, updates) {
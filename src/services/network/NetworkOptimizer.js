@@ -1,111 +1,259 @@
 // src/services/network/NetworkOptimizer.js
-import NetInfo from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import pako from 'pako';
+import { Buffer } from 'buffer';
+import { NETWORK_CONFIG, NETWORK_QUALITY } from '../../utils/constants';
+
+// Compressed payloads start with a NUL, which typed text never does
+const COMPRESSED_PREFIX = '\u0000z1:';
+const DEFAULT_COMPRESSION_LEVEL = 6;
 
 export class NetworkOptimizer {
   constructor() {
-    this.connectionQuality = 'good';
-    this.latency = 0;
-    this.bandwidth = 0;
+    this.socket = null;
+    this.compressionLevel = DEFAULT_COMPRESSION_LEVEL;
     this.isOptimizing = false;
+    this.netInfo = { isConnected: true, isInternetReachable: null, type: 'unknown', details: null };
+    this.latency = null;
+    this.connectionQuality = NETWORK_QUALITY.GOOD;
+    this.listeners = new Set();
+    this.unsubscribeNetInfo = null;
+    this.pingTimer = null;
+    this.pingTimeouts = new Map();
+    this.messageBatch = [];
+    this.batchTimer = null;
+    this.handlePong = this.handlePong.bind(this); // Passed to socket.on/off as is
   }
 
   startOptimization(socket) {
+    this.stopOptimization();
     this.isOptimizing = true;
     this.socket = socket;
-    
+
     // Monitor network conditions
-    this.monitorNetworkQuality();
-    
-    // Implement message batching for poor connections
-    this.implementMessageBatching();
-    
-    // Adaptive compression based on network quality
-    this.implementAdaptiveCompression();
+    this.unsubscribeNetInfo = NetInfo.addEventListener(state => this.handleNetInfoChange(state));
+    NetInfo.fetch()
+      .then(state => this.handleNetInfoChange(state))
+      .catch(error => console.warn('⚠️ Could not read network state:', error.message));
+
+    this.socket.on('pong', this.handlePong);
+    this.pingTimer = setInterval(() => this.samplePing(), NETWORK_CONFIG.PING_INTERVAL);
   }
 
+  // Anything still batched is failed back to its sender, which retries it
   stopOptimization() {
     this.isOptimizing = false;
+
+    if (this.unsubscribeNetInfo) {
+      this.unsubscribeNetInfo();
+      this.unsubscribeNetInfo = null;
+    }
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+    this.pingTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
+    this.pingTimeouts.clear();
+    if (this.socket) {
+      this.socket.off('pong', this.handlePong);
+      this.socket = null;
+    }
+
+    this.clearBatchTimer();
+    const pending = this.messageBatch;
+    this.messageBatch = [];
+    pending.forEach(frame => frame.callback?.({ error: 'Connection closed' }));
   }
 
-  async monitorNetworkQuality() {
-    const networkState = await NetInfo.fetch();
-    
-    // Measure latency
-    const startTime = Date.now();
-    this.socket.emit('ping');
-    
-    this.socket.on('pong', () => {
-      this.latency = Date.now() - startTime;
-      this.adjustOptimizations();
-    });
+  // CONNECTIVITY
 
-    // Monitor connection type and quality
-    if (networkState.type === 'cellular') {
-      this.connectionQuality = networkState.details.cellularGeneration === '4g' ? 'good' : 'poor';
-    } else if (networkState.type === 'wifi') {
-      this.connectionQuality = networkState.isInternetReachable ? 'excellent' : 'poor';
-    }
+  handleNetInfoChange(state) {
+    this.netInfo = {
+      isConnected: state.isConnected !== false,
+      isInternetReachable: state.isInternetReachable ?? null,
+      type: state.type || 'unknown',
+      details: state.details || null
+    };
+    this.adjustOptimizations();
   }
 
-  implementMessageBatching() {
-    if (this.connectionQuality === 'poor') {
-      // Batch messages and send every 2 seconds instead of immediately
-      this.messageBatch = [];
-      
-      setInterval(() => {
-        if (this.messageBatch.length > 0) {
-          this.socket.emit('batch_messages', this.messageBatch);
-          this.messageBatch = [];
-        }
-      }, 2000);
-    }
+  isOnline() {
+    return this.netInfo.isConnected && this.netInfo.isInternetReachable !== false;
   }
 
-  implementAdaptiveCompression() {
-    // Compress messages based on network quality
-    if (this.connectionQuality === 'poor') {
-      // Enable aggressive compression
-      this.compressionLevel = 'high';
-    } else {
-      this.compressionLevel = 'standard';
-    }
+  // RTT SAMPLING
+
+  samplePing() {
+    if (!this.socket?.connected) return;
+
+    const sentAt = Date.now();
+    // A ping that never comes back counts as a very slow one
+    this.pingTimeouts.set(sentAt, setTimeout(() => {
+      this.pingTimeouts.delete(sentAt);
+      this.recordLatency(NETWORK_CONFIG.PING_TIMEOUT);
+    }, NETWORK_CONFIG.PING_TIMEOUT));
+
+    this.socket.emit('ping', { sentAt });
+  }
+
+  handlePong(data) {
+    const timeoutId = this.pingTimeouts.get(data?.sentAt);
+    if (!timeoutId) return;
+
+    clearTimeout(timeoutId);
+    this.pingTimeouts.delete(data.sentAt);
+    this.recordLatency(Date.now() - data.sentAt);
+  }
+
+  // Smoothed so one slow round trip doesn't flip the quality back and forth
+  recordLatency(sample) {
+    this.latency = this.latency == null ? sample : Math.round(this.latency * 0.7 + sample * 0.3);
+    this.adjustOptimizations();
   }
 
   adjustOptimizations() {
-    if (this.latency > 1000) {
-      // High latency - reduce frequency of non-critical updates
-      this.connectionQuality = 'poor';
-    } else if (this.latency < 100) {
-      this.connectionQuality = 'excellent';
+    const previous = this.connectionQuality;
+    const cellularGeneration = this.netInfo.type === 'cellular' ? this.netInfo.details?.cellularGeneration : null;
+
+    if (!this.isOnline()) {
+      this.connectionQuality = NETWORK_QUALITY.OFFLINE;
+    } else if ((this.latency ?? 0) > NETWORK_CONFIG.POOR_RTT || cellularGeneration === '2g' || cellularGeneration === '3g') {
+      this.connectionQuality = NETWORK_QUALITY.POOR;
+    } else if (this.latency != null && this.latency < NETWORK_CONFIG.EXCELLENT_RTT) {
+      this.connectionQuality = NETWORK_QUALITY.EXCELLENT;
     } else {
-      this.connectionQuality = 'good';
+      this.connectionQuality = NETWORK_QUALITY.GOOD;
+    }
+
+    this.compressionLevel = this.connectionQuality === NETWORK_QUALITY.POOR ? 9 : DEFAULT_COMPRESSION_LEVEL;
+
+    if (this.connectionQuality !== previous) {
+      console.log(`📶 Connection quality: ${previous} → ${this.connectionQuality}`);
+    }
+    this.notifyListeners();
+  }
+
+  getState() {
+    return {
+      quality: this.connectionQuality,
+      isOnline: this.isOnline(),
+      type: this.netInfo.type,
+      latency: this.latency
+    };
+  }
+
+  // Returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Network listener error:', error);
+      }
+    });
+  }
+
+  // BATCHING
+
+  // Emit a frame now, or on a poor link hold it briefly so several go out as one
+  // batch_messages frame. The server answers a batch with one response per frame.
+  send(event, data, callback) {
+    const window = this.connectionQuality === NETWORK_QUALITY.POOR
+      ? NETWORK_CONFIG.BATCH_WINDOW_POOR
+      : NETWORK_CONFIG.BATCH_WINDOW_GOOD;
+
+    if (!this.isOptimizing || window === 0) {
+      this.flushBatch();
+      if (!this.socket) {
+        callback?.({ error: 'Connection closed' });
+        return;
+      }
+      this.socket.emit(event, data, callback);
+      return;
+    }
+
+    this.messageBatch.push({ event, data, callback });
+    if (this.messageBatch.length >= NETWORK_CONFIG.MAX_BATCH_SIZE) {
+      this.flushBatch();
+    } else if (!this.batchTimer) {
+      this.batchTimer = setTimeout(() => this.flushBatch(), window);
     }
   }
 
-  // Compression utilities
-  compressMessage(message) {
-    if (this.compressionLevel === 'high') {
-      // Implement compression algorithm
-      return this.gzipCompress(message);
+  flushBatch() {
+    this.clearBatchTimer();
+    if (this.messageBatch.length === 0 || !this.socket) return;
+
+    const frames = this.messageBatch;
+    this.messageBatch = [];
+
+    if (frames.length === 1) {
+      const [frame] = frames;
+      this.socket.emit(frame.event, frame.data, frame.callback);
+      return;
     }
-    return message;
+
+    console.log(`📦 Sending ${frames.length} frames as one batch`);
+    this.socket.emit(
+      'batch_messages',
+      frames.map(({ event, data }) => ({ event, data })),
+      (responses) => {
+        frames.forEach((frame, index) => {
+          frame.callback?.(Array.isArray(responses) ? responses[index] : responses);
+        });
+      }
+    );
   }
 
-  decompressMessage(compressedMessage) {
-    if (this.compressionLevel === 'high') {
-      return this.gzipDecompress(compressedMessage);
+  clearBatchTimer() {
+    if (this.batchTimer) {
+      clearTimeout(this.batchTimer);
+      this.batchTimer = null;
     }
-    return compressedMessage;
   }
 
-  gzipCompress(data) {
-    // Implement gzip compression
-    // Use pako or similar library
-    return data; // Placeholder
+  // COMPRESSION
+
+  // Applied to message text before it's encrypted; ciphertext doesn't compress.
+  // Short or incompressible text is left alone. The level comes from the
+  // connection's optimizer (see WebSocketService.getCompressionLevel).
+  static compressPayload(text, level = DEFAULT_COMPRESSION_LEVEL) {
+    if (typeof text !== 'string') return text;
+    const size = Buffer.byteLength(text, 'utf8');
+    if (size < NETWORK_CONFIG.COMPRESSION_MIN_BYTES) return text;
+
+    const compressed = COMPRESSED_PREFIX + Buffer.from(pako.deflateRaw(text, { level })).toString('base64');
+    return Buffer.byteLength(compressed, 'utf8') < size ? compressed : text;
   }
 
-  gzipDecompress(data) {
-    // Implement gzip decompression
-    return data; // Placeholder
+  // The payload comes from the other side, so output is capped as it inflates;
+  // going past the cap fails like any other message that can't be opened
+  static decompressPayload(payload) {
+    if (typeof payload !== 'string' || !payload.startsWith(COMPRESSED_PREFIX)) {
+      return payload;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const inflator = new pako.Inflate({ raw: true });
+    inflator.onData = (chunk) => {
+      size += chunk.length;
+      if (size > NETWORK_CONFIG.MAX_DECOMPRESSED_BYTES) {
+        throw new Error('Decompressed message is too large');
+      }
+      chunks.push(chunk);
+    };
+
+    inflator.push(Buffer.from(payload.slice(COMPRESSED_PREFIX.length), 'base64'), true);
+    if (inflator.err || !inflator.ended) {
+      throw new Error('Could not decompress message');
+    }
+    return Buffer.concat(chunks).toString('utf8');
   }
-}
\ No newline at end of file
+}
@@ -1,7 +1,10 @@
 // src/services/network/WebSocketService.js - FIXED Message Delivery
 import io from 'socket.io-client';
 import { NetworkOptimizer } from './NetworkOptimizer';
+import { ApiService } from './ApiService';
+import { DatabaseService } from '../database/DatabaseService';
 import { Storage } from '../../utils/storage';
+import { OUTBOX_CONFIG, OUTBOX_STATES, RECEIPT_STATES, SYNC_CONFIG, RECONNECT_CONFIG } from '../../utils/constants';
 
 class WebSocketServiceClass {
   constructor() {
@@ -9,25 +12,44 @@ class WebSocketServiceClass {
     this.isConnected = false;
     this.messageQueue = [];
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+    this.unsubscribeNetwork = null;
     this.networkOptimizer = new NetworkOptimizer();
     this.isEnabled = false;
     this.authToken = null;
+    this.authRefreshAttempted = false;
     this.processedMessages = new Set();
+    this.incomingQueue = Promise.resolve();
+    this.incomingPaused = false;
+    this.heldMessages = [];
     this.joinedChats = new Set();
     this.userId = null;
     this.username = null;
+    this.deviceId = null;
     this.autoJoinCompleted = false;
     this.autoJoinRetries = 0;
     this.maxAutoJoinRetries = 3;
+    this.pendingOutboxFlush = null;
+    this.outboxTimer = null;
+    this.pendingSync = null;
+    this.unsyncedChats = new Set(); // Chats with a message that wasn't saved since the last sync
   }
 
-  async connect(serverUrl, userId, username) {
+  async connect(serverUrl, userId, username, deviceId = null) {
     this.userId = userId;
     this.username = username;
+    this.deviceId = deviceId;
     this.autoJoinCompleted = false;
     this.autoJoinRetries = 0;
 
+    // Anything still marked as sending lost its answer when the app last closed
+    try {
+      await DatabaseService.requeueInterruptedOutboxMessages(userId);
+    } catch (error) {
+      console.error('❌ Failed to requeue interrupted sends:', error);
+    }
+
     if (!serverUrl || serverUrl.includes('your-server.com')) {
       console.log('WebSocket disabled: No server configured');
       this.isEnabled = false;
@@ -49,15 +71,19 @@ class WebSocketServiceClass {
         auth: {
           userId,
           username,
+          deviceId,
           token: this.authToken
         },
         transports: ['websocket'],
         timeout: 20000,
         autoConnect: false,
+        reconnection: false, // handleReconnection owns retries, so they aren't doubled up
         forceNew: true // Force new connection to avoid stale state
       });
 
       this.setupEventListeners();
+      this.networkOptimizer.startOptimization(this.socket);
+      this.watchConnectivity();
       this.socket.connect();
       
     } catch (error) {
@@ -73,12 +99,14 @@ class WebSocketServiceClass {
       console.log('✅ Connected to WebSocket server');
       this.isConnected = true;
       this.reconnectAttempts = 0;
+      this.clearReconnectTimer();
       this.processMessageQueue();
       
       // Authenticate immediately
       this.socket.emit('authenticate', {
         userId: this.userId,
         username: this.username,
+        deviceId: this.deviceId,
         token: this.authToken
       });
     });
@@ -86,14 +114,19 @@ class WebSocketServiceClass {
     this.socket.on('authenticated', async (data) => {
       if (data.success) {
         console.log('✅ WebSocket authentication successful');
+        this.authRefreshAttempted = false;
+        this.flushOutbox();
         
         // CRITICAL FIX: Auto-join with retry mechanism
         if (!this.autoJoinCompleted) {
           await this.autoJoinUserChatsWithRetry();
         }
+
+        // Rooms only carry what's sent from now on; fetch what we missed
+        this.syncMissedMessages();
       } else {
         console.error('❌ WebSocket authentication failed');
-        this.disconnect();
+        this.handleAuthFailure();
       }
     });
 
@@ -103,6 +136,7 @@ class WebSocketServiceClass {
       this.joinedChats.clear();
       this.autoJoinCompleted = false;
       this.autoJoinRetries = 0;
+      this.clearOutboxTimer();
       
       if (reason !== 'io client disconnect') {
         this.handleReconnection();
@@ -118,6 +152,12 @@ class WebSocketServiceClass {
     this.socket.on('joined_chat', (data) => {
       console.log(`✅ Successfully joined chat: ${data.chatId}`);
       this.joinedChats.add(data.chatId.toString());
+
+      // Chats joined here for the first time (or from before cursors) catch up from the start
+      if (this.userId) {
+        DatabaseService.seedSyncCursor(this.userId, data.chatId)
+          .catch(error => console.error('❌ Failed to seed sync cursor:', error));
+      }
     });
 
     // NEW: Handle join failures
@@ -129,6 +169,10 @@ class WebSocketServiceClass {
       this.handleMessageDelivery(data);
     });
 
+    this.socket.on('message_receipt', (data) => {
+      this.handleReceipt(data);
+    });
+
     this.socket.on('user_typing', (data) => {
       this.handleTypingIndicator(data);
     });
@@ -140,7 +184,13 @@ class WebSocketServiceClass {
     // NEW: Handle connection state changes
     this.socket.on('connect_error', (error) => {
       console.error('❌ WebSocket connection error:', error);
-      this.handleReconnection();
+
+      // The handshake carries the token, so an expired one shows up here
+      if (error?.data?.code === RECONNECT_CONFIG.AUTH_ERROR_CODE) {
+        this.handleAuthFailure();
+      } else {
+        this.handleReconnection();
+      }
     });
   }
 
@@ -279,25 +329,176 @@ class WebSocketServiceClass {
     });
   }
 
-  sendMessage(messageData) {
-    if (!this.isEnabled) {
-      console.log('WebSocket disabled - message not sent');
-      return;
-    }
-
+  // Every message goes through the outbox first, so it survives a restart or a
+  // dead connection and goes out once we're back. localMessageId ties it to the
+  // row in messages whose bubble shows its state.
+  async sendMessage(messageData, { localMessageId = null } = {}) {
     const messageId = messageData.messageId || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     messageData.messageId = messageId;
 
-    if (this.isConnected && this.socket) {
-      console.log(`📤 Sending message to chat ${messageData.chatId}`);
-      this.socket.emit('send_message', messageData);
-    } else {
-      this.messageQueue.push({
-        type: 'send_message',
-        data: messageData,
-        timestamp: Date.now()
+    try {
+      const outboxId = await DatabaseService.enqueueOutboxMessage({
+        messageId,
+        localMessageId,
+        chatId: messageData.chatId,
+        senderId: messageData.senderId,
+        payload: messageData
+      });
+      this.notifyOutboxState({ id: outboxId, message_id: messageId, local_message_id: localMessageId, chat_id: messageData.chatId }, OUTBOX_STATES.QUEUED);
+
+      if (!this.isConnected) {
+        console.log('📦 Message queued - WebSocket not connected');
+      }
+      this.flushOutbox();
+      return outboxId;
+    } catch (error) {
+      console.error('❌ Failed to queue message:', error);
+      throw error;
+    }
+  }
+
+  // Send everything that's due, one flush at a time
+  flushOutbox() {
+    if (!this.isConnected || !this.socket || !this.userId) return Promise.resolve();
+    if (this.pendingOutboxFlush) return this.pendingOutboxFlush;
+
+    this.pendingOutboxFlush = this.drainOutbox()
+      .catch(error => console.error('❌ Outbox flush failed:', error))
+      .finally(() => {
+        this.pendingOutboxFlush = null;
+      });
+    return this.pendingOutboxFlush;
+  }
+
+  async drainOutbox() {
+    // Messages queued while we were sending are picked up by the next pass
+    let due = await DatabaseService.getDueOutboxMessages(this.userId);
+    while (due.length > 0 && this.isConnected) {
+      console.log(`📦 Sending ${due.length} queued messages`);
+      for (const entry of due) {
+        if (!this.isConnected || !this.socket) break;
+        await this.sendOutboxEntry(entry);
+      }
+      due = await DatabaseService.getDueOutboxMessages(this.userId);
+    }
+
+    await this.scheduleOutboxRetry();
+  }
+
+  async sendOutboxEntry(entry) {
+    await DatabaseService.updateOutboxMessage(entry.id, { state: OUTBOX_STATES.SENDING });
+    this.notifyOutboxState(entry, OUTBOX_STATES.SENDING);
+
+    try {
+      const response = await this.emitWithAck('send_message', JSON.parse(entry.payload));
+
+      // Receipts name the server's ID for the message, so remember which one it gave ours
+      if (response?.serverId != null) {
+        await DatabaseService.setOutboxServerId(entry.id, response.serverId);
+        if (entry.local_message_id != null) {
+          await DatabaseService.setMessageServerId(entry.local_message_id, response.serverId);
+        }
+      }
+
+      // The delivery receipt may have beaten the server's answer here
+      if (await DatabaseService.updateOutboxMessage(entry.id, { state: OUTBOX_STATES.SENT, lastError: null }, OUTBOX_STATES.SENDING)) {
+        this.notifyOutboxState(entry, OUTBOX_STATES.SENT);
+      }
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      console.warn(`⚠️ Send attempt ${attempts} failed for message ${entry.message_id}:`, error.message);
+
+      if (attempts >= OUTBOX_CONFIG.MAX_ATTEMPTS) {
+        await DatabaseService.updateOutboxMessage(entry.id, {
+          state: OUTBOX_STATES.FAILED,
+          attempts,
+          lastError: error.message
+        });
+        this.notifyOutboxState(entry, OUTBOX_STATES.FAILED, error.message);
+        return;
+      }
+
+      const delay = Math.min(OUTBOX_CONFIG.BASE_RETRY_DELAY * Math.pow(2, attempts - 1), OUTBOX_CONFIG.MAX_RETRY_DELAY);
+      await DatabaseService.updateOutboxMessage(entry.id, {
+        state: OUTBOX_STATES.QUEUED,
+        attempts,
+        nextAttemptAt: Date.now() + delay,
+        lastError: error.message
+      });
+      this.notifyOutboxState(entry, OUTBOX_STATES.QUEUED, error.message);
+    }
+  }
+
+  // The server answers send_message with { success, serverId } once it has taken the message
+  emitWithAck(event, data) {
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        reject(new Error('Server did not acknowledge the message'));
+      }, OUTBOX_CONFIG.ACK_TIMEOUT);
+
+      this.networkOptimizer.send(event, data, (response) => {
+        clearTimeout(timeoutId);
+        if (response && (response.error || response.success === false)) {
+          reject(new Error(response.error || 'Server rejected the message'));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  // Wake up for the next message that's waiting out its backoff
+  async scheduleOutboxRetry() {
+    this.clearOutboxTimer();
+    if (!this.isConnected || !this.userId) return;
+
+    const nextAttemptAt = await DatabaseService.getNextOutboxAttempt(this.userId);
+    if (nextAttemptAt == null) return;
+
+    const delay = Math.max(nextAttemptAt - Date.now(), 0);
+    this.outboxTimer = setTimeout(() => {
+      this.outboxTimer = null;
+      this.flushOutbox();
+    }, delay);
+  }
+
+  clearOutboxTimer() {
+    if (this.outboxTimer) {
+      clearTimeout(this.outboxTimer);
+      this.outboxTimer = null;
+    }
+  }
+
+  // Send a failed message again with a fresh set of attempts
+  async retryOutboxMessage(outboxId) {
+    try {
+      const entry = await DatabaseService.getOutboxMessage(outboxId);
+      if (!entry || entry.state !== OUTBOX_STATES.FAILED) return;
+
+      await DatabaseService.updateOutboxMessage(entry.id, {
+        state: OUTBOX_STATES.QUEUED,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null
+      }, OUTBOX_STATES.FAILED);
+      this.notifyOutboxState(entry, OUTBOX_STATES.QUEUED);
+      this.flushOutbox();
+    } catch (error) {
+      console.error('❌ Failed to retry message:', error);
+      throw error;
+    }
+  }
+
+  notifyOutboxState(entry, state, error = null) {
+    if (this.onOutboxStateChange) {
+      this.onOutboxStateChange({
+        outboxId: entry.id,
+        messageId: entry.message_id,
+        localMessageId: entry.local_message_id,
+        chatId: entry.chat_id,
+        state,
+        error
       });
-      console.log('📦 Message queued - WebSocket not connected');
     }
   }
 
@@ -338,34 +539,292 @@ class WebSocketServiceClass {
 
   // IMPROVED: Better duplicate message handling
   handleIncomingMessage(data) {
-    const messageId = data.messageId || `${data.timestamp}_${data.senderId}`;
-    
-    if (this.processedMessages.has(messageId)) {
-      console.log('⏭️ Duplicate message ignored:', messageId);
-      return;
-    }
-    
-    this.processedMessages.add(messageId);
-    
-    // Clean up old processed messages to prevent memory leak
-    if (this.processedMessages.size > 1000) {
-      const messagesToRemove = Array.from(this.processedMessages).slice(0, 500);
-      messagesToRemove.forEach(id => this.processedMessages.delete(id));
+    // Whether we already have a numbered message is settled by the messages table
+    // alone, so one that wasn't stored is taken again when the next sync refetches
+    // it. The queue below runs one message at a time, so copies arriving together
+    // see the first one's row. The set is only for messages without a server id.
+    if (data.serverId == null) {
+      const messageId = data.messageId || `${data.timestamp}_${data.senderId}`;
+      if (this.processedMessages.has(messageId)) {
+        console.log('⏭️ Duplicate message ignored:', messageId);
+        return this.incomingQueue;
+      }
+
+      this.processedMessages.add(messageId);
+
+      // Clean up old processed messages to prevent memory leak
+      if (this.processedMessages.size > 1000) {
+        const messagesToRemove = Array.from(this.processedMessages).slice(0, 500);
+        messagesToRemove.forEach(id => this.processedMessages.delete(id));
+      }
     }
     
     console.log(`📨 Processing new message from ${data.senderUsername} in chat ${data.chatId}`);
     
-    if (this.onMessageReceived) {
-      this.onMessageReceived(data);
+    // Check signatures one message at a time so handlers still see them in order
+    this.incomingQueue = this.incomingQueue
+      .then(async () => {
+        if (data.serverId != null && (
+          await DatabaseService.hasMessageWithServerId(data.serverId) ||
+          await DatabaseService.adoptMessageServerId(data)
+        )) {
+          console.log('⏭️ Already stored message ignored:', data.serverId);
+          await this.advanceSyncCursor(data);
+          return;
+        }
+
+        data.senderVerified = await this.verifySender(data);
+        if (!data.senderVerified) {
+          console.warn('⚠️ Message signature did not match sender:', data.senderId);
+        }
+
+        // Nothing can be decrypted while the key vault is locked, so hold on to it
+        if (this.incomingPaused) {
+          this.heldMessages.push(data);
+          return;
+        }
+
+        await this.deliverIncoming(data);
+      })
+      .catch(error => console.error('❌ Failed to process incoming message:', error));
+    return this.incomingQueue;
+  }
+
+  // Handlers save what they show (or a placeholder for what they couldn't open), so
+  // the cursor only moves past a message once it's stored; control messages are
+  // never stored and count as handled
+  async deliverIncoming(data) {
+    if (!this.onMessageReceived) return;
+
+    await this.onMessageReceived(data);
+    if (data.messageType === 'text' && !(data.serverId != null && await DatabaseService.hasMessageWithServerId(data.serverId))) {
+      // Dropped, e.g. by a chat screen showing another chat: the next sync fetches it again
+      this.unsyncedChats.add(data.chatId.toString());
+      return;
+    }
+
+    // Only now is it on this device for good
+    if (data.messageType === 'text' && data.senderId !== this.userId) {
+      this.sendReceipt(data.chatId, RECEIPT_STATES.DELIVERED, [data.serverId]);
+    }
+    await this.advanceSyncCursor(data);
+  }
+
+  async advanceSyncCursor(data) {
+    if (data.seq == null || !this.userId || this.unsyncedChats.has(data.chatId.toString())) return;
+
+    try {
+      await DatabaseService.advanceSyncCursor(this.userId, data.chatId, data.seq);
+    } catch (error) {
+      console.error('❌ Failed to advance sync cursor:', error);
     }
   }
 
-  handleMessageDelivery(data) {
+  pauseIncoming() {
+    this.incomingPaused = true;
+  }
+
+  // Hand over everything that arrived while paused, in order
+  resumeIncoming() {
+    this.incomingPaused = false;
+    const held = this.heldMessages;
+    this.heldMessages = [];
+    if (held.length === 0) return;
+
+    console.log(`📬 Delivering ${held.length} held messages`);
+    this.incomingQueue = this.incomingQueue
+      .then(async () => {
+        for (const data of held) {
+          // A copy may have been held twice, or stored by a sync in the meantime
+          if (data.serverId != null && await DatabaseService.hasMessageWithServerId(data.serverId)) {
+            await this.advanceSyncCursor(data);
+            continue;
+          }
+          await this.deliverIncoming(data);
+        }
+      })
+      .catch(error => console.error('❌ Failed to deliver held messages:', error));
+  }
+
+  // SYNC
+
+  // Fetch whatever was sent while we were away, one sync at a time
+  syncMissedMessages() {
+    if (!this.isConnected || !this.userId) return Promise.resolve();
+    if (this.pendingSync) return this.pendingSync;
+
+    this.pendingSync = this.syncAllChats()
+      .catch(error => console.error('❌ Message sync failed:', error))
+      .finally(() => {
+        this.pendingSync = null;
+      });
+    return this.pendingSync;
+  }
+
+  async syncAllChats() {
+    const chats = await DatabaseService.getUserChats(this.userId);
+    for (const chat of chats) {
+      if (!this.isConnected) return;
+      try {
+        await this.syncChat(chat.id);
+      } catch (error) {
+        console.error(`❌ Failed to sync chat ${chat.id}:`, error.message);
+      }
+    }
+  }
+
+  async syncChat(chatId) {
+    let afterSeq = await DatabaseService.getSyncCursor(this.userId, chatId);
+    if (afterSeq == null) {
+      await DatabaseService.seedSyncCursor(this.userId, chatId);
+      afterSeq = 0;
+    }
+    this.unsyncedChats.delete(chatId.toString());
+
+    let fetched = 0;
+    let hasMore = true;
+    while (hasMore && this.isConnected) {
+      const page = await ApiService.getMessagesSince(chatId, afterSeq, SYNC_CONFIG.PAGE_SIZE);
+      const messages = page?.messages || [];
+      if (messages.length === 0) break;
+
+      // Same path as live messages, so duplicates of either are dropped
+      messages.forEach(message => this.handleIncomingMessage(message));
+      await this.incomingQueue;
+
+      fetched += messages.length;
+      afterSeq = messages[messages.length - 1].seq;
+      hasMore = !!page.hasMore;
+    }
+
+    if (fetched > 0) {
+      console.log(`🔄 Synced ${fetched} missed messages for chat ${chatId}`);
+    }
+  }
+
+  // The server only relays messages, so senderId/senderUsername are just claims
+  // until the signature checks out against the key we trust for that sender
+  async verifySender(data) {
+    try {
+      // Dynamic import to avoid circular dependency
+      const { CryptoService } = await import('../crypto/CryptoService');
+      const { IdentityKeyStore } = await import('../crypto/IdentityKeyStore');
+      const { DeviceManager } = await import('../crypto/DeviceManager');
+      const { DatabaseService } = await import('../database/DatabaseService');
+
+      let publicKey = await IdentityKeyStore.getTrustedKey(data.senderId);
+      if (!publicKey) {
+        const sender = await DatabaseService.getUserById(data.senderId);
+        publicKey = sender?.public_key;
+      }
+
+      // Linked devices sign with their own key, which the account key must vouch for
+      if (publicKey && data.senderDeviceId != null) {
+        publicKey = await DeviceManager.getDeviceKey(data.senderId, data.senderDeviceId, publicKey);
+      }
+
+      return !!publicKey && CryptoService.verifyMessageSignature(data, publicKey);
+    } catch (error) {
+      console.error('❌ Sender verification failed:', error);
+      return false;
+    }
+  }
+
+  async handleMessageDelivery(data) {
+    try {
+      const entry = this.userId && data?.messageId != null
+        ? await DatabaseService.getOutboxMessageByMessageId(this.userId, data.messageId)
+        : null;
+      if (entry && entry.state !== OUTBOX_STATES.DELIVERED) {
+        await DatabaseService.updateOutboxMessage(entry.id, { state: OUTBOX_STATES.DELIVERED, lastError: null });
+        this.notifyOutboxState(entry, OUTBOX_STATES.DELIVERED);
+      }
+    } catch (error) {
+      console.error('❌ Failed to record delivery:', error);
+    }
+
     if (this.onMessageDelivered) {
       this.onMessageDelivered(data);
     }
   }
 
+  // RECEIPTS
+
+  // Recipients report { chatId, userId, type, serverIds, timestamp } for messages we sent.
+  // The server relays these unsigned, so they're only as honest as it is.
+  async handleReceipt(data) {
+    try {
+      if (!this.userId || !Array.isArray(data?.serverIds)) return;
+      if (data.type !== RECEIPT_STATES.DELIVERED && data.type !== RECEIPT_STATES.READ) return;
+
+      for (const serverId of data.serverIds) {
+        const entry = await DatabaseService.getOutboxMessageByServerId(this.userId, serverId);
+        if (!entry || entry.local_message_id == null) continue;
+
+        // Reaching anyone means it left the server
+        if (entry.state === OUTBOX_STATES.SENT &&
+            await DatabaseService.updateOutboxMessage(entry.id, { state: OUTBOX_STATES.DELIVERED }, OUTBOX_STATES.SENT)) {
+          this.notifyOutboxState(entry, OUTBOX_STATES.DELIVERED);
+        }
+
+        const timestamp = data.timestamp || Date.now();
+        const changed = await DatabaseService.saveReceipt({
+          messageId: entry.local_message_id,
+          chatId: entry.chat_id,
+          userId: data.userId,
+          state: data.type,
+          timestamp
+        });
+        if (changed && this.onReceipt) {
+          this.onReceipt({
+            chatId: entry.chat_id,
+            localMessageId: entry.local_message_id,
+            userId: data.userId,
+            state: data.type,
+            timestamp
+          });
+        }
+      }
+    } catch (error) {
+      console.error('❌ Failed to record receipt:', error);
+    }
+  }
+
+  // Returns whether the server took the receipt
+  async sendReceipt(chatId, type, serverIds) {
+    if (!this.isConnected || !this.socket || serverIds.length === 0) return false;
+
+    try {
+      await this.emitWithAck('message_receipt', { chatId, type, serverIds: serverIds.map(String) });
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Failed to send ${type} receipt:`, error.message);
+      return false;
+    }
+  }
+
+  // Tell the senders we've read these; remembered only once the server has it,
+  // so anything missed goes out the next time the chat is opened
+  async markMessagesRead(chatId, serverIds) {
+    if (!this.userId || serverIds.length === 0) return;
+
+    try {
+      if (!await this.sendReceipt(chatId, RECEIPT_STATES.READ, serverIds)) return;
+
+      const rows = await DatabaseService.getMessageIdsByServerId(chatId, serverIds);
+      for (const row of rows) {
+        await DatabaseService.saveReceipt({
+          messageId: row.id,
+          chatId,
+          userId: this.userId,
+          state: RECEIPT_STATES.READ
+        });
+      }
+    } catch (error) {
+      console.error('❌ Failed to mark messages read:', error);
+    }
+  }
+
   handleTypingIndicator(data) {
     if (this.onTypingIndicator) {
       this.onTypingIndicator(data);
@@ -382,44 +841,135 @@ class WebSocketServiceClass {
     currentQueue.forEach(queuedMessage => {
       // Only process messages that aren't too old (5 minutes)
       if (Date.now() - queuedMessage.timestamp < 300000) {
-        if (queuedMessage.type === 'join_chat') {
-          // Use the improved join method
-          this.joinChat(queuedMessage.data.chatId);
-        } else {
-          this.socket.emit(queuedMessage.type, queuedMessage.data);
-        }
+        // Outgoing messages live in the outbox; only joins wait here
+        this.joinChat(queuedMessage.data.chatId);
       } else {
         console.log('⏰ Discarded old queued message:', queuedMessage.type);
       }
     });
   }
 
-  // IMPROVED: Better reconnection handling
+  // Keep trying for as long as we're signed in, backing off up to RECONNECT_CONFIG.MAX_DELAY
   handleReconnection() {
-    if (!this.isEnabled) return;
+    if (!this.isEnabled || this.isConnected || this.reconnectTimer) return;
     
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 15000);
-      
-      console.log(`🔄 Scheduling reconnection attempt ${this.reconnectAttempts} in ${delay}ms`);
-      
-      setTimeout(() => {
-        if (this.isEnabled && this.socket && !this.isConnected) {
-          console.log(`🔄 Reconnection attempt ${this.reconnectAttempts}`);
-          this.autoJoinCompleted = false; // Reset auto-join on reconnect
-          this.autoJoinRetries = 0;
-          this.socket.connect();
-        }
-      }, delay);
-    } else {
-      console.error('❌ Max reconnection attempts reached');
+    this.reconnectAttempts++;
+    const ceiling = Math.min(
+      RECONNECT_CONFIG.BASE_DELAY * Math.pow(2, this.reconnectAttempts - 1),
+      RECONNECT_CONFIG.MAX_DELAY
+    );
+    // Half the ceiling, plus up to half again at random
+    const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    
+    console.log(`🔄 Scheduling reconnection attempt ${this.reconnectAttempts} in ${delay}ms`);
+    
+    this.nextRetryAt = Date.now() + delay;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.nextRetryAt = null;
+      this.attemptReconnect();
+    }, delay);
+  }
+
+  attemptReconnect() {
+    if (!this.isEnabled || !this.socket || this.isConnected) return;
+
+    console.log(`🔄 Reconnection attempt ${this.reconnectAttempts}`);
+    this.autoJoinCompleted = false; // Reset auto-join on reconnect
+    this.autoJoinRetries = 0;
+    this.socket.connect();
+  }
+
+  // Skip the wait when there's reason to think it'll work now: the app came back
+  // to the foreground or the network returned
+  reconnectNow(reason) {
+    if (!this.isEnabled || !this.socket || this.isConnected) return;
+
+    console.log(`🔄 Reconnecting now (${reason})`);
+    this.clearReconnectTimer();
+    this.attemptReconnect();
+  }
+
+  clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.nextRetryAt = null;
+  }
+
+  watchConnectivity() {
+    if (this.unsubscribeNetwork) this.unsubscribeNetwork();
+
+    let wasOnline = this.networkOptimizer.getState().isOnline;
+    this.unsubscribeNetwork = this.networkOptimizer.addListener(({ isOnline }) => {
+      if (isOnline && !wasOnline) {
+        this.reconnectNow('network restored');
+      }
+      wasOnline = isOnline;
+    });
+  }
+
+  // Called when the app returns to the foreground
+  resume() {
+    this.reconnectNow('app resumed');
+  }
+
+  // Use a rotated token from now on, including for reconnects
+  updateAuthToken(token) {
+    this.authToken = token;
+    if (this.socket) {
+      this.socket.auth = { ...this.socket.auth, token };
+    }
+  }
+
+  // The server only checks the token when the socket connects, so start over with it
+  reconnectWithToken(token) {
+    this.updateAuthToken(token);
+    if (!this.socket || !this.isEnabled) return;
+
+    console.log('🔄 Reconnecting WebSocket with refreshed token');
+    this.socket.disconnect();
+    this.socket.connect();
+  }
+
+  // The socket's token was turned down: refresh it once, which reconnects us.
+  // Only a refresh the server rejects ends the session; if it just couldn't be
+  // reached, keep backing off and try the refresh again next time.
+  async handleAuthFailure() {
+    if (this.authRefreshAttempted) {
+      this.disconnect();
+      return;
+    }
+
+    this.authRefreshAttempted = true;
+    try {
+      await ApiService.refreshAuthToken();
+    } catch (error) {
+      console.error('❌ WebSocket token refresh failed:', error.message);
+      if (ApiService.isAuthRejection(error)) {
+        this.disconnect();
+        return;
+      }
+
+      this.authRefreshAttempted = false;
+      if (this.socket?.connected) {
+        this.socket.disconnect();
+      }
+      this.isConnected = false;
+      this.handleReconnection();
     }
   }
 
   disconnect() {
     console.log('🔌 Disconnecting WebSocket');
     
+    this.networkOptimizer.stopOptimization();
+    if (this.unsubscribeNetwork) {
+      this.unsubscribeNetwork();
+      this.unsubscribeNetwork = null;
+    }
+    this.clearReconnectTimer();
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -428,16 +978,36 @@ class WebSocketServiceClass {
     this.isConnected = false;
     this.isEnabled = false;
     this.authToken = null;
+    this.authRefreshAttempted = false;
     this.messageQueue = [];
+    this.clearOutboxTimer();
     this.reconnectAttempts = 0;
     this.processedMessages.clear();
+    this.incomingQueue = Promise.resolve();
+    this.incomingPaused = false;
+    this.heldMessages = [];
     this.joinedChats.clear();
+    this.unsyncedChats.clear();
     this.autoJoinCompleted = false;
     this.autoJoinRetries = 0;
     this.userId = null;
     this.username = null;
   }
 
+  getNetworkState() {
+    return this.networkOptimizer.getState();
+  }
+
+  // Deflate level for outgoing message text, higher on a poor link
+  getCompressionLevel() {
+    return this.networkOptimizer.compressionLevel;
+  }
+
+  // Returns an unsubscribe function
+  addNetworkListener(listener) {
+    return this.networkOptimizer.addListener(listener);
+  }
+
   // Event handler setters
   setMessageHandler(handler) {
     this.onMessageReceived = handler;
@@ -451,6 +1021,14 @@ class WebSocketServiceClass {
     this.onTypingIndicator = handler;
   }
 
+  setOutboxStateHandler(handler) {
+    this.onOutboxStateChange = handler;
+  }
+
+  setReceiptHandler(handler) {
+    this.onReceipt = handler;
+  }
+
   // NEW: Method to manually rejoin a specific chat
   async rejoinChat(chatId) {
     const chatIdStr = chatId.toString();
@@ -473,6 +1051,7 @@ class WebSocketServiceClass {
       userId: this.userId,
       hasToken: !!this.authToken,
       reconnectAttempts: this.reconnectAttempts,
+      nextRetryAt: this.nextRetryAt,
       autoJoinRetries: this.autoJoinRetries
     };
   }
@@ -503,6 +1082,7 @@ class WebSocketServiceClass {
       userId: this.userId,
       username: this.username,
       reconnectAttempts: this.reconnectAttempts,
+      nextRetryAt: this.nextRetryAt,
       autoJoinRetries: this.autoJoinRetries
     };
   }
@@ -8,7 +8,72 @@ export const API_CONFIG = {
 export const CRYPTO_CONFIG = {
   RSA_KEY_SIZE: 2048,
   AES_KEY_SIZE: 256,
-  PBKDF2_ITERATIONS: 100000
+  PBKDF2_ITERATIONS: 100000, // Only for records created before KDF parameters were stored
+  KDF_ALGORITHM: 'scrypt',
+  SCRYPT: { LOG_N: 15, R: 8, P: 1 },
+  ARGON2ID: { MEMORY_KIB: 19456, ITERATIONS: 2, PARALLELISM: 1 }
+};
+
+// Our security policy allows at most 90 days between rotations
+export const KEY_ROTATION_CONFIG = {
+  SIGNED_PREKEY_INTERVAL: 30 * 24 * 60 * 60 * 1000, // 30 days
+  IDENTITY_KEY_INTERVAL: 90 * 24 * 60 * 60 * 1000, // 90 days, when enabled
+  RETIRED_KEY_GRACE_PERIOD: 14 * 24 * 60 * 60 * 1000 // Old keys still open messages already sent to them
+};
+
+// Sends that fail are retried with exponential backoff before they're marked failed
+export const OUTBOX_CONFIG = {
+  MAX_ATTEMPTS: 5,
+  BASE_RETRY_DELAY: 2000,
+  MAX_RETRY_DELAY: 5 * 60 * 1000,
+  ACK_TIMEOUT: 10000 // How long the server gets to accept a message
+};
+
+export const OUTBOX_STATES = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+// Round trips are sampled over ping/pong; slow links batch frames and compress harder
+export const NETWORK_CONFIG = {
+  PING_INTERVAL: 15000,
+  PING_TIMEOUT: 5000,
+  POOR_RTT: 1000,
+  EXCELLENT_RTT: 150,
+  BATCH_WINDOW_POOR: 1000, // How long frames wait for company on a poor link
+  BATCH_WINDOW_GOOD: 0,
+  MAX_BATCH_SIZE: 20,
+  COMPRESSION_MIN_BYTES: 512,
+  MAX_DECOMPRESSED_BYTES: 256 * 1024 // Far past any message; stops a deflate bomb early
+};
+
+export const NETWORK_QUALITY = {
+  OFFLINE: 'offline',
+  POOR: 'poor',
+  GOOD: 'good',
+  EXCELLENT: 'excellent'
+};
+
+// Reconnects back off exponentially up to MAX_DELAY and never give up; the random
+// part keeps a crowd of clients from reconnecting in lockstep after an outage
+export const RECONNECT_CONFIG = {
+  BASE_DELAY: 1000,
+  MAX_DELAY: 60000,
+  // Set in connect_error's data when the server turns down the handshake token
+  AUTH_ERROR_CODE: 'AUTH_FAILED'
+};
+
+// Catching up after a reconnect fetches missed messages a page at a time
+export const SYNC_CONFIG = {
+  PAGE_SIZE: 100
+};
+
+export const RECEIPT_STATES = {
+  DELIVERED: 'delivered',
+  READ: 'read'
 };
 
 export const UI_CONFIG = {
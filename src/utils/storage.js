@@ -43,9 +43,9 @@ export class Storage {
     }
   }
 
-  static async removeSecure(key) {
+  static async removeSecure(key, options) {
     try {
-      await SecureStore.deleteItemAsync(key);
+      await SecureStore.deleteItemAsync(key, options);
       console.log(`✅ Secure storage removed: ${key}`);
     } catch (error) {
       console.error(`❌ Secure storage remove error for key "${key}":`, error);
@@ -53,9 +53,9 @@ export class Storage {
   }
 
   // Get raw string from secure storage (no JSON parsing)
-  static async getSecureString(key) {
+  static async getSecureString(key, options) {
     try {
-      const value = await SecureStore.getItemAsync(key);
+      const value = await SecureStore.getItemAsync(key, options);
       return value; // Return as-is, no parsing
     } catch (error) {
       console.error(`❌ Secure storage get string error for key "${key}":`, error);
@@ -64,9 +64,9 @@ export class Storage {
   }
 
   // Set raw string to secure storage
-  static async setSecureString(key, value) {
+  static async setSecureString(key, value, options) {
     try {
-      await SecureStore.setItemAsync(key, String(value));
+      await SecureStore.setItemAsync(key, String(value), options);
       console.log(`✅ Secure storage set string: ${key}`);
     } catch (error) {
       console.error(`❌ Secure storage set string error for key "${key}":`, error);
@@ -77,7 +77,7 @@ export class Storage {
   // Clear all secure storage (for debugging)
   static async clearAllSecure() {
     try {
-      const keys = ['userData', 'authToken', 'derivedKey', 'biometricEnabled', 'appLocked'];
+      const keys = ['userData', 'authToken', 'refreshToken', 'derivedKey', 'biometricEnabled', 'appLocked'];
       for (const key of keys) {
         await SecureStore.deleteItemAsync(key);
       }